@@ -1,154 +1,230 @@
 /**
  * Database Configuration Module
- * 
+ *
  * This module handles MongoDB connection setup and management for the
  * College Event Management System. It provides:
- * - Connection establishment with proper error handling
- * - Connection event monitoring and logging
- * - Graceful shutdown procedures
- * - Production-ready connection options
- * 
+ * - Connection establishment with retries (exponential backoff + jitter)
+ * - Connection event monitoring, logging and metrics (state transitions
+ *   and connection pool usage, served at /metrics)
+ * - A readiness state for health checks and the API's 503 guard
+ * - Closing the connection on shutdown
+ *
  * The module uses Mongoose as the ODM (Object Document Mapper) to interact
  * with MongoDB Atlas, providing schema validation and query building.
+ *
+ * The server never exits because MongoDB is unreachable: the first
+ * connection is retried until it succeeds, and once connected the MongoDB
+ * driver reconnects by itself. Meanwhile API routes answer
+ * 503 SERVICE_UNAVAILABLE (middleware/database.js).
  */
 
 const mongoose = require('mongoose');
+const logger = require('../utils/logger').child({ component: 'database' });
+const { counter } = require('../utils/metrics');
+
+/**
+ * CONNECTION OPTIONS
+ *
+ * Mongoose 7 (MongoDB driver 5) always uses the new URL parser and the
+ * unified topology, and no longer accepts useNewUrlParser,
+ * useUnifiedTopology or bufferMaxEntries.
+ */
+const CONNECTION_OPTIONS = {
+  // CONNECTION POOL OPTIONS (for production optimization)
+  maxPoolSize: 10,          // Maximum number of connections in the connection pool
+  minPoolSize: 2,           // Minimum number of connections in the connection pool
+  maxIdleTimeMS: 30000,     // Close connections after 30 seconds of inactivity
+
+  // TIMEOUT OPTIONS
+  serverSelectionTimeoutMS: 5000,  // How long to try selecting a server
+  socketTimeoutMS: 45000,          // How long a send or receive on a socket can take
+  connectTimeoutMS: 10000,         // How long to wait for a connection to be established
+
+  // ADDITIONAL OPTIONS
+  heartbeatFrequencyMS: 10000,     // How often to check the connection (10 seconds)
+  retryWrites: true,               // Enable retryable writes
+  w: 'majority',                   // Write concern - wait for majority of replica set
+};
+
+/**
+ * RETRY SETTINGS
+ *
+ * The delay before retry N is between half and all of
+ * min(DB_RETRY_MAX_MS, DB_RETRY_BASE_MS * 2^N), picked at random so that
+ * several servers restarting together do not retry in lockstep.
+ */
+const getRetryBaseMs = () => parseInt(process.env.DB_RETRY_BASE_MS) || 1000;
+const getRetryMaxMs = () => parseInt(process.env.DB_RETRY_MAX_MS) || 30000;
+
+// Retry-After sent while the driver is reconnecting on its own
+const DEFAULT_RETRY_AFTER_SECONDS = 5;
+
+const backoffDelay = (attempt) => {
+  const ceiling = Math.min(getRetryMaxMs(), getRetryBaseMs() * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+};
+
+// Retry loop state
+let nextRetryAt = null;
+let retryTimer = null;
+let wakeRetry = null;
+let stopped = false;
+
+const waitForRetry = (delay) =>
+  new Promise((resolve) => {
+    wakeRetry = resolve;
+    retryTimer = setTimeout(resolve, delay);
+  });
 
 /**
  * DATABASE CONNECTION FUNCTION
- * 
- * Establishes a connection to MongoDB Atlas using environment variables.
- * This function implements best practices for production deployments:
- * - Proper error handling and logging
- * - Connection event monitoring
- * - Configurable connection options
- * - Retry logic (can be extended)
+ *
+ * Connects to MongoDB, retrying with exponential backoff until it works
+ * (or closeDB() is called). Never throws and never exits the process.
+ *
+ * @returns {Promise<mongoose.Mongoose|null>} null if stopped before connecting
  */
 const connectDB = async () => {
-  try {
-    // Establish connection to MongoDB using the URI from environment variables
-    const conn = await mongoose.connect(process.env.MONGODB_URI, {
-      // PARSER OPTIONS
-      useNewUrlParser: true,    // Use the new URL parser (avoids deprecation warnings)
-      useUnifiedTopology: true, // Use the new Server Discover and Monitoring engine
-      
-      // CONNECTION POOL OPTIONS (for production optimization)
-      maxPoolSize: 10,          // Maximum number of connections in the connection pool
-      minPoolSize: 2,           // Minimum number of connections in the connection pool
-      maxIdleTimeMS: 30000,     // Close connections after 30 seconds of inactivity
-      
-      // TIMEOUT OPTIONS
-      serverSelectionTimeoutMS: 5000,  // How long to try selecting a server
-      socketTimeoutMS: 45000,          // How long a send or receive on a socket can take
-      connectTimeoutMS: 10000,         // How long to wait for a connection to be established
-      
-      // BUFFERING OPTIONS
-      bufferMaxEntries: 0,      // Disable mongoose buffering when not connected
-      bufferCommands: false,    // Disable mongoose buffering
-      
-      // ADDITIONAL OPTIONS
-      heartbeatFrequencyMS: 10000,     // How often to check the connection (10 seconds)
-      retryWrites: true,               // Enable retryable writes
-      w: 'majority',                   // Write concern - wait for majority of replica set
-    });
-
-    // Log successful connection with details
-    console.log(`🗄️  MongoDB Connected Successfully!`);
-    console.log(`📍 Host: ${conn.connection.host}`);
-    console.log(`🏷️  Database: ${conn.connection.name}`);
-    console.log(`🔌 Connection State: ${getConnectionState(conn.connection.readyState)}`);
-    
-    // Log additional connection info in development mode
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`🔧 Connection Options:`, {
-        maxPoolSize: 10,
+  stopped = false;
+
+  for (let attempt = 0; !stopped; attempt += 1) {
+    try {
+      // Establish connection to MongoDB using the URI from environment variables
+      const conn = await mongoose.connect(process.env.MONGODB_URI, CONNECTION_OPTIONS);
+      nextRetryAt = null;
+      trackPool(conn.connection.getClient());
+
+      // Log successful connection with details
+      logger.info('MongoDB connected', {
+        host: conn.connection.host,
+        database: conn.connection.name,
+        state: getConnectionState(conn.connection.readyState),
+        attempts: attempt + 1,
+      });
+
+      // Log additional connection info at debug level
+      logger.debug('MongoDB connection options', {
+        maxPoolSize: CONNECTION_OPTIONS.maxPoolSize,
         serverSelectionTimeout: '5s',
         socketTimeout: '45s',
-        bufferCommands: false
       });
+
+      return conn;
+
+    } catch (error) {
+      if (stopped) break;
+
+      const delay = backoffDelay(attempt);
+      nextRetryAt = Date.now() + delay;
+
+      // Enhanced error logging with context
+      logger.error('MongoDB connection failed', {
+        error: { name: error.name, message: error.message, code: error.code },
+        attempt: attempt + 1,
+        retryInMs: delay,
+      });
+
+      await waitForRetry(delay);
     }
-    
-    return conn;
-    
-  } catch (error) {
-    // Enhanced error logging with context
-    console.error('❌ Database Connection Failed!');
-    console.error('🔍 Error Details:', {
-      message: error.message,
-      code: error.code,
-      name: error.name,
-      timestamp: new Date().toISOString()
-    });
-    
-    // In production, you might want to implement retry logic here
-    // instead of immediately exiting the process
-    if (process.env.NODE_ENV === 'production') {
-      console.error('🔄 Consider implementing retry logic for production');
-    }
-    
-    // Exit the process if database connection fails
-    // This ensures the application doesn't run without database access
-    process.exit(1);
   }
+
+  nextRetryAt = null;
+  return null;
 };
 
+/**
+ * CONNECTION POOL USAGE
+ *
+ * Followed through the driver's connection pool events, for the
+ * mongodb_pool_connections metric. Listening starts once connected, so a
+ * connection opened before that is first seen when it is checked out (or
+ * when it is replaced after maxIdleTimeMS).
+ */
+const openConnections = new Set();
+const checkedOutConnections = new Set();
+const trackedClients = new WeakSet();
+
+const connectionKey = (event) => `${event.address}#${event.connectionId}`;
+
+const trackPool = (client) => {
+  if (!client || trackedClients.has(client)) return;
+  trackedClients.add(client);
+
+  client.on('connectionCreated', (event) => openConnections.add(connectionKey(event)));
+  client.on('connectionClosed', (event) => {
+    openConnections.delete(connectionKey(event));
+    checkedOutConnections.delete(connectionKey(event));
+  });
+  client.on('connectionCheckedOut', (event) => {
+    openConnections.add(connectionKey(event));
+    checkedOutConnections.add(connectionKey(event));
+  });
+  client.on('connectionCheckedIn', (event) => checkedOutConnections.delete(connectionKey(event)));
+};
+
+const getPoolStats = () => ({
+  inUse: checkedOutConnections.size,
+  available: openConnections.size - checkedOutConnections.size,
+  max: CONNECTION_OPTIONS.maxPoolSize,
+});
+
 /**
  * CONNECTION EVENT LISTENERS
- * 
+ *
  * These event listeners provide real-time monitoring of the database
  * connection status. They're essential for debugging connection issues
- * and monitoring application health in production.
+ * and monitoring application health in production. Every event is also
+ * counted in mongodb_connection_events_total.
  */
+const connectionEvents = counter({
+  name: 'mongodb_connection_events_total',
+  help: 'MongoDB connection state transitions and errors',
+  labelNames: ['event'],
+});
 
 // Successful connection event
 mongoose.connection.on('connected', () => {
-  console.log('✅ Mongoose connected to MongoDB');
-  
-  // Log additional info in development
-  if (process.env.NODE_ENV === 'development') {
-    console.log(`🔗 Connection URI: ${process.env.MONGODB_URI?.replace(/\/\/.*@/, '//***:***@')}`);
-  }
+  connectionEvents.inc({ event: 'connected' });
+  // The logger removes the credentials from the URI
+  logger.debug('Mongoose connected to MongoDB', { uri: process.env.MONGODB_URI });
 });
 
 // Connection error event
 mongoose.connection.on('error', (err) => {
-  console.error('❌ Mongoose connection error:', {
-    message: err.message,
-    code: err.code,
-    timestamp: new Date().toISOString()
-  });
-  
+  connectionEvents.inc({ event: 'error' });
   // In production, you might want to send alerts or notifications here
-  if (process.env.NODE_ENV === 'production') {
-    // TODO: Implement alerting system (email, Slack, etc.)
-    console.error('🚨 Production database error - consider implementing alerts');
-  }
+  // TODO: Implement alerting system (email, Slack, etc.)
+  logger.error('Mongoose connection error', {
+    error: { name: err.name, message: err.message, code: err.code },
+  });
 });
 
 // Disconnection event
 mongoose.connection.on('disconnected', () => {
-  console.log('🔌 Mongoose disconnected from MongoDB');
-  
-  // In production, you might want to attempt reconnection
-  if (process.env.NODE_ENV === 'production') {
-    console.log('🔄 Attempting to reconnect...');
-    // Mongoose will automatically attempt to reconnect
+  connectionEvents.inc({ event: 'disconnected' });
+  // The driver reconnects by itself; API routes answer 503 until it does
+  if (stopped) {
+    logger.info('Mongoose disconnected from MongoDB');
+  } else {
+    logger.warn('Mongoose disconnected from MongoDB, waiting for it to come back');
   }
 });
 
 // Reconnection event
 mongoose.connection.on('reconnected', () => {
-  console.log('🔄 Mongoose reconnected to MongoDB');
+  connectionEvents.inc({ event: 'reconnected' });
+  logger.info('Mongoose reconnected to MongoDB');
 });
 
 // Connection close event
 mongoose.connection.on('close', () => {
-  console.log('🔒 Mongoose connection closed');
+  connectionEvents.inc({ event: 'close' });
+  logger.info('Mongoose connection closed');
 });
 
 /**
  * UTILITY FUNCTION: Get Connection State Description
- * 
+ *
  * Converts Mongoose connection state numbers to human-readable strings
  * for better logging and debugging.
  */
@@ -164,44 +240,50 @@ const getConnectionState = (state) => {
 };
 
 /**
- * GRACEFUL SHUTDOWN HANDLING
- * 
- * Handle SIGINT signal (Ctrl+C) to gracefully close the database connection
- * before the application terminates. This ensures:
- * - All pending operations complete
- * - Connection pool is properly closed
- * - No data corruption occurs
+ * READINESS
+ *
+ * The API can serve requests only while the connection is open.
  */
-process.on('SIGINT', async () => {
-  console.log('\n📡 SIGINT received. Closing MongoDB connection...');
-  
-  try {
-    // Close the connection gracefully
-    await mongoose.connection.close();
-    console.log('✅ MongoDB connection closed through app termination');
-    
-    // Exit the process successfully
-    process.exit(0);
-    
-  } catch (error) {
-    console.error('❌ Error closing MongoDB connection:', error.message);
-    
-    // Force exit if graceful shutdown fails
-    process.exit(1);
-  }
+const isDatabaseReady = () => mongoose.connection.readyState === 1;
+
+/**
+ * Seconds a client should wait before trying again while the database is
+ * down: until the next connection attempt, or a short default while the
+ * driver reconnects on its own.
+ */
+const getRetryAfterSeconds = () =>
+  nextRetryAt
+    ? Math.max(1, Math.ceil((nextRetryAt - Date.now()) / 1000))
+    : DEFAULT_RETRY_AFTER_SECONDS;
+
+/**
+ * Connection status for the health endpoints.
+ */
+const getDatabaseStatus = () => ({
+  state: getConnectionState(mongoose.connection.readyState),
+  ready: isDatabaseReady(),
+  ...(!isDatabaseReady() && { retryAfter: getRetryAfterSeconds() }),
 });
 
 /**
- * ADDITIONAL SHUTDOWN SIGNALS
- * 
- * Handle other termination signals for comprehensive shutdown handling
+ * CLOSE CONNECTION
+ *
+ * Stops any pending retry and closes the connection (used on shutdown).
  */
-process.on('SIGTERM', async () => {
-  console.log('📡 SIGTERM received. Closing MongoDB connection...');
+const closeDB = async () => {
+  stopped = true;
+  clearTimeout(retryTimer);
+  if (wakeRetry) wakeRetry();
+
   await mongoose.connection.close();
-  console.log('✅ MongoDB connection closed through SIGTERM');
-  process.exit(0);
-});
+};
 
-// Export the connection function for use in the main server file
-module.exports = connectDB;
\ No newline at end of file
+module.exports = {
+  connectDB,
+  closeDB,
+  getConnectionState,
+  isDatabaseReady,
+  getRetryAfterSeconds,
+  getDatabaseStatus,
+  getPoolStats,
+};
@@ -0,0 +1,85 @@
+/**
+ * Role Permissions Configuration
+ *
+ * Single source of truth for what each role may do. Routes declare the
+ * permission they need (e.g. 'events:create') and the authorization
+ * middleware checks it against this table.
+ *
+ * Permission naming:
+ * - '<resource>:<action>'       - action allowed without ownership checks
+ * - '<resource>:<action>:own'   - action allowed only on the user's own club's resources
+ * - '<resource>:<action>:any'   - action allowed on every club's resources
+ *
+ * Role summary (see requirements document):
+ * - student:   view events, register, join clubs, read broadcasts
+ * - club_head: student permissions + manage their own club's events, members and broadcasts
+ * - oc:        organising committee - create events, view registrations, run
+ *              check-in and post broadcasts college-wide
+ * - pr:        full administrative access to all events, clubs and communications
+ */
+
+const STUDENT_PERMISSIONS = [
+  'events:view',
+  'events:register',
+  'clubs:view',
+  'clubs:join',
+  'broadcasts:read',
+];
+
+const CLUB_HEAD_PERMISSIONS = [
+  'events:view',
+  'clubs:view',
+  'broadcasts:read',
+  'events:create:own',
+  'events:update:own',
+  'events:delete:own',
+  'events:registrations:own',
+  'events:checkin:own',
+  'clubs:manage:own',
+  'broadcasts:club:own',
+];
+
+const OC_PERMISSIONS = [
+  ...CLUB_HEAD_PERMISSIONS,
+  'events:registrations:any',
+  'events:checkin:any',
+  'broadcasts:college',
+];
+
+const PR_PERMISSIONS = [
+  'events:view',
+  'clubs:view',
+  'broadcasts:read',
+  'events:create:any',
+  'events:update:any',
+  'events:delete:any',
+  'events:registrations:any',
+  'events:checkin:any',
+  'events:override_venue',
+  'clubs:manage:any',
+  'broadcasts:club:any',
+  'broadcasts:college',
+  'admin:access',
+];
+
+const ROLE_PERMISSIONS = {
+  student: STUDENT_PERMISSIONS,
+  club_head: CLUB_HEAD_PERMISSIONS,
+  oc: OC_PERMISSIONS,
+  pr: PR_PERMISSIONS,
+};
+
+/**
+ * Check whether a role has a permission.
+ *
+ * @param {string} role - User role
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) =>
+  Boolean(ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  hasPermission,
+};
@@ -0,0 +1,318 @@
+/**
+ * Admin Controller
+ *
+ * Business logic for the /api/admin routes (PR only):
+ * - Password reset hand-off for accounts without an email address
+ * - Council role changes
+ * - Student roster import from CSV
+ * - Audit log of privileged changes, and restoring cancelled events from it
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Event = require('../models/Event');
+const AuditLog = require('../models/AuditLog');
+const ApiError = require('../utils/ApiError');
+const { parseDateOnly, addDays } = require('../utils/dates');
+const { encodeCursor, decodeCursor, olderThan } = require('../utils/cursor');
+const { issueResetToken } = require('../utils/passwordReset');
+const { importStudents: runStudentImport } = require('../services/studentImport');
+const { assertVenueAvailable } = require('./eventController');
+const realtime = require('../services/realtime');
+const audit = require('../services/audit');
+
+/**
+ * ISSUE PASSWORD RESET
+ *
+ * POST /api/admin/users/:id/password-reset
+ * Creates a reset token and returns it (and the link) so the admin can hand
+ * it to the student in person. The student sets their own password with
+ * POST /api/auth/reset-password; the admin never learns it.
+ */
+const issuePasswordReset = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+  if (!user) {
+    throw ApiError.notFound('User not found');
+  }
+
+  const { token, resetUrl, expiresAt } = await issueResetToken(user, {
+    channel: 'admin',
+    issuedBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Reset link created for ${user.name}`,
+    data: {
+      user: { id: user._id, name: user.name, rollNumber: user.rollNumber, clubName: user.clubName },
+      token,
+      resetUrl,
+      expiresAt,
+    },
+  });
+
+  audit.record(req, {
+    action: 'user.password_reset_issued',
+    target: { type: 'user', id: user._id, label: user.rollNumber || user.clubName || user.name },
+    details: { expiresAt },
+  });
+};
+
+/**
+ * CHANGE ROLE
+ *
+ * PUT /api/admin/users/:id/role
+ * Moves a council account between the council roles (club head, OC, PR).
+ * Students sign in with a roll number and council accounts with a club
+ * name, so an account cannot switch between the two. The user's sessions
+ * are signed out so the app picks up the new permissions on next login.
+ */
+const changeRole = async (req, res) => {
+  const { role } = req.body;
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw ApiError.notFound('User not found');
+  }
+  if (!user.isCouncilMember()) {
+    throw ApiError.badRequest('Only council accounts can be given a council role');
+  }
+  if (user._id.equals(req.user._id)) {
+    throw ApiError.badRequest('You cannot change your own role');
+  }
+
+  const previousRole = user.role;
+  if (role !== previousRole) {
+    user.role = role;
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'role_changed');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: role === previousRole ? `${user.clubName} is already ${role}` : `${user.clubName} is now ${role}`,
+    data: { user: { id: user._id, name: user.name, clubName: user.clubName, role: user.role } },
+  });
+
+  if (role !== previousRole) {
+    audit.record(req, {
+      action: 'user.role_changed',
+      target: { type: 'user', id: user._id, label: user.clubName },
+      changes: [{ field: 'role', before: previousRole, after: role }],
+    });
+  }
+};
+
+/**
+ * IMPORT STUDENTS
+ *
+ * POST /api/admin/import/students[?dryRun=true]
+ * Body: the CSV file (Content-Type: text/csv), or JSON { csv: '...' }
+ * See services/studentImport.js for the columns. A dry run reports what
+ * would happen to each row. A real import writes nothing if any row has
+ * an error, and answers 400 IMPORT_INVALID with the same per-row report.
+ */
+const importStudents = async (req, res) => {
+  const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+  if (typeof csv !== 'string' || csv.trim() === '') {
+    throw ApiError.badRequest('Send the CSV file as the request body (Content-Type: text/csv)');
+  }
+
+  const dryRun = req.query.dryRun === true;
+  const report = await runStudentImport(csv, { dryRun });
+
+  if (!dryRun && !report.committed) {
+    throw new ApiError(
+      400,
+      'IMPORT_INVALID',
+      `${report.summary.errors} row(s) have errors; nothing was imported`,
+      report
+    );
+  }
+
+  const { create, update } = report.summary;
+  res.status(200).json({
+    success: true,
+    message: dryRun
+      ? `Dry run: ${create} to create, ${update} to update, ${report.summary.errors} with errors`
+      : `Imported: ${create} created, ${update} updated`,
+    data: report,
+  });
+
+  if (!dryRun) {
+    audit.record(req, {
+      action: 'students.imported',
+      target: { type: 'user', label: 'Student roster' },
+      details: { summary: report.summary },
+    });
+  }
+};
+
+/**
+ * Audit log filters from the query string.
+ */
+const parseAuditFilter = (query) => {
+  const filter = {};
+
+  if (query.action !== undefined) {
+    const actions = String(query.action).split(',');
+    const unknown = actions.filter((action) => !AuditLog.AUDIT_ACTIONS.includes(action));
+    if (unknown.length > 0) {
+      throw ApiError.badRequest(`Unknown action: ${unknown.join(', ')}`);
+    }
+    filter.action = { $in: actions };
+  }
+
+  if (query.targetType !== undefined) {
+    if (!AuditLog.TARGET_TYPES.includes(query.targetType)) {
+      throw ApiError.badRequest(`targetType must be one of: ${AuditLog.TARGET_TYPES.join(', ')}`);
+    }
+    filter.targetType = query.targetType;
+  }
+
+  ['actorId', 'targetId', 'clubId'].forEach((field) => {
+    if (query[field] === undefined) return;
+    if (!mongoose.isValidObjectId(query[field])) {
+      throw ApiError.badRequest(`${field} must be a valid id`);
+    }
+    filter[field] = query[field];
+  });
+
+  const from = query.from === undefined ? null : parseDateOnly(query.from);
+  const to = query.to === undefined ? null : parseDateOnly(query.to);
+  if ((query.from !== undefined && !from) || (query.to !== undefined && !to)) {
+    throw ApiError.badRequest('from and to must be dates in YYYY-MM-DD format');
+  }
+  if (from || to) {
+    filter.createdAt = { ...(from && { $gte: from }), ...(to && { $lt: addDays(to, 1) }) };
+  }
+
+  return filter;
+};
+
+/**
+ * AUDIT LOG
+ *
+ * GET /api/admin/audit?action=&actorId=&targetType=&targetId=&clubId=&from=&to=&cursor=&limit=
+ * Newest first, with cursor pagination. `action` may list several actions
+ * (comma-separated). Snapshots are left out here; see getAuditEntry.
+ */
+const listAudit = async (req, res) => {
+  const filter = parseAuditFilter(req.query);
+  const { limit } = req.query;
+  const cursor = req.query.cursor === undefined ? null : decodeCursor(req.query.cursor);
+  if (req.query.cursor !== undefined && !cursor) {
+    throw ApiError.badRequest('Invalid cursor');
+  }
+
+  // Fetch one extra entry to know whether there is another page
+  const conditions = [filter, ...(cursor ? [olderThan(cursor)] : [])];
+  const page = await AuditLog.find({ $and: conditions })
+    .select('-snapshot')
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1);
+  const hasMore = page.length > limit;
+  const entries = page.slice(0, limit);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      entries: entries.map((entry) => entry.toJSON()),
+      nextCursor: hasMore ? encodeCursor(entries[entries.length - 1]) : null,
+    },
+  });
+};
+
+const findEntryOr404 = async (id) => {
+  const entry = mongoose.isValidObjectId(id) ? await AuditLog.findById(id) : null;
+  if (!entry) {
+    throw ApiError.notFound('Audit entry not found');
+  }
+  return entry;
+};
+
+/**
+ * AUDIT ENTRY
+ *
+ * GET /api/admin/audit/:id
+ * One entry, including the snapshot of a cancelled event.
+ */
+const getAuditEntry = async (req, res) => {
+  const entry = await findEntryOr404(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: { entry: entry.toJSON() },
+  });
+};
+
+/**
+ * RESTORE EVENT
+ *
+ * POST /api/admin/audit/:id/restore   { overrideVenueConflict? }
+ * Brings back the event cancelled in an 'event.cancelled' entry, with the
+ * occurrences cancelled along with it. If the event document no longer
+ * exists it is recreated from the snapshot. Registrations are untouched
+ * by cancelling, so students keep their places. The venue is checked
+ * again, for the event and for each of those occurrences on its own slot,
+ * as someone may have booked it since; any clash rejects the whole restore
+ * unless PR overrides it.
+ */
+const restoreEvent = async (req, res) => {
+  const entry = await findEntryOr404(req.params.id);
+  if (entry.action !== 'event.cancelled' || !entry.snapshot) {
+    throw ApiError.badRequest('Only event cancellations can be restored');
+  }
+
+  let event = await Event.findById(entry.targetId);
+  if (event && event.status !== 'cancelled') {
+    throw ApiError.conflict('EVENT_NOT_CANCELLED', 'This event is not cancelled');
+  }
+
+  if (!event) {
+    event = new Event(entry.snapshot);
+  }
+  event.set({ status: 'active', cancelledAt: undefined, cancelledBy: undefined });
+  await assertVenueAvailable(req, event);
+
+  // Detached occurrences may have their own venue and times
+  const occurrenceIds = (entry.details && entry.details.cancelledOccurrences) || [];
+  const occurrences =
+    occurrenceIds.length > 0 ? await Event.find({ _id: { $in: occurrenceIds }, status: 'cancelled' }) : [];
+  for (const occurrence of occurrences) {
+    await assertVenueAvailable(req, occurrence);
+  }
+
+  await event.save();
+
+  const { modifiedCount } = occurrences.length > 0
+    ? await Event.updateMany(
+        { _id: { $in: occurrences.map((occurrence) => occurrence._id) }, status: 'cancelled' },
+        { $set: { status: 'active' }, $unset: { cancelledAt: 1, cancelledBy: 1 } }
+      )
+    : { modifiedCount: 0 };
+
+  res.status(200).json({
+    success: true,
+    message: `${event.title} restored`,
+    data: { event: event.toJSON(), restoredOccurrences: modifiedCount },
+  });
+
+  realtime.publish(realtime.ROOMS.college, 'event.updated', event.toJSON());
+  audit.record(req, {
+    action: 'event.restored',
+    target: { type: 'event', id: event._id, label: event.title },
+    clubId: event.clubId,
+    changes: [{ field: 'status', before: 'cancelled', after: 'active' }],
+    details: { auditEntryId: entry._id, restoredOccurrences: modifiedCount },
+  });
+};
+
+module.exports = {
+  issuePasswordReset,
+  changeRole,
+  importStudents,
+  listAudit,
+  getAuditEntry,
+  restoreEvent,
+};
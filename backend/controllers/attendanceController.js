@@ -0,0 +1,302 @@
+/**
+ * Attendance Controller
+ *
+ * QR-code check-in and attendance records:
+ * - GET  /api/events/check-in/public-key  - key for verifying QR codes offline
+ * - GET  /api/events/:id/check-in-token   - student's own QR payload
+ * - POST /api/events/:id/check-in         - organiser scans one code or syncs a batch
+ * - GET  /api/events/:id/attendance       - attended and no-show lists
+ * - GET  /api/events/:id/attendance/export - the same as CSV / XLSX
+ */
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const ApiError = require('../utils/ApiError');
+const {
+  getPublicKeyPem,
+  createNonce,
+  signCheckInToken,
+  verifyCheckInToken,
+} = require('../utils/checkInTokens');
+const { formatDateOnly, formatLocalDateTime } = require('../utils/dates');
+const { parseExportFormat, toFileName, mapRows, sendTable } = require('../utils/spreadsheet');
+
+// Largest batch of offline scans accepted in one sync request
+const MAX_BATCH_SIZE = 500;
+
+// Allowed clock drift for scan times reported by organiser devices
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Results of a single check-in attempt, and how each maps onto an HTTP
+ * error when only one code was scanned.
+ */
+const CHECK_IN_ERRORS = {
+  invalid_token: [400, 'INVALID_CHECKIN_TOKEN', 'This QR code is not valid'],
+  wrong_event: [400, 'WRONG_EVENT', 'This QR code is for a different event'],
+  not_registered: [409, 'NOT_REGISTERED', 'This registration is no longer active'],
+  already_checked_in: [409, 'ALREADY_CHECKED_IN', 'This QR code has already been used'],
+};
+
+/**
+ * Use the scan time reported by the device (offline scans) when it is
+ * plausible, otherwise the current time.
+ */
+const resolveScanTime = (scannedAt) => {
+  const now = Date.now();
+  const time = scannedAt ? new Date(scannedAt).getTime() : NaN;
+  return Number.isNaN(time) || time > now + MAX_CLOCK_SKEW_MS ? new Date(now) : new Date(time);
+};
+
+/**
+ * Verify one token and record the check-in.
+ *
+ * @returns {Promise<object>} { status, registrationId?, user?, checkedInAt? }
+ */
+const processCheckIn = async (eventId, { token, scannedAt }, organiser) => {
+  const payload = verifyCheckInToken(token);
+  if (!payload || !mongoose.isValidObjectId(payload.rid) || !mongoose.isValidObjectId(payload.uid)) {
+    return { status: 'invalid_token' };
+  }
+  if (payload.eid !== eventId.toString()) {
+    return { status: 'wrong_event' };
+  }
+
+  // Single atomic update: only an active, not-yet-used registration with the
+  // current nonce matches, so replays and concurrent scans are rejected
+  const registration = await Registration.findOneAndUpdate(
+    {
+      _id: payload.rid,
+      eventId,
+      userId: payload.uid,
+      status: 'registered',
+      checkInNonce: payload.n,
+      checkedInAt: { $exists: false },
+    },
+    {
+      $set: {
+        checkedInAt: resolveScanTime(scannedAt),
+        checkedInBy: organiser._id,
+        checkInRecordedAt: new Date(),
+      },
+    },
+    { new: true }
+  ).populate('userId', 'name rollNumber');
+
+  if (registration) {
+    return {
+      status: 'checked_in',
+      registrationId: registration._id,
+      user: registration.userId,
+      checkedInAt: registration.checkedInAt,
+    };
+  }
+
+  // Work out why it failed, for the volunteer at the door
+  const existing = await Registration.findById(payload.rid).populate('userId', 'name rollNumber');
+  if (existing && existing.status === 'registered' && existing.checkedInAt) {
+    return {
+      status: 'already_checked_in',
+      registrationId: existing._id,
+      user: existing.userId,
+      checkedInAt: existing.checkedInAt,
+    };
+  }
+  if (existing && existing.status === 'registered' && existing.checkInNonce !== payload.n) {
+    return { status: 'invalid_token' };
+  }
+  return { status: 'not_registered' };
+};
+
+/**
+ * CHECK-IN PUBLIC KEY
+ *
+ * GET /api/events/check-in/public-key
+ */
+const getPublicKey = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      algorithm: 'Ed25519',
+      publicKey: getPublicKeyPem(),
+    },
+  });
+};
+
+/**
+ * STUDENT CHECK-IN TOKEN
+ *
+ * GET /api/events/:id/check-in-token
+ * Returns the QR payload for the student's confirmed registration.
+ */
+const getCheckInToken = async (req, res) => {
+  const event = await Event.findOccurrence(req.params.id);
+  const registration = event
+    ? await Registration.findOne({
+      eventId: event._id,
+      userId: req.user._id,
+      status: 'registered',
+    })
+    : null;
+
+  if (!registration) {
+    throw ApiError.notFound('You do not have a confirmed registration for this event');
+  }
+
+  if (!registration.checkInNonce) {
+    // Set the nonce only once, even if the app asks twice at the same time
+    await Registration.updateOne(
+      { _id: registration._id, checkInNonce: { $exists: false } },
+      { $set: { checkInNonce: createNonce() } }
+    );
+    registration.checkInNonce = (await Registration.findById(registration._id)).checkInNonce;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      token: signCheckInToken(registration),
+      checkedIn: Boolean(registration.checkedInAt),
+    },
+  });
+};
+
+/**
+ * CHECK IN
+ *
+ * POST /api/events/:id/check-in
+ * Body: { token, scannedAt? } for a live scan, or
+ *       { checkIns: [{ token, scannedAt? }] } to sync offline scans.
+ * The event was loaded by the ownership guard into `req.resource`.
+ */
+const checkIn = async (req, res) => {
+  const event = req.resource;
+
+  if (Array.isArray(req.body.checkIns)) {
+    if (req.body.checkIns.length > MAX_BATCH_SIZE) {
+      throw ApiError.badRequest(`At most ${MAX_BATCH_SIZE} check-ins can be synced at once`);
+    }
+
+    const results = [];
+    for (const item of req.body.checkIns) {
+      results.push(await processCheckIn(event._id, item || {}, req.user));
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        checkedIn: results.filter((result) => result.status === 'checked_in').length,
+        results,
+      },
+    });
+  }
+
+  const result = await processCheckIn(event._id, req.body, req.user);
+  if (result.status !== 'checked_in') {
+    const [status, code, message] = CHECK_IN_ERRORS[result.status];
+    throw new ApiError(status, code, message, result.user && { user: result.user });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Checked in',
+    data: result,
+  });
+};
+
+/**
+ * ATTENDANCE
+ *
+ * GET /api/events/:id/attendance
+ * Confirmed registrations split into attended and no-shows.
+ */
+const getAttendance = async (req, res) => {
+  const event = req.resource;
+
+  const registrations = await Registration.find({ eventId: event._id, status: 'registered' })
+    .sort({ checkedInAt: 1, registeredAt: 1 })
+    .populate('userId', 'name rollNumber')
+    .populate('checkedInBy', 'name clubName');
+
+  const attended = registrations
+    .filter((registration) => registration.checkedInAt)
+    .map((registration) => ({
+      registrationId: registration._id,
+      user: registration.userId,
+      checkedInAt: registration.checkedInAt,
+      checkedInBy: registration.checkedInBy,
+    }));
+
+  const noShows = registrations
+    .filter((registration) => !registration.checkedInAt)
+    .map((registration) => ({
+      registrationId: registration._id,
+      user: registration.userId,
+      registeredAt: registration.registeredAt,
+    }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      eventId: event._id,
+      counts: {
+        registered: registrations.length,
+        attended: attended.length,
+        noShows: noShows.length,
+      },
+      attended,
+      noShows,
+    },
+  });
+};
+
+const ATTENDANCE_EXPORT_COLUMNS = [
+  { header: 'Roll number', key: 'rollNumber', width: 14 },
+  { header: 'Name', key: 'name', width: 28 },
+  { header: 'Registered at', key: 'registeredAt', width: 18 },
+  { header: 'Attended', key: 'attended', width: 10 },
+  { header: 'Checked in at', key: 'checkedInAt', width: 18 },
+  { header: 'Checked in by', key: 'checkedInBy', width: 20 },
+];
+
+/**
+ * EXPORT ATTENDANCE
+ *
+ * GET /api/events/:id/attendance/export?format=csv|xlsx
+ * One row per confirmed registration with its check-in, e.g. for
+ * attendance certificates. The event is loaded by the ownership guard.
+ */
+const exportAttendance = async (req, res) => {
+  const event = req.resource;
+  const format = parseExportFormat(req.query.format);
+
+  const registrations = Registration.find({ eventId: event._id, status: 'registered' })
+    .sort({ registeredAt: 1, _id: 1 })
+    .populate('userId', 'name rollNumber')
+    .populate('checkedInBy', 'name clubName')
+    .cursor();
+
+  await sendTable(res, {
+    format,
+    fileName: toFileName(event.title, formatDateOnly(event.date), 'attendance'),
+    sheetName: 'Attendance',
+    columns: ATTENDANCE_EXPORT_COLUMNS,
+    rows: mapRows(registrations, (registration) => ({
+      rollNumber: registration.userId && registration.userId.rollNumber,
+      name: registration.userId && registration.userId.name,
+      registeredAt: registration.registeredAt && formatLocalDateTime(registration.registeredAt),
+      attended: registration.checkedInAt ? 'Yes' : 'No',
+      checkedInAt: registration.checkedInAt && formatLocalDateTime(registration.checkedInAt),
+      checkedInBy: registration.checkedInBy && (registration.checkedInBy.clubName || registration.checkedInBy.name),
+    })),
+  });
+};
+
+module.exports = {
+  getPublicKey,
+  getCheckInToken,
+  checkIn,
+  getAttendance,
+  exportAttendance,
+};
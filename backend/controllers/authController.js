@@ -0,0 +1,342 @@
+/**
+ * Authentication Controller
+ *
+ * Business logic for the /api/auth routes:
+ * - Student login (name + roll number + password)
+ * - Council login (club name + password)
+ * - Token verification
+ * - Password change (mandatory while a default password is in use)
+ * - Forgot / reset password with single-use emailed tokens
+ * - Session listing and remote revoke
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const ApiError = require('../utils/ApiError');
+const { signToken, decodeToken, TOKEN_SCOPES } = require('../utils/jwt');
+const { createSession } = require('../utils/sessions');
+const { isDefaultPassword, validatePasswordStrength } = require('../utils/passwordPolicy');
+const { getResetTtlMinutes, isResetLimited, issueResetToken } = require('../utils/passwordReset');
+const { queueEmail } = require('../services/email');
+const audit = require('../services/audit');
+
+// Same message for every credential failure so we don't reveal which part was wrong
+const INVALID_CREDENTIALS_MESSAGE = 'Invalid credentials';
+
+const invalidCredentials = () =>
+  new ApiError(401, 'INVALID_CREDENTIALS', INVALID_CREDENTIALS_MESSAGE);
+
+// Same answer whether or not the account exists, so it can't be used to probe accounts
+const FORGOT_PASSWORD_MESSAGE =
+  'If the account has an email address, a reset link has been sent to it. ' +
+  'Otherwise, please contact the PR team to reset your password.';
+
+const weakPassword = (problems) =>
+  new ApiError(400, 'WEAK_PASSWORD', 'New password does not meet requirements', { problems });
+
+/**
+ * Check that all listed fields are present (non-empty strings) in the body.
+ */
+const requireFields = (body, fields) => {
+  const missing = fields.filter(
+    (field) => typeof body[field] !== 'string' || body[field].trim() === ''
+  );
+  if (missing.length > 0) {
+    throw ApiError.badRequest(`Missing required fields: ${missing.join(', ')}`, { missing });
+  }
+};
+
+// Escape user input before using it inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the login response shared by both login flows.
+ *
+ * Users who are still on their first login, or who just logged in with a
+ * shared default password, only receive a restricted token that can do
+ * nothing but call POST /api/auth/change-password.
+ */
+const sendLoginResponse = async (req, res, user, password) => {
+  const requiresPasswordChange = user.isFirstLogin || isDefaultPassword(password);
+
+  if (requiresPasswordChange && !user.isFirstLogin) {
+    user.isFirstLogin = true;
+  }
+  user.lastActive = new Date();
+  await user.save();
+
+  const { token, session, revokedSessions } = await createSession(user, req, {
+    scope: requiresPasswordChange ? TOKEN_SCOPES.PASSWORD_CHANGE : undefined,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: requiresPasswordChange
+      ? 'Login successful. Please change your default password to continue.'
+      : 'Login successful',
+    data: {
+      token,
+      sessionId: session._id,
+      requiresPasswordChange,
+      // Sessions on other devices signed out to stay within the council session cap
+      ...(revokedSessions.length > 0 && { revokedSessions }),
+      user: user.toJSON(),
+    },
+  });
+};
+
+/**
+ * STUDENT LOGIN
+ *
+ * POST /api/auth/student-login
+ * Body: { name, rollNumber, password }
+ */
+const studentLogin = async (req, res) => {
+  requireFields(req.body, ['name', 'rollNumber', 'password']);
+  const { name, rollNumber, password } = req.body;
+
+  const user = await User.findOne({
+    rollNumber: rollNumber.trim().toUpperCase(),
+    role: 'student',
+  }).select('+password');
+
+  // Name check is case-insensitive to tolerate capitalisation differences
+  const nameMatches =
+    user && user.name.trim().toLowerCase() === name.trim().toLowerCase();
+
+  if (!user || !nameMatches || !(await user.comparePassword(password))) {
+    throw invalidCredentials();
+  }
+
+  await sendLoginResponse(req, res, user, password);
+};
+
+/**
+ * COUNCIL LOGIN
+ *
+ * POST /api/auth/council-login
+ * Body: { clubName, password }
+ */
+const councilLogin = async (req, res) => {
+  requireFields(req.body, ['clubName', 'password']);
+  const { clubName, password } = req.body;
+
+  const user = await User.findOne({
+    clubName: new RegExp(`^${escapeRegex(clubName.trim())}$`, 'i'),
+    role: { $in: User.COUNCIL_ROLES },
+  }).select('+password');
+
+  if (!user || !(await user.comparePassword(password))) {
+    throw invalidCredentials();
+  }
+
+  await sendLoginResponse(req, res, user, password);
+};
+
+/**
+ * VERIFY TOKEN
+ *
+ * GET /api/auth/verify-token
+ * Requires the authenticate middleware. Returns the current user and
+ * the token's expiry so the app can decide whether to re-login.
+ */
+const verifyToken = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      valid: true,
+      user: req.user.toJSON(),
+      expiresAt: new Date(req.auth.exp * 1000).toISOString(),
+    },
+  });
+};
+
+/**
+ * CHANGE PASSWORD
+ *
+ * POST /api/auth/change-password
+ * Body: { currentPassword, newPassword }
+ * Accepts both full and restricted (password-change) tokens. On success
+ * the first-login flag is cleared and a new full access token is issued.
+ */
+const changePassword = async (req, res) => {
+  requireFields(req.body, ['currentPassword', 'newPassword']);
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user._id).select('+password');
+  if (!user || !(await user.comparePassword(currentPassword))) {
+    throw new ApiError(401, 'INVALID_CREDENTIALS', 'Current password is incorrect');
+  }
+
+  const problems = validatePasswordStrength(newPassword);
+  if (newPassword === currentPassword) {
+    problems.push('New password must be different from the current password');
+  }
+  if (problems.length > 0) {
+    throw weakPassword(problems);
+  }
+
+  user.password = newPassword;
+  user.isFirstLogin = false;
+  await user.save();
+
+  // Sign out every other device; the current session continues with a full token
+  const session = req.userSession;
+  await Session.revokeAllForUser(user._id, 'password_changed', { except: session._id });
+
+  const token = signToken(user, { sessionId: session._id });
+  session.expiresAt = new Date(decodeToken(token).exp * 1000);
+  await session.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Password changed successfully',
+    data: {
+      token,
+      user: user.toJSON(),
+    },
+  });
+};
+
+/**
+ * FORGOT PASSWORD
+ *
+ * POST /api/auth/forgot-password
+ * Body: { rollNumber } (students) or { clubName } (council accounts)
+ * Emails a reset link if the account has an email address. The response is
+ * the same either way. Each account can ask RESET_LIMIT times an hour;
+ * further requests are ignored. Accounts without an email address are
+ * reset by an admin (see adminController.issuePasswordReset).
+ */
+const forgotPassword = async (req, res) => {
+  const { rollNumber, clubName } = req.body;
+  let user = null;
+
+  if (typeof rollNumber === 'string' && rollNumber.trim() !== '') {
+    user = await User.findOne({ rollNumber: rollNumber.trim().toUpperCase(), role: 'student' });
+  } else if (typeof clubName === 'string' && clubName.trim() !== '') {
+    user = await User.findOne({
+      clubName: new RegExp(`^${escapeRegex(clubName.trim())}$`, 'i'),
+      role: { $in: User.COUNCIL_ROLES },
+    });
+  } else {
+    throw ApiError.badRequest('Provide your rollNumber (students) or clubName (council accounts)');
+  }
+
+  if (user && user.email && !(await isResetLimited(user._id))) {
+    const { resetUrl } = await issueResetToken(user, { channel: 'email' });
+    await queueEmail(user.email, 'passwordReset', {
+      name: user.name,
+      resetUrl,
+      expiresInMinutes: getResetTtlMinutes(),
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: FORGOT_PASSWORD_MESSAGE,
+  });
+};
+
+/**
+ * RESET PASSWORD
+ *
+ * POST /api/auth/reset-password
+ * Body: { token, newPassword }
+ * Uses up the token, sets the new password and signs the account out
+ * everywhere; the user then logs in with the new password.
+ */
+const resetPassword = async (req, res) => {
+  requireFields(req.body, ['token', 'newPassword']);
+  const { token, newPassword } = req.body;
+
+  // Checked before using up the token, so a weak password doesn't waste the link
+  const problems = validatePasswordStrength(newPassword);
+  if (problems.length > 0) {
+    throw weakPassword(problems);
+  }
+
+  const resetToken = await PasswordResetToken.consume(token.trim());
+  const user = resetToken && (await User.findById(resetToken.userId).select('+password'));
+  if (!user) {
+    throw new ApiError(400, 'INVALID_RESET_TOKEN', 'This reset link is invalid or has expired');
+  }
+
+  user.password = newPassword;
+  user.isFirstLogin = false;
+  await user.save();
+
+  await Session.revokeAllForUser(user._id, 'password_reset');
+
+  res.status(200).json({
+    success: true,
+    message: 'Password reset. Please log in with your new password.',
+  });
+
+  audit.record(req, {
+    actor: user,
+    action: 'user.password_reset',
+    target: { type: 'user', id: user._id, label: user.rollNumber || user.clubName || user.name },
+    details: { channel: resetToken.channel },
+  });
+};
+
+/**
+ * LIST SESSIONS
+ *
+ * GET /api/auth/sessions
+ * Returns the user's active sessions, flagging the one making the request.
+ */
+const listSessions = async (req, res) => {
+  const sessions = await Session.findActiveForUser(req.user._id);
+  const currentId = req.userSession._id.toString();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      sessions: sessions.map((session) => ({
+        ...session.toJSON(),
+        current: session._id.toString() === currentId,
+      })),
+    },
+  });
+};
+
+/**
+ * REVOKE SESSION
+ *
+ * DELETE /api/auth/sessions/:id
+ * Signs out one of the user's sessions (including the current one). Tokens
+ * bound to it are rejected by the auth middleware from the next request on.
+ */
+const revokeSession = async (req, res) => {
+  const { id } = req.params;
+  const session = mongoose.isValidObjectId(id)
+    ? await Session.findOne({ _id: id, userId: req.user._id })
+    : null;
+
+  if (!session || !session.isActive()) {
+    throw ApiError.notFound('Session not found');
+  }
+
+  await session.revoke('remote_revoke');
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked',
+    data: { id: session._id },
+  });
+};
+
+module.exports = {
+  studentLogin,
+  councilLogin,
+  verifyToken,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  listSessions,
+  revokeSession,
+};
@@ -0,0 +1,309 @@
+/**
+ * Broadcast Controller
+ *
+ * Business logic for the /api/broadcasts routes:
+ * - College channel: everyone reads, the council (PR and OC) posts
+ * - Club channels: members read, the club's head (and PR) post
+ * - Read receipts and reach ("312 of 540 members read")
+ * - Pinning
+ * - Urgent broadcasts are also sent as push notifications
+ *
+ * Feeds are newest first with cursor pagination (utils/cursor.js). Pinned
+ * messages are returned separately on the first page so they can stay at
+ * the top of the channel.
+ */
+
+const mongoose = require('mongoose');
+const Broadcast = require('../models/Broadcast');
+const BroadcastRead = require('../models/BroadcastRead');
+const Club = require('../models/Club');
+const User = require('../models/User');
+const ApiError = require('../utils/ApiError');
+const { encodeCursor, decodeCursor, olderThan } = require('../utils/cursor');
+const { sameId } = require('../middleware/authorize');
+const realtime = require('../services/realtime');
+const notifications = require('../services/notifications');
+const audit = require('../services/audit');
+
+/**
+ * Whether the user may post to (and see the reach of) a channel.
+ */
+const canPost = (req, channel, clubId) => {
+  if (channel === 'college') return req.can('broadcasts:college');
+  return (
+    req.can('broadcasts:club:any') ||
+    (req.can('broadcasts:club:own') && sameId(req.user.clubId, clubId))
+  );
+};
+
+/**
+ * Whether the user may read a channel: everyone reads the college channel;
+ * a club channel is readable by its active members and by those who can
+ * post to it.
+ */
+const canRead = (req, channel, clubId) => {
+  if (!req.can('broadcasts:read')) return false;
+  if (channel === 'college') return true;
+
+  const membership = req.user.getMembership(clubId);
+  return Boolean(membership && membership.status === 'active') || canPost(req, channel, clubId);
+};
+
+/**
+ * The broadcasts a user may read, as a query filter (the same rules as
+ * canRead, for queries across channels such as search). Null if the user
+ * may not read broadcasts at all.
+ */
+const readableFilter = (req) => {
+  if (!req.can('broadcasts:read')) return null;
+  if (req.can('broadcasts:club:any')) return {};
+
+  const clubIds = (req.user.enrolledClubs || [])
+    .filter((entry) => entry.status === 'active')
+    .map((entry) => entry.clubId);
+  if (req.can('broadcasts:club:own') && req.user.clubId) clubIds.push(req.user.clubId);
+
+  return { $or: [{ channel: 'college' }, { channel: 'club', clubId: { $in: clubIds } }] };
+};
+
+/**
+ * Number of people a channel reaches: every account for the college
+ * channel, active members for a club channel.
+ */
+const audienceSize = async (channel, clubId) => {
+  if (channel === 'college') return User.countDocuments();
+
+  const counts = await User.countMemberships([clubId]);
+  return counts.get(clubId.toString()).members;
+};
+
+const loadClubOr404 = async (clubId) => {
+  const club = mongoose.isValidObjectId(clubId) ? await Club.findById(clubId) : null;
+  if (!club) {
+    throw ApiError.notFound('Club not found');
+  }
+  return club;
+};
+
+const auditTarget = (broadcast) => ({
+  type: 'broadcast',
+  id: broadcast._id,
+  label: broadcast.title || broadcast.message.slice(0, 80),
+});
+
+/**
+ * Respond with one page of a channel.
+ *
+ * GET ...?cursor=&limit=
+ * Response: { broadcasts, pinned (first page only), nextCursor, audience? }
+ * Each broadcast has `read` for the caller; senders also get `reach`.
+ */
+const sendChannelPage = async (req, res, { channel, clubId }) => {
+  const { limit } = req.query;
+  const cursor = req.query.cursor === undefined ? null : decodeCursor(req.query.cursor);
+  if (req.query.cursor !== undefined && !cursor) {
+    throw ApiError.badRequest('Invalid cursor');
+  }
+
+  const filter = { channel, ...(clubId && { clubId }) };
+
+  // Fetch one extra item to know whether there is another page
+  const page = await Broadcast.find({ ...filter, ...(cursor && olderThan(cursor)) })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1);
+  const hasMore = page.length > limit;
+  const broadcasts = page.slice(0, limit);
+
+  const pinned = cursor
+    ? []
+    : await Broadcast.find({ ...filter, isPinned: true }).sort({ pinnedAt: -1 });
+
+  const readIds = await BroadcastRead.readIds(
+    [...broadcasts, ...pinned].map((broadcast) => broadcast._id),
+    req.user._id
+  );
+  const audience = canPost(req, channel, clubId) ? await audienceSize(channel, clubId) : null;
+
+  const describe = (broadcast) => ({
+    ...broadcast.toJSON(),
+    read: readIds.has(broadcast._id.toString()),
+    ...(audience !== null && { reach: { read: broadcast.readCount, total: audience } }),
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      broadcasts: broadcasts.map(describe),
+      ...(!cursor && { pinned: pinned.map(describe) }),
+      nextCursor: hasMore ? encodeCursor(broadcasts[broadcasts.length - 1]) : null,
+      ...(audience !== null && { audience }),
+    },
+  });
+};
+
+/**
+ * Create a broadcast from the request body.
+ */
+const createBroadcast = async (req, res, { channel, club }) => {
+  const { title, message, isUrgent, isPinned } = req.body;
+  const now = new Date();
+
+  const broadcast = await Broadcast.create({
+    channel,
+    ...(club && { clubId: club._id, clubName: club.name }),
+    title,
+    message,
+    isUrgent: isUrgent === true,
+    isPinned: isPinned === true,
+    ...(isPinned === true && { pinnedAt: now }),
+    authorId: req.user._id,
+    authorName: req.user.name,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Broadcast sent',
+    data: { broadcast: broadcast.toJSON() },
+  });
+
+  const { ROOMS } = realtime;
+  realtime.publish(
+    channel === 'college' ? ROOMS.college : ROOMS.club(club._id),
+    'broadcast.created',
+    broadcast.toJSON()
+  );
+
+  // Urgent messages reach phones straight away (club mutes still apply)
+  if (broadcast.isUrgent) {
+    notifications.notifyUsers(
+      channel === 'college'
+        ? {}
+        : { enrolledClubs: { $elemMatch: { clubId: club._id, status: 'active' } } },
+      {
+        title: broadcast.title || (club ? club.name : 'College announcement'),
+        body: broadcast.message,
+        data: { type: 'broadcast.created', broadcastId: broadcast._id.toString(), channel },
+      },
+      { clubId: club && club._id, urgent: true }
+    );
+  }
+
+  audit.record(req, {
+    action: 'broadcast.created',
+    target: auditTarget(broadcast),
+    clubId: broadcast.clubId,
+    details: { channel, isUrgent: broadcast.isUrgent, isPinned: broadcast.isPinned },
+  });
+};
+
+/**
+ * COLLEGE CHANNEL
+ *
+ * GET  /api/broadcasts/college
+ * POST /api/broadcasts/college   { title?, message, isUrgent?, isPinned? }
+ */
+const listCollege = (req, res) => sendChannelPage(req, res, { channel: 'college' });
+
+const postCollege = (req, res) => createBroadcast(req, res, { channel: 'college' });
+
+/**
+ * CLUB CHANNEL
+ *
+ * GET  /api/broadcasts/club/:clubId   (active members, the club head, PR)
+ * POST /api/broadcasts/club/:clubId   (the club head, PR)
+ */
+const listClub = async (req, res) => {
+  const club = await loadClubOr404(req.params.clubId);
+  if (!canRead(req, 'club', club._id)) {
+    throw ApiError.forbidden('Only members of this club can read its broadcasts');
+  }
+
+  return sendChannelPage(req, res, { channel: 'club', clubId: club._id });
+};
+
+/**
+ * Load the club for the posting route's ownership guard (routes/broadcasts.js).
+ */
+const loadClub = (req) =>
+  mongoose.isValidObjectId(req.params.clubId) ? Club.findById(req.params.clubId) : null;
+
+const postClub = (req, res) => createBroadcast(req, res, { channel: 'club', club: req.resource });
+
+/**
+ * Load a broadcast the caller is allowed to read, or fail.
+ */
+const loadReadableBroadcast = async (req) => {
+  const broadcast = mongoose.isValidObjectId(req.params.id)
+    ? await Broadcast.findById(req.params.id)
+    : null;
+
+  // Club broadcasts the caller cannot read are reported as missing, not forbidden
+  if (!broadcast || !canRead(req, broadcast.channel, broadcast.clubId)) {
+    throw ApiError.notFound('Broadcast not found');
+  }
+  return broadcast;
+};
+
+/**
+ * MARK AS READ
+ *
+ * POST /api/broadcasts/:id/read
+ * Records a read receipt (repeat calls are harmless).
+ */
+const markRead = async (req, res) => {
+  const broadcast = await loadReadableBroadcast(req);
+  const firstRead = await BroadcastRead.markRead(broadcast._id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: firstRead ? 'Marked as read' : 'Already read',
+    data: { broadcastId: broadcast._id, read: true },
+  });
+};
+
+/**
+ * PIN / UNPIN
+ *
+ * PUT /api/broadcasts/:id/pin   { isPinned: boolean }
+ * Allowed for whoever may post to the broadcast's channel.
+ */
+const setPinned = async (req, res) => {
+  const broadcast = await loadReadableBroadcast(req);
+  if (!canPost(req, broadcast.channel, broadcast.clubId)) {
+    throw ApiError.forbidden('Only senders of this channel can pin messages');
+  }
+  if (typeof req.body.isPinned !== 'boolean') {
+    throw ApiError.badRequest('isPinned must be true or false');
+  }
+
+  const wasPinned = broadcast.isPinned;
+  broadcast.isPinned = req.body.isPinned;
+  broadcast.pinnedAt = req.body.isPinned ? new Date() : undefined;
+  await broadcast.save();
+
+  res.status(200).json({
+    success: true,
+    message: broadcast.isPinned ? 'Broadcast pinned' : 'Broadcast unpinned',
+    data: { broadcast: broadcast.toJSON() },
+  });
+
+  if (wasPinned !== broadcast.isPinned) {
+    audit.record(req, {
+      action: broadcast.isPinned ? 'broadcast.pinned' : 'broadcast.unpinned',
+      target: auditTarget(broadcast),
+      clubId: broadcast.clubId,
+      changes: [{ field: 'isPinned', before: wasPinned, after: broadcast.isPinned }],
+    });
+  }
+};
+
+module.exports = {
+  readableFilter,
+  loadClub,
+  listCollege,
+  postCollege,
+  listClub,
+  postClub,
+  markRead,
+  setPinned,
+};
@@ -0,0 +1,276 @@
+/**
+ * Calendar Controller
+ *
+ * Business logic for the /api/calendar routes: iCalendar (.ics) feeds
+ * that students subscribe to from Google Calendar, Apple Calendar or
+ * Outlook.
+ * - College feed: every event
+ * - Club feed: one club's events
+ * - Personal feed: the events the user is registered (or waitlisted) for,
+ *   at a secret link they can replace or revoke
+ *
+ * Calendar apps fetch feeds without a login token, so the college and club
+ * feeds are public and the personal feed is protected by its link alone
+ * (models/CalendarFeed.js).
+ *
+ * Recurring series are sent as one event with an RRULE. Occurrences that
+ * have their own document (edited, cancelled or with registrations) are
+ * sent as overrides of that event (RECURRENCE-ID), so they replace the
+ * generated entry.
+ */
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Club = require('../models/Club');
+const Registration = require('../models/Registration');
+const CalendarFeed = require('../models/CalendarFeed');
+const ApiError = require('../utils/ApiError');
+const { startOfDay, addDays } = require('../utils/dates');
+const { firstOccurrence } = require('../utils/recurrence');
+const { toUid, buildCalendar, sendCalendar } = require('../utils/ical');
+const logger = require('../utils/logger').child({ component: 'calendar' });
+
+// Feeds cover the last month and the year ahead
+const FEED_PAST_DAYS = 31;
+const FEED_FUTURE_DAYS = 366;
+
+// lastAccessedAt is only written once per interval, not on every refresh
+const ACCESS_UPDATE_INTERVAL_MS = 60 * 60 * 1000;
+
+const feedRange = () => {
+  const today = startOfDay(new Date());
+  return { from: addDays(today, -FEED_PAST_DAYS), to: addDays(today, FEED_FUTURE_DAYS) };
+};
+
+const describe = (event) =>
+  [event.description, event.clubName && `Organised by ${event.clubName}`].filter(Boolean).join('\n\n');
+
+/**
+ * Calendar entry for an event document (see utils/ical.js buildEvent).
+ */
+const toEntry = (event, extra = {}) => ({
+  uid: toUid(event._id),
+  summary: event.title,
+  description: describe(event),
+  location: event.venue,
+  date: event.date,
+  startTime: event.startTime,
+  endTime: event.endTime,
+  status: event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+  created: event.createdAt,
+  lastModified: event.updatedAt,
+  ...extra,
+});
+
+/**
+ * Entries for a series: the series itself with its rule, then one override
+ * per occurrence that has its own document. Excluded days without a
+ * document are left out with EXDATE.
+ */
+const seriesEntries = (series, occurrences) => {
+  const overridden = new Set(occurrences.map((event) => event.originalDate.getTime()));
+  const first = firstOccurrence(series.date, series.recurrence) || series.date;
+
+  return [
+    toEntry(series, {
+      date: first,
+      recurrence: series.recurrence,
+      exdates: (series.exdates || []).filter((date) => !overridden.has(date.getTime())),
+    }),
+    ...occurrences.map((event) =>
+      toEntry(event, {
+        uid: toUid(series._id),
+        recurrenceDate: event.originalDate,
+        recurrenceTime: series.startTime,
+      })
+    ),
+  ];
+};
+
+/**
+ * Entries for the events (and series) matching `filter` within the feed range.
+ */
+const loadEntries = async (filter = {}) => {
+  const { from, to } = feedRange();
+
+  const [events, series] = await Promise.all([
+    Event.find({ ...filter, date: { $gte: from, $lte: to }, recurrence: { $exists: false } }),
+    Event.find({
+      ...filter,
+      recurrence: { $exists: true },
+      date: { $lte: to },
+      'recurrence.until': { $not: { $lt: from } },
+    }),
+  ]);
+
+  // Every materialised occurrence of these series, even outside the range,
+  // so their days are never generated a second time by the RRULE
+  const occurrences = series.length > 0
+    ? await Event.find({ seriesId: { $in: series.map((item) => item._id) } })
+    : [];
+  const bySeries = new Map(series.map((item) => [item._id.toString(), []]));
+  occurrences.forEach((event) => bySeries.get(event.seriesId.toString()).push(event));
+
+  return [
+    ...events
+      .filter((event) => !event.seriesId || !bySeries.has(event.seriesId.toString()))
+      .map((event) => toEntry(event)),
+    ...series.flatMap((item) => seriesEntries(item, bySeries.get(item._id.toString()))),
+  ];
+};
+
+/**
+ * Public link to a personal feed. PUBLIC_API_URL is used when set (e.g.
+ * behind a proxy); otherwise the host the request came in on.
+ */
+const personalFeedUrl = (req, token) => {
+  const base = (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  return `${base}/api/calendar/personal/${token}.ics`;
+};
+
+const describeFeed = (feed) =>
+  feed && {
+    issuedAt: feed.issuedAt,
+    lastAccessedAt: feed.lastAccessedAt || null,
+  };
+
+/**
+ * COLLEGE FEED
+ *
+ * GET /api/calendar/college.ics
+ */
+const collegeFeed = async (req, res) => {
+  const entries = await loadEntries();
+
+  sendCalendar(res, {
+    fileName: 'college',
+    body: buildCalendar({ name: 'College Events', entries }),
+  });
+};
+
+/**
+ * CLUB FEED
+ *
+ * GET /api/calendar/clubs/:id.ics
+ */
+const clubFeed = async (req, res) => {
+  const club = mongoose.isValidObjectId(req.params.id) ? await Club.findById(req.params.id) : null;
+  if (!club) {
+    throw ApiError.notFound('Club not found');
+  }
+
+  const entries = await loadEntries({ clubId: club._id });
+
+  sendCalendar(res, {
+    fileName: `club-${club._id}`,
+    body: buildCalendar({ name: `${club.name} Events`, entries }),
+  });
+};
+
+/**
+ * PERSONAL FEED
+ *
+ * GET /api/calendar/personal/:token.ics
+ * Events the link's owner is registered or waitlisted for. Waitlisted
+ * events are marked TENTATIVE; events the user drops out of disappear on
+ * the next refresh.
+ */
+const personalFeed = async (req, res) => {
+  const feed = await CalendarFeed.findByToken(req.params.token);
+  if (!feed) {
+    throw ApiError.notFound('Calendar feed not found');
+  }
+
+  const { from } = feedRange();
+  const registrations = await Registration.find({
+    userId: feed.userId,
+    status: { $in: ['registered', 'waitlisted'] },
+  }).select('eventId status');
+  const statusByEvent = new Map(
+    registrations.map((registration) => [registration.eventId.toString(), registration.status])
+  );
+
+  const events = await Event.find({
+    _id: { $in: registrations.map((registration) => registration.eventId) },
+    date: { $gte: from },
+  });
+
+  const entries = events.map((event) => {
+    const waitlisted = statusByEvent.get(event._id.toString()) === 'waitlisted';
+    return toEntry(
+      event,
+      waitlisted && event.status !== 'cancelled'
+        ? { status: 'TENTATIVE', description: ['You are on the waitlist.', describe(event)].join('\n\n') }
+        : {}
+    );
+  });
+
+  sendCalendar(res, {
+    fileName: 'my-events',
+    body: buildCalendar({ name: 'My College Events', entries }),
+    isPrivate: true,
+  });
+
+  if (!feed.lastAccessedAt || Date.now() - feed.lastAccessedAt > ACCESS_UPDATE_INTERVAL_MS) {
+    CalendarFeed.updateOne({ _id: feed._id }, { $set: { lastAccessedAt: new Date() } }).catch((error) =>
+      logger.error('Calendar feed access update failed', { error })
+    );
+  }
+};
+
+/**
+ * PERSONAL FEED LINK
+ *
+ * GET    /api/calendar/personal   Whether the caller has a link (the link itself is only shown once)
+ * POST   /api/calendar/personal   Create a link, replacing any earlier one
+ * DELETE /api/calendar/personal   Revoke the link
+ */
+const getPersonalFeed = async (req, res) => {
+  const feed = await CalendarFeed.findOne({ userId: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    data: { feed: describeFeed(feed) || null },
+  });
+};
+
+const createPersonalFeed = async (req, res) => {
+  const replaced = await CalendarFeed.exists({ userId: req.user._id });
+  const { feed, token } = await CalendarFeed.issue(req.user._id);
+  const url = personalFeedUrl(req, token);
+
+  res.status(201).json({
+    success: true,
+    message: replaced
+      ? 'New calendar link created. The old link no longer works.'
+      : 'Calendar link created. Anyone with this link can see your events, so keep it private.',
+    data: {
+      feed: {
+        ...describeFeed(feed),
+        url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:'),
+      },
+    },
+  });
+};
+
+const revokePersonalFeed = async (req, res) => {
+  const { deletedCount } = await CalendarFeed.deleteOne({ userId: req.user._id });
+  if (deletedCount === 0) {
+    throw ApiError.notFound('You do not have a calendar link');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Calendar link revoked',
+  });
+};
+
+module.exports = {
+  collegeFeed,
+  clubFeed,
+  personalFeed,
+  getPersonalFeed,
+  createPersonalFeed,
+  revokePersonalFeed,
+};
@@ -0,0 +1,324 @@
+/**
+ * Club Controller
+ *
+ * Business logic for the /api/clubs routes:
+ * - Club directory with member counts
+ * - Join requests, approvals and leaving (students can be in several clubs)
+ * - Member roster and pending requests for the club head (and a CSV / XLSX export)
+ *
+ * Memberships are stored on the student (User.enrolledClubs), so every
+ * state change is one atomic update; see the membership statics in
+ * models/User.js.
+ */
+
+const mongoose = require('mongoose');
+const Club = require('../models/Club');
+const User = require('../models/User');
+const ApiError = require('../utils/ApiError');
+const { sameId } = require('../middleware/authorize');
+const { formatDateOnly } = require('../utils/dates');
+const { parseExportFormat, toFileName, mapRows, sendTable } = require('../utils/spreadsheet');
+const realtime = require('../services/realtime');
+const audit = require('../services/audit');
+
+/**
+ * Load a club by the :id route parameter (null if not found or invalid id).
+ * Used by the ownership guards in routes/clubs.js.
+ */
+const loadClub = (req) =>
+  mongoose.isValidObjectId(req.params.id) ? Club.findById(req.params.id) : null;
+
+const findClubOr404 = async (id) => {
+  const club = mongoose.isValidObjectId(id) ? await Club.findById(id) : null;
+  if (!club) {
+    throw ApiError.notFound('Club not found');
+  }
+  return club;
+};
+
+// Whether the user may see a club's pending requests
+const canManage = (req, club) =>
+  req.can('clubs:manage:any') || (req.can('clubs:manage:own') && sameId(req.user.clubId, club._id));
+
+/**
+ * Shape a membership entry for clients.
+ */
+const describeMembership = (entry) =>
+  entry && {
+    status: entry.status,
+    requestedAt: entry.requestedAt,
+    joinedDate: entry.joinedDate,
+    decidedAt: entry.decidedAt,
+    leftAt: entry.leftAt,
+  };
+
+/**
+ * LIST CLUBS
+ *
+ * GET /api/clubs
+ * Every club with its member count and the caller's own membership status.
+ * Club heads (for their club) and PR also get the pending-request count.
+ */
+const listClubs = async (req, res) => {
+  const clubs = await Club.find().sort({ name: 1 });
+  const counts = await User.countMemberships(clubs.map((club) => club._id));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      clubs: clubs.map((club) => {
+        const { members, pending } = counts.get(club._id.toString());
+        const membership = req.user.getMembership(club._id);
+        return {
+          ...club.toJSON(),
+          memberCount: members,
+          ...(canManage(req, club) && { pendingCount: pending }),
+          membership: describeMembership(membership) || null,
+        };
+      }),
+    },
+  });
+};
+
+/**
+ * MY CLUBS
+ *
+ * GET /api/clubs/my-clubs
+ * Clubs the student belongs to or has asked to join. For a club head the
+ * club they manage is returned as `managedClub`, with its counts.
+ */
+const myClubs = async (req, res) => {
+  const entries = (req.user.enrolledClubs || []).filter((entry) =>
+    ['active', 'pending'].includes(entry.status)
+  );
+  const clubs = await Club.find({ _id: { $in: entries.map((entry) => entry.clubId) } });
+  const clubsById = new Map(clubs.map((club) => [club._id.toString(), club]));
+
+  let managedClub = null;
+  if (req.user.clubId) {
+    const club = await Club.findById(req.user.clubId);
+    if (club) {
+      const counts = await User.countMemberships([club._id]);
+      const { members, pending } = counts.get(club._id.toString());
+      managedClub = { ...club.toJSON(), memberCount: members, pendingCount: pending };
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      clubs: entries
+        .filter((entry) => clubsById.has(entry.clubId.toString()))
+        .map((entry) => ({
+          club: clubsById.get(entry.clubId.toString()).toJSON(),
+          membership: describeMembership(entry),
+        })),
+      managedClub,
+    },
+  });
+};
+
+/**
+ * REQUEST TO JOIN
+ *
+ * POST /api/clubs/:id/join-request
+ * Creates a pending request for the club head to approve. A student with a
+ * pending request or an active membership cannot ask again.
+ */
+const requestToJoin = async (req, res) => {
+  const club = await findClubOr404(req.params.id);
+
+  const requested = await User.requestMembership(req.user._id, club._id);
+  const user = await User.findById(req.user._id);
+  const membership = user.getMembership(club._id);
+
+  if (!requested) {
+    if (membership && membership.status === 'active') {
+      throw ApiError.conflict('ALREADY_MEMBER', `You are already a member of ${club.name}`);
+    }
+    throw ApiError.conflict('REQUEST_PENDING', `Your request to join ${club.name} is already pending`);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Request to join ${club.name} sent`,
+    data: {
+      club: club.toJSON(),
+      membership: describeMembership(membership),
+    },
+  });
+};
+
+/**
+ * APPROVE / REJECT REQUEST
+ *
+ * PUT /api/clubs/:id/membership/:userId
+ * Body: { action: 'approve' | 'reject' }
+ * The club was loaded by the ownership guard into `req.resource`.
+ */
+const decideMembership = async (req, res) => {
+  const club = req.resource;
+  const { action } = req.body;
+
+  if (!User.MEMBERSHIP_DECISIONS.includes(action)) {
+    throw ApiError.badRequest(`action must be one of: ${User.MEMBERSHIP_DECISIONS.join(', ')}`);
+  }
+  if (!mongoose.isValidObjectId(req.params.userId)) {
+    throw ApiError.notFound('No pending request from this student');
+  }
+
+  const approve = action === 'approve';
+  const user = await User.decideMembership(req.params.userId, club._id, {
+    approve,
+    decidedBy: req.user._id,
+  });
+  if (!user) {
+    throw ApiError.notFound('No pending request from this student');
+  }
+
+  const counts = await User.countMemberships([club._id]);
+  const { members, pending } = counts.get(club._id.toString());
+
+  res.status(200).json({
+    success: true,
+    message: approve ? `${user.name} added to ${club.name}` : 'Request rejected',
+    data: {
+      user: { id: user._id, name: user.name, rollNumber: user.rollNumber },
+      membership: describeMembership(user.getMembership(club._id)),
+      memberCount: members,
+      pendingCount: pending,
+    },
+  });
+
+  // Tell the student straight away, and start sending them club messages
+  const { ROOMS } = realtime;
+  if (approve) realtime.joinRoom(user._id, ROOMS.club(club._id));
+  realtime.publish(ROOMS.user(user._id), 'membership.decided', {
+    club: { id: club._id, name: club.name },
+    membership: describeMembership(user.getMembership(club._id)),
+  });
+
+  audit.record(req, {
+    action: approve ? 'membership.approved' : 'membership.rejected',
+    target: { type: 'user', id: user._id, label: `${user.name} (${user.rollNumber})` },
+    clubId: club._id,
+    changes: [{ field: 'status', before: 'pending', after: user.getMembership(club._id).status }],
+  });
+};
+
+/**
+ * LEAVE CLUB
+ *
+ * POST /api/clubs/:id/leave
+ * Leaves the club, or withdraws a pending request.
+ */
+const leaveClub = async (req, res) => {
+  const club = await findClubOr404(req.params.id);
+
+  const left = await User.leaveClub(req.user._id, club._id);
+  if (!left) {
+    throw ApiError.notFound(`You are not a member of ${club.name}`);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `You have left ${club.name}`,
+  });
+
+  realtime.leaveRoom(req.user._id, realtime.ROOMS.club(club._id));
+};
+
+/**
+ * CLUB ROSTER
+ *
+ * GET /api/clubs/:id/members
+ * Members and pending requests, for the club head of this club and PR.
+ * The club was loaded by the ownership guard into `req.resource`.
+ */
+const listMembers = async (req, res) => {
+  const club = req.resource;
+
+  const users = await User.find({
+    enrolledClubs: { $elemMatch: { clubId: club._id, status: { $in: ['active', 'pending'] } } },
+  })
+    .select('name rollNumber enrolledClubs')
+    .sort({ name: 1 });
+
+  const toEntry = (user) => {
+    const membership = user.getMembership(club._id);
+    return {
+      user: { id: user._id, name: user.name, rollNumber: user.rollNumber },
+      status: membership.status,
+      requestedAt: membership.requestedAt,
+      joinedDate: membership.joinedDate,
+    };
+  };
+  const entries = users.map(toEntry);
+
+  const members = entries.filter((entry) => entry.status === 'active');
+  const pendingRequests = entries
+    .filter((entry) => entry.status === 'pending')
+    .sort((a, b) => (a.requestedAt || 0) - (b.requestedAt || 0));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      club: club.toJSON(),
+      counts: {
+        members: members.length,
+        pending: pendingRequests.length,
+      },
+      members,
+      pendingRequests,
+    },
+  });
+};
+
+const MEMBER_EXPORT_COLUMNS = [
+  { header: 'Roll number', key: 'rollNumber', width: 14 },
+  { header: 'Name', key: 'name', width: 28 },
+  { header: 'Joined on', key: 'joinedDate', width: 12 },
+];
+
+/**
+ * EXPORT MEMBERS
+ *
+ * GET /api/clubs/:id/members/export?format=csv|xlsx
+ * Active members by roll number. The club was loaded by the ownership
+ * guard into `req.resource`.
+ */
+const exportMembers = async (req, res) => {
+  const club = req.resource;
+  const format = parseExportFormat(req.query.format);
+
+  const users = User.find({ enrolledClubs: { $elemMatch: { clubId: club._id, status: 'active' } } })
+    .select('name rollNumber enrolledClubs')
+    .sort({ rollNumber: 1 })
+    .cursor();
+
+  await sendTable(res, {
+    format,
+    fileName: toFileName(club.name, 'members'),
+    sheetName: 'Members',
+    columns: MEMBER_EXPORT_COLUMNS,
+    rows: mapRows(users, (user) => {
+      const { joinedDate } = user.getMembership(club._id);
+      return {
+        rollNumber: user.rollNumber,
+        name: user.name,
+        joinedDate: joinedDate && formatDateOnly(joinedDate),
+      };
+    }),
+  });
+};
+
+module.exports = {
+  loadClub,
+  listClubs,
+  myClubs,
+  requestToJoin,
+  decideMembership,
+  leaveClub,
+  listMembers,
+  exportMembers,
+};
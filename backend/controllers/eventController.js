@@ -0,0 +1,658 @@
+/**
+ * Event Controller
+ *
+ * Business logic for the /api/events routes:
+ * - Calendar range query (month view), expanding recurring series
+ * - Create, update and cancel events (with venue double-booking checks)
+ * - Per-occurrence edits of a series ("this one only" / "this and following")
+ * - Emails registered students when an event changes or is cancelled
+ * - Records creations, edits and cancellations in the audit log
+ *
+ * Permission and ownership checks happen in the route definitions
+ * (middleware/authorize.js); by the time an update or cancel handler runs,
+ * the event (or, for an occurrence id, its series) has already been loaded
+ * into `req.resource`.
+ */
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Club = require('../models/Club');
+const Registration = require('../models/Registration');
+const ApiError = require('../utils/ApiError');
+const { parseDateOnly, startOfDay, addDays, formatDateOnly } = require('../utils/dates');
+const { normalizeRecurrence, countOccurrencesBefore } = require('../utils/recurrence');
+const realtime = require('../services/realtime');
+const eventEmails = require('../services/email/eventEmails');
+const audit = require('../services/audit');
+
+// Longest range a single calendar query may cover
+const MAX_RANGE_DAYS = 366;
+
+// Fields a client may set when creating or updating an event
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'date',
+  'startTime',
+  'endTime',
+  'venue',
+  'maxParticipants',
+];
+
+/**
+ * Copy editable fields from the request body, parsing the date.
+ */
+const pickEventFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (fields.date !== undefined) {
+    const date = parseDateOnly(fields.date);
+    if (!date) {
+      throw ApiError.badRequest('Date must be in YYYY-MM-DD format');
+    }
+    fields.date = date;
+  }
+
+  return fields;
+};
+
+// Fields compared for the audit log
+const AUDITED_FIELDS = [...EDITABLE_FIELDS, 'recurrence', 'status'];
+
+const auditTarget = (event) => ({ type: 'event', id: event._id, label: event.title });
+
+// Changing any of these fields can create a venue double-booking
+const SLOT_FIELDS = ['venue', 'date', 'startTime', 'endTime', 'recurrence'];
+
+// Changes registered students are emailed about, with their names in the email
+const NOTICE_FIELDS = {
+  title: 'title',
+  date: 'date',
+  startTime: 'start time',
+  endTime: 'end time',
+  venue: 'venue',
+};
+
+/**
+ * Names of the NOTICE_FIELDS that differ between two versions of an event.
+ */
+const noticeChanges = (before, after) =>
+  Object.keys(NOTICE_FIELDS)
+    .filter((field) => String(before[field]) !== String(after[field]))
+    .map((field) => NOTICE_FIELDS[field]);
+
+/**
+ * Validate a recurrence rule from the request body.
+ */
+const parseRecurrence = (input, startDate) => {
+  const { rule, problems } = normalizeRecurrence(input, startDate);
+  if (!rule) {
+    throw ApiError.badRequest('Invalid recurrence rule', {
+      fields: problems.map((message) => ({ path: 'recurrence', message })),
+    });
+  }
+  return rule;
+};
+
+const parseScope = (value) => {
+  if (value === undefined) return 'this';
+  if (!Event.SERIES_SCOPES.includes(value)) {
+    throw ApiError.badRequest(`scope must be one of: ${Event.SERIES_SCOPES.join(', ')}`);
+  }
+  return value;
+};
+
+/**
+ * Reject the event if its venue is already booked at an overlapping time.
+ *
+ * PR members may knowingly double-book by sending `overrideVenueConflict: true`;
+ * anyone else sending the flag gets a 403.
+ *
+ * `occurrences` are materialised occurrences that will take on a series'
+ * new slot (see propagateToOccurrences). Their dates are in the series'
+ * exdates, so they are checked on their own dates.
+ */
+const assertVenueAvailable = async (req, event, { excludeIds = [], occurrences = [] } = {}) => {
+  const override = req.body.overrideVenueConflict === true;
+  if (override && !req.can('events:override_venue')) {
+    throw ApiError.forbidden('Only PR members can override venue conflicts', {
+      missingPermission: 'events:override_venue',
+    });
+  }
+
+  // Run schema validation first so the conflict query sees well-formed times
+  await event.validate();
+
+  // A series is checked on every one of its occurrences
+  const dates = event.recurrence ? event.occurrenceDates() : [event.date];
+  const ignored = [...excludeIds, ...occurrences.map((occurrence) => occurrence._id)];
+  const conflicts = await Event.findVenueConflicts({
+    venue: event.venue,
+    dates: [...dates, ...occurrences.map((occurrence) => occurrence.date)],
+    startTime: event.startTime,
+    endTime: event.endTime,
+    excludeIds: event.isNew ? ignored : [event._id, ...ignored],
+  });
+
+  if (conflicts.length > 0 && !override) {
+    throw ApiError.conflict('VENUE_CONFLICT', `${event.venue} is already booked at that time`, {
+      conflicts: conflicts.map((conflict) => ({
+        id: conflict._id,
+        title: conflict.title,
+        clubName: conflict.clubName,
+        date: conflict.date,
+        startTime: conflict.startTime,
+        endTime: conflict.endTime,
+      })),
+    });
+  }
+};
+
+/**
+ * Load an event by the :id route parameter (null if not found or invalid id).
+ * For an occurrence id ("<seriesId>_YYYY-MM-DD") the series is loaded, so
+ * ownership is checked against the series' club.
+ * Used by the ownership guards for editing and cancelling in routes/events.js.
+ */
+const loadEvent = async (req) => {
+  const occurrence = Event.parseOccurrenceId(req.params.id);
+  if (!occurrence) {
+    return mongoose.isValidObjectId(req.params.id) ? Event.findById(req.params.id) : null;
+  }
+
+  const series = await Event.findById(occurrence.seriesId);
+  return series && series.generatesDate(occurrence.date) ? series : null;
+};
+
+/**
+ * Load the event that registrations and check-ins belong to: a normal event,
+ * or an occurrence of a series that has its own document.
+ * Used by the ownership guards for organiser views in routes/events.js.
+ */
+const loadOccurrence = (req) => Event.findOccurrence(req.params.id);
+
+/**
+ * Work out what PUT/DELETE /api/events/:id is aimed at.
+ *
+ * @returns {Promise<object>} { event, series, date, scope }
+ * - event:  the standalone event or occurrence document (null for an
+ *           occurrence that has not been materialised yet)
+ * - series: the series, when the target belongs to one
+ * - date:   the occurrence's original date
+ * - scope:  'this', 'following' or 'all' (always 'all' for a series id)
+ */
+const resolveTarget = async (req, scopeParam) => {
+  const resource = req.resource;
+  const occurrence = Event.parseOccurrenceId(req.params.id);
+
+  if (occurrence) {
+    const event = await Event.findOne({ seriesId: resource._id, originalDate: occurrence.date });
+    return { event, series: resource, date: occurrence.date, scope: parseScope(scopeParam) };
+  }
+
+  if (resource.recurrence) {
+    parseScope(scopeParam);
+    return { event: null, series: resource, date: resource.date, scope: 'all' };
+  }
+
+  const series = resource.seriesId ? await Event.findById(resource.seriesId) : null;
+  if (!series) {
+    return { event: resource, series: null, date: resource.date, scope: 'this' };
+  }
+  return { event: resource, series, date: resource.originalDate, scope: parseScope(scopeParam) };
+};
+
+/**
+ * Split a series in two at `date`: the original keeps the occurrences
+ * before it, and the returned (unsaved) series takes `date` and everything
+ * after. Neither document is saved here.
+ */
+const splitSeries = (series, date) => {
+  const rule = series.recurrence.toObject();
+  const exdates = series.exdates || [];
+
+  const tail = new Event({
+    title: series.title,
+    description: series.description,
+    clubId: series.clubId,
+    clubName: series.clubName,
+    date,
+    startTime: series.startTime,
+    endTime: series.endTime,
+    venue: series.venue,
+    maxParticipants: series.maxParticipants,
+    createdBy: series.createdBy,
+    recurrence: rule.count
+      ? { ...rule, count: rule.count - countOccurrencesBefore(series.date, rule, date) }
+      : rule,
+    exdates: exdates.filter((exdate) => exdate >= date),
+  });
+
+  series.recurrence = { ...rule, until: addDays(date, -1), count: undefined };
+  series.exdates = exdates.filter((exdate) => exdate < date);
+
+  return tail;
+};
+
+/**
+ * After `from` was split off into `to`, move the occurrence documents that
+ * now belong to the new series.
+ */
+const moveOccurrences = (from, to, date) =>
+  Event.updateMany({ seriesId: from._id, originalDate: { $gte: date } }, { $set: { seriesId: to._id } });
+
+// Series fields that propagateToOccurrences copies into an occurrence's slot
+const PROPAGATED_SLOT_FIELDS = ['venue', 'startTime', 'endTime'];
+
+/**
+ * Active occurrences a series-wide edit of `fields` moves to a new slot,
+ * for the venue check: those propagateToOccurrences will update, from
+ * `from` onwards when given.
+ */
+const findPropagatedOccurrences = (series, fields, { from } = {}) => {
+  if (!PROPAGATED_SLOT_FIELDS.some((field) => fields[field] !== undefined)) return [];
+
+  return Event.find({
+    seriesId: series._id,
+    detached: false,
+    status: 'active',
+    ...(from && { originalDate: { $gte: from } }),
+  }).select('_id date');
+};
+
+/**
+ * Apply a series-wide edit to occurrences that were materialised only for
+ * registrations (not edited on their own). Capacity never drops below an
+ * occurrence's confirmed registrations, and extra seats go to its waitlist.
+ */
+const propagateToOccurrences = async (series, fields) => {
+  const filter = { seriesId: series._id, detached: false };
+  const { maxParticipants, ...changes } = fields;
+  delete changes.date;
+  delete changes.recurrence;
+  if (changes.venue !== undefined) changes.venueKey = series.venueKey;
+
+  if (Object.keys(changes).length > 0) {
+    await Event.updateMany(filter, { $set: changes });
+  }
+
+  if (maxParticipants !== undefined) {
+    await Event.updateMany(
+      { ...filter, registeredCount: { $lte: maxParticipants } },
+      { $set: { maxParticipants } }
+    );
+    const occurrences = await Event.find(filter).select('_id');
+    for (const occurrence of occurrences) {
+      eventEmails.emailWaitlistPromoted(await Registration.promoteFromWaitlist(occurrence._id));
+    }
+  }
+};
+
+/**
+ * LIST EVENTS (calendar range query)
+ *
+ * GET /api/events?from=YYYY-MM-DD&to=YYYY-MM-DD&clubId=
+ * Defaults to the current month. Cancelled events are included so the
+ * calendar can show them struck through. Recurring series are expanded
+ * into one entry per occurrence, each with `seriesId` and an occurrence id.
+ */
+const listEvents = async (req, res) => {
+  const today = startOfDay(new Date());
+  const from = req.query.from
+    ? parseDateOnly(req.query.from)
+    : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+  const to = req.query.to
+    ? parseDateOnly(req.query.to)
+    : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0));
+
+  if (!from || !to) {
+    throw ApiError.badRequest('from and to must be dates in YYYY-MM-DD format');
+  }
+  if (to < from) {
+    throw ApiError.badRequest('to must not be before from');
+  }
+  if (to > addDays(from, MAX_RANGE_DAYS)) {
+    throw ApiError.badRequest(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  const filter = {};
+  if (req.query.clubId) {
+    if (!mongoose.isValidObjectId(req.query.clubId)) {
+      throw ApiError.badRequest('Invalid clubId');
+    }
+    filter.clubId = req.query.clubId;
+  }
+
+  const events = await Event.findInRange({ from, to, filter });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      from,
+      to,
+      events,
+    },
+  });
+};
+
+/**
+ * CREATE EVENT
+ *
+ * POST /api/events
+ * Club heads create events for their own club; PR passes `clubId` to
+ * create an event for any club. `req.resource.clubId` is the club that
+ * passed the ownership check. Sending `recurrence` creates a series whose
+ * first occurrence is `date`.
+ */
+const createEvent = async (req, res) => {
+  const club = mongoose.isValidObjectId(req.resource.clubId)
+    ? await Club.findById(req.resource.clubId)
+    : null;
+  if (!club) {
+    throw ApiError.badRequest('A valid clubId is required');
+  }
+
+  const fields = pickEventFields(req.body);
+  if (req.body.recurrence !== undefined && fields.date) {
+    fields.recurrence = parseRecurrence(req.body.recurrence, fields.date);
+  }
+
+  const event = new Event({
+    ...fields,
+    clubId: club._id,
+    clubName: club.name,
+    createdBy: req.user._id,
+  });
+  await assertVenueAvailable(req, event);
+  await event.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Event created',
+    data: { event: event.toJSON() },
+  });
+
+  realtime.publish(realtime.ROOMS.college, 'event.created', event.toJSON());
+  audit.record(req, {
+    action: 'event.created',
+    target: auditTarget(event),
+    clubId: event.clubId,
+    changes: audit.diff({}, event, AUDITED_FIELDS),
+  });
+};
+
+/**
+ * Apply the request's field changes to one event or occurrence document,
+ * without saving. Cancelled events stay cancelled, capacity cannot drop
+ * below the number of confirmed registrations, and the new slot must not
+ * double-book the venue.
+ */
+const applyEventChanges = async (req, event, options) => {
+  if (event.status === 'cancelled') {
+    throw ApiError.conflict('EVENT_CANCELLED', 'Cancelled events cannot be edited');
+  }
+
+  event.set(pickEventFields(req.body));
+  if (event.maxParticipants < event.registeredCount) {
+    throw ApiError.conflict(
+      'CAPACITY_BELOW_REGISTRATIONS',
+      `${event.registeredCount} students are already registered for this event`,
+      { registeredCount: event.registeredCount }
+    );
+  }
+  if (SLOT_FIELDS.some((field) => event.isModified(field))) {
+    await assertVenueAvailable(req, event, options);
+  }
+};
+
+/**
+ * Apply the request's field changes to one event or occurrence document
+ * and save it (see applyEventChanges).
+ */
+const saveEventChanges = async (req, event) => {
+  await applyEventChanges(req, event);
+  const capacityChanged = event.isModified('maxParticipants');
+  await event.save();
+
+  // Extra seats go to the waitlist straight away
+  if (capacityChanged) {
+    eventEmails.emailWaitlistPromoted(await Registration.promoteFromWaitlist(event._id));
+  }
+};
+
+/**
+ * Edit a whole series. Changing `date` moves the start of the series;
+ * the rule is re-validated against it.
+ */
+const updateSeries = async (req, series) => {
+  const fields = pickEventFields(req.body);
+  if (req.body.recurrence !== undefined || fields.date) {
+    const rule = req.body.recurrence !== undefined ? req.body.recurrence : series.recurrence.toObject();
+    fields.recurrence = parseRecurrence(rule, fields.date || series.date);
+  }
+
+  series.set(fields);
+  if (SLOT_FIELDS.some((field) => series.isModified(field))) {
+    const occurrences = await findPropagatedOccurrences(series, fields);
+    await assertVenueAvailable(req, series, { occurrences });
+  }
+  await series.save();
+  await propagateToOccurrences(series, fields);
+
+  return series;
+};
+
+/**
+ * Edit one occurrence and every later one, by splitting the series at
+ * that occurrence. Earlier occurrences are left untouched.
+ */
+const updateFollowing = async (req, series, date) => {
+  if (req.body.date !== undefined) {
+    throw ApiError.badRequest('Use scope "this" to move a single occurrence to another date');
+  }
+
+  const fields = pickEventFields(req.body);
+  if (req.body.recurrence !== undefined) {
+    fields.recurrence = parseRecurrence(req.body.recurrence, date);
+  }
+
+  const tail = splitSeries(series, date);
+  tail.set(fields);
+  const occurrences = await findPropagatedOccurrences(series, fields, { from: date });
+  await assertVenueAvailable(req, tail, { excludeIds: [series._id], occurrences });
+
+  // Save the new series first so a failure never loses occurrences
+  await tail.save();
+  await series.save();
+  await moveOccurrences(series, tail, date);
+  await propagateToOccurrences(tail, fields);
+
+  return tail;
+};
+
+/**
+ * UPDATE EVENT
+ *
+ * PUT /api/events/:id
+ * Updates the editable fields of an event. Cancelled events stay cancelled.
+ * Capacity cannot drop below the number of confirmed registrations.
+ *
+ * Recurring events:
+ * - a series id edits the whole series (including `recurrence`)
+ * - an occurrence id edits that occurrence only, unless the body has
+ *   `scope: 'following'` (this and later occurrences) or `scope: 'all'`
+ */
+const updateEvent = async (req, res) => {
+  const target = await resolveTarget(req, req.body.scope);
+  const { series, date, scope } = target;
+
+  if (!series || scope === 'this') {
+    if (req.body.recurrence !== undefined) {
+      throw ApiError.badRequest('recurrence can only be changed for a whole series or with scope "following"');
+    }
+
+    // Check the edit on an unsaved copy first, so a rejected edit does not
+    // leave a materialised occurrence behind
+    if (!target.event) {
+      await applyEventChanges(req, Event.buildOccurrence(series, date), { excludeIds: [series._id] });
+    }
+
+    const event = target.event || (await Event.materializeOccurrence(series, date));
+    if (series) event.detached = true;
+    const before = event.toObject();
+    await saveEventChanges(req, event);
+
+    res.status(200).json({
+      success: true,
+      message: 'Event updated',
+      data: { event: event.toJSON() },
+    });
+    realtime.publish(realtime.ROOMS.college, 'event.updated', event.toJSON());
+
+    const changes = noticeChanges(before, event);
+    if (changes.length > 0) eventEmails.emailEventChanged({ _id: event._id }, changes);
+    audit.record(req, {
+      action: 'event.updated',
+      target: auditTarget(event),
+      clubId: event.clubId,
+      changes: audit.diff(before, event, AUDITED_FIELDS),
+      ...(series && { details: { seriesId: series._id, scope: 'this' } }),
+    });
+    return;
+  }
+
+  if (series.status === 'cancelled') {
+    throw ApiError.conflict('EVENT_CANCELLED', 'Cancelled events cannot be edited');
+  }
+
+  const splitting = scope === 'following' && date > series.date;
+  const before = series.toObject();
+  const updated = splitting
+    ? await updateFollowing(req, series, date)
+    : await updateSeries(req, series);
+
+  res.status(200).json({
+    success: true,
+    message: splitting
+      ? `Series updated from ${formatDateOnly(date)} onwards`
+      : 'Series updated',
+    data: { event: updated.toJSON() },
+  });
+
+  realtime.publish(realtime.ROOMS.college, 'event.updated', updated.toJSON());
+
+  // Occurrences edited on their own keep their details, so they are not notified
+  const changes = noticeChanges(before, updated).filter((change) => change !== 'date');
+  if (changes.length > 0) {
+    eventEmails.emailEventChanged({ seriesId: updated._id, detached: false }, changes);
+  }
+  audit.record(req, {
+    action: 'event.updated',
+    target: auditTarget(updated),
+    clubId: updated.clubId,
+    changes: audit.diff(before, updated, AUDITED_FIELDS),
+    details: { scope, ...(splitting && { splitFrom: series._id, date }) },
+  });
+};
+
+// Mark an event or series cancelled (no-op if it already is)
+const markCancelled = (event, user) => {
+  if (event.status === 'cancelled') return;
+  event.status = 'cancelled';
+  event.cancelledAt = new Date();
+  event.cancelledBy = user._id;
+};
+
+// Cancel the occurrence documents of a cancelled series; returns the ids cancelled
+const cancelOccurrences = async (series, user) => {
+  const ids = await Event.find({ seriesId: series._id, status: 'active' }).distinct('_id');
+  await Event.updateMany(
+    { _id: { $in: ids }, status: 'active' },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: user._id } }
+  );
+  return ids;
+};
+
+/**
+ * CANCEL EVENT
+ *
+ * DELETE /api/events/:id[?scope=this|following|all]
+ * Soft delete: the event is kept with status 'cancelled'.
+ * For a series, the scope works as in updateEvent; cancelled occurrences
+ * stay on the calendar as cancelled. The audit entry keeps a snapshot of
+ * the event so PR can restore it.
+ */
+const cancelEvent = async (req, res) => {
+  const target = await resolveTarget(req, req.query.scope);
+  const { series, date, scope } = target;
+  let event;
+  let message = 'Event cancelled';
+  // Event documents cancelled by this request (their students are emailed)
+  let cancelledIds = [];
+  // The event as it was, if this request cancelled it
+  let snapshot = null;
+  const takeSnapshot = () => (event.status === 'cancelled' ? null : event.toObject());
+
+  if (!series || scope === 'this') {
+    event = target.event || (await Event.materializeOccurrence(series, date));
+    if (series) event.detached = true;
+    if (event.status !== 'cancelled') cancelledIds = [event._id];
+    snapshot = takeSnapshot();
+    markCancelled(event, req.user);
+    await event.save();
+  } else if (scope === 'following' && date > series.date && series.status !== 'cancelled') {
+    event = splitSeries(series, date);
+    snapshot = takeSnapshot();
+    markCancelled(event, req.user);
+    await event.save();
+    await series.save();
+    await moveOccurrences(series, event, date);
+    cancelledIds = await cancelOccurrences(event, req.user);
+    message = `Series cancelled from ${formatDateOnly(date)} onwards`;
+  } else {
+    event = series;
+    snapshot = takeSnapshot();
+    markCancelled(event, req.user);
+    await event.save();
+    cancelledIds = await cancelOccurrences(event, req.user);
+    message = 'Series cancelled';
+  }
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: { event: event.toJSON() },
+  });
+
+  realtime.publish(realtime.ROOMS.college, 'event.cancelled', event.toJSON());
+  if (cancelledIds.length > 0) {
+    eventEmails.emailEventCancelled({ _id: { $in: cancelledIds } });
+  }
+  if (snapshot) {
+    audit.record(req, {
+      action: 'event.cancelled',
+      target: auditTarget(event),
+      clubId: event.clubId,
+      changes: audit.diff(snapshot, event, ['status']),
+      details: {
+        scope,
+        // Occurrence documents cancelled along with a series (restored with it)
+        cancelledOccurrences: cancelledIds.filter((id) => !id.equals(event._id)),
+      },
+      snapshot,
+    });
+  }
+};
+
+module.exports = {
+  assertVenueAvailable,
+  loadEvent,
+  loadOccurrence,
+  listEvents,
+  createEvent,
+  updateEvent,
+  cancelEvent,
+};
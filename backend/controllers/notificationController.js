@@ -0,0 +1,133 @@
+/**
+ * Notification Controller
+ *
+ * Business logic for push notification settings:
+ * - /api/devices: register and remove the phone's Expo push token
+ * - /api/notifications/preferences: clubs the user has muted
+ *
+ * Sending happens in services/notifications.
+ */
+
+const mongoose = require('mongoose');
+const Club = require('../models/Club');
+const Device = require('../models/Device');
+const User = require('../models/User');
+const ApiError = require('../utils/ApiError');
+
+const PLATFORMS = Device.schema.path('platform').enumValues;
+
+/**
+ * REGISTER DEVICE
+ *
+ * POST /api/devices
+ * Body: { token: 'ExponentPushToken[...]', platform?, deviceName? }
+ * Called by the app after every login and whenever Expo issues a new token.
+ * A token already registered to another account is moved to this one.
+ */
+const registerDevice = async (req, res) => {
+  const { token, platform, deviceName } = req.body;
+
+  if (typeof token !== 'string' || !Device.EXPO_TOKEN_PATTERN.test(token.trim())) {
+    throw ApiError.badRequest('token must be an Expo push token');
+  }
+  if (platform !== undefined && !PLATFORMS.includes(platform)) {
+    throw ApiError.badRequest(`platform must be one of: ${PLATFORMS.join(', ')}`);
+  }
+
+  const existing = await Device.findOne({ token: token.trim() });
+  const device = await Device.findOneAndUpdate(
+    { token: token.trim() },
+    {
+      $set: {
+        userId: req.user._id,
+        ...(platform && { platform }),
+        ...(deviceName !== undefined && { deviceName }),
+        lastRegisteredAt: new Date(),
+      },
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(existing ? 200 : 201).json({
+    success: true,
+    message: existing ? 'Device updated' : 'Device registered',
+    data: { device: device.toJSON() },
+  });
+};
+
+/**
+ * REMOVE DEVICE
+ *
+ * DELETE /api/devices/:token
+ * Stops notifications to the phone, e.g. on logout.
+ */
+const removeDevice = async (req, res) => {
+  const result = await Device.deleteOne({ token: req.params.token, userId: req.user._id });
+  if (result.deletedCount === 0) {
+    throw ApiError.notFound('Device not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Device removed',
+  });
+};
+
+const describePreferences = async (user) => {
+  const clubs = await Club.find({ _id: { $in: user.mutedClubs || [] } }).select('name').sort({ name: 1 });
+  return {
+    mutedClubs: clubs.map((club) => ({ id: club._id, name: club.name })),
+  };
+};
+
+/**
+ * GET PREFERENCES
+ *
+ * GET /api/notifications/preferences
+ */
+const getPreferences = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { preferences: await describePreferences(req.user) },
+  });
+};
+
+/**
+ * UPDATE PREFERENCES
+ *
+ * PUT /api/notifications/preferences
+ * Body: { mutedClubs: [clubId, ...] } - replaces the list
+ * Muted clubs send no pushes (broadcasts or event reminders); their
+ * messages still appear in the app.
+ */
+const updatePreferences = async (req, res) => {
+  const { mutedClubs } = req.body;
+
+  if (!Array.isArray(mutedClubs) || !mutedClubs.every((id) => mongoose.isValidObjectId(id))) {
+    throw ApiError.badRequest('mutedClubs must be a list of club ids');
+  }
+
+  const clubs = await Club.find({ _id: { $in: mutedClubs } }).select('_id');
+  if (clubs.length !== new Set(mutedClubs.map(String)).size) {
+    throw ApiError.badRequest('mutedClubs contains an unknown club');
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: { mutedClubs: clubs.map((club) => club._id) } },
+    { new: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification preferences updated',
+    data: { preferences: await describePreferences(user) },
+  });
+};
+
+module.exports = {
+  registerDevice,
+  removeDevice,
+  getPreferences,
+  updatePreferences,
+};
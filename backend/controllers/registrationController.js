@@ -0,0 +1,292 @@
+/**
+ * Registration Controller
+ *
+ * Business logic for event sign-ups:
+ * - POST   /api/events/:id/register       - register or join the waitlist
+ * - DELETE /api/events/:id/register       - drop out (promotes the next waitlisted student)
+ * - GET    /api/events/:id/registrations  - registered and waitlisted lists for organisers
+ * - GET    /api/events/:id/registrations/export - the same lists as CSV / XLSX
+ */
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const ApiError = require('../utils/ApiError');
+const { startOfDay, formatDateOnly, formatLocalDateTime } = require('../utils/dates');
+const { parseExportFormat, toFileName, mapRows, sendTable } = require('../utils/spreadsheet');
+const { emailWaitlistPromoted } = require('../services/email/eventEmails');
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY = 11000;
+
+const alreadyRegistered = () =>
+  ApiError.conflict('ALREADY_REGISTERED', 'You are already registered or waitlisted for this event');
+
+/**
+ * Load an active, upcoming event or fail with a helpful error.
+ *
+ * Students register for single occurrences of a series (occurrence id
+ * "<seriesId>_YYYY-MM-DD"). Seats are counted per occurrence, so the
+ * occurrence gets its own document the first time someone registers.
+ */
+const loadOpenEvent = async (eventId) => {
+  const occurrence = Event.parseOccurrenceId(eventId);
+  let series = null;
+  let event = null;
+
+  if (occurrence) {
+    series = await Event.findById(occurrence.seriesId);
+    if (series && series.generatesDate(occurrence.date)) {
+      event = await Event.findOccurrence(eventId);
+    } else {
+      series = null;
+    }
+  } else if (mongoose.isValidObjectId(eventId)) {
+    event = await Event.findById(eventId);
+  }
+
+  const current = event || series;
+  if (!current) {
+    throw ApiError.notFound('Event not found');
+  }
+  if (current.recurrence && !occurrence) {
+    throw ApiError.badRequest('Register for a single occurrence of this series');
+  }
+  if (current.status !== 'active') {
+    throw ApiError.conflict('EVENT_CANCELLED', 'This event has been cancelled');
+  }
+  if ((event ? event.date : occurrence.date) < startOfDay(new Date())) {
+    throw ApiError.conflict('EVENT_CLOSED', 'Registration for past events is closed');
+  }
+
+  return event || Event.materializeOccurrence(series, occurrence.date);
+};
+
+/**
+ * Shape a registration for the student who owns it.
+ */
+const describeRegistration = async (registration) => ({
+  ...registration.toJSON(),
+  ...(registration.status === 'waitlisted' && {
+    waitlistPosition: await Registration.waitlistPosition(registration),
+  }),
+});
+
+/**
+ * REGISTER FOR EVENT
+ *
+ * POST /api/events/:id/register
+ * Takes a seat if one is free, otherwise joins the end of the waitlist.
+ */
+const register = async (req, res) => {
+  const event = await loadOpenEvent(req.params.id);
+  const userId = req.user._id;
+
+  const existing = await Registration.findOne({ eventId: event._id, userId });
+  if (existing && existing.status !== 'cancelled') {
+    throw alreadyRegistered();
+  }
+
+  // Seat check and increment are a single atomic update
+  const gotSeat = Boolean(await Event.claimSlot(event._id));
+  const now = new Date();
+  const fields = {
+    status: gotSeat ? 'registered' : 'waitlisted',
+    queuedAt: now,
+    ...(gotSeat && { registeredAt: now }),
+  };
+
+  let registration = null;
+  try {
+    registration = existing
+      ? await Registration.findOneAndUpdate(
+        { _id: existing._id, status: 'cancelled' },
+        {
+          $set: fields,
+          $unset: {
+            cancelledAt: 1,
+            promotedAt: 1,
+            checkInNonce: 1,
+            checkedInAt: 1,
+            checkedInBy: 1,
+            checkInRecordedAt: 1,
+          },
+        },
+        { new: true }
+      )
+      : await Registration.create({ eventId: event._id, userId, ...fields });
+  } catch (error) {
+    if (gotSeat) emailWaitlistPromoted(await Registration.releaseSeat(event._id));
+    throw error.code === DUPLICATE_KEY ? alreadyRegistered() : error;
+  }
+
+  // Another request from the same student won the race
+  if (!registration) {
+    if (gotSeat) emailWaitlistPromoted(await Registration.releaseSeat(event._id));
+    throw alreadyRegistered();
+  }
+
+  // A seat freed after the failed claim but before this student joined the
+  // waitlist found nobody waiting and was released; hand it out now
+  let promoted = [];
+  if (!gotSeat) {
+    promoted = await Registration.promoteFromWaitlist(event._id);
+    const self = promoted.find((entry) => entry._id.equals(registration._id));
+    if (self) {
+      registration = self;
+      promoted = promoted.filter((entry) => entry !== self);
+    }
+  }
+
+  res.status(201).json({
+    success: true,
+    message: registration.status === 'registered'
+      ? 'Registered for event'
+      : 'Event is full. You have been added to the waitlist.',
+    data: { registration: await describeRegistration(registration) },
+  });
+
+  emailWaitlistPromoted(promoted);
+};
+
+/**
+ * CANCEL REGISTRATION
+ *
+ * DELETE /api/events/:id/register
+ * Drops the student's registration or waitlist place. A freed seat goes
+ * to the first student on the waitlist.
+ */
+const unregister = async (req, res) => {
+  const event = await Event.findOccurrence(req.params.id);
+  if (!event) {
+    throw ApiError.notFound('Event not found');
+  }
+
+  // Returns the document as it was before the update, so we know whether it held a seat
+  const registration = await Registration.findOneAndUpdate(
+    { eventId: event._id, userId: req.user._id, status: { $ne: 'cancelled' } },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } }
+  );
+  if (!registration) {
+    throw ApiError.notFound('You are not registered for this event');
+  }
+
+  const promoted = registration.status === 'registered'
+    ? await Registration.releaseSeat(registration.eventId)
+    : [];
+
+  res.status(200).json({
+    success: true,
+    message: 'Registration cancelled',
+    data: { promotedCount: promoted.length },
+  });
+
+  emailWaitlistPromoted(promoted);
+};
+
+/**
+ * LIST REGISTRATIONS
+ *
+ * GET /api/events/:id/registrations
+ * Organiser view (club head of the owning club, OC, PR). The event is
+ * loaded by the ownership guard into `req.resource`.
+ */
+const listRegistrations = async (req, res) => {
+  const event = req.resource;
+
+  const registrations = await Registration.find({
+    eventId: event._id,
+    status: { $in: ['registered', 'waitlisted'] },
+  })
+    .sort({ queuedAt: 1, _id: 1 })
+    .populate('userId', 'name rollNumber');
+
+  const toEntry = (registration) => ({
+    id: registration._id,
+    user: registration.userId,
+    registeredAt: registration.registeredAt,
+    queuedAt: registration.queuedAt,
+  });
+
+  const registered = registrations.filter((r) => r.status === 'registered').map(toEntry);
+  const waitlist = registrations
+    .filter((r) => r.status === 'waitlisted')
+    .map((registration, index) => ({ ...toEntry(registration), position: index + 1 }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      eventId: event._id,
+      maxParticipants: event.maxParticipants,
+      counts: {
+        registered: registered.length,
+        waitlisted: waitlist.length,
+      },
+      registered,
+      waitlist,
+    },
+  });
+};
+
+const REGISTRATION_EXPORT_COLUMNS = [
+  { header: 'Roll number', key: 'rollNumber', width: 14 },
+  { header: 'Name', key: 'name', width: 28 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Waitlist position', key: 'position', width: 16 },
+  { header: 'Registered at', key: 'registeredAt', width: 18 },
+  { header: 'Checked in', key: 'checkedIn', width: 11 },
+  { header: 'Checked in at', key: 'checkedInAt', width: 18 },
+];
+
+/**
+ * Registered students (in registration order), then the waitlist in order.
+ */
+async function* registrationExportRows(eventId) {
+  const query = (status, sort) =>
+    Registration.find({ eventId, status }).sort(sort).populate('userId', 'name rollNumber').cursor();
+
+  const toRow = (registration, position) => ({
+    rollNumber: registration.userId && registration.userId.rollNumber,
+    name: registration.userId && registration.userId.name,
+    status: registration.status,
+    position,
+    registeredAt: formatLocalDateTime(registration.registeredAt || registration.queuedAt),
+    checkedIn: registration.checkedInAt ? 'Yes' : 'No',
+    checkedInAt: registration.checkedInAt && formatLocalDateTime(registration.checkedInAt),
+  });
+
+  yield* mapRows(query('registered', { registeredAt: 1, _id: 1 }), (registration) => toRow(registration));
+
+  let position = 0;
+  yield* mapRows(query('waitlisted', { queuedAt: 1, _id: 1 }), (registration) => {
+    position += 1;
+    return toRow(registration, position);
+  });
+}
+
+/**
+ * EXPORT REGISTRATIONS
+ *
+ * GET /api/events/:id/registrations/export?format=csv|xlsx
+ * Same people as listRegistrations, streamed as a spreadsheet (times in
+ * the college time zone). The event is loaded by the ownership guard.
+ */
+const exportRegistrations = async (req, res) => {
+  const event = req.resource;
+  const format = parseExportFormat(req.query.format);
+
+  await sendTable(res, {
+    format,
+    fileName: toFileName(event.title, formatDateOnly(event.date), 'registrations'),
+    sheetName: 'Registrations',
+    columns: REGISTRATION_EXPORT_COLUMNS,
+    rows: registrationExportRows(event._id),
+  });
+};
+
+module.exports = {
+  register,
+  unregister,
+  listRegistrations,
+  exportRegistrations,
+};
@@ -0,0 +1,179 @@
+/**
+ * Search Controller
+ *
+ * Business logic for GET /api/search: full-text search across events,
+ * clubs and broadcasts, using the text indexes on those models.
+ *
+ * Results are grouped by type and ranked by MongoDB's text score. Each
+ * result has `score` and `highlights` (utils/textSearch.js). Broadcasts are
+ * limited to the channels the caller can read, so club-only messages never
+ * reach non-members.
+ */
+
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Club = require('../models/Club');
+const Broadcast = require('../models/Broadcast');
+const ApiError = require('../utils/ApiError');
+const { parseDateOnly, addDays } = require('../utils/dates');
+const { parseSearchTerms, buildHighlights } = require('../utils/textSearch');
+const { readableFilter } = require('./broadcastController');
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+/**
+ * What each type searches: the model, the permission needed to see it (and
+ * for broadcasts, which of them), the fields snippets are taken from (most
+ * important first) and how the date range and club filters apply.
+ */
+const SEARCH_TYPES = {
+  events: {
+    model: Event,
+    permission: 'events:view',
+    fields: ['title', 'venue', 'description'],
+    // Events in the range, and series with an occurrence in it
+    dateFilter: (from, to) => ({
+      $or: [
+        {
+          recurrence: { $exists: false },
+          date: { ...(from && { $gte: from }), ...(to && { $lte: to }) },
+        },
+        {
+          recurrence: { $exists: true },
+          ...(to && { date: { $lte: to } }),
+          ...(from && { 'recurrence.until': { $not: { $lt: from } } }),
+        },
+      ],
+    }),
+    clubFilter: (clubId) => ({ clubId }),
+  },
+  clubs: {
+    model: Club,
+    permission: 'clubs:view',
+    fields: ['name', 'description'],
+    dateFilter: null,
+    clubFilter: (clubId) => ({ _id: clubId }),
+  },
+  broadcasts: {
+    model: Broadcast,
+    permission: 'broadcasts:read',
+    visibleTo: readableFilter,
+    fields: ['title', 'message'],
+    dateFilter: (from, to) => ({
+      createdAt: { ...(from && { $gte: from }), ...(to && { $lt: addDays(to, 1) }) },
+    }),
+    clubFilter: (clubId) => ({ clubId }),
+  },
+};
+
+const parseTypes = (value) => {
+  if (value === undefined || value === '') return null;
+
+  const types = String(value).split(',').map((type) => type.trim());
+  const unknown = types.filter((type) => !SEARCH_TYPES[type]);
+  if (unknown.length > 0) {
+    throw ApiError.badRequest(`type must be one or more of: ${Object.keys(SEARCH_TYPES).join(', ')}`);
+  }
+  return [...new Set(types)];
+};
+
+const parseLimit = (value) => {
+  if (value === undefined) return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw ApiError.badRequest(`limit must be a whole number between 1 and ${MAX_LIMIT}`);
+  }
+  return limit;
+};
+
+const parseDay = (value, name) => {
+  if (value === undefined) return null;
+  const date = parseDateOnly(value);
+  if (!date) {
+    throw ApiError.badRequest(`${name} must be a date in YYYY-MM-DD format`);
+  }
+  return date;
+};
+
+/**
+ * SEARCH
+ *
+ * GET /api/search?q=&type=&from=&to=&clubId=&limit=
+ * - q:      words, "exact phrases" and -excluded words
+ * - type:   events, clubs and/or broadcasts (comma-separated; default all)
+ * - from/to: YYYY-MM-DD, limits events (by date) and broadcasts (by posting day)
+ * - clubId: one club's events and broadcasts, or that club itself
+ * - limit:  results per type (default 10)
+ */
+const search = async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (q.length < MIN_QUERY_LENGTH || q.length > MAX_QUERY_LENGTH) {
+    throw ApiError.badRequest(
+      `q must be between ${MIN_QUERY_LENGTH} and ${MAX_QUERY_LENGTH} characters`
+    );
+  }
+
+  const requested = parseTypes(req.query.type);
+  const limit = parseLimit(req.query.limit);
+  const from = parseDay(req.query.from, 'from');
+  const to = parseDay(req.query.to, 'to');
+  if (from && to && to < from) {
+    throw ApiError.badRequest('to must be on or after from');
+  }
+
+  const { clubId } = req.query;
+  if (clubId !== undefined && !mongoose.isValidObjectId(clubId)) {
+    throw ApiError.badRequest('clubId must be a valid id');
+  }
+
+  // Types asked for by name must be allowed; otherwise skip the ones the caller cannot see
+  const types = (requested || Object.keys(SEARCH_TYPES)).filter((type) => {
+    if (req.can(SEARCH_TYPES[type].permission)) return true;
+    if (requested) throw ApiError.forbidden(`You do not have permission to search ${type}`);
+    return false;
+  });
+
+  const terms = parseSearchTerms(q);
+
+  const runSearch = async (type) => {
+    const { model, visibleTo, fields, dateFilter, clubFilter } = SEARCH_TYPES[type];
+    const conditions = [];
+
+    if (visibleTo) conditions.push(visibleTo(req));
+    if ((from || to) && dateFilter) conditions.push(dateFilter(from, to));
+    if (clubId) conditions.push(clubFilter(new mongoose.Types.ObjectId(clubId)));
+
+    const docs = await model
+      .find({ $text: { $search: q }, ...(conditions.length > 0 && { $and: conditions }) })
+      .select({ score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit);
+
+    return docs.map((doc) => {
+      const { score, ...result } = doc.toJSON();
+      return {
+        ...result,
+        score: Math.round(score * 1000) / 1000,
+        highlights: buildHighlights(result, fields, terms),
+      };
+    });
+  };
+
+  const results = await Promise.all(types.map(runSearch));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      query: q,
+      ...Object.fromEntries(types.map((type, index) => [type, results[index]])),
+    },
+  });
+};
+
+module.exports = {
+  search,
+};
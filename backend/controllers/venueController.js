@@ -0,0 +1,46 @@
+/**
+ * Venue Controller
+ *
+ * Business logic for the /api/venues routes. Venues are not stored as
+ * separate documents; availability is derived from the active events
+ * booked at a venue.
+ */
+
+const Event = require('../models/Event');
+const ApiError = require('../utils/ApiError');
+const { parseDateOnly } = require('../utils/dates');
+
+/**
+ * VENUE AVAILABILITY
+ *
+ * GET /api/venues/:name/availability?date=YYYY-MM-DD
+ * Returns the booked time slots of a venue on one day so the scheduling
+ * screen can grey them out.
+ */
+const getAvailability = async (req, res) => {
+  const date = parseDateOnly(req.query.date);
+  if (!date) {
+    throw ApiError.badRequest('date is required in YYYY-MM-DD format');
+  }
+
+  const bookings = await Event.findVenueBookings(req.params.name, date);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      venue: req.params.name,
+      date,
+      bookedSlots: bookings.map((event) => ({
+        eventId: event._id,
+        title: event.title,
+        clubName: event.clubName,
+        startTime: event.startTime,
+        endTime: event.endTime,
+      })),
+    },
+  });
+};
+
+module.exports = {
+  getAvailability,
+};
@@ -0,0 +1,133 @@
+/**
+ * Authentication Middleware
+ *
+ * Protects routes by requiring a valid JWT in the Authorization header:
+ *
+ *   Authorization: Bearer <token>
+ *
+ * On success the authenticated user document is attached to `req.user`,
+ * the decoded token payload to `req.auth` and the login session to
+ * `req.userSession`. Tokens whose session has been revoked are rejected
+ * immediately with SESSION_REVOKED, even if the JWT itself is still valid.
+ *
+ * Restricted tokens (issued while a user still has a default password)
+ * are rejected with PASSWORD_CHANGE_REQUIRED everywhere except on routes
+ * protected by `authenticateForPasswordChange`.
+ */
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiError = require('../utils/ApiError');
+const { verifyToken, TOKEN_SCOPES } = require('../utils/jwt');
+
+/**
+ * Extract the bearer token from the request headers.
+ *
+ * @param {object} req - Express request
+ * @returns {string|null} Raw token or null if missing
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Error returned when a restricted token is used outside change-password.
+ */
+const passwordChangeRequired = () =>
+  new ApiError(
+    403,
+    'PASSWORD_CHANGE_REQUIRED',
+    'You must change your default password before continuing',
+    { changePasswordUrl: '/api/auth/change-password' }
+  );
+
+/**
+ * Resolve a raw JWT to its user and login session.
+ *
+ * Shared by the HTTP middleware below and the WebSocket handshake
+ * (services/realtime.js).
+ *
+ * @param {string|null} token - Raw JWT
+ * @param {object} [options]
+ * @param {string[]} [options.allowedScopes] - Restricted token scopes to accept
+ * @returns {Promise<{ user, session, payload }>}
+ * @throws {ApiError} 401/403 describing why the token was rejected
+ */
+const authenticateToken = async (token, { allowedScopes = [] } = {}) => {
+  if (!token) {
+    throw ApiError.unauthorized('No authentication token provided');
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token);
+  } catch (error) {
+    const code = error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN';
+    throw ApiError.unauthorized('Invalid or expired authentication token', code);
+  }
+
+  if (payload.scope && !allowedScopes.includes(payload.scope)) {
+    throw passwordChangeRequired();
+  }
+
+  const session = payload.sid ? await Session.findById(payload.sid) : null;
+  if (!session || !session.isActive() || session.userId.toString() !== payload.sub) {
+    throw ApiError.unauthorized('This session has been signed out', 'SESSION_REVOKED');
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user) {
+    throw ApiError.unauthorized('User no longer exists', 'INVALID_TOKEN');
+  }
+
+  // A full token is not enough while the account still needs rotating
+  // (e.g. the password was reset back to a default by an admin)
+  if (user.isFirstLogin && !allowedScopes.includes(TOKEN_SCOPES.PASSWORD_CHANGE)) {
+    throw passwordChangeRequired();
+  }
+
+  return { user, session, payload };
+};
+
+/**
+ * AUTHENTICATE MIDDLEWARE FACTORY
+ *
+ * Verifies the JWT and loads the user it belongs to. Rejects the request
+ * with 401 if the token is missing, invalid, expired or the user no
+ * longer exists.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.allowedScopes] - Restricted token scopes accepted by this route
+ */
+const createAuthenticate = (options) => async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    const { user, session, payload } = await authenticateToken(token, options);
+
+    await session.touch();
+
+    req.user = user;
+    req.auth = { ...payload, token };
+    req.userSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Standard authentication: full access tokens only
+const authenticate = createAuthenticate();
+
+// Also accepts the restricted password-change token
+const authenticateForPasswordChange = createAuthenticate({
+  allowedScopes: [TOKEN_SCOPES.PASSWORD_CHANGE],
+});
+
+module.exports = {
+  authenticate,
+  authenticateForPasswordChange,
+  authenticateToken,
+  getBearerToken,
+};
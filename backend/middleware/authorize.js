@@ -0,0 +1,128 @@
+/**
+ * Authorization Middleware
+ *
+ * Role-based access control built on config/permissions.js. Must run after
+ * the authenticate middleware, which sets `req.user`.
+ *
+ * - permissionContext: app-level middleware that adds `req.can(permission)`
+ * - authorize(...permissions): route guard requiring every listed permission
+ * - authorizeOwnership(options): route guard for "own club vs any club" rules,
+ *   e.g. a club head may only edit their own club's events while PR may edit any
+ *
+ * Denials are reported as 403 FORBIDDEN with the missing permission in
+ * `error.details.missingPermission`.
+ */
+
+const ApiError = require('../utils/ApiError');
+const { hasPermission } = require('../config/permissions');
+
+const forbidden = (permission) =>
+  ApiError.forbidden('You do not have permission to perform this action', {
+    missingPermission: permission,
+  });
+
+/**
+ * Compare two ids that may be ObjectIds, strings or undefined.
+ */
+const sameId = (a, b) => Boolean(a && b && a.toString() === b.toString());
+
+/**
+ * Default ownership rule: the resource belongs to the club the user heads.
+ * Resources may reference their club as `clubId` or be a club themselves.
+ */
+const ownsClubResource = (user, resource) => {
+  const clubId = resource.clubId !== undefined ? resource.clubId : resource._id;
+  return sameId(user.clubId, clubId && clubId._id ? clubId._id : clubId);
+};
+
+/**
+ * PERMISSION CONTEXT
+ *
+ * Mounted once in server.js. Adds a `req.can(permission)` helper so route
+ * handlers can make finer-grained decisions (e.g. hide fields) without
+ * importing the permission table themselves.
+ */
+const permissionContext = (req, res, next) => {
+  req.can = (permission) => Boolean(req.user && hasPermission(req.user.role, permission));
+  next();
+};
+
+/**
+ * AUTHORIZE
+ *
+ * Route guard that requires the authenticated user to hold every listed
+ * permission.
+ *
+ * Usage:
+ *   router.post('/college', authenticate, authorize('broadcasts:college'), handler);
+ */
+const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return next(ApiError.unauthorized());
+  }
+
+  const missing = permissions.find((permission) => !hasPermission(req.user.role, permission));
+  if (missing) {
+    return next(forbidden(missing));
+  }
+
+  next();
+};
+
+/**
+ * AUTHORIZE OWNERSHIP
+ *
+ * Route guard for resources that belong to a club. The user passes if they
+ * hold the `<base>:any` permission, or hold `<base>:own` and own the resource.
+ * The loaded resource is stored on `req.resource` for the handler to reuse.
+ *
+ * @param {object} options
+ * @param {string} options.permission - Base permission, e.g. 'events:update'
+ * @param {function} options.load - async (req) => resource, or null if not found
+ * @param {function} [options.isOwner] - (user, resource) => boolean
+ *
+ * Usage:
+ *   router.put('/:id', authenticate, authorizeOwnership({
+ *     permission: 'events:update',
+ *     load: (req) => Event.findById(req.params.id),
+ *   }), handler);
+ */
+const authorizeOwnership = ({ permission, load, isOwner = ownsClubResource }) =>
+  async (req, res, next) => {
+    if (!req.user) {
+      return next(ApiError.unauthorized());
+    }
+
+    const anyPermission = `${permission}:any`;
+    const ownPermission = `${permission}:own`;
+    const canAny = hasPermission(req.user.role, anyPermission);
+    const canOwn = hasPermission(req.user.role, ownPermission);
+
+    if (!canAny && !canOwn) {
+      return next(forbidden(ownPermission));
+    }
+
+    try {
+      const resource = await load(req);
+      if (!resource) {
+        return next(ApiError.notFound());
+      }
+
+      if (!canAny && !isOwner(req.user, resource)) {
+        return next(forbidden(anyPermission));
+      }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+module.exports = {
+  permissionContext,
+  authorize,
+  authorizeOwnership,
+  ownsClubResource,
+  sameId,
+};
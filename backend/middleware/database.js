@@ -0,0 +1,27 @@
+/**
+ * Database Availability Guard
+ *
+ * While MongoDB is unreachable (starting up, or the connection dropped),
+ * API requests are answered straight away with 503 SERVICE_UNAVAILABLE and
+ * a Retry-After header instead of hanging until the query times out.
+ * See config/database.js for the connection manager.
+ */
+
+const ApiError = require('../utils/ApiError');
+const { isDatabaseReady, getRetryAfterSeconds } = require('../config/database');
+
+const requireDatabase = (req, res, next) => {
+  if (isDatabaseReady()) return next();
+
+  const retryAfter = getRetryAfterSeconds();
+  res.set('Retry-After', String(retryAfter));
+  next(
+    ApiError.serviceUnavailable('The database is unavailable, please try again shortly', {
+      retryAfter,
+    })
+  );
+};
+
+module.exports = {
+  requireDatabase,
+};
@@ -0,0 +1,94 @@
+/**
+ * Error Handling Middleware
+ *
+ * The last two handlers in server.js:
+ * - notFound: 404 NOT_FOUND for requests that matched no route
+ * - errorHandler: turns any error passed to next() (or thrown inside
+ *   asyncHandler) into the standard envelope
+ *
+ *   { success: false, error: { code, message, requestId, details? } }
+ *
+ * Errors raised via utils/ApiError carry their own status and code, e.g.
+ * 401 INVALID_CREDENTIALS, 401 TOKEN_EXPIRED, or 403 PASSWORD_CHANGE_REQUIRED
+ * when a first-login token is used anywhere except /api/auth/change-password.
+ *
+ * Every error response includes the request's `requestId`, so a report
+ * from the app can be matched with the server logs.
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+const notFound = (req, res) => {
+  res.status(404).json({
+    success: false,
+    error: {
+      code: 'NOT_FOUND',
+      message: 'Route not found',
+      requestId: req.id,
+      // Additional debugging info in development
+      ...(process.env.NODE_ENV === 'development' && {
+        requestedUrl: req.originalUrl,
+        method: req.method
+      })
+    }
+  });
+};
+
+// Express only treats middleware with four parameters as an error handler,
+// so the unused `_next` has to stay
+const errorHandler = (err, req, res, _next) => {
+
+  // Mongoose schema validation failures are client errors, not server errors
+  if (err instanceof mongoose.Error.ValidationError) {
+    err.status = 400;
+    err.code = 'VALIDATION_ERROR';
+    err.expose = true;
+    err.details = {
+      fields: Object.values(err.errors).map((fieldError) => ({
+        path: fieldError.path,
+        message: fieldError.message,
+      })),
+    };
+  }
+
+  // Server faults are logged with their stack; client errors are expected
+  const status = err.status || 500;
+  if (status >= 500) {
+    logger.error('Request failed', { error: err, method: req.method });
+  } else {
+    logger.warn('Request rejected', {
+      status,
+      code: err.code,
+      message: err.message,
+      method: req.method,
+    });
+  }
+
+  // Send appropriate error response
+  res.status(status).json({
+    success: false,
+    error: {
+      code: err.code || 'INTERNAL_SERVER_ERROR',
+      // In production, don't expose internal error details to clients
+      // (errors raised on purpose via ApiError set `expose` and are safe to show)
+      message: process.env.NODE_ENV === 'production' && !err.expose
+        ? 'Something went wrong!'
+        : err.message,
+      requestId: req.id,
+
+      // Extra context supplied by the code that raised the error
+      ...(err.details && { details: err.details }),
+
+      // Additional error details for development
+      ...(process.env.NODE_ENV === 'development' && {
+        stack: err.stack
+      })
+    }
+  });
+};
+
+module.exports = {
+  notFound,
+  errorHandler,
+};
@@ -0,0 +1,99 @@
+/**
+ * HTTP Metrics Middleware
+ *
+ * - httpMetrics: counts every request and times it, by method, route and
+ *   status (http_requests_total, http_request_duration_seconds)
+ * - rateLimitHandler: the rate limiter's rejection handler, counting
+ *   rejections (rate_limit_rejections_total)
+ * - requireMetricsToken: guards GET /metrics on the public server
+ *
+ * The metrics themselves are served by services/metrics.js.
+ */
+
+const crypto = require('crypto');
+const ApiError = require('../utils/ApiError');
+const { getBearerToken } = require('./auth');
+const { counter, histogram } = require('../utils/metrics');
+
+const requestsTotal = counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+});
+
+const requestDuration = histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time from receiving an HTTP request to finishing its response, in seconds',
+  labelNames: ['method', 'route', 'status'],
+});
+
+const rateLimitRejections = counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Requests rejected by the rate limiter',
+});
+
+// Label for requests that never reached a route (404s, rate limited, ...)
+const UNMATCHED_ROUTE = 'unmatched';
+
+/**
+ * The route pattern a request matched, e.g. /api/events/:id, so URLs with
+ * different ids share one series.
+ *
+ * Express resets req.baseUrl when an error leaves a router, so the mount
+ * path is taken from the URL instead: everything before the segments the
+ * route pattern covers.
+ */
+const routeLabel = (req) => {
+  if (!req.route || typeof req.route.path !== 'string') return UNMATCHED_ROUTE;
+
+  const routePath = req.route.path === '/' ? '' : req.route.path;
+  const segments = req.originalUrl.split('?')[0].replace(/(.)\/+$/, '$1').split('/');
+  const mountPath = segments.slice(0, segments.length - routePath.split('/').length + 1).join('/');
+
+  return `${mountPath}${routePath}` || '/';
+};
+
+const httpMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.once('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+    requestsTotal.inc(labels);
+    requestDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  });
+
+  next();
+};
+
+/**
+ * `handler` for express-rate-limit: the library's default response, counted.
+ */
+const rateLimitHandler = (req, res, next, options) => {
+  rateLimitRejections.inc();
+  res.status(options.statusCode).send(options.message);
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Allow GET /metrics only with "Authorization: Bearer <METRICS_TOKEN>".
+ * Without a METRICS_TOKEN the endpoint does not exist on the public server
+ * (use the internal METRICS_PORT listener instead).
+ */
+const requireMetricsToken = (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) return next(ApiError.notFound('Route not found'));
+
+  const token = getBearerToken(req);
+  // Compare digests so the check takes the same time whatever the token
+  if (!token || !crypto.timingSafeEqual(sha256(token), sha256(expected))) {
+    return next(ApiError.unauthorized('A valid metrics token is required'));
+  }
+  next();
+};
+
+module.exports = {
+  httpMetrics,
+  rateLimitHandler,
+  requireMetricsToken,
+};
@@ -0,0 +1,64 @@
+/**
+ * Request Logging Middleware
+ *
+ * Gives every request an id and logs it when the response is finished.
+ *
+ * - The id is taken from the client's X-Request-Id header when it looks
+ *   safe (so a request can be traced across services), otherwise a new
+ *   UUID. It is echoed in the X-Request-Id response header, stored as
+ *   `req.id`, added to error responses and to every log line written
+ *   while the request is handled (utils/logger.js).
+ * - One "Request completed" line per request, with its status and timing.
+ *   The query string is left out and secret path segments (personal
+ *   calendar links, push tokens) are masked. Health checks are logged at
+ *   debug level.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9._-]{8,100}$/;
+
+// Path segments that are secrets: personal calendar links and push tokens
+const SECRET_SEGMENTS = [/(?<=^\/api\/calendar\/personal\/)[^/]+(?=\.ics$)/, /(?<=^\/api\/devices\/)[^/]+$/];
+
+const log = logger.child({ component: 'http' });
+
+const loggedPath = (req) => {
+  const [pathname] = req.originalUrl.split('?');
+  return SECRET_SEGMENTS.reduce((result, pattern) => result.replace(pattern, '[REDACTED]'), pathname);
+};
+
+const requestLogger = (req, res, next) => {
+  const clientId = req.get(REQUEST_ID_HEADER);
+  req.id = clientId && CLIENT_ID_PATTERN.test(clientId) ? clientId : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const startedAt = process.hrtime.bigint();
+
+  res.once('finish', () => {
+    const path = loggedPath(req);
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: Number((process.hrtime.bigint() - startedAt) / 1000n) / 1000,
+      ...(req.user && { userId: req.user._id }),
+      ip: req.ip,
+    };
+    if (path.startsWith('/health')) {
+      log.debug('Request completed', fields);
+    } else {
+      log.info('Request completed', fields);
+    }
+  });
+
+  logger.runWithRequestId(req.id, next);
+};
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  requestLogger,
+};
@@ -0,0 +1,112 @@
+/**
+ * Request Validation Middleware
+ *
+ * Checks a route's params, query string and body against Joi schemas
+ * (declared per route area in validators/) before the controller runs.
+ *
+ * - Unknown fields are dropped from the query and body, and values are
+ *   converted where Joi can (e.g. "25" -> 25 for a number field)
+ * - Failures answer 400 VALIDATION_ERROR with every problem listed in
+ *   `error.details.fields` as { path, message }, the same shape used for
+ *   Mongoose validation errors, so the app can show each one on its input
+ * - The body is parsed here, with the schema's `bodyLimit` (default
+ *   DEFAULT_BODY_LIMIT); larger bodies get 413 PAYLOAD_TOO_LARGE. Routes
+ *   that also take a raw text body put textBody() in front.
+ *
+ * Controllers still check the rules that need the database or the
+ * signed-in user (e.g. whether a club exists, venue conflicts).
+ *
+ * Usage:
+ *   router.post('/', validate(schemas.createEvent), asyncHandler(controller.createEvent));
+ */
+
+const express = require('express');
+const ApiError = require('../utils/ApiError');
+
+const DEFAULT_BODY_LIMIT = '10kb';
+
+// Checked in this order, so params problems are listed first
+const SOURCES = ['params', 'query', 'body'];
+
+const JOI_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } },
+};
+
+/**
+ * Wrap a body parser so its failures are reported as ApiErrors.
+ */
+const reportParseErrors = (parser, limit) => (req, res, next) =>
+  parser(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.type === 'entity.too.large') {
+      return next(new ApiError(413, 'PAYLOAD_TOO_LARGE', `Request body must be at most ${limit}`));
+    }
+    if (error.type === 'entity.parse.failed') {
+      return next(ApiError.badRequest('Request body is not valid JSON'));
+    }
+    next(error);
+  });
+
+/**
+ * Body parsers with a size limit, reporting their failures as ApiErrors.
+ */
+const bodyParsers = (limit) =>
+  [express.json({ limit }), express.urlencoded({ extended: true, limit })].map((parser) =>
+    reportParseErrors(parser, limit)
+  );
+
+/**
+ * Parser for a raw text body (e.g. an uploaded CSV) of the given content
+ * types, with the same error handling.
+ *
+ * @param {object} options
+ * @param {string|string[]} options.type - Content types to read as text
+ * @param {string} options.limit - Largest accepted body, e.g. '5mb'
+ * @returns {Function} Middleware
+ */
+const textBody = ({ type, limit }) => reportParseErrors(express.text({ type, limit }), limit);
+
+/**
+ * Build the middleware for one route.
+ *
+ * @param {object} schemas
+ * @param {Joi.Schema} [schemas.params]
+ * @param {Joi.Schema} [schemas.query]
+ * @param {Joi.Schema} [schemas.body]
+ * @param {string} [schemas.bodyLimit] - Largest accepted body, e.g. '64kb'
+ * @returns {Function[]} Middleware to spread into the route definition
+ */
+const validate = (schemas) => {
+  const check = (req, res, next) => {
+    const fields = [];
+
+    SOURCES.forEach((source) => {
+      if (!schemas[source]) return;
+
+      const { value, error } = schemas[source].validate(req[source] || {}, JOI_OPTIONS);
+      if (error) {
+        error.details.forEach((detail) => {
+          fields.push({ path: detail.path.join('.'), message: detail.message });
+        });
+      } else if (source !== 'params') {
+        req[source] = value;
+      }
+    });
+
+    if (fields.length > 0) {
+      return next(ApiError.badRequest(fields[0].message, { fields }));
+    }
+    next();
+  };
+
+  return schemas.body ? [...bodyParsers(schemas.bodyLimit || DEFAULT_BODY_LIMIT), check] : [check];
+};
+
+module.exports = {
+  DEFAULT_BODY_LIMIT,
+  validate,
+  textBody,
+};
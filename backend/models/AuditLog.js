@@ -0,0 +1,149 @@
+/**
+ * Audit Log Model
+ *
+ * One entry per privileged change: who made it (and in which role), what
+ * it was made to, the fields that changed, and where the request came
+ * from. Entries are written by services/audit.js and read by PR through
+ * GET /api/admin/audit.
+ *
+ * The log is append-only: entries cannot be updated or deleted through
+ * the model. Cancelling an event stores a snapshot of it, so PR can
+ * restore it later (POST /api/admin/audit/:id/restore).
+ */
+
+const mongoose = require('mongoose');
+const { ROLES } = require('./User');
+
+const AUDIT_ACTIONS = [
+  'event.created',
+  'event.updated',
+  'event.cancelled',
+  'event.restored',
+  'membership.approved',
+  'membership.rejected',
+  'broadcast.created',
+  'broadcast.pinned',
+  'broadcast.unpinned',
+  'user.password_reset_issued',
+  'user.password_reset',
+  'user.role_changed',
+  'students.imported',
+];
+
+const TARGET_TYPES = ['event', 'user', 'broadcast'];
+
+// Query helpers that would change or remove entries
+const WRITE_OPERATIONS = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+];
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+
+    // Who made the change, as they were at the time
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    actorName: String,
+    actorRole: {
+      type: String,
+      enum: ROLES,
+    },
+
+    // What was changed (label is a readable name, e.g. the event title)
+    targetType: {
+      type: String,
+      enum: TARGET_TYPES,
+      required: true,
+    },
+    targetId: mongoose.Schema.Types.ObjectId,
+    targetLabel: String,
+
+    // Club the change belongs to, if any
+    clubId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Club',
+    },
+
+    // Fields that changed: [{ field, before, after }]
+    changes: {
+      type: [
+        new mongoose.Schema(
+          {
+            field: String,
+            before: mongoose.Schema.Types.Mixed,
+            after: mongoose.Schema.Types.Mixed,
+          },
+          { _id: false }
+        ),
+      ],
+      default: undefined,
+    },
+
+    // Anything else worth keeping (e.g. the scope of a series edit)
+    details: mongoose.Schema.Types.Mixed,
+
+    // Cancelled events: the event as it was, for restoring
+    snapshot: mongoose.Schema.Types.Mixed,
+
+    ipAddress: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * INDEXES
+ *
+ * The audit screen reads newest first with (createdAt, _id) cursors,
+ * optionally narrowed to one actor, target or club.
+ */
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+auditLogSchema.index({ clubId: 1, createdAt: -1 });
+
+/**
+ * APPEND-ONLY
+ */
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be changed'));
+  }
+  next();
+});
+
+auditLogSchema.pre(WRITE_OPERATIONS, function (next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+});
+
+auditLogSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
+module.exports.TARGET_TYPES = TARGET_TYPES;
@@ -0,0 +1,109 @@
+/**
+ * Broadcast Model
+ *
+ * A message posted to a channel:
+ * - 'college': college-wide announcements (PR), readable by everyone
+ * - 'club':    a club's own channel (club head / PR), readable by its members
+ *
+ * Urgent messages are highlighted by the app, and pinned messages are kept
+ * at the top of the channel. Read receipts live in BroadcastRead;
+ * `readCount` is maintained atomically alongside them.
+ */
+
+const mongoose = require('mongoose');
+
+const CHANNELS = ['college', 'club'];
+
+const broadcastSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: CHANNELS,
+      required: true,
+    },
+
+    // Club channel only (denormalised name for display)
+    clubId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Club',
+    },
+    clubName: String,
+
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 150,
+    },
+
+    message: {
+      type: String,
+      required: [true, 'Message is required'],
+      trim: true,
+      maxlength: 5000,
+    },
+
+    isUrgent: {
+      type: Boolean,
+      default: false,
+    },
+
+    isPinned: {
+      type: Boolean,
+      default: false,
+    },
+    pinnedAt: Date,
+
+    // Sender (denormalised name for display)
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    authorName: String,
+
+    // Number of distinct readers, maintained together with BroadcastRead
+    readCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * INDEXES
+ *
+ * Channel feeds are read newest first with (createdAt, _id) cursors.
+ */
+broadcastSchema.index({ channel: 1, clubId: 1, createdAt: -1, _id: -1 });
+broadcastSchema.index({ channel: 1, clubId: 1, isPinned: 1 });
+
+// Full-text search (GET /api/search)
+broadcastSchema.index(
+  { title: 'text', message: 'text' },
+  { name: 'broadcast_search', weights: { title: 5, message: 1 } }
+);
+
+broadcastSchema.pre('validate', function (next) {
+  if (this.channel === 'club' && !this.clubId) {
+    this.invalidate('clubId', 'Club is required for club broadcasts');
+  }
+  next();
+});
+
+broadcastSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Broadcast = mongoose.model('Broadcast', broadcastSchema);
+
+module.exports = Broadcast;
+module.exports.CHANNELS = CHANNELS;
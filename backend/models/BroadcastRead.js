@@ -0,0 +1,70 @@
+/**
+ * Broadcast Read Receipt Model
+ *
+ * One document per (broadcast, reader), so senders can see how far a
+ * message reached ("312 of 540 members read").
+ */
+
+const mongoose = require('mongoose');
+const Broadcast = require('./Broadcast');
+
+const broadcastReadSchema = new mongoose.Schema({
+  broadcastId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Broadcast',
+    required: true,
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  readAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * INDEXES
+ */
+broadcastReadSchema.index({ broadcastId: 1, userId: 1 }, { unique: true });
+broadcastReadSchema.index({ userId: 1, broadcastId: 1 });
+
+/**
+ * Record that a user read a broadcast (idempotent). The broadcast's
+ * readCount only goes up the first time.
+ *
+ * @returns {Promise<boolean>} true if this was the user's first read
+ */
+broadcastReadSchema.statics.markRead = async function (broadcastId, userId) {
+  let result;
+  try {
+    result = await this.updateOne(
+      { broadcastId, userId },
+      { $setOnInsert: { readAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent request recorded the same read first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  if (result.upsertedCount !== 1) return false;
+
+  await Broadcast.updateOne({ _id: broadcastId }, { $inc: { readCount: 1 } });
+  return true;
+};
+
+// Ids (as strings) of the given broadcasts that the user has read
+broadcastReadSchema.statics.readIds = async function (broadcastIds, userId) {
+  const reads = await this.find({ broadcastId: { $in: broadcastIds }, userId }).select('broadcastId');
+  return new Set(reads.map((read) => read.broadcastId.toString()));
+};
+
+const BroadcastRead = mongoose.model('BroadcastRead', broadcastReadSchema);
+
+module.exports = BroadcastRead;
@@ -0,0 +1,84 @@
+/**
+ * Calendar Feed Model
+ *
+ * The secret link to a user's personal calendar feed (the events they are
+ * registered for). Calendar apps cannot send a login token, so the link
+ * itself is the credential: only a SHA-256 hash of its token is stored,
+ * each user has at most one link, and replacing or revoking it stops the
+ * old link working straight away.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const calendarFeedSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // SHA-256 (hex) of the token in the feed URL
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+
+    // When the current link was created
+    issuedAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Last time a calendar app fetched the feed
+    lastAccessedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * INDEXES
+ */
+calendarFeedSchema.index({ userId: 1 }, { unique: true });
+calendarFeedSchema.index({ tokenHash: 1 }, { unique: true });
+
+/**
+ * STATIC METHODS
+ */
+
+calendarFeedSchema.statics.hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create the user's feed link, replacing any earlier one.
+ *
+ * @returns {Promise<{ feed: object, token: string }>} The plain token is only available here
+ */
+calendarFeedSchema.statics.issue = async function (userId) {
+  const token = crypto.randomBytes(24).toString('base64url');
+
+  const feed = await this.findOneAndUpdate(
+    { userId },
+    {
+      $set: { tokenHash: this.hashToken(token), issuedAt: new Date() },
+      $unset: { lastAccessedAt: 1 },
+    },
+    { upsert: true, new: true }
+  );
+
+  return { feed, token };
+};
+
+/**
+ * Look up a feed by the token in its URL.
+ */
+calendarFeedSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: this.hashToken(token) });
+};
+
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+module.exports = CalendarFeed;
@@ -0,0 +1,62 @@
+/**
+ * Club Model
+ *
+ * A college club. Each club is run by a club head (a council account with
+ * role 'club_head' whose `clubId` points back to this club). Events and
+ * club broadcasts belong to a club.
+ */
+
+const mongoose = require('mongoose');
+
+const clubSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Club name is required'],
+      trim: true,
+      maxlength: 100,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+
+    // Council account that manages this club
+    clubHead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * INDEXES
+ */
+clubSchema.index(
+  { name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } } // case-insensitive uniqueness
+);
+
+// Full-text search (GET /api/search)
+clubSchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'club_search', weights: { name: 10, description: 1 } }
+);
+
+clubSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Club = mongoose.model('Club', clubSchema);
+
+module.exports = Club;
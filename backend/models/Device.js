@@ -0,0 +1,70 @@
+/**
+ * Device Model
+ *
+ * A phone registered for push notifications. The app obtains an Expo push
+ * token (expo-notifications) after login and registers it with
+ * POST /api/devices. A token belongs to one user at a time; registering it
+ * again (e.g. after a different student logs in on the same phone) moves it.
+ */
+
+const mongoose = require('mongoose');
+
+// "ExponentPushToken[...]" or "ExpoPushToken[...]"
+const EXPO_TOKEN_PATTERN = /^Expo(nent)?PushToken\[[^\]]+\]$/;
+
+const deviceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    token: {
+      type: String,
+      required: [true, 'Push token is required'],
+      trim: true,
+      match: [EXPO_TOKEN_PATTERN, 'Push token must be an Expo push token'],
+    },
+
+    platform: {
+      type: String,
+      enum: ['ios', 'android', 'web', 'unknown'],
+      default: 'unknown',
+    },
+
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+
+    lastRegisteredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * INDEXES
+ */
+deviceSchema.index({ token: 1 }, { unique: true });
+deviceSchema.index({ userId: 1 });
+
+deviceSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Device = mongoose.model('Device', deviceSchema);
+
+module.exports = Device;
+module.exports.EXPO_TOKEN_PATTERN = EXPO_TOKEN_PATTERN;
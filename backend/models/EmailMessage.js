@@ -0,0 +1,105 @@
+/**
+ * Email Message Model (outbox)
+ *
+ * Every email is rendered and stored here before it is sent, so a message
+ * survives SMTP outages and server restarts. The worker in services/email
+ * claims pending messages, sends them and retries failures with backoff.
+ *
+ * STATUSES
+ * - pending: waiting to be sent (or to be retried at nextAttemptAt)
+ * - sending: claimed by a worker until lockedUntil
+ * - sent:    delivered to the mail server (removed after RETENTION_SECONDS)
+ * - failed:  gave up (kept for inspection)
+ *
+ * Sent and failed messages keep only the recipient, template and subject:
+ * text and html are unset then, since they may contain a reset link.
+ */
+
+const mongoose = require('mongoose');
+
+const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// How long sent messages are kept
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const emailMessageSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+    },
+
+    // Template the message was rendered from, e.g. 'passwordReset'
+    template: {
+      type: String,
+      required: true,
+    },
+
+    subject: {
+      type: String,
+      required: true,
+    },
+    // Both unset once the message is sent or failed
+    text: {
+      type: String,
+      required: true,
+    },
+    html: String,
+
+    status: {
+      type: String,
+      enum: EMAIL_STATUSES,
+      default: 'pending',
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedUntil: Date,
+    lastError: String,
+    sentAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * INDEXES
+ */
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+/**
+ * Claim the next message that is due, for `lockMs` milliseconds. Messages
+ * left in 'sending' by a crashed worker are picked up again once their
+ * lock expires.
+ *
+ * @returns {Promise<object|null>}
+ */
+emailMessageSchema.statics.claimNext = function (lockMs) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: { status: 'sending', lockedUntil: new Date(now.getTime() + lockMs) },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+
+module.exports = EmailMessage;
+module.exports.EMAIL_STATUSES = EMAIL_STATUSES;
@@ -0,0 +1,498 @@
+/**
+ * Event Model
+ *
+ * A club event shown on the college calendar. Events are stored as a
+ * calendar day (`date`, UTC midnight) with "HH:mm" start/end times.
+ *
+ * Events are never hard-deleted: cancelling sets `status: 'cancelled'` so
+ * students who registered can still see what happened.
+ *
+ * RECURRING SERIES
+ * A series is stored once, as an event with a `recurrence` rule whose
+ * `date` is the first occurrence. Occurrences are expanded when the
+ * calendar is read (utils/recurrence.js) and have ids of the form
+ * "<seriesId>_YYYY-MM-DD".
+ *
+ * An occurrence gets its own document when it needs one: it was edited or
+ * cancelled on its own, or students registered for it. That document is a
+ * normal event with `seriesId` + `originalDate`, and its original date is
+ * added to the series' `exdates` so it is not expanded a second time.
+ */
+
+const mongoose = require('mongoose');
+const { isValidTime, toMinutes, formatDateOnly, parseDateOnly } = require('../utils/dates');
+const { FREQUENCIES, expandOccurrences, isOccurrence } = require('../utils/recurrence');
+
+const EVENT_STATUSES = ['active', 'cancelled'];
+
+/**
+ * Which part of a series an edit or cancellation applies to:
+ * - this:      only the addressed occurrence (default)
+ * - following: the addressed occurrence and every later one
+ * - all:       the whole series
+ */
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
+// "<seriesId>_YYYY-MM-DD"
+const OCCURRENCE_ID_PATTERN = /^([0-9a-f]{24})_(\d{4}-\d{2}-\d{2})$/i;
+
+// Fields an occurrence inherits from its series
+const SERIES_FIELDS = [
+  'title',
+  'description',
+  'clubId',
+  'clubName',
+  'startTime',
+  'endTime',
+  'venue',
+  'venueKey',
+  'maxParticipants',
+  'status',
+  'createdBy',
+];
+
+// Recurrence rule, validated by normalizeRecurrence() before it is stored
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      required: true,
+    },
+    interval: {
+      type: Number,
+      default: 1,
+    },
+    byWeekday: {
+      type: [Number],
+      default: undefined,
+    },
+    until: Date,
+    count: Number,
+  },
+  { _id: false }
+);
+
+const eventSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Event title is required'],
+      trim: true,
+      maxlength: 150,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 5000,
+    },
+
+    // Owning club (denormalised name for calendar display)
+    clubId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Club',
+      required: [true, 'Club is required'],
+    },
+    clubName: {
+      type: String,
+      trim: true,
+    },
+
+    // Calendar day of the event (UTC midnight)
+    date: {
+      type: Date,
+      required: [true, 'Event date is required'],
+    },
+
+    // Local times in 24-hour "HH:mm" format
+    startTime: {
+      type: String,
+      required: [true, 'Start time is required'],
+      validate: [isValidTime, 'Start time must be in HH:mm format'],
+    },
+    endTime: {
+      type: String,
+      required: [true, 'End time is required'],
+      validate: [isValidTime, 'End time must be in HH:mm format'],
+    },
+
+    venue: {
+      type: String,
+      required: [true, 'Venue is required'],
+      trim: true,
+      maxlength: 150,
+    },
+
+    // Normalised venue name used for double-booking checks (set automatically)
+    venueKey: String,
+
+    maxParticipants: {
+      type: Number,
+      required: [true, 'Maximum participants is required'],
+      min: [1, 'Maximum participants must be at least 1'],
+      validate: [Number.isInteger, 'Maximum participants must be a whole number'],
+    },
+
+    // Confirmed registrations, maintained atomically by claimSlot/releaseSlot
+    registeredCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    status: {
+      type: String,
+      enum: EVENT_STATUSES,
+      default: 'active',
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    // Cancellation details (set when status becomes 'cancelled')
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    // Series only: the repeat rule and the occurrence dates that have their own document
+    recurrence: recurrenceSchema,
+    exdates: {
+      type: [Date],
+      default: undefined,
+    },
+
+    // Materialised occurrence only: its series and the date it was generated for
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+    },
+    originalDate: Date,
+
+    // Edited or cancelled on its own ("this one only"); series-wide edits skip it
+    detached: Boolean,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * INDEXES
+ *
+ * Compound (date, clubId) index backs the calendar range query
+ * GET /api/events?from=&to=&clubId=
+ */
+eventSchema.index({ date: 1, clubId: 1 });
+
+// Venue availability / double-booking lookups
+eventSchema.index({ venueKey: 1, date: 1 });
+
+// Full-text search (GET /api/search), titles ranked above venues and descriptions
+eventSchema.index(
+  { title: 'text', venue: 'text', description: 'text' },
+  { name: 'event_search', weights: { title: 10, venue: 3, description: 1 } }
+);
+
+// At most one document per occurrence of a series
+eventSchema.index(
+  { seriesId: 1, originalDate: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $exists: true } } }
+);
+
+/**
+ * Normalise a venue name so "Auditorium", " auditorium " and "AUDITORIUM"
+ * are treated as the same place.
+ */
+const toVenueKey = (venue) => String(venue).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * VALIDATION
+ *
+ * Keeps venueKey in sync with venue and checks that the end time comes
+ * after the start time.
+ */
+eventSchema.pre('validate', function (next) {
+  if (this.venue) {
+    this.venueKey = toVenueKey(this.venue);
+  }
+
+  if (
+    isValidTime(this.startTime) &&
+    isValidTime(this.endTime) &&
+    toMinutes(this.endTime) <= toMinutes(this.startTime)
+  ) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+  next();
+});
+
+const toOccurrenceId = (seriesId, date) => `${seriesId}_${formatDateOnly(date)}`;
+
+const byDateAndTime = (a, b) =>
+  a.date - b.date || a.startTime.localeCompare(b.startTime);
+
+/**
+ * INSTANCE METHODS (series)
+ */
+
+// Occurrence dates in [from, to] that are not materialised as their own document
+eventSchema.methods.occurrenceDates = function ({ from, to } = {}) {
+  return expandOccurrences(this.date, this.recurrence, { from, to, exdates: this.exdates });
+};
+
+// Whether the rule generates `date`, even if it has since been materialised
+eventSchema.methods.generatesDate = function (date) {
+  return Boolean(this.recurrence) && isOccurrence(this.date, this.recurrence, date);
+};
+
+/**
+ * A virtual occurrence as sent to clients: the series' fields on one date.
+ */
+eventSchema.methods.toOccurrence = function (date) {
+  const occurrence = this.toJSON();
+  delete occurrence.exdates;
+  return {
+    ...occurrence,
+    id: toOccurrenceId(this._id, date),
+    date,
+    seriesId: this._id,
+    originalDate: date,
+    registeredCount: 0,
+  };
+};
+
+/**
+ * STATIC METHODS
+ */
+
+/**
+ * Split an occurrence id into its series id and date.
+ *
+ * @returns {{ seriesId: string, date: Date }|null}
+ */
+eventSchema.statics.parseOccurrenceId = function (id) {
+  const match = OCCURRENCE_ID_PATTERN.exec(String(id));
+  const date = match && parseDateOnly(match[2]);
+  return date ? { seriesId: match[1], date } : null;
+};
+
+/**
+ * Events and series occurrences on the calendar between two days.
+ *
+ * @param {object} range
+ * @param {Date} range.from
+ * @param {Date} range.to
+ * @param {object} [range.filter] - Extra conditions (e.g. clubId)
+ * @returns {Promise<object[]>} Client-ready events, in date and time order
+ */
+eventSchema.statics.findInRange = async function ({ from, to, filter = {} }) {
+  const [events, series] = await Promise.all([
+    this.find({ ...filter, date: { $gte: from, $lte: to }, recurrence: { $exists: false } }),
+    this.find({
+      ...filter,
+      recurrence: { $exists: true },
+      date: { $lte: to },
+      'recurrence.until': { $not: { $lt: from } },
+    }),
+  ]);
+
+  const occurrences = series.flatMap((item) =>
+    item.occurrenceDates({ from, to }).map((date) => item.toOccurrence(date))
+  );
+
+  return events
+    .map((event) => event.toJSON())
+    .concat(occurrences)
+    .sort(byDateAndTime);
+};
+
+/**
+ * Resolve an event id for registration and attendance: a normal event id,
+ * or an occurrence id whose occurrence has its own document.
+ *
+ * @returns {Promise<object|null>}
+ */
+eventSchema.statics.findOccurrence = function (id) {
+  const occurrence = this.parseOccurrenceId(id);
+  if (occurrence) {
+    return this.findOne({ seriesId: occurrence.seriesId, originalDate: occurrence.date });
+  }
+  return mongoose.isValidObjectId(id) ? this.findById(id) : null;
+};
+
+// The series' fields that an occurrence document starts out with
+const seriesFields = (series) => {
+  const fields = {};
+  SERIES_FIELDS.forEach((field) => {
+    if (series[field] !== undefined) fields[field] = series[field];
+  });
+  return fields;
+};
+
+/**
+ * The occurrence document materializeOccurrence() would create, without
+ * writing it. It behaves like a loaded document (only later changes count
+ * as modified), so an edit can be checked before anything is written.
+ *
+ * @param {object} series - Series event document
+ * @param {Date} date - Occurrence date
+ * @returns {object} Occurrence document (never saved)
+ */
+eventSchema.statics.buildOccurrence = function (series, date) {
+  return this.hydrate({
+    ...seriesFields(series),
+    _id: new mongoose.Types.ObjectId(),
+    seriesId: series._id,
+    originalDate: date,
+    date,
+    detached: false,
+  });
+};
+
+/**
+ * Give one occurrence of a series its own document (idempotent).
+ *
+ * @param {object} series - Series event document
+ * @param {Date} date - Occurrence date
+ * @returns {Promise<object>} The occurrence document
+ */
+eventSchema.statics.materializeOccurrence = async function (series, date) {
+  const fields = seriesFields(series);
+  const filter = { seriesId: series._id, originalDate: date };
+  let occurrence;
+  try {
+    occurrence = await this.findOneAndUpdate(
+      filter,
+      { $setOnInsert: { ...fields, date, detached: false } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Two requests materialised the same occurrence at once; use the winner's
+    if (error.code !== 11000) throw error;
+    occurrence = await this.findOne(filter);
+  }
+
+  await this.updateOne({ _id: series._id }, { $addToSet: { exdates: date } });
+  if (!series.exdates) series.exdates = [];
+  if (!series.exdates.some((exdate) => exdate.getTime() === date.getTime())) {
+    series.exdates.push(date);
+  }
+
+  return occurrence;
+};
+
+/**
+ * Active bookings of a venue that overlap a time window on any of the
+ * given days, including occurrences of recurring series. Times are
+ * zero-padded "HH:mm" strings, so comparing them as strings gives the same
+ * result as comparing them as times.
+ *
+ * @param {object} slot
+ * @param {string} slot.venue
+ * @param {Date[]} slot.dates - Calendar days (UTC midnight)
+ * @param {string} [slot.startTime] - "HH:mm" (omit for the whole day)
+ * @param {string} [slot.endTime] - "HH:mm"
+ * @param {ObjectId[]} [slot.excludeIds] - Events or series to ignore (the ones being edited)
+ * @returns {Promise<object[]>} Events and occurrences ({ _id, title, clubName, date, startTime, endTime })
+ */
+eventSchema.statics.findVenueConflicts = async function ({
+  venue,
+  dates,
+  startTime,
+  endTime,
+  excludeIds = [],
+}) {
+  if (dates.length === 0) return [];
+
+  const times = dates.map((date) => date.getTime());
+  const first = new Date(Math.min(...times));
+  const last = new Date(Math.max(...times));
+  const wanted = new Set(times);
+
+  const base = {
+    venueKey: toVenueKey(venue),
+    status: 'active',
+    ...(startTime && endTime && { startTime: { $lt: endTime }, endTime: { $gt: startTime } }),
+    ...(excludeIds.length > 0 && { _id: { $nin: excludeIds } }),
+  };
+
+  const [events, series] = await Promise.all([
+    this.find({ ...base, date: { $in: dates }, recurrence: { $exists: false } }),
+    this.find({
+      ...base,
+      recurrence: { $exists: true },
+      date: { $lte: last },
+      'recurrence.until': { $not: { $lt: first } },
+    }),
+  ]);
+
+  const occurrences = series.flatMap((item) =>
+    item
+      .occurrenceDates({ from: first, to: last })
+      .filter((date) => wanted.has(date.getTime()))
+      .map((date) => ({
+        _id: toOccurrenceId(item._id, date),
+        title: item.title,
+        clubName: item.clubName,
+        date,
+        startTime: item.startTime,
+        endTime: item.endTime,
+      }))
+  );
+
+  return [...events, ...occurrences].sort(byDateAndTime);
+};
+
+// Active bookings of a venue on one day, in time order
+eventSchema.statics.findVenueBookings = function (venue, date) {
+  return this.findVenueConflicts({ venue, dates: [date] });
+};
+
+/**
+ * Atomically take one seat if the event is active and not full.
+ * The capacity check and the increment happen in a single update, so
+ * concurrent registrations can never push registeredCount past maxParticipants.
+ *
+ * @returns {Promise<object|null>} Updated event, or null if no seat was available
+ */
+eventSchema.statics.claimSlot = function (eventId) {
+  return this.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: 'active',
+      $expr: { $lt: ['$registeredCount', '$maxParticipants'] },
+    },
+    { $inc: { registeredCount: 1 } },
+    { new: true }
+  );
+};
+
+// Give a seat back (never below zero)
+eventSchema.statics.releaseSlot = function (eventId) {
+  return this.findOneAndUpdate(
+    { _id: eventId, registeredCount: { $gt: 0 } },
+    { $inc: { registeredCount: -1 } },
+    { new: true }
+  );
+};
+
+eventSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.venueKey;
+    return ret;
+  },
+});
+
+const Event = mongoose.model('Event', eventSchema);
+
+module.exports = Event;
+module.exports.EVENT_STATUSES = EVENT_STATUSES;
+module.exports.SERIES_SCOPES = SERIES_SCOPES;
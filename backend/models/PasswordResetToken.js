@@ -0,0 +1,88 @@
+/**
+ * Password Reset Token Model
+ *
+ * One document per issued reset token. Only a SHA-256 hash of the token is
+ * stored, so a leaked database cannot be used to reset passwords. Tokens
+ * are single-use and expire after a short time; MongoDB removes them a day
+ * after they expire (the recent ones are kept to rate-limit requests).
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// How long expired tokens are kept before MongoDB removes them
+const RETENTION_SECONDS = 24 * 60 * 60;
+
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // SHA-256 (hex) of the token sent to the user
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+
+    // How the token reaches the user: emailed, or handed over by an admin
+    channel: {
+      type: String,
+      enum: ['email', 'admin'],
+      required: true,
+    },
+
+    // Admin who issued the token (channel 'admin')
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Set when the token is used, or when a newer token replaces it
+    usedAt: Date,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * INDEXES
+ */
+passwordResetTokenSchema.index({ tokenHash: 1 }, { unique: true });
+passwordResetTokenSchema.index({ userId: 1, createdAt: -1 });
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+/**
+ * STATIC METHODS
+ */
+
+passwordResetTokenSchema.statics.hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Mark a token as used if it is still valid. The check and the update are
+ * one atomic operation, so a token can never be used twice.
+ *
+ * @param {string} token - Plain token from the reset link
+ * @returns {Promise<object|null>} The token document, or null if invalid, used or expired
+ */
+passwordResetTokenSchema.statics.consume = function (token) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { tokenHash: this.hashToken(token), usedAt: { $exists: false }, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
+module.exports = PasswordResetToken;
@@ -0,0 +1,44 @@
+/**
+ * Realtime Message Model
+ *
+ * Every message pushed over the WebSocket (services/realtime.js) is also
+ * stored here for a few days. A client that reconnects sends the cursor
+ * of the last message it saw and is sent everything it missed from this
+ * collection, so pushes survive dropped connections and server restarts.
+ */
+
+const mongoose = require('mongoose');
+
+// How long messages stay available for catching up after a reconnect
+const RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const realtimeMessageSchema = new mongoose.Schema({
+  // Room the message was published to: 'college', 'club:<id>' or 'user:<id>'
+  room: {
+    type: String,
+    required: true,
+  },
+
+  // Message type, e.g. 'broadcast.created', 'event.updated'
+  type: {
+    type: String,
+    required: true,
+  },
+
+  data: mongoose.Schema.Types.Mixed,
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * INDEXES
+ */
+realtimeMessageSchema.index({ room: 1, createdAt: 1, _id: 1 });
+realtimeMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+const RealtimeMessage = mongoose.model('RealtimeMessage', realtimeMessageSchema);
+
+module.exports = RealtimeMessage;
@@ -0,0 +1,188 @@
+/**
+ * Registration Model
+ *
+ * One document per (event, student). A registration is either confirmed
+ * ('registered'), queued ('waitlisted') or dropped ('cancelled'). Dropped
+ * registrations are kept so a student can sign up again later.
+ *
+ * Seats are counted on Event.registeredCount and taken/released with the
+ * atomic Event.claimSlot / Event.releaseSlot helpers. The waitlist is
+ * ordered by `queuedAt` (the time the student entered their current status).
+ *
+ * Confirmed registrations can be checked in once at the door, which turns
+ * a sign-up into an attendance record.
+ */
+
+const mongoose = require('mongoose');
+const Event = require('./Event');
+
+const REGISTRATION_STATUSES = ['registered', 'waitlisted', 'cancelled'];
+
+const registrationSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: REGISTRATION_STATUSES,
+      required: true,
+    },
+
+    // When the student entered their current status (waitlist order)
+    queuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Time of the (latest) confirmed registration
+    registeredAt: Date,
+
+    // Set when a waitlisted student was moved into a freed seat
+    promotedAt: Date,
+
+    cancelledAt: Date,
+
+    // Current check-in token nonce (see utils/checkInTokens.js); never sent to clients
+    checkInNonce: String,
+
+    // Attendance: when the QR code was scanned (may be an offline scan synced later),
+    // by which organiser, and when the server recorded it
+    checkedInAt: Date,
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    checkInRecordedAt: Date,
+
+    // Reminder pushes already sent for this registration (e.g. '24h', '1h')
+    remindersSent: {
+      type: [String],
+      default: undefined,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * INDEXES
+ */
+registrationSchema.index({ eventId: 1, userId: 1 }, { unique: true });
+registrationSchema.index({ eventId: 1, status: 1, queuedAt: 1 });
+registrationSchema.index({ userId: 1, status: 1 });
+
+/**
+ * STATIC METHODS
+ */
+
+/**
+ * Move the first waitlisted student into a seat that is already held
+ * (i.e. already counted in Event.registeredCount).
+ *
+ * @returns {Promise<object|null>} Promoted registration, or null if nobody is waiting
+ */
+registrationSchema.statics.promoteNext = function (eventId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { eventId, status: 'waitlisted' },
+    { $set: { status: 'registered', registeredAt: now, promotedAt: now, queuedAt: now } },
+    { sort: { queuedAt: 1, _id: 1 }, new: true }
+  );
+};
+
+/**
+ * Fill free seats from the front of the waitlist.
+ *
+ * Each iteration first claims a seat atomically, then moves the oldest
+ * waitlisted student into it. If nobody is waiting the seat is released
+ * again. This keeps registeredCount correct even when cancellations and
+ * new registrations race each other.
+ *
+ * @param {ObjectId} eventId
+ * @returns {Promise<object[]>} Registrations that were promoted
+ */
+registrationSchema.statics.promoteFromWaitlist = async function (eventId) {
+  const promoted = [];
+
+  while (await Event.claimSlot(eventId)) {
+    const registration = await this.promoteNext(eventId);
+    if (!registration) {
+      await Event.releaseSlot(eventId);
+      break;
+    }
+    promoted.push(registration);
+  }
+
+  return promoted;
+};
+
+/**
+ * Hand the seat of a dropped registration to the waitlist.
+ *
+ * The seat goes straight to the first waitlisted student without being
+ * released first, so a brand-new registration cannot jump the queue.
+ *
+ * @returns {Promise<object[]>} Registrations that were promoted
+ */
+registrationSchema.statics.releaseSeat = async function (eventId) {
+  const next = await this.promoteNext(eventId);
+  if (next) return [next];
+
+  await Event.releaseSlot(eventId);
+  // Someone may have joined the waitlist while we were releasing the seat
+  return this.promoteFromWaitlist(eventId);
+};
+
+/**
+ * Claim the next confirmed registration of an event that has not had the
+ * given reminder yet, marking it as sent in the same atomic update so a
+ * reminder is never delivered twice (even with several servers running).
+ *
+ * @returns {Promise<object|null>} Registration, or null when everyone has been reminded
+ */
+registrationSchema.statics.claimReminder = function (eventId, reminder) {
+  return this.findOneAndUpdate(
+    { eventId, status: 'registered', remindersSent: { $ne: reminder } },
+    { $addToSet: { remindersSent: reminder } },
+    { new: true }
+  );
+};
+
+// 1-based position of a waitlisted registration
+registrationSchema.statics.waitlistPosition = async function (registration) {
+  const ahead = await this.countDocuments({
+    eventId: registration.eventId,
+    status: 'waitlisted',
+    $or: [
+      { queuedAt: { $lt: registration.queuedAt } },
+      { queuedAt: registration.queuedAt, _id: { $lt: registration._id } },
+    ],
+  });
+  return ahead + 1;
+};
+
+registrationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.checkInNonce;
+    return ret;
+  },
+});
+
+const Registration = mongoose.model('Registration', registrationSchema);
+
+module.exports = Registration;
+module.exports.REGISTRATION_STATUSES = REGISTRATION_STATUSES;
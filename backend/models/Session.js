@@ -0,0 +1,122 @@
+/**
+ * Session Model
+ *
+ * One document per login. The session id is embedded in the JWT as the
+ * `sid` claim, which lets the auth middleware reject tokens whose session
+ * was revoked without waiting for the token itself to expire.
+ *
+ * Council accounts are shared by club officers, so the number of active
+ * sessions per council account is capped (MAX_COUNCIL_SESSIONS).
+ */
+
+const mongoose = require('mongoose');
+
+// Only touch lastSeenAt when it is older than this, to avoid a write per request
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // Free-form device description (sent by the app or taken from User-Agent)
+    deviceInfo: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: 'Unknown device',
+    },
+
+    ipAddress: String,
+
+    loginTime: {
+      type: Date,
+      default: Date.now,
+    },
+
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Set when the session is revoked (logout, remote revoke, eviction)
+    revokedAt: Date,
+    revokedReason: String,
+
+    // Mirrors the JWT expiry; MongoDB removes the document after this time
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+/**
+ * INDEXES
+ */
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * INSTANCE METHODS
+ */
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.revoke = function (reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Record activity, at most once per LAST_SEEN_RESOLUTION_MS
+sessionSchema.methods.touch = function () {
+  if (Date.now() - this.lastSeenAt.getTime() < LAST_SEEN_RESOLUTION_MS) {
+    return Promise.resolve(this);
+  }
+  this.lastSeenAt = new Date();
+  return this.save();
+};
+
+/**
+ * STATIC METHODS
+ */
+
+// Active sessions for a user, most recently used first
+sessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Revoke every active session of a user (e.g. after a password change),
+// optionally keeping one session (the one making the request) alive
+sessionSchema.statics.revokeAllForUser = function (userId, reason = 'revoked', { except } = {}) {
+  return this.updateMany(
+    { userId, revokedAt: { $exists: false }, ...(except && { _id: { $ne: except } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+sessionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,325 @@
+/**
+ * User Model
+ *
+ * Represents every account in the system. A single collection holds both
+ * kinds of users:
+ * - Students: identified by name + roll number (role 'student')
+ * - Council members: identified by club name (roles 'club_head', 'pr', 'oc')
+ *
+ * Passwords are always stored as bcrypt hashes. The pre-save hook hashes
+ * any new or modified password, so controllers can simply assign the
+ * plain-text value and call save().
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+
+/**
+ * ROLE DEFINITIONS
+ *
+ * - student:   regular student account
+ * - club_head: head of a single club (council login)
+ * - pr:        Public Relations council member (administrative access)
+ * - oc:        Organising Committee council member
+ */
+const ROLES = ['student', 'club_head', 'pr', 'oc'];
+const COUNCIL_ROLES = ['club_head', 'pr', 'oc'];
+
+/**
+ * CLUB MEMBERSHIP STATES (enrolledClubs[].status)
+ *
+ * - pending:  join request waiting for the club head
+ * - active:   member of the club
+ * - rejected: request turned down (the student may ask again)
+ * - inactive: left the club (the student may ask to rejoin)
+ */
+const MEMBERSHIP_STATUSES = ['pending', 'active', 'rejected', 'inactive'];
+
+// Decisions a club head can make on a pending request
+const MEMBERSHIP_DECISIONS = ['approve', 'reject'];
+
+// bcrypt cost factor (see design document: "bcrypt with salt rounds of 12")
+const SALT_ROUNDS = 12;
+
+const userSchema = new mongoose.Schema(
+  {
+    // Display name (students log in with name + roll number)
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+    },
+
+    // Roll number - students only, stored upper-case for consistent lookups
+    rollNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+
+    // Contact email (optional) - used for password resets and event notices
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email must be a valid email address'],
+    },
+
+    // Club name - council members only (used as their login identifier)
+    clubName: {
+      type: String,
+      trim: true,
+    },
+
+    // Club headed by this council member (used for ownership checks)
+    clubId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Club',
+    },
+
+    // bcrypt hash of the password (never returned to clients)
+    password: {
+      type: String,
+      required: [true, 'Password is required'],
+      select: false,
+    },
+
+    role: {
+      type: String,
+      enum: ROLES,
+      default: 'student',
+    },
+
+    // True until the user replaces their initial default password
+    isFirstLogin: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Clubs the student belongs to or asked to join (students can be in several clubs).
+    // At most one entry per club; its status moves through MEMBERSHIP_STATUSES.
+    enrolledClubs: [
+      {
+        clubId: { type: mongoose.Schema.Types.ObjectId, ref: 'Club' },
+        joinedDate: Date,
+        status: { type: String, enum: MEMBERSHIP_STATUSES, default: 'active' },
+        requestedAt: Date,
+        decidedAt: Date,
+        decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        leftAt: Date,
+      },
+    ],
+
+    // Clubs whose push notifications the user has muted
+    mutedClubs: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Club' }],
+
+    lastActive: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * INDEXES
+ *
+ * Roll numbers and club names are unique login identifiers. They are
+ * partial indexes because each only applies to one kind of account.
+ */
+userSchema.index(
+  { rollNumber: 1 },
+  { unique: true, partialFilterExpression: { rollNumber: { $type: 'string' } } }
+);
+userSchema.index(
+  { clubName: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { clubName: { $type: 'string' } },
+    collation: { locale: 'en', strength: 2 }, // case-insensitive uniqueness
+  }
+);
+userSchema.index({ 'enrolledClubs.clubId': 1 });
+
+/**
+ * FIELD VALIDATION
+ *
+ * Students must have a roll number; council members must have a club name.
+ */
+userSchema.pre('validate', function (next) {
+  if (this.role === 'student' && !this.rollNumber) {
+    this.invalidate('rollNumber', 'Roll number is required for students');
+  }
+  if (COUNCIL_ROLES.includes(this.role) && !this.clubName) {
+    this.invalidate('clubName', 'Club name is required for council members');
+  }
+  next();
+});
+
+/**
+ * PASSWORD HASHING
+ *
+ * Hash the password whenever it is set or changed.
+ */
+userSchema.pre('save', async function (next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * INSTANCE METHODS
+ */
+
+// Compare a plain-text candidate against the stored hash
+userSchema.methods.comparePassword = function (candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+userSchema.methods.isCouncilMember = function () {
+  return COUNCIL_ROLES.includes(this.role);
+};
+
+// This user's membership entry for a club (or undefined)
+userSchema.methods.getMembership = function (clubId) {
+  return (this.enrolledClubs || []).find(
+    (entry) => entry.clubId && entry.clubId.toString() === clubId.toString()
+  );
+};
+
+/**
+ * STATIC METHODS (club membership)
+ *
+ * Membership lives on the student's own document, so every change below is
+ * a single atomic update: approving a request adds the member and updates
+ * the student's enrolled clubs in one step, and the status filters make
+ * concurrent duplicate requests or decisions no-ops.
+ */
+
+/**
+ * Ask to join a club. Creates a pending entry, or re-opens a rejected or
+ * left one.
+ *
+ * @returns {Promise<boolean>} false if a request is already pending or the
+ *   student is already a member
+ */
+userSchema.statics.requestMembership = async function (userId, clubId) {
+  const now = new Date();
+
+  const created = await this.updateOne(
+    { _id: userId, 'enrolledClubs.clubId': { $ne: clubId } },
+    { $push: { enrolledClubs: { clubId, status: 'pending', requestedAt: now } } }
+  );
+  if (created.modifiedCount === 1) return true;
+
+  const reopened = await this.updateOne(
+    {
+      _id: userId,
+      enrolledClubs: { $elemMatch: { clubId, status: { $in: ['rejected', 'inactive'] } } },
+    },
+    {
+      $set: { 'enrolledClubs.$.status': 'pending', 'enrolledClubs.$.requestedAt': now },
+      $unset: {
+        'enrolledClubs.$.joinedDate': 1,
+        'enrolledClubs.$.decidedAt': 1,
+        'enrolledClubs.$.decidedBy': 1,
+        'enrolledClubs.$.leftAt': 1,
+      },
+    }
+  );
+  return reopened.modifiedCount === 1;
+};
+
+/**
+ * Approve or reject a pending request.
+ *
+ * @returns {Promise<object|null>} Updated user, or null if there was no pending request
+ */
+userSchema.statics.decideMembership = function (userId, clubId, { approve, decidedBy }) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { _id: userId, enrolledClubs: { $elemMatch: { clubId, status: 'pending' } } },
+    {
+      $set: {
+        'enrolledClubs.$.status': approve ? 'active' : 'rejected',
+        'enrolledClubs.$.decidedAt': now,
+        'enrolledClubs.$.decidedBy': decidedBy,
+        ...(approve && { 'enrolledClubs.$.joinedDate': now }),
+      },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Leave a club, or withdraw a pending request.
+ *
+ * @returns {Promise<boolean>} false if the student was not a member or applicant
+ */
+userSchema.statics.leaveClub = async function (userId, clubId) {
+  const result = await this.updateOne(
+    { _id: userId, enrolledClubs: { $elemMatch: { clubId, status: { $in: ['active', 'pending'] } } } },
+    { $set: { 'enrolledClubs.$.status': 'inactive', 'enrolledClubs.$.leftAt': new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Member and pending-request counts for a set of clubs.
+ *
+ * @param {ObjectId[]} clubIds
+ * @returns {Promise<Map<string, { members: number, pending: number }>>}
+ */
+userSchema.statics.countMemberships = async function (clubIds) {
+  const rows = await this.aggregate([
+    { $match: { 'enrolledClubs.clubId': { $in: clubIds } } },
+    { $unwind: '$enrolledClubs' },
+    {
+      $match: {
+        'enrolledClubs.clubId': { $in: clubIds },
+        'enrolledClubs.status': { $in: ['active', 'pending'] },
+      },
+    },
+    {
+      $group: {
+        _id: { clubId: '$enrolledClubs.clubId', status: '$enrolledClubs.status' },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const counts = new Map(clubIds.map((id) => [id.toString(), { members: 0, pending: 0 }]));
+  rows.forEach(({ _id, count }) => {
+    const entry = counts.get(_id.clubId.toString());
+    if (entry) entry[_id.status === 'active' ? 'members' : 'pending'] = count;
+  });
+  return counts;
+};
+
+/**
+ * JSON SERIALISATION
+ *
+ * Strip the password hash and internal fields before sending to clients.
+ */
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.password;
+    return ret;
+  },
+});
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
+module.exports.ROLES = ROLES;
+module.exports.COUNCIL_ROLES = COUNCIL_ROLES;
+module.exports.MEMBERSHIP_STATUSES = MEMBERSHIP_STATUSES;
+module.exports.MEMBERSHIP_DECISIONS = MEMBERSHIP_DECISIONS;
+module.exports.SALT_ROUNDS = SALT_ROUNDS;
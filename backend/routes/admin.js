@@ -0,0 +1,41 @@
+/**
+ * Admin Routes
+ *
+ * Mounted at /api/admin in server.js. Every route requires the
+ * 'admin:access' permission (PR).
+ */
+
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { validate, textBody } = require('../middleware/validate');
+const adminController = require('../controllers/adminController');
+const schemas = require('../validators/admin');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin:access'));
+
+router.post(
+  '/users/:id/password-reset',
+  validate(schemas.issuePasswordReset),
+  asyncHandler(adminController.issuePasswordReset)
+);
+
+router.put('/users/:id/role', validate(schemas.changeRole), asyncHandler(adminController.changeRole));
+
+// Roster import; CSV is sent as the raw request body (or as JSON { csv })
+router.post(
+  '/import/students',
+  textBody({ type: ['text/csv', 'text/plain'], limit: schemas.importStudents.bodyLimit }),
+  validate(schemas.importStudents),
+  asyncHandler(adminController.importStudents)
+);
+
+// Audit log
+router.get('/audit', validate(schemas.listAudit), asyncHandler(adminController.listAudit));
+router.get('/audit/:id', validate(schemas.auditEntry), asyncHandler(adminController.getAuditEntry));
+router.post('/audit/:id/restore', validate(schemas.restoreEvent), asyncHandler(adminController.restoreEvent));
+
+module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * Authentication Routes
+ *
+ * Mounted at /api/auth in server.js.
+ */
+
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { authenticate, authenticateForPasswordChange } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const authController = require('../controllers/authController');
+const schemas = require('../validators/auth');
+
+const router = express.Router();
+
+// Public login endpoints
+router.post('/student-login', validate(schemas.studentLogin), asyncHandler(authController.studentLogin));
+router.post('/council-login', validate(schemas.councilLogin), asyncHandler(authController.councilLogin));
+
+// Public password recovery
+router.post('/forgot-password', validate(schemas.forgotPassword), asyncHandler(authController.forgotPassword));
+router.post('/reset-password', validate(schemas.resetPassword), asyncHandler(authController.resetPassword));
+
+// Protected endpoints
+router.get('/verify-token', authenticate, asyncHandler(authController.verifyToken));
+router.get('/sessions', authenticate, asyncHandler(authController.listSessions));
+router.delete(
+  '/sessions/:id',
+  authenticate,
+  validate(schemas.revokeSession),
+  asyncHandler(authController.revokeSession)
+);
+
+// Reachable with the restricted token handed out on first login
+router.post(
+  '/change-password',
+  authenticateForPasswordChange,
+  validate(schemas.changePassword),
+  asyncHandler(authController.changePassword)
+);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+/**
+ * Broadcast Routes
+ *
+ * Mounted at /api/broadcasts in server.js. All routes require
+ * authentication. Posting is limited by config/permissions.js
+ * (college: PR; club: the club's head or PR); club channels are only
+ * readable by members (checked in the controller).
+ */
+
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { authenticate } = require('../middleware/auth');
+const { authorize, authorizeOwnership } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const broadcastController = require('../controllers/broadcastController');
+const schemas = require('../validators/broadcasts');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// College-wide channel
+router.get(
+  '/college',
+  authorize('broadcasts:read'),
+  validate(schemas.listCollege),
+  asyncHandler(broadcastController.listCollege)
+);
+router.post(
+  '/college',
+  authorize('broadcasts:college'),
+  validate(schemas.postCollege),
+  asyncHandler(broadcastController.postCollege)
+);
+
+// Club channels
+router.get(
+  '/club/:clubId',
+  authorize('broadcasts:read'),
+  validate(schemas.listClub),
+  asyncHandler(broadcastController.listClub)
+);
+router.post(
+  '/club/:clubId',
+  validate(schemas.postClub),
+  authorizeOwnership({ permission: 'broadcasts:club', load: broadcastController.loadClub }),
+  asyncHandler(broadcastController.postClub)
+);
+
+// Read receipts and pinning
+router.post(
+  '/:id/read',
+  authorize('broadcasts:read'),
+  validate(schemas.markRead),
+  asyncHandler(broadcastController.markRead)
+);
+router.put(
+  '/:id/pin',
+  authorize('broadcasts:read'),
+  validate(schemas.setPinned),
+  asyncHandler(broadcastController.setPinned)
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Calendar Routes
+ *
+ * Mounted at /api/calendar in server.js. The .ics feeds are fetched by
+ * calendar apps, which cannot log in: the college and club feeds are
+ * public and the personal feed is protected by its secret link. Managing
+ * that link requires authentication.
+ */
+
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const calendarController = require('../controllers/calendarController');
+const schemas = require('../validators/calendar');
+
+const router = express.Router();
+
+// Subscribable feeds
+router.get('/college.ics', asyncHandler(calendarController.collegeFeed));
+router.get('/clubs/:id.ics', validate(schemas.clubFeed), asyncHandler(calendarController.clubFeed));
+router.get(
+  '/personal/:token.ics',
+  validate(schemas.personalFeed),
+  asyncHandler(calendarController.personalFeed)
+);
+
+// The caller's personal feed link
+const signedIn = [authenticate, authorize('events:view')];
+router.get('/personal', signedIn, asyncHandler(calendarController.getPersonalFeed));
+router.post('/personal', signedIn, asyncHandler(calendarController.createPersonalFeed));
+router.delete('/personal', signedIn, asyncHandler(calendarController.revokePersonalFeed));
+
+module.exports = router;
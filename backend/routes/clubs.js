@@ -0,0 +1,60 @@
+/**
+ * Club Routes
+ *
+ * Mounted at /api/clubs in server.js. All routes require authentication.
+ * Students join and leave clubs; club heads (own club) and PR (any club)
+ * review join requests and see the roster.
+ */
+
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { authenticate } = require('../middleware/auth');
+const { authorize, authorizeOwnership } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const clubController = require('../controllers/clubController');
+const schemas = require('../validators/clubs');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', authorize('clubs:view'), asyncHandler(clubController.listClubs));
+
+// Declared before the /:id routes
+router.get('/my-clubs', authorize('clubs:view'), asyncHandler(clubController.myClubs));
+
+// Student membership actions
+router.post(
+  '/:id/join-request',
+  authorize('clubs:join'),
+  validate(schemas.clubRoute),
+  asyncHandler(clubController.requestToJoin)
+);
+router.post(
+  '/:id/leave',
+  authorize('clubs:join'),
+  validate(schemas.clubRoute),
+  asyncHandler(clubController.leaveClub)
+);
+
+// Club head / PR: approve or reject a request, view the roster
+router.put(
+  '/:id/membership/:userId',
+  validate(schemas.decideMembership),
+  authorizeOwnership({ permission: 'clubs:manage', load: clubController.loadClub }),
+  asyncHandler(clubController.decideMembership)
+);
+router.get(
+  '/:id/members',
+  validate(schemas.clubRoute),
+  authorizeOwnership({ permission: 'clubs:manage', load: clubController.loadClub }),
+  asyncHandler(clubController.listMembers)
+);
+router.get(
+  '/:id/members/export',
+  validate(schemas.exportMembers),
+  authorizeOwnership({ permission: 'clubs:manage', load: clubController.loadClub }),
+  asyncHandler(clubController.exportMembers)
+);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+/**
+ * Device Routes
+ *
+ * Mounted at /api/devices in server.js. Every signed-in user can register
+ * the phone they are using for push notifications.
+ */
+
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const notificationController = require('../controllers/notificationController');
+const schemas = require('../validators/notifications');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.post('/', validate(schemas.registerDevice), asyncHandler(notificationController.registerDevice));
+router.delete('/:token', validate(schemas.removeDevice), asyncHandler(notificationController.removeDevice));
+
+module.exports = router;
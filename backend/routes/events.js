@@ -0,0 +1,116 @@
+/**
+ * Event Routes
+ *
+ * Mounted at /api/events in server.js. All routes require authentication;
+ * writes are guarded by the ownership rules in config/permissions.js
+ * (club heads: own club only, PR: any club).
+ *
+ * `:id` is an event id, or "<seriesId>_YYYY-MM-DD" for one occurrence of a
+ * recurring series. PUT/DELETE take a `scope` (this / following / all)
+ * for occurrences.
+ *
+ * Requests are validated (validators/events.js) after permission checks
+ * but before ownership guards, whose loaders read the request.
+ */
+
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { authenticate } = require('../middleware/auth');
+const { authorize, authorizeOwnership } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const eventController = require('../controllers/eventController');
+const registrationController = require('../controllers/registrationController');
+const attendanceController = require('../controllers/attendanceController');
+const schemas = require('../validators/events');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Calendar range query
+router.get('/', authorize('events:view'), validate(schemas.listEvents), asyncHandler(eventController.listEvents));
+
+// Public key for verifying check-in QR codes offline (declared before /:id routes)
+router.get('/check-in/public-key', authorize('events:view'), asyncHandler(attendanceController.getPublicKey));
+
+// Create: the target club comes from the body (PR) or the user's own club (club head)
+router.post(
+  '/',
+  validate(schemas.createEvent),
+  authorizeOwnership({
+    permission: 'events:create',
+    load: (req) => ({ clubId: req.body.clubId || req.user.clubId }),
+  }),
+  asyncHandler(eventController.createEvent)
+);
+
+router.put(
+  '/:id',
+  validate(schemas.updateEvent),
+  authorizeOwnership({ permission: 'events:update', load: eventController.loadEvent }),
+  asyncHandler(eventController.updateEvent)
+);
+
+// Soft cancel (status: 'cancelled')
+router.delete(
+  '/:id',
+  validate(schemas.cancelEvent),
+  authorizeOwnership({ permission: 'events:delete', load: eventController.loadEvent }),
+  asyncHandler(eventController.cancelEvent)
+);
+
+// Student sign-ups (seat or waitlist)
+router.post(
+  '/:id/register',
+  authorize('events:register'),
+  validate(schemas.eventRoute),
+  asyncHandler(registrationController.register)
+);
+router.delete(
+  '/:id/register',
+  authorize('events:register'),
+  validate(schemas.eventRoute),
+  asyncHandler(registrationController.unregister)
+);
+
+// Organiser view of registered and waitlisted students
+router.get(
+  '/:id/registrations',
+  validate(schemas.eventRoute),
+  authorizeOwnership({ permission: 'events:registrations', load: eventController.loadOccurrence }),
+  asyncHandler(registrationController.listRegistrations)
+);
+router.get(
+  '/:id/registrations/export',
+  validate(schemas.exportList),
+  authorizeOwnership({ permission: 'events:registrations', load: eventController.loadOccurrence }),
+  asyncHandler(registrationController.exportRegistrations)
+);
+
+// QR check-in: students fetch their code, organisers scan it
+router.get(
+  '/:id/check-in-token',
+  authorize('events:register'),
+  validate(schemas.eventRoute),
+  asyncHandler(attendanceController.getCheckInToken)
+);
+router.post(
+  '/:id/check-in',
+  validate(schemas.checkIn),
+  authorizeOwnership({ permission: 'events:checkin', load: eventController.loadOccurrence }),
+  asyncHandler(attendanceController.checkIn)
+);
+router.get(
+  '/:id/attendance',
+  validate(schemas.eventRoute),
+  authorizeOwnership({ permission: 'events:registrations', load: eventController.loadOccurrence }),
+  asyncHandler(attendanceController.getAttendance)
+);
+router.get(
+  '/:id/attendance/export',
+  validate(schemas.exportList),
+  authorizeOwnership({ permission: 'events:registrations', load: eventController.loadOccurrence }),
+  asyncHandler(attendanceController.exportAttendance)
+);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+/**
+ * Notification Routes
+ *
+ * Mounted at /api/notifications in server.js. Per-user push preferences.
+ */
+
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const notificationController = require('../controllers/notificationController');
+const schemas = require('../validators/notifications');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/preferences', asyncHandler(notificationController.getPreferences));
+router.put(
+  '/preferences',
+  validate(schemas.updatePreferences),
+  asyncHandler(notificationController.updatePreferences)
+);
+
+module.exports = router;
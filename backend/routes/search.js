@@ -0,0 +1,21 @@
+/**
+ * Search Routes
+ *
+ * Mounted at /api/search in server.js. Requires authentication; each
+ * result type is limited by its own permission (checked in the controller).
+ */
+
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const searchController = require('../controllers/searchController');
+const schemas = require('../validators/search');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', validate(schemas.search), asyncHandler(searchController.search));
+
+module.exports = router;
@@ -0,0 +1,25 @@
+/**
+ * Venue Routes
+ *
+ * Mounted at /api/venues in server.js.
+ */
+
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const venueController = require('../controllers/venueController');
+const schemas = require('../validators/venues');
+
+const router = express.Router();
+
+router.get(
+  '/:name/availability',
+  authenticate,
+  authorize('events:view'),
+  validate(schemas.getAvailability),
+  asyncHandler(venueController.getAvailability)
+);
+
+module.exports = router;
@@ -3,7 +3,7 @@
  * 
  * This is the main Express.js server file that handles:
  * - API routing and middleware configuration
- * - Database connection management
+ * - Database connection management (config/database.js)
  * - Security and rate limiting
  * - Error handling and graceful shutdown
  * 
@@ -13,15 +13,46 @@
 
 // Import required dependencies
 const express = require('express');        // Web framework for Node.js
-const mongoose = require('mongoose');      // MongoDB object modeling library
 const cors = require('cors');              // Cross-Origin Resource Sharing middleware
 const helmet = require('helmet');          // Security middleware for HTTP headers
 const rateLimit = require('express-rate-limit'); // Rate limiting middleware
-require('dotenv').config();                // Load environment variables from .env file
+require('dotenv').config();                // Load environment variables from .env file (before the app modules read them)
+const { permissionContext } = require('./middleware/authorize'); // Role-based access control
+const { requestLogger } = require('./middleware/requestLogger');
+const { httpMetrics, rateLimitHandler, requireMetricsToken } = require('./middleware/metrics');
+const { requireDatabase } = require('./middleware/database');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { connectDB, closeDB, getDatabaseStatus } = require('./config/database');
+const { attachRealtime, closeRealtime } = require('./services/realtime');
+const { startReminderScheduler, stopReminderScheduler } = require('./services/notifications/reminders');
+const { startEmailWorker, stopEmailWorker } = require('./services/email');
+const { registerShutdownHook, handleShutdownSignals, isShuttingDown } = require('./services/lifecycle');
+const { METRICS_PATH, serveMetrics, startMetricsServer, stopMetricsServer } = require('./services/metrics');
+const asyncHandler = require('./utils/asyncHandler');
+const logger = require('./utils/logger');
 
 // Initialize Express application
 const app = express();
 
+/**
+ * REQUEST IDS AND LOGGING
+ *
+ * First, so every response (even a rate-limit rejection) carries an
+ * X-Request-Id header and every request is logged. See
+ * middleware/requestLogger.js and utils/logger.js.
+ */
+app.use(requestLogger);
+
+/**
+ * METRICS
+ *
+ * Every request is counted and timed. GET /metrics serves them in the
+ * Prometheus format to scrapers holding METRICS_TOKEN; it comes before the
+ * rate limiter so scrapes are never limited. See services/metrics.js.
+ */
+app.use(httpMetrics);
+app.get(METRICS_PATH, requireMetricsToken, asyncHandler(serveMetrics));
+
 /**
  * SECURITY MIDDLEWARE CONFIGURATION
  * 
@@ -48,6 +79,9 @@ const limiter = rateLimit({
   // Error message sent when rate limit is exceeded
   message: 'Too many requests from this IP, please try again later.',
 
+  // Sends `message`, counting the rejection for /metrics
+  handler: rateLimitHandler,
+
   // Additional options for production use:
   // - standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   // - legacyHeaders: false,  // Disable the `X-RateLimit-*` headers
@@ -74,77 +108,91 @@ app.use(cors({
 }));
 
 /**
- * BODY PARSING MIDDLEWARE
- * 
- * These middleware functions parse incoming request bodies and make them
- * available under req.body property. The limit prevents DoS attacks
- * through large payloads.
+ * BODY PARSING
+ *
+ * Request bodies are parsed per route, together with their validation
+ * (middleware/validate.js), so each route accepts only the size it needs:
+ * 10kb by default, more for event descriptions, check-in syncs and roster
+ * imports. Routes that take no body never parse one.
  */
 
-// Parse JSON payloads (for API requests with JSON data)
-app.use(express.json({
-  limit: '10mb',  // Limit JSON payload size to prevent memory exhaustion
-  // Additional options:
-  // strict: true,     // Only parse arrays and objects
-  // type: 'application/json', // Only parse specific content types
-}));
+/**
+ * AUTHORIZATION CONTEXT
+ *
+ * Adds `req.can(permission)` to every request. The actual route guards
+ * (authorize / authorizeOwnership in middleware/authorize.js) are attached
+ * per route after `authenticate`, using the role table in config/permissions.js.
+ */
+app.use(permissionContext);
 
-// Parse URL-encoded payloads (for form submissions)
-app.use(express.urlencoded({
-  extended: true,  // Use qs library for parsing (supports nested objects)
-  limit: '10mb'    // Limit payload size
-}));
+/**
+ * DATABASE CONNECTION
+ *
+ * Connects in the background, retrying with backoff until MongoDB is
+ * reachable (see config/database.js); the server starts either way.
+ */
+connectDB();
 
 /**
- * DATABASE CONNECTION FUNCTION
+ * API ROOT ENDPOINT
  * 
- * Establishes connection to MongoDB Atlas using Mongoose.
- * Uses async/await pattern for better error handling and readability.
+ * Provides basic information about the API.
+ * Useful for API discovery and documentation purposes.
+ * Registered before the database guard below, since it needs no database.
  */
-const connectDB = async () => {
-  try {
-    // Attempt to connect to MongoDB using the connection string from environment
-    const conn = await mongoose.connect(process.env.MONGODB_URI, {
-      // Connection options for better reliability and performance
-      useNewUrlParser: true,    // Use new URL parser (avoids deprecation warnings)
-      useUnifiedTopology: true, // Use new topology engine (better connection management)
-
-      // Additional options for production:
-      // maxPoolSize: 10,        // Maximum number of connections in the pool
-      // serverSelectionTimeoutMS: 5000, // How long to try selecting a server
-      // socketTimeoutMS: 45000, // How long a send or receive on a socket can take
-      // bufferMaxEntries: 0,    // Disable mongoose buffering
-      // bufferCommands: false,  // Disable mongoose buffering
-    });
-
-    console.log(`MongoDB Connected: ${conn.connection.host}`);
-
-    // Log additional connection info in development
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`Database Name: ${conn.connection.name}`);
-      console.log(`Connection State: ${conn.connection.readyState}`);
-    }
-
-  } catch (error) {
-    // Log the error and exit the process if database connection fails
-    console.error('Database connection error:', error.message);
+app.get('/api', (req, res) => {
+  res.json({
+    success: true,
+    message: 'College Event Management API',
+    version: '1.0.0',
 
-    // In production, you might want to implement retry logic here
-    // instead of immediately exiting the process
-    process.exit(1);
-  }
-};
+    endpoints: {
+      auth: '/api/auth',
+      events: '/api/events',
+      venues: '/api/venues',
+      clubs: '/api/clubs',
+      broadcasts: '/api/broadcasts',
+      devices: '/api/devices',
+      notifications: '/api/notifications',
+      admin: '/api/admin',
+      calendar: '/api/calendar',
+      search: '/api/search',
+    },
+
+    // Future: Add API documentation links and remaining endpoints
+    // documentation: '/api/docs',
+    // users: '/api/users'
+  });
+});
 
-// Initiate database connection when server starts
-// Note: Currently commented out for initial testing - will be enabled in next tasks
-// connectDB();
+/**
+ * API ROUTES
+ *
+ * Feature routers live in ./routes and are mounted under /api.
+ * While the database is unavailable they answer 503 SERVICE_UNAVAILABLE
+ * with a Retry-After header (middleware/database.js).
+ */
+app.use('/api', requireDatabase);
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api/events', require('./routes/events'));
+app.use('/api/venues', require('./routes/venues'));
+app.use('/api/clubs', require('./routes/clubs'));
+app.use('/api/broadcasts', require('./routes/broadcasts'));
+app.use('/api/devices', require('./routes/devices'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/search', require('./routes/search'));
 
 /**
- * HEALTH CHECK ENDPOINT
- * 
- * This endpoint is used by monitoring services, load balancers,
- * and deployment systems to check if the server is running properly.
- * It provides basic server status information.
+ * HEALTH CHECK ENDPOINTS
+ *
+ * Used by monitoring services, load balancers and deployment systems.
+ * - /health (liveness): the process is up and serving HTTP. Always 200,
+ *   so a database outage does not get the server restarted.
+ * - /health/ready (readiness): the server can handle API requests. 503
+ *   while the database is unavailable or the server is shutting down, so
+ *   traffic is sent elsewhere.
  */
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -152,34 +200,24 @@ app.get('/health', (req, res) => {
     message: 'Server is running',
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV,
-
-    // Additional health information that could be useful:
-    // uptime: process.uptime(),
-    // memory: process.memoryUsage(),
-    // database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+    uptime: Math.round(process.uptime()),
+    database: getDatabaseStatus(),
   });
 });
 
-/**
- * API ROOT ENDPOINT
- * 
- * Provides basic information about the API.
- * Useful for API discovery and documentation purposes.
- */
-app.get('/api', (req, res) => {
-  res.json({
-    success: true,
-    message: 'College Event Management API',
-    version: '1.0.0',
+app.get('/health/ready', (req, res) => {
+  const database = getDatabaseStatus();
+  const shuttingDown = isShuttingDown();
+  const ready = database.ready && !shuttingDown;
 
-    // Future: Add API documentation links, available endpoints, etc.
-    // documentation: '/api/docs',
-    // endpoints: {
-    //   auth: '/api/auth',
-    //   events: '/api/events',
-    //   clubs: '/api/clubs',
-    //   users: '/api/users'
-    // }
+  if (!database.ready) {
+    res.set('Retry-After', String(database.retryAfter));
+  }
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    message: ready ? 'Ready' : shuttingDown ? 'Shutting down' : 'Database unavailable',
+    timestamp: new Date().toISOString(),
+    database,
   });
 });
 
@@ -199,7 +237,18 @@ app.get('/', (req, res) => {
     // Provide helpful links for API exploration
     endpoints: {
       health: '/health',
+      ready: '/health/ready',
       api: '/api',
+      auth: '/api/auth',
+      events: '/api/events',
+      venues: '/api/venues',
+      clubs: '/api/clubs',
+      broadcasts: '/api/broadcasts',
+      devices: '/api/devices',
+      notifications: '/api/notifications',
+      admin: '/api/admin',
+      calendar: '/api/calendar',
+      search: '/api/search',
       // Future endpoints will be added here as they're implemented
     }
   });
@@ -212,55 +261,15 @@ app.get('/', (req, res) => {
  * It must be placed after all other route definitions to work properly.
  * The '*' wildcard matches any route that hasn't been handled yet.
  */
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: {
-      code: 'NOT_FOUND',
-      message: 'Route not found',
-      // Additional debugging info in development
-      ...(process.env.NODE_ENV === 'development' && {
-        requestedUrl: req.originalUrl,
-        method: req.method
-      })
-    }
-  });
-});
+app.use('*', notFound);
 
 /**
  * GLOBAL ERROR HANDLER
  * 
- * This is Express's error-handling middleware. It must have 4 parameters
- * (err, req, res, next) to be recognized as an error handler.
- * It catches any errors that occur in route handlers or other middleware.
+ * Turns every error raised by a route or middleware into the standard
+ * JSON error envelope (see middleware/errorHandler.js).
  */
-app.use((err, req, res, next) => {
-  // Log the error for debugging (in production, use a proper logging service)
-  console.error('Error occurred:', {
-    message: err.message,
-    stack: err.stack,
-    url: req.originalUrl,
-    method: req.method,
-    timestamp: new Date().toISOString()
-  });
-
-  // Send appropriate error response
-  res.status(err.status || 500).json({
-    success: false,
-    error: {
-      code: err.code || 'INTERNAL_SERVER_ERROR',
-      // In production, don't expose internal error details to clients
-      message: process.env.NODE_ENV === 'production'
-        ? 'Something went wrong!'
-        : err.message,
-
-      // Additional error details for development
-      ...(process.env.NODE_ENV === 'development' && {
-        stack: err.stack
-      })
-    }
-  });
-});
+app.use(errorHandler);
 
 /**
  * SERVER STARTUP
@@ -271,36 +280,61 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 
 const server = app.listen(PORT, () => {
-  console.log(`🚀 Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
-  console.log(`📱 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5050'}`);
-  console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
-  console.log(`❤️  Health Check: http://localhost:${PORT}/health`);
+  logger.info('Server started', {
+    environment: process.env.NODE_ENV || 'development',
+    port: server.address().port,
+    frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5050',
+    apiBaseUrl: `http://localhost:${PORT}/api`,
+    healthCheck: `http://localhost:${PORT}/health`,
+  });
 });
 
+/**
+ * REALTIME (WEBSOCKET) SERVER
+ *
+ * Shares the HTTP server and port; apps connect to ws(s)://<host>/ws.
+ * See services/realtime.js for the protocol.
+ */
+attachRealtime(server);
+registerShutdownHook('realtime', closeRealtime); // Tell connected apps to reconnect elsewhere
+
+/**
+ * EVENT REMINDERS
+ *
+ * Push reminders 24h and 1h before events students registered for.
+ * See services/notifications/reminders.js.
+ */
+startReminderScheduler();
+registerShutdownHook('event reminders', stopReminderScheduler);
+
+/**
+ * EMAIL OUTBOX
+ *
+ * Delivers queued emails and retries failed ones.
+ * See services/email/index.js.
+ */
+startEmailWorker();
+registerShutdownHook('email worker', stopEmailWorker);
+
+/**
+ * INTERNAL METRICS LISTENER
+ *
+ * Only if METRICS_PORT is set: serves /metrics without a token on
+ * METRICS_HOST (default 127.0.0.1). See services/metrics.js.
+ */
+startMetricsServer();
+registerShutdownHook('metrics server', stopMetricsServer);
+
 /**
  * GRACEFUL SHUTDOWN HANDLING
- * 
- * Handle SIGTERM signal (sent by process managers like PM2, Docker, etc.)
- * to gracefully shut down the server. This ensures:
- * - Existing connections are allowed to complete
- * - Database connections are properly closed
- * - Resources are cleaned up properly
+ *
+ * On SIGTERM (sent by Render, PM2, Docker, etc.) or SIGINT the server stops
+ * accepting connections, lets in-flight requests finish (up to
+ * SHUTDOWN_TIMEOUT_MS), runs the hooks registered above and closes the
+ * database connection last. See services/lifecycle.js.
  */
-process.on('SIGTERM', () => {
-  console.log('📡 SIGTERM received. Shutting down gracefully...');
-
-  // Stop accepting new connections and close existing ones
-  server.close(() => {
-    console.log('🔌 HTTP server closed');
-
-    // Close database connection
-    mongoose.connection.close(() => {
-      console.log('🗄️  Database connection closed');
-      console.log('✅ Process terminated gracefully');
-      process.exit(0);
-    });
-  });
-});
+registerShutdownHook('database', closeDB, { phase: 'database' });
+handleShutdownSignals(server);
 
 /**
  * HANDLE UNCAUGHT EXCEPTIONS
@@ -309,7 +343,7 @@ process.on('SIGTERM', () => {
  * In production, you should have proper error handling throughout your code.
  */
 process.on('uncaughtException', (err) => {
-  console.error('💥 Uncaught Exception:', err);
+  logger.error('Uncaught exception', { error: err });
   process.exit(1);
 });
 
@@ -319,7 +353,7 @@ process.on('uncaughtException', (err) => {
  * This catches any Promise rejections that weren't handled with .catch()
  */
 process.on('unhandledRejection', (err) => {
-  console.error('💥 Unhandled Promise Rejection:', err);
+  logger.error('Unhandled promise rejection', { error: err });
   process.exit(1);
 });
 
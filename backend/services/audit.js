@@ -0,0 +1,77 @@
+/**
+ * Audit Trail
+ *
+ * Records privileged changes (event edits and cancellations, membership
+ * decisions, broadcasts, password resets, role changes, roster imports) in the
+ * append-only AuditLog, with the acting user and the request's IP address.
+ *
+ * record() never throws: a failed audit write is logged, and must not fail
+ * the request that made the change.
+ */
+
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger').child({ component: 'audit' });
+
+// Longest User-Agent kept on an entry
+const MAX_USER_AGENT_LENGTH = 200;
+
+// Plain JSON form of a value, so dates, ids and sub-documents compare and store alike
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * The fields whose values differ between two versions of a document.
+ *
+ * @param {object} before - Plain object or document ({} for something new)
+ * @param {object} after - Plain object or document
+ * @param {string[]} fields - Fields to compare
+ * @returns {{ field: string, before: *, after: * }[]}
+ */
+const diff = (before, after, fields) =>
+  fields.flatMap((field) => {
+    const previous = toPlain(before[field]);
+    const next = toPlain(after[field]);
+    return JSON.stringify(previous) === JSON.stringify(next) ? [] : [{ field, before: previous, after: next }];
+  });
+
+/**
+ * Add an entry for a change made by the authenticated user of `req`.
+ *
+ * @param {object} req - Express request (actor, IP address and User-Agent)
+ * @param {object} entry
+ * @param {object} [entry.actor] - Who made the change, when the request is not
+ *   authenticated (e.g. a user completing a password reset); defaults to req.user
+ * @param {string} entry.action - One of AuditLog.AUDIT_ACTIONS
+ * @param {object} entry.target - { type, id?, label? }
+ * @param {*} [entry.clubId]
+ * @param {object[]} [entry.changes] - From diff()
+ * @param {object} [entry.details]
+ * @param {object} [entry.snapshot] - The document before a cancellation
+ */
+const record = async (req, { actor = req.user, action, target, clubId, changes, details, snapshot }) => {
+  try {
+    const userAgent = req.get('user-agent');
+
+    await AuditLog.create({
+      action,
+      actorId: actor._id,
+      actorName: actor.name,
+      actorRole: actor.role,
+      targetType: target.type,
+      targetId: target.id,
+      targetLabel: target.label,
+      clubId,
+      changes: changes && changes.length > 0 ? changes : undefined,
+      details,
+      snapshot,
+      ipAddress: req.ip,
+      userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : undefined,
+    });
+  } catch (error) {
+    logger.error('Audit log write failed', { action, error });
+  }
+};
+
+module.exports = {
+  diff,
+  record,
+};
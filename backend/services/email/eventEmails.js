@@ -0,0 +1,86 @@
+/**
+ * Event Emails
+ *
+ * Emails sent to students about events they registered for: changes,
+ * cancellations and waitlist promotions. Each occurrence of a series is
+ * its own event document, so students get the details of the occurrence
+ * they actually registered for. None of these functions throw.
+ */
+
+const Event = require('../../models/Event');
+const Registration = require('../../models/Registration');
+const { emailUsers } = require('./index');
+const logger = require('../../utils/logger').child({ component: 'email' });
+
+// Registrations that should hear about changes to an event
+const ATTENDING_STATUSES = ['registered', 'waitlisted'];
+
+const eventDetails = (event) => ({
+  title: event.title,
+  date: event.date,
+  startTime: event.startTime,
+  endTime: event.endTime,
+  venue: event.venue,
+});
+
+/**
+ * Email the students registered (or waitlisted) for each event matching
+ * a filter.
+ */
+const emailAttendees = async (eventFilter, template, data = {}) => {
+  try {
+    const events = await Event.find(eventFilter);
+    for (const event of events) {
+      const userIds = await Registration.find({
+        eventId: event._id,
+        status: { $in: ATTENDING_STATUSES },
+      }).distinct('userId');
+
+      if (userIds.length > 0) {
+        await emailUsers({ _id: { $in: userIds } }, template, { ...data, event: eventDetails(event) });
+      }
+    }
+  } catch (error) {
+    logger.error('Sending event emails failed', { template, error });
+  }
+};
+
+/**
+ * "Your event was changed" notices.
+ *
+ * @param {object} eventFilter - Event query, e.g. { _id: event._id } or { seriesId }
+ * @param {string[]} changes - Human-readable names of the changed details
+ */
+const emailEventChanged = (eventFilter, changes) =>
+  emailAttendees(eventFilter, 'eventChanged', { changes });
+
+/**
+ * "Your event was cancelled" notices.
+ *
+ * @param {object} eventFilter
+ */
+const emailEventCancelled = (eventFilter) => emailAttendees(eventFilter, 'eventCancelled');
+
+/**
+ * Tell students they moved off the waitlist.
+ *
+ * @param {object[]} registrations - As returned by Registration.promoteFromWaitlist / releaseSeat
+ */
+const emailWaitlistPromoted = async (registrations) => {
+  try {
+    for (const registration of registrations) {
+      const event = await Event.findById(registration.eventId);
+      if (event) {
+        await emailUsers({ _id: registration.userId }, 'waitlistPromoted', { event: eventDetails(event) });
+      }
+    }
+  } catch (error) {
+    logger.error('Sending waitlist promotion emails failed', { error });
+  }
+};
+
+module.exports = {
+  emailEventChanged,
+  emailEventCancelled,
+  emailWaitlistPromoted,
+};
@@ -0,0 +1,226 @@
+/**
+ * Email Service
+ *
+ * Sends templated emails (services/email/templates.js) through an outbox:
+ * messages are rendered and stored in models/EmailMessage.js first, and a
+ * worker delivers them, retrying failures with backoff. Nothing is lost if
+ * the mail server is down or the process restarts. The rendered text and
+ * HTML are removed once a message is sent or has failed for good.
+ *
+ * TRANSPORTS
+ * EMAIL_TRANSPORT selects how messages leave the server:
+ * - smtp:   nodemailer over SMTP (default in production; see transports/smtp.js)
+ * - memory: kept in memory, nothing is delivered (default otherwise)
+ * Tests can swap in their own with setTransport(). The default transport is
+ * created on the first send, so settings from .env are already loaded.
+ *
+ * Messages are sent from EMAIL_FROM.
+ */
+
+const EmailMessage = require('../../models/EmailMessage');
+const User = require('../../models/User');
+const { renderTemplate } = require('./templates');
+const createSmtpTransport = require('./transports/smtp');
+const createMemoryTransport = require('./transports/memory');
+const logger = require('../../utils/logger').child({ component: 'email' });
+
+const DEFAULT_FROM = 'College Events <noreply@localhost>';
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+// How often the worker looks for due retries
+const POLL_INTERVAL_MS = 30 * 1000;
+
+// How long a claimed message is reserved for one delivery attempt
+const SEND_LOCK_MS = 5 * 60 * 1000;
+
+// Rendered bodies can hold secrets such as a password reset link, so they are
+// dropped as soon as a message is sent or given up on
+const RENDERED_BODY = { text: 1, html: 1 };
+
+const createDefaultTransport = () => {
+  const name = process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'memory');
+
+  if (name === 'smtp') {
+    return createSmtpTransport({
+      url: process.env.SMTP_URL,
+      service: process.env.EMAIL_SERVICE,
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASSWORD,
+    });
+  }
+  if (name === 'memory') {
+    return createMemoryTransport();
+  }
+  throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (expected smtp or memory)`);
+};
+
+let transport = null;
+let timer = null;
+let processing = null;
+let rerun = false;
+
+/**
+ * Replace the transport (tests, or a different mail provider).
+ * Returns the previous one.
+ */
+const setTransport = (next) => {
+  const previous = transport;
+  transport = next;
+  return previous;
+};
+
+const getTransport = () => {
+  if (!transport) transport = createDefaultTransport();
+  return transport;
+};
+
+/**
+ * Number of messages waiting to be sent (including retries).
+ */
+const getOutboxDepth = () => EmailMessage.countDocuments({ status: { $in: ['pending', 'sending'] } });
+
+/**
+ * Try to send one claimed message and record the outcome.
+ */
+const deliver = async (message) => {
+  try {
+    await getTransport().send({
+      from: process.env.EMAIL_FROM || DEFAULT_FROM,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+    });
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      { $set: { status: 'sent', sentAt: new Date() }, $unset: { lockedUntil: 1, lastError: 1, ...RENDERED_BODY } }
+    );
+  } catch (error) {
+    const giveUp = error.permanent || message.attempts >= MAX_ATTEMPTS;
+    await EmailMessage.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          status: giveUp ? 'failed' : 'pending',
+          lastError: error.message,
+          ...(!giveUp && {
+            nextAttemptAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (message.attempts - 1)),
+          }),
+        },
+        $unset: { lockedUntil: 1, ...(giveUp && RENDERED_BODY) },
+      }
+    );
+    if (giveUp) {
+      logger.error('Email delivery failed', {
+        emailId: message._id,
+        template: message.template,
+        attempts: message.attempts,
+        error,
+      });
+    }
+  }
+};
+
+/**
+ * Send every message that is due. Calls made while a run is in progress
+ * share it. Never rejects.
+ *
+ * @returns {Promise<void>}
+ */
+const processOutbox = () => {
+  if (processing) {
+    // Look again when the current run ends, for messages queued during it
+    rerun = true;
+  } else {
+    processing = (async () => {
+      do {
+        rerun = false;
+        let message;
+        while ((message = await EmailMessage.claimNext(SEND_LOCK_MS))) {
+          await deliver(message);
+        }
+      } while (rerun);
+    })()
+      .catch((error) => logger.error('Email outbox run failed', { error }))
+      .finally(() => {
+        processing = null;
+      });
+  }
+  return processing;
+};
+
+/**
+ * Render a template and add it to the outbox.
+ *
+ * @param {string} to - Recipient address
+ * @param {string} template - Template name (see templates.js)
+ * @param {object} data - Template data
+ * @returns {Promise<object>} The stored EmailMessage
+ */
+const queueEmail = async (to, template, data) => {
+  const message = await EmailMessage.create({ to, template, ...renderTemplate(template, data) });
+  processOutbox();
+  return message;
+};
+
+/**
+ * Email every user matching a filter who has an email address. Each user's
+ * name is added to the template data. Never throws - a failed email must
+ * not fail the request that caused it.
+ *
+ * @param {object} userFilter - User query, e.g. { _id: { $in: ids } }
+ * @param {string} template
+ * @param {object} data
+ * @returns {Promise<number>} Number of emails queued
+ */
+const emailUsers = async (userFilter, template, data) => {
+  try {
+    const users = await User.find({ ...userFilter, email: { $exists: true, $ne: '' } }).select('name email');
+    if (users.length === 0) return 0;
+
+    await EmailMessage.insertMany(
+      users.map((user) => ({
+        to: user.email,
+        template,
+        ...renderTemplate(template, { ...data, name: user.name }),
+      }))
+    );
+    processOutbox();
+    return users.length;
+  } catch (error) {
+    logger.error('Queueing emails failed', { template, error });
+    return 0;
+  }
+};
+
+/**
+ * Start polling the outbox for due messages and retries.
+ */
+const startEmailWorker = () => {
+  if (timer) return;
+  timer = setInterval(processOutbox, POLL_INTERVAL_MS);
+  timer.unref();
+  processOutbox();
+};
+
+const stopEmailWorker = () => {
+  clearInterval(timer);
+  timer = null;
+  return processing || Promise.resolve();
+};
+
+module.exports = {
+  queueEmail,
+  emailUsers,
+  processOutbox,
+  getOutboxDepth,
+  startEmailWorker,
+  stopEmailWorker,
+  setTransport,
+  getTransport,
+};
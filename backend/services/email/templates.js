@@ -0,0 +1,157 @@
+/**
+ * Email Templates
+ *
+ * Each template turns data into { subject, text, html }. The HTML version
+ * uses inline styles only, since mail clients ignore stylesheets; the text
+ * version says the same thing for clients that don't show HTML.
+ */
+
+const APP_NAME = 'College Events';
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// "Mon, 2 Nov 2026" for an event day (stored as UTC midnight)
+const formatDay = (date) =>
+  new Date(date).toLocaleDateString('en-IN', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+
+const describeEvent = (event) => ({
+  when: `${formatDay(event.date)}, ${event.startTime}–${event.endTime}`,
+  where: event.venue,
+});
+
+/**
+ * Wrap body paragraphs (already-escaped HTML) in the shared layout.
+ */
+const layout = (heading, paragraphs) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+      <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(heading)}</h1>
+      ${paragraphs.map((paragraph) => `<p style="font-size:15px;line-height:1.5;margin:0 0 12px;">${paragraph}</p>`).join('\n      ')}
+      <p style="font-size:12px;color:#7b8794;margin:24px 0 0;">${APP_NAME}</p>
+    </div>
+  </body>
+</html>
+`;
+
+const eventDetailsHtml = (event) => {
+  const { when, where } = describeEvent(event);
+  return `<strong>${escapeHtml(event.title)}</strong><br>${escapeHtml(when)}<br>${escapeHtml(where)}`;
+};
+
+const eventDetailsText = (event) => {
+  const { when, where } = describeEvent(event);
+  return `${event.title}\n${when}\n${where}`;
+};
+
+const button = (url, label) =>
+  `<a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 18px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px;">${escapeHtml(label)}</a>`;
+
+/**
+ * TEMPLATES
+ */
+const templates = {
+  /**
+   * { name, resetUrl, expiresInMinutes }
+   */
+  passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    text: [
+      `Hi ${name},`,
+      'We received a request to reset your password. Open this link to choose a new one:',
+      resetUrl,
+      `The link works once and expires in ${expiresInMinutes} minutes. If you didn't ask for this, you can ignore this email.`,
+    ].join('\n\n'),
+    html: layout('Reset your password', [
+      `Hi ${escapeHtml(name)},`,
+      'We received a request to reset your password. Use the button below to choose a new one.',
+      button(resetUrl, 'Reset password'),
+      `The link works once and expires in ${escapeHtml(expiresInMinutes)} minutes. If you didn't ask for this, you can ignore this email.`,
+    ]),
+  }),
+
+  /**
+   * { name, event, changes: ['venue', 'date', ...] }
+   */
+  eventChanged: ({ name, event, changes }) => ({
+    subject: `Updated: ${event.title}`,
+    text: [
+      `Hi ${name},`,
+      `An event you registered for has changed (${changes.join(', ')}). The latest details:`,
+      eventDetailsText(event),
+    ].join('\n\n'),
+    html: layout('Event updated', [
+      `Hi ${escapeHtml(name)},`,
+      `An event you registered for has changed (${escapeHtml(changes.join(', '))}). The latest details:`,
+      eventDetailsHtml(event),
+    ]),
+  }),
+
+  /**
+   * { name, event }
+   */
+  eventCancelled: ({ name, event }) => ({
+    subject: `Cancelled: ${event.title}`,
+    text: [
+      `Hi ${name},`,
+      'Sorry - an event you registered for has been cancelled:',
+      eventDetailsText(event),
+    ].join('\n\n'),
+    html: layout('Event cancelled', [
+      `Hi ${escapeHtml(name)},`,
+      'Sorry - an event you registered for has been cancelled:',
+      eventDetailsHtml(event),
+    ]),
+  }),
+
+  /**
+   * { name, event }
+   */
+  waitlistPromoted: ({ name, event }) => ({
+    subject: `You're in: ${event.title}`,
+    text: [
+      `Hi ${name},`,
+      'A seat opened up and you have moved off the waitlist. You are now registered for:',
+      eventDetailsText(event),
+      "If you can't make it any more, please cancel in the app so the next student gets your seat.",
+    ].join('\n\n'),
+    html: layout("You're off the waitlist", [
+      `Hi ${escapeHtml(name)},`,
+      'A seat opened up and you have moved off the waitlist. You are now registered for:',
+      eventDetailsHtml(event),
+      "If you can't make it any more, please cancel in the app so the next student gets your seat.",
+    ]),
+  }),
+};
+
+/**
+ * Render a template by name.
+ *
+ * @param {string} name - Key of `templates`
+ * @param {object} data
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+const renderTemplate = (name, data) => {
+  if (!templates[name]) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return templates[name](data);
+};
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(templates),
+  renderTemplate,
+  escapeHtml,
+};
@@ -0,0 +1,22 @@
+/**
+ * In-Memory Email Transport
+ *
+ * Stands in for SMTP in development and tests: messages are kept in `sent`
+ * instead of being delivered.
+ */
+
+const createMemoryTransport = () => ({
+  name: 'memory',
+  sent: [],
+
+  async send(message) {
+    this.sent.push(message);
+    return { messageId: `<memory-${this.sent.length}@localhost>` };
+  },
+
+  clear() {
+    this.sent.length = 0;
+  },
+});
+
+module.exports = createMemoryTransport;
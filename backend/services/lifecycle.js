@@ -0,0 +1,181 @@
+/**
+ * Process Lifecycle
+ *
+ * One place that shuts the server down on SIGTERM (sent by Render, Docker
+ * and PM2 on deploys) and SIGINT (Ctrl+C), in this order:
+ * 1. Stop accepting connections; /health/ready answers 503
+ * 2. Let in-flight requests finish, up to SHUTDOWN_TIMEOUT_MS, then close
+ *    whatever connections are left
+ * 3. Run the 'services' hooks (WebSocket clients, reminder scan, email
+ *    worker, ...) together
+ * 4. Run the 'database' hooks (the MongoDB connection) last, so nothing
+ *    above loses its connection mid-write
+ *
+ * Subsystems register what they need to stop with registerShutdownHook().
+ * A failing or hung hook is logged and skipped (after HOOK_TIMEOUT_MS), and
+ * the process then exits with code 1 instead of 0. A second signal during
+ * shutdown exits straight away.
+ */
+
+const logger = require('../utils/logger').child({ component: 'lifecycle' });
+
+// Hook phases, in the order they run
+const SHUTDOWN_PHASES = ['services', 'database'];
+
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+
+// Longest a single hook may take
+const HOOK_TIMEOUT_MS = 5 * 1000;
+
+const getShutdownTimeoutMs = () =>
+  parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || DEFAULT_SHUTDOWN_TIMEOUT_MS;
+
+const hooks = [];
+let shuttingDown = null;
+let inFlight = 0;
+
+/**
+ * Run `hook` when the server shuts down.
+ *
+ * @param {string} name - Shown in the shutdown log
+ * @param {Function} hook - May return a promise
+ * @param {object} [options]
+ * @param {string} [options.phase='services'] - One of SHUTDOWN_PHASES
+ */
+const registerShutdownHook = (name, hook, { phase = 'services' } = {}) => {
+  if (!SHUTDOWN_PHASES.includes(phase)) {
+    throw new Error(`Unknown shutdown phase "${phase}" (expected ${SHUTDOWN_PHASES.join(' or ')})`);
+  }
+  hooks.push({ name, hook, phase });
+};
+
+const isShuttingDown = () => shuttingDown !== null;
+
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Stop accepting connections and wait for open requests to finish. After
+ * `timeoutMs` the remaining connections are closed.
+ */
+const drainServer = (server, timeoutMs) =>
+  new Promise((resolve) => {
+    if (inFlight > 0) {
+      logger.info('Waiting for requests to finish', { inFlight });
+    }
+
+    const deadline = setTimeout(() => {
+      logger.warn('Requests still running at the shutdown deadline, closing their connections', {
+        inFlight,
+        timeoutMs,
+      });
+      server.closeAllConnections();
+    }, timeoutMs);
+
+    server.close(() => {
+      clearTimeout(deadline);
+      resolve();
+    });
+
+    // Keep-alive connections with no request in progress
+    server.closeIdleConnections();
+  });
+
+// Run every hook of one phase together; true if they all succeeded
+const runPhase = async (phase) => {
+  const results = await Promise.allSettled(
+    hooks
+      .filter((entry) => entry.phase === phase)
+      .map(({ name, hook }) =>
+        withTimeout(
+          Promise.resolve().then(hook),
+          HOOK_TIMEOUT_MS,
+          `did not finish within ${HOOK_TIMEOUT_MS}ms`
+        ).then(
+          () => logger.info('Shutdown hook finished', { hook: name, phase }),
+          (error) => {
+            logger.error('Shutdown hook failed', { hook: name, phase, error: error.message });
+            throw error;
+          }
+        )
+      )
+  );
+  return results.every((result) => result.status === 'fulfilled');
+};
+
+/**
+ * Shut down: drain the HTTP server, then run the hooks phase by phase.
+ * Calling it again returns the shutdown already in progress.
+ *
+ * @param {http.Server} server
+ * @returns {Promise<boolean>} true if every hook succeeded
+ */
+const shutdown = (server) => {
+  if (shuttingDown) return shuttingDown;
+
+  shuttingDown = (async () => {
+    await drainServer(server, getShutdownTimeoutMs());
+    logger.info('HTTP server closed');
+
+    let clean = true;
+    for (const phase of SHUTDOWN_PHASES) {
+      clean = (await runPhase(phase)) && clean;
+    }
+    return clean;
+  })();
+
+  return shuttingDown;
+};
+
+/**
+ * Count in-flight requests on `server` and shut it down, then exit, on
+ * SIGTERM or SIGINT.
+ *
+ * @param {http.Server} server
+ */
+const handleShutdownSignals = (server) => {
+  server.on('request', (req, res) => {
+    inFlight += 1;
+    res.once('close', () => {
+      inFlight -= 1;
+      // Once idle, a kept-alive connection would hold the drain open until the deadline
+      if (isShuttingDown()) setImmediate(() => server.closeIdleConnections());
+    });
+
+    // Clients should not reuse a connection that is about to close
+    if (isShuttingDown()) res.setHeader('Connection', 'close');
+  });
+
+  const onSignal = (signal) => {
+    if (isShuttingDown()) {
+      logger.warn('Signal received again, exiting immediately', { signal });
+      process.exit(1);
+    }
+
+    logger.info('Shutting down gracefully', { signal });
+    shutdown(server).then((clean) => {
+      if (clean) {
+        logger.info('Process terminated gracefully');
+      } else {
+        logger.warn('Process terminated with errors');
+      }
+      process.exit(clean ? 0 : 1);
+    });
+  };
+
+  process.on('SIGTERM', onSignal);
+  process.on('SIGINT', onSignal);
+};
+
+module.exports = {
+  SHUTDOWN_PHASES,
+  registerShutdownHook,
+  isShuttingDown,
+  shutdown,
+  handleShutdownSignals,
+};
@@ -0,0 +1,142 @@
+/**
+ * Metrics Endpoint
+ *
+ * Serves every metric in utils/metrics.js in the Prometheus text format:
+ * HTTP traffic and rate-limit rejections (middleware/metrics.js), MongoDB
+ * connection events (config/database.js), and the gauges below, which are
+ * read at scrape time.
+ *
+ * ACCESS
+ * Metrics reveal traffic patterns, so they are never public:
+ * - GET /metrics on the API server needs "Authorization: Bearer
+ *   <METRICS_TOKEN>" and does not exist while METRICS_TOKEN is unset
+ * - METRICS_PORT starts a separate listener on METRICS_HOST (default
+ *   127.0.0.1) that serves /metrics without a token, for scrapers on the
+ *   same machine or private network
+ */
+
+const http = require('http');
+const { CONTENT_TYPE, gauge, renderMetrics } = require('../utils/metrics');
+const { getDatabaseStatus, getPoolStats, isDatabaseReady } = require('../config/database');
+const { getClientCount } = require('./realtime');
+const { getQueueDepth } = require('./notifications');
+const { getOutboxDepth } = require('./email');
+const logger = require('../utils/logger').child({ component: 'metrics' });
+
+const METRICS_PATH = '/metrics';
+const DEFAULT_METRICS_HOST = '127.0.0.1';
+
+// Mongoose connection states, as reported by getDatabaseStatus()
+const CONNECTION_STATES = ['Disconnected', 'Connected', 'Connecting', 'Disconnecting'];
+
+/**
+ * GAUGES
+ */
+gauge({
+  name: 'mongodb_connection_state',
+  help: 'Current MongoDB connection state (1 for the current state, 0 otherwise)',
+  collect: () => {
+    const { state } = getDatabaseStatus();
+    return CONNECTION_STATES.map((name) => ({
+      labels: { state: name.toLowerCase() },
+      value: name === state ? 1 : 0,
+    }));
+  },
+});
+
+gauge({
+  name: 'mongodb_pool_connections',
+  help: 'MongoDB connection pool connections, by state',
+  collect: () => {
+    const { inUse, available } = getPoolStats();
+    return [
+      { labels: { state: 'in_use' }, value: inUse },
+      { labels: { state: 'available' }, value: available },
+    ];
+  },
+});
+
+gauge({
+  name: 'mongodb_pool_max_connections',
+  help: 'Largest number of connections the MongoDB pool may open',
+  collect: () => getPoolStats().max,
+});
+
+gauge({
+  name: 'websocket_clients',
+  help: 'Open WebSocket connections',
+  collect: getClientCount,
+});
+
+gauge({
+  name: 'push_notification_queue_depth',
+  help: 'Push notifications queued or being sent',
+  collect: getQueueDepth,
+});
+
+gauge({
+  name: 'email_outbox_depth',
+  help: 'Emails waiting to be sent, including retries',
+  // Counted in MongoDB, so left out while the database is unavailable
+  collect: () => (isDatabaseReady() ? getOutboxDepth() : null),
+});
+
+/**
+ * GET /metrics
+ */
+const serveMetrics = async (req, res) => {
+  res.set('Content-Type', CONTENT_TYPE);
+  res.send(await renderMetrics());
+};
+
+/**
+ * INTERNAL LISTENER
+ */
+let metricsServer = null;
+
+const onInternalRequest = (req, res) => {
+  if (req.method !== 'GET' || req.url.split('?')[0] !== METRICS_PATH) {
+    res.writeHead(404).end();
+    return;
+  }
+  renderMetrics().then(
+    (body) => res.writeHead(200, { 'Content-Type': CONTENT_TYPE }).end(body),
+    (error) => {
+      logger.error('Serving metrics failed', { error });
+      res.writeHead(500).end();
+    }
+  );
+};
+
+/**
+ * Start the internal metrics listener if METRICS_PORT is set.
+ *
+ * @returns {http.Server|null}
+ */
+const startMetricsServer = () => {
+  const port = parseInt(process.env.METRICS_PORT);
+  if (!port || metricsServer) return metricsServer;
+
+  const host = process.env.METRICS_HOST || DEFAULT_METRICS_HOST;
+  metricsServer = http.createServer(onInternalRequest);
+  metricsServer.on('error', (error) => logger.error('Metrics server failed', { host, port, error }));
+  metricsServer.listen(port, host, () => logger.info('Metrics server started', { host, port }));
+
+  return metricsServer;
+};
+
+const stopMetricsServer = () =>
+  new Promise((resolve) => {
+    if (!metricsServer) return resolve();
+
+    metricsServer.close(() => resolve());
+    metricsServer.closeAllConnections();
+    metricsServer = null;
+  });
+
+module.exports = {
+  METRICS_PATH,
+  serveMetrics,
+  startMetricsServer,
+  stopMetricsServer,
+};
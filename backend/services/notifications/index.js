@@ -0,0 +1,181 @@
+/**
+ * Push Notification Dispatcher
+ *
+ * Sends push notifications to the phones registered in models/Device.js.
+ * Callers describe who should be notified; the dispatcher skips users who
+ * muted the club the notification is about, queues one message per device
+ * and sends them in batches through the configured transport.
+ *
+ * TRANSPORTS
+ * NOTIFICATION_TRANSPORT selects how messages leave the server:
+ * - expo:   the Expo push service (default in production)
+ * - memory: kept in memory, nothing is delivered (default otherwise)
+ * Tests can swap in their own with setTransport(). The default transport is
+ * created on first use, so settings from .env are already loaded.
+ *
+ * DELIVERY
+ * The queue lives in memory and is best effort: a batch that fails to send
+ * is retried with backoff a few times and then dropped. Devices reported as
+ * DeviceNotRegistered (app uninstalled, token expired) are removed.
+ */
+
+const Device = require('../../models/Device');
+const User = require('../../models/User');
+const createExpoTransport = require('./transports/expo');
+const createMemoryTransport = require('./transports/memory');
+const logger = require('../../utils/logger').child({ component: 'push' });
+
+// Expo accepts at most 100 messages per request
+const BATCH_SIZE = 100;
+
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 2000;
+
+const createDefaultTransport = () => {
+  const name =
+    process.env.NOTIFICATION_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'expo' : 'memory');
+
+  if (name === 'expo') {
+    return createExpoTransport({ accessToken: process.env.EXPO_ACCESS_TOKEN });
+  }
+  if (name === 'memory') {
+    return createMemoryTransport();
+  }
+  throw new Error(`Unknown NOTIFICATION_TRANSPORT "${name}" (expected expo or memory)`);
+};
+
+let transport = null;
+
+// Batches waiting to be sent: { messages, attempt }
+const queue = [];
+let inFlight = 0;
+let draining = null;
+
+/**
+ * Replace the transport (tests, or a different push provider).
+ * Returns the previous one.
+ */
+const setTransport = (next) => {
+  const previous = transport;
+  transport = next;
+  return previous;
+};
+
+const getTransport = () => {
+  if (!transport) transport = createDefaultTransport();
+  return transport;
+};
+
+/**
+ * Number of messages queued or being sent.
+ */
+const getQueueDepth = () =>
+  queue.reduce((total, batch) => total + batch.messages.length, 0) + inFlight;
+
+/**
+ * Remove devices whose tokens Expo no longer accepts.
+ */
+const removeUnregistered = async (messages, tickets) => {
+  const tokens = tickets
+    .map((ticket, index) =>
+      ticket && ticket.status === 'error' && ticket.details && ticket.details.error === 'DeviceNotRegistered'
+        ? messages[index].to
+        : null
+    )
+    .filter(Boolean);
+
+  if (tokens.length > 0) {
+    await Device.deleteMany({ token: { $in: tokens } });
+  }
+};
+
+const sendBatch = async (batch) => {
+  let tickets;
+  inFlight += batch.messages.length;
+  try {
+    tickets = await getTransport().send(batch.messages);
+  } catch (error) {
+    if (batch.attempt < MAX_ATTEMPTS) {
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (batch.attempt - 1);
+      setTimeout(() => enqueue({ ...batch, attempt: batch.attempt + 1 }), delay).unref();
+    } else {
+      logger.error('Push batch dropped', { attempts: MAX_ATTEMPTS, messages: batch.messages.length, error });
+    }
+    return;
+  } finally {
+    inFlight -= batch.messages.length;
+  }
+
+  await removeUnregistered(batch.messages, tickets || []).catch((error) =>
+    logger.error('Removing unregistered devices failed', { error })
+  );
+};
+
+/**
+ * Send everything in the queue. Resolves when the queue is empty; calls
+ * made while a drain is running share it.
+ */
+const flush = () => {
+  if (!draining) {
+    draining = (async () => {
+      while (queue.length > 0) {
+        await sendBatch(queue.shift());
+      }
+    })().finally(() => {
+      draining = null;
+    });
+  }
+  return draining;
+};
+
+const enqueue = (batch) => {
+  queue.push(batch);
+  flush();
+};
+
+/**
+ * Notify every user matching a filter on their registered devices.
+ * Never throws - a failed push must not fail the request that caused it.
+ *
+ * @param {object} userFilter - User query, e.g. { _id: { $in: ids } } or {} for everyone
+ * @param {object} notification - { title, body, data? }
+ * @param {object} [options]
+ * @param {ObjectId} [options.clubId] - Club the notification is about; users who muted it are skipped
+ * @param {boolean} [options.urgent] - High priority with sound
+ * @returns {Promise<number>} Number of messages queued
+ */
+const notifyUsers = async (userFilter, { title, body, data = {} }, { clubId, urgent = false } = {}) => {
+  try {
+    const userIds = await User.find({
+      ...userFilter,
+      ...(clubId && { mutedClubs: { $ne: clubId } }),
+    }).distinct('_id');
+    if (userIds.length === 0) return 0;
+
+    const devices = await Device.find({ userId: { $in: userIds } }).select('token');
+    const messages = devices.map((device) => ({
+      to: device.token,
+      title,
+      body,
+      data,
+      sound: 'default',
+      priority: urgent ? 'high' : 'default',
+    }));
+
+    for (let i = 0; i < messages.length; i += BATCH_SIZE) {
+      enqueue({ messages: messages.slice(i, i + BATCH_SIZE), attempt: 1 });
+    }
+    return messages.length;
+  } catch (error) {
+    logger.error('Push notification failed', { error });
+    return 0;
+  }
+};
+
+module.exports = {
+  notifyUsers,
+  flush,
+  getQueueDepth,
+  setTransport,
+  getTransport,
+};
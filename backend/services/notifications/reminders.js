@@ -0,0 +1,128 @@
+/**
+ * Event Reminder Scheduler
+ *
+ * Every minute, finds events starting soon and reminds the students
+ * registered for them:
+ * - '24h': once the event is less than 24 hours away
+ * - '1h':  once it is less than an hour away
+ *
+ * Only the most imminent reminder is sent, so a student who registers 30
+ * minutes before the start gets the 1h reminder and not both. Each
+ * registration records the reminders it was sent (Registration.claimReminder),
+ * which keeps them from repeating across restarts or several servers.
+ *
+ * Series templates are skipped: registering for an occurrence creates a
+ * concrete event (see Event.materializeOccurrence), and that is what gets
+ * reminded.
+ */
+
+const Event = require('../../models/Event');
+const Registration = require('../../models/Registration');
+const { getAppTimeZone, startOfDay, addDays, formatDateOnly, toInstant } = require('../../utils/dates');
+const { notifyUsers } = require('./index');
+const logger = require('../../utils/logger').child({ component: 'reminders' });
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const SCAN_INTERVAL_MS = 60 * 1000;
+
+// Most imminent first
+const REMINDERS = [
+  { key: '1h', before: HOUR_MS },
+  { key: '24h', before: 24 * HOUR_MS },
+];
+
+let timer = null;
+let running = null;
+
+/**
+ * The reminder due for an event starting at `start`, if any.
+ */
+const dueReminder = (start, now) => {
+  if (now >= start) return null;
+  return REMINDERS.find((reminder) => now >= start - reminder.before) || null;
+};
+
+// "YYYY-MM-DD" of a moment in the college time zone
+const localDay = (instant) => new Intl.DateTimeFormat('en-CA', { timeZone: getAppTimeZone() }).format(instant);
+
+/**
+ * Send the due reminder for one event to everyone not yet reminded.
+ *
+ * @returns {Promise<number>} Registrations reminded
+ */
+const remindEvent = async (event, reminder, now) => {
+  const userIds = [];
+  let registration;
+  while ((registration = await Registration.claimReminder(event._id, reminder.key))) {
+    userIds.push(registration.userId);
+  }
+  if (userIds.length === 0) return 0;
+
+  const day = formatDateOnly(event.date) === localDay(now) ? 'Today' : 'Tomorrow';
+  await notifyUsers(
+    { _id: { $in: userIds } },
+    {
+      title: event.title,
+      body: `${day} at ${event.startTime} · ${event.venue}`,
+      data: { type: 'event.reminder', eventId: event._id.toString(), reminder: reminder.key },
+    },
+    { clubId: event.clubId }
+  );
+  return userIds.length;
+};
+
+/**
+ * One scan: remind registrations for every event whose reminder is due.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<number>} Registrations reminded
+ */
+const runReminders = async (now = new Date()) => {
+  const today = startOfDay(now);
+
+  // Event days are in the college time zone, so look one day either side
+  const events = await Event.find({
+    status: 'active',
+    recurrence: { $exists: false },
+    date: { $gte: addDays(today, -1), $lte: addDays(today, 2) },
+  });
+
+  let reminded = 0;
+  for (const event of events) {
+    const reminder = dueReminder(toInstant(event.date, event.startTime).getTime(), now.getTime());
+    if (reminder) {
+      reminded += await remindEvent(event, reminder, now);
+    }
+  }
+  return reminded;
+};
+
+const tick = () => {
+  // Skip a tick while the previous scan is still running
+  if (running) return;
+  running = runReminders()
+    .catch((error) => logger.error('Reminder scan failed', { error }))
+    .finally(() => {
+      running = null;
+    });
+};
+
+const startReminderScheduler = () => {
+  if (timer) return;
+  timer = setInterval(tick, SCAN_INTERVAL_MS);
+  timer.unref();
+};
+
+const stopReminderScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+  return running || Promise.resolve();
+};
+
+module.exports = {
+  REMINDERS,
+  runReminders,
+  startReminderScheduler,
+  stopReminderScheduler,
+};
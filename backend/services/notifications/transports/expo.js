@@ -0,0 +1,45 @@
+/**
+ * Expo Push Transport
+ *
+ * Sends messages through the Expo push service, which forwards them to
+ * APNs / FCM. See https://docs.expo.dev/push-notifications/sending-notifications/
+ *
+ * A transport is any object with:
+ *   name: string
+ *   send(messages): Promise<ticket[]>   - one ticket per message, in order;
+ *     a ticket is { status: 'ok' } or { status: 'error', message, details: { error } }.
+ *   Throwing means the whole batch failed and may be retried.
+ */
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.accessToken] - Needed when "enhanced push security" is on for the Expo project
+ * @param {string} [options.url]
+ */
+const createExpoTransport = ({ accessToken, url = EXPO_PUSH_URL } = {}) => ({
+  name: 'expo',
+
+  async send(messages) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
+      },
+      body: JSON.stringify(messages),
+    });
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body || !Array.isArray(body.data)) {
+      const reason = body && body.errors ? body.errors.map((error) => error.message).join('; ') : response.statusText;
+      throw new Error(`Expo push request failed (${response.status}): ${reason}`);
+    }
+
+    return body.data;
+  },
+});
+
+module.exports = createExpoTransport;
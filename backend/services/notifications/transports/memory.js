@@ -0,0 +1,35 @@
+/**
+ * In-Memory Push Transport
+ *
+ * Stands in for Expo in development and tests: messages are kept in `sent`
+ * instead of being delivered. Tokens listed in `unregistered` get a
+ * DeviceNotRegistered ticket, like an uninstalled app would.
+ */
+
+const createMemoryTransport = ({ unregistered = [] } = {}) => {
+  const invalid = new Set(unregistered);
+
+  return {
+    name: 'memory',
+    sent: [],
+
+    async send(messages) {
+      this.sent.push(...messages);
+      return messages.map((message) =>
+        invalid.has(message.to)
+          ? {
+              status: 'error',
+              message: `"${message.to}" is not a registered push notification recipient`,
+              details: { error: 'DeviceNotRegistered' },
+            }
+          : { status: 'ok', id: `memory-${this.sent.length}` }
+      );
+    },
+
+    clear() {
+      this.sent.length = 0;
+    },
+  };
+};
+
+module.exports = createMemoryTransport;
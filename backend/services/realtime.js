@@ -0,0 +1,346 @@
+/**
+ * Realtime Push Service (WebSocket)
+ *
+ * Pushes new broadcasts, event changes and join-request decisions to
+ * connected apps. The socket server shares the HTTP server (see server.js)
+ * and listens on /ws.
+ *
+ * CONNECTING
+ *   ws(s)://<host>/ws?token=<JWT>[&cursor=<last seen cursor>]
+ *   The token may also be sent as "Authorization: Bearer <JWT>". It is
+ *   checked exactly like an HTTP request (middleware/auth.js); a rejected
+ *   handshake gets the usual JSON error envelope with a 401/403 status.
+ *
+ * ROOMS
+ * - college:    everyone
+ * - club:<id>:  active members of the club and its club head
+ * - user:<id>:  messages for one user (e.g. join-request decisions)
+ *
+ * MESSAGES (server -> client, JSON)
+ *   { type, room, data, cursor, createdAt }
+ *   plus 'ready' (after connecting), 'resume.complete', 'pong' and 'error'.
+ *
+ * MESSAGES (client -> server, JSON)
+ *   { type: 'ping' }
+ *   { type: 'resume', cursor }   - same as passing ?cursor= when connecting
+ *
+ * RESUMING
+ * Every published message is stored in RealtimeMessage. A client keeps the
+ * `cursor` of the last message it handled; after reconnecting it gets every
+ * message it missed, oldest first, followed by 'resume.complete'. If more
+ * than MAX_REPLAY messages were missed, `truncated: true` tells the app to
+ * reload its screens over HTTP instead. Live messages may arrive while a
+ * replay is running, so clients should ignore cursors they have already seen.
+ */
+
+const http = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+const Session = require('../models/Session');
+const RealtimeMessage = require('../models/RealtimeMessage');
+const { authenticateToken, getBearerToken } = require('../middleware/auth');
+const { encodeCursor, decodeCursor, newerThan } = require('../utils/cursor');
+const logger = require('../utils/logger').child({ component: 'realtime' });
+
+const WS_PATH = '/ws';
+
+// Ping interval; sockets that miss a pong (or whose session was revoked) are dropped
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Most messages replayed after a reconnect
+const MAX_REPLAY = 500;
+
+// Close code sent when the login session is signed out remotely
+const CLOSE_SESSION_REVOKED = 4001;
+
+const ROOMS = {
+  college: 'college',
+  club: (clubId) => `club:${clubId}`,
+  user: (userId) => `user:${userId}`,
+};
+
+let wss = null;
+let heartbeat = null;
+
+// room name -> Set of sockets
+const rooms = new Map();
+
+/**
+ * Rooms a user belongs to when they connect.
+ */
+const roomsForUser = (user) => {
+  const names = [ROOMS.college, ROOMS.user(user._id)];
+
+  (user.enrolledClubs || [])
+    .filter((entry) => entry.status === 'active')
+    .forEach((entry) => names.push(ROOMS.club(entry.clubId)));
+
+  if (user.clubId) names.push(ROOMS.club(user.clubId));
+
+  return [...new Set(names)];
+};
+
+const addToRoom = (socket, room) => {
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  rooms.get(room).add(socket);
+  socket.rooms.add(room);
+};
+
+const removeFromRoom = (socket, room) => {
+  const members = rooms.get(room);
+  if (members) {
+    members.delete(socket);
+    if (members.size === 0) rooms.delete(room);
+  }
+  socket.rooms.delete(room);
+};
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const toWire = (doc) => ({
+  type: doc.type,
+  room: doc.room,
+  data: doc.data,
+  cursor: encodeCursor(doc),
+  createdAt: doc.createdAt,
+});
+
+/**
+ * Send a socket everything published to its rooms after `cursor`.
+ */
+const replay = async (socket, cursor) => {
+  const position = decodeCursor(cursor);
+  if (!position) {
+    send(socket, { type: 'error', data: { code: 'INVALID_CURSOR', message: 'Invalid cursor' } });
+    return;
+  }
+
+  const missed = await RealtimeMessage.find({ room: { $in: [...socket.rooms] }, ...newerThan(position) })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(MAX_REPLAY + 1);
+
+  const truncated = missed.length > MAX_REPLAY;
+  const messages = missed.slice(0, MAX_REPLAY);
+  messages.forEach((doc) => send(socket, toWire(doc)));
+
+  send(socket, { type: 'resume.complete', data: { count: messages.length, truncated } });
+};
+
+/**
+ * Handle messages sent by the client.
+ */
+const onMessage = async (socket, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    send(socket, { type: 'error', data: { code: 'INVALID_MESSAGE', message: 'Messages must be JSON' } });
+    return;
+  }
+
+  if (message.type === 'ping') {
+    send(socket, { type: 'pong' });
+  } else if (message.type === 'resume') {
+    await replay(socket, message.cursor);
+  } else {
+    send(socket, { type: 'error', data: { code: 'UNKNOWN_TYPE', message: 'Unknown message type' } });
+  }
+};
+
+/**
+ * Set up an authenticated connection.
+ */
+const onConnection = (socket, { user, session }, cursor) => {
+  socket.userId = user._id.toString();
+  socket.sessionId = session._id;
+  socket.rooms = new Set();
+  socket.isAlive = true;
+
+  roomsForUser(user).forEach((room) => addToRoom(socket, room));
+
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+  socket.on('message', (raw) => {
+    onMessage(socket, raw.toString()).catch((error) => {
+      logger.error('WebSocket message failed', { error });
+      send(socket, { type: 'error', data: { code: 'INTERNAL_SERVER_ERROR', message: 'Something went wrong!' } });
+    });
+  });
+  socket.on('close', () => {
+    [...socket.rooms].forEach((room) => removeFromRoom(socket, room));
+  });
+
+  send(socket, { type: 'ready', data: { rooms: [...socket.rooms] } });
+
+  if (cursor) {
+    replay(socket, cursor).catch((error) => logger.error('WebSocket replay failed', { error }));
+  }
+};
+
+/**
+ * Refuse a handshake with the standard JSON error envelope.
+ */
+const rejectUpgrade = (socket, error) => {
+  const status = error.status || 500;
+  const body = JSON.stringify({
+    success: false,
+    error: {
+      code: error.code || 'INTERNAL_SERVER_ERROR',
+      message: error.expose ? error.message : 'Something went wrong!',
+    },
+  });
+
+  socket.end(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+      'Connection: close\r\n' +
+      'Content-Type: application/json\r\n' +
+      `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`
+  );
+};
+
+/**
+ * Authenticate an HTTP upgrade request before accepting the WebSocket.
+ */
+const onUpgrade = async (req, socket, head) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== WS_PATH) {
+    socket.destroy();
+    return;
+  }
+
+  // The client may reset the connection while the token is checked. Nothing
+  // else listens on the raw socket yet, so without this the 'error' would be
+  // uncaught and take the server down.
+  const onHandshakeError = (error) => {
+    logger.debug('WebSocket handshake aborted by the client', { error });
+  };
+  socket.on('error', onHandshakeError);
+
+  let auth;
+  try {
+    auth = await authenticateToken(url.searchParams.get('token') || getBearerToken(req));
+  } catch (error) {
+    if (!socket.destroyed) {
+      // Keep listening until the rejection has been written and the socket closed
+      socket.once('close', () => socket.removeListener('error', onHandshakeError));
+      rejectUpgrade(socket, error);
+    }
+    return;
+  }
+
+  if (socket.destroyed) return;
+
+  // ws listens for socket errors itself from here on
+  socket.removeListener('error', onHandshakeError);
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    onConnection(ws, auth, url.searchParams.get('cursor'));
+  });
+};
+
+/**
+ * Drop sockets that stopped answering pings or whose session was revoked.
+ */
+const checkConnections = () => {
+  wss.clients.forEach(async (socket) => {
+    if (!socket.isAlive) {
+      socket.terminate();
+      return;
+    }
+    socket.isAlive = false;
+    socket.ping();
+
+    try {
+      const session = await Session.findById(socket.sessionId);
+      if (!session || !session.isActive()) {
+        socket.close(CLOSE_SESSION_REVOKED, 'SESSION_REVOKED');
+      }
+    } catch (error) {
+      // Keep the socket if the database is briefly unavailable
+    }
+  });
+};
+
+/**
+ * Start the WebSocket server on an existing HTTP server.
+ *
+ * @param {http.Server} server
+ * @returns {WebSocketServer}
+ */
+const attachRealtime = (server) => {
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    onUpgrade(req, socket, head).catch((error) => {
+      logger.error('WebSocket upgrade failed', { error });
+      socket.destroy();
+    });
+  });
+
+  heartbeat = setInterval(checkConnections, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  return wss;
+};
+
+/**
+ * Close every connection and stop the server.
+ */
+const closeRealtime = () =>
+  new Promise((resolve) => {
+    if (!wss) return resolve();
+
+    clearInterval(heartbeat);
+    wss.clients.forEach((socket) => socket.close(1001, 'Server shutting down'));
+    wss.close(() => resolve());
+    wss = null;
+  });
+
+/**
+ * Publish a message to a room: store it for resuming, then push it to
+ * every connected member. Never throws - a failed push must not fail the
+ * HTTP request that triggered it.
+ *
+ * @param {string} room - One of the ROOMS names
+ * @param {string} type - e.g. 'broadcast.created'
+ * @param {object} data - JSON-serialisable payload
+ */
+const publish = async (room, type, data) => {
+  try {
+    const doc = await RealtimeMessage.create({ room, type, data });
+    const message = toWire(doc);
+    (rooms.get(room) || []).forEach((socket) => send(socket, message));
+  } catch (error) {
+    logger.error('Realtime publish failed', { error });
+  }
+};
+
+/**
+ * Add or remove a user's open connections to/from a room, e.g. when a
+ * join request is approved or the student leaves a club.
+ */
+const joinRoom = (userId, room) => {
+  (rooms.get(ROOMS.user(userId)) || []).forEach((socket) => addToRoom(socket, room));
+};
+
+const leaveRoom = (userId, room) => {
+  [...(rooms.get(ROOMS.user(userId)) || [])].forEach((socket) => removeFromRoom(socket, room));
+};
+
+/**
+ * Number of open WebSocket connections (for /metrics).
+ */
+const getClientCount = () => (wss ? wss.clients.size : 0);
+
+module.exports = {
+  ROOMS,
+  attachRealtime,
+  closeRealtime,
+  publish,
+  joinRoom,
+  leaveRoom,
+  getClientCount,
+};
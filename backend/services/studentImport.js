@@ -0,0 +1,225 @@
+/**
+ * Student Roster Import
+ *
+ * Creates and updates student accounts from a CSV sheet, used by
+ * POST /api/admin/import/students and the import-students.js script in the
+ * project root.
+ *
+ * CSV FORMAT
+ * A header row, then one student per row. Columns (any order, case and
+ * spacing ignored):
+ *   name         - required
+ *   rollNumber   - required (also "roll number", "roll no", "roll_no")
+ *   email        - optional
+ *
+ * BEHAVIOUR
+ * - Every row is validated first; nothing is written if any row has an
+ *   error, so a sheet can be fixed and re-run (use a dry run to check).
+ * - Students are matched on roll number: new roll numbers are created with
+ *   the default student password (changed on first login), existing ones
+ *   get the sheet's name and email. Re-running the same sheet changes nothing.
+ */
+
+const bcrypt = require('bcrypt');
+const User = require('../models/User');
+const ApiError = require('../utils/ApiError');
+const { parseCsv } = require('../utils/csv');
+const { DEFAULT_PASSWORDS } = require('../utils/passwordPolicy');
+
+// JNTUH-style roll numbers, e.g. 21BD1A0501 (regular) or 22BD5A0512 (lateral entry)
+const ROLL_NUMBER_PATTERN = /^\d{2}[A-Z0-9]{2}\d[A-Z]\d{2}[A-Z0-9]{2}$/;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Largest sheet accepted in one import
+const MAX_ROWS = 5000;
+
+// Header spellings accepted for each column (compared without spaces, _ or -)
+const COLUMNS = {
+  name: ['name', 'studentname', 'fullname'],
+  rollNumber: ['rollnumber', 'rollno', 'roll', 'hallticketnumber', 'hallticketno'],
+  email: ['email', 'emailaddress', 'mail'],
+};
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s_\-.]/g, '');
+
+/**
+ * Work out which column holds which field.
+ */
+const mapColumns = (headerFields) => {
+  const headers = headerFields.map(normalizeHeader);
+  const columns = {};
+  Object.entries(COLUMNS).forEach(([field, names]) => {
+    const index = headers.findIndex((header) => names.includes(header));
+    if (index !== -1) columns[field] = index;
+  });
+
+  const missing = ['name', 'rollNumber'].filter((field) => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw ApiError.badRequest(`CSV header must include: ${missing.join(', ')}`, {
+      missing,
+      found: headerFields,
+    });
+  }
+  return columns;
+};
+
+/**
+ * Check a row against the User schema too. The upsert in applyRows does not
+ * run Mongoose validators, so anything the schema adds later (a length limit,
+ * a new pattern) is caught here instead of being written unchecked.
+ */
+const schemaErrors = ({ name, rollNumber, email }) => {
+  const error = new User({ name, rollNumber, email, role: 'student' }).validateSync([
+    'name',
+    'rollNumber',
+    'email',
+  ]);
+  return error ? Object.values(error.errors).map((problem) => problem.message) : [];
+};
+
+/**
+ * Parse and validate a sheet (no database access).
+ *
+ * @param {string} text - CSV text
+ * @returns {{ line: number, name: string, rollNumber: string, email?: string, errors: string[] }[]}
+ */
+const parseStudentRows = (text) => {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    throw ApiError.badRequest('The CSV file is empty');
+  }
+  if (records.length > MAX_ROWS) {
+    throw ApiError.badRequest(`At most ${MAX_ROWS} students can be imported at once`);
+  }
+
+  const columns = mapColumns(header.fields);
+  const seen = new Map(); // roll number -> line
+
+  return records.map(({ line, fields }) => {
+    const value = (field) => (columns[field] === undefined ? '' : (fields[columns[field]] || '').trim());
+    const row = {
+      line,
+      name: value('name').replace(/\s+/g, ' '),
+      rollNumber: value('rollNumber').toUpperCase(),
+      ...(value('email') && { email: value('email').toLowerCase() }),
+      errors: [],
+    };
+
+    if (!row.name) row.errors.push('Name is required');
+    if (!row.rollNumber) {
+      row.errors.push('Roll number is required');
+    } else if (!ROLL_NUMBER_PATTERN.test(row.rollNumber)) {
+      row.errors.push(`"${row.rollNumber}" is not a valid roll number (expected e.g. 21BD1A0501)`);
+    } else if (seen.has(row.rollNumber)) {
+      row.errors.push(`Duplicate roll number (also on line ${seen.get(row.rollNumber)})`);
+    } else {
+      seen.set(row.rollNumber, line);
+    }
+    if (row.email && !EMAIL_PATTERN.test(row.email)) {
+      row.errors.push(`"${row.email}" is not a valid email address`);
+    }
+    if (row.errors.length === 0) {
+      row.errors.push(...schemaErrors(row));
+    }
+
+    return row;
+  });
+};
+
+/**
+ * Decide what happens to each valid row: create, update or unchanged.
+ * Roll numbers that belong to a non-student account are errors.
+ */
+const planRows = async (rows) => {
+  const rollNumbers = rows.filter((row) => row.errors.length === 0).map((row) => row.rollNumber);
+  const existing = await User.find({ rollNumber: { $in: rollNumbers } }).select('name rollNumber email role');
+  const byRollNumber = new Map(existing.map((user) => [user.rollNumber, user]));
+
+  rows.forEach((row) => {
+    if (row.errors.length > 0) return;
+    const user = byRollNumber.get(row.rollNumber);
+
+    if (!user) {
+      row.action = 'create';
+    } else if (user.role !== 'student') {
+      row.errors.push('Roll number belongs to a council account');
+    } else {
+      const changed = user.name !== row.name || (row.email !== undefined && user.email !== row.email);
+      row.action = changed ? 'update' : 'unchanged';
+    }
+  });
+};
+
+/**
+ * Write the planned creates and updates. Each row is an upsert on roll
+ * number, so a concurrent or repeated import cannot create duplicates.
+ */
+const applyRows = async (rows) => {
+  const pending = rows.filter((row) => row.action === 'create' || row.action === 'update');
+  if (pending.length === 0) return;
+
+  // insert/upsert bypasses the User pre-save hook, so hash the default password here (once)
+  const password = await bcrypt.hash(DEFAULT_PASSWORDS.student, User.SALT_ROUNDS);
+
+  await User.bulkWrite(
+    pending.map((row) => ({
+      updateOne: {
+        filter: { rollNumber: row.rollNumber, role: 'student' },
+        update: {
+          $set: { name: row.name, ...(row.email && { email: row.email }) },
+          $setOnInsert: { password, isFirstLogin: true },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+};
+
+/**
+ * Import (or dry-run) a CSV roster.
+ *
+ * @param {string} text - CSV text
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Validate and report without writing
+ * @returns {Promise<object>} Report: { dryRun, committed, summary, rows }
+ */
+const importStudents = async (text, { dryRun = false } = {}) => {
+  const rows = parseStudentRows(text);
+  await planRows(rows);
+
+  const invalid = rows.filter((row) => row.errors.length > 0);
+  const count = (action) => rows.filter((row) => row.errors.length === 0 && row.action === action).length;
+
+  const report = {
+    dryRun,
+    committed: false,
+    summary: {
+      total: rows.length,
+      create: count('create'),
+      update: count('update'),
+      unchanged: count('unchanged'),
+      errors: invalid.length,
+    },
+    rows: rows.map(({ line, name, rollNumber, action, errors }) => ({
+      line,
+      rollNumber,
+      name,
+      ...(errors.length > 0 ? { errors } : { action }),
+    })),
+  };
+
+  if (!dryRun && invalid.length === 0) {
+    await applyRows(rows);
+    report.committed = true;
+  }
+  return report;
+};
+
+module.exports = {
+  ROLL_NUMBER_PATTERN,
+  MAX_ROWS,
+  parseStudentRows,
+  importStudents,
+};
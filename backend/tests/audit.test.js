@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const AuditLog = require('../models/AuditLog');
+const Event = require('../models/Event');
+const adminRoutes = require('../routes/admin');
+const audit = require('../services/audit');
+const realtime = require('../services/realtime');
+const { decodeCursor } = require('../utils/cursor');
+const { parseDateOnly, formatDateOnly } = require('../utils/dates');
+const logger = require('../utils/logger');
+const { createApp, createUser, query, signIn, stubAccounts } = require('./helpers');
+
+const logged = (fields) =>
+  AuditLog.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    action: 'event.updated',
+    actorId: new mongoose.Types.ObjectId(),
+    actorName: 'PR Council',
+    actorRole: 'pr',
+    targetType: 'event',
+    createdAt: new Date(),
+    ...fields,
+  });
+
+describe('audit log', () => {
+  const app = createApp({ '/api/admin': adminRoutes });
+
+  let auth;
+
+  beforeEach(async () => {
+    stubAccounts();
+    auth = (await signIn(await createUser({ name: 'PR Council', role: 'pr' }))).auth;
+    jest.spyOn(audit, 'record').mockImplementation(() => {});
+    jest.spyOn(realtime, 'publish').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('restoring a cancelled event', () => {
+    let series;
+    let occurrence;
+    let entry;
+
+    const restore = (body = {}) =>
+      request(app).post(`/api/admin/audit/${entry._id}/restore`).set('Authorization', auth).send(body);
+
+    beforeEach(() => {
+      // A weekly series cancelled together with one occurrence that was
+      // moved to another venue
+      series = Event.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        title: 'Robotics Practice',
+        clubId: new mongoose.Types.ObjectId(),
+        clubName: 'Robotics Club',
+        date: parseDateOnly('2030-01-07'),
+        startTime: '16:00',
+        endTime: '18:00',
+        venue: 'Lab 1',
+        maxParticipants: 20,
+        recurrence: { frequency: 'weekly', interval: 1, byWeekday: [1], count: 4 },
+        exdates: [parseDateOnly('2030-01-14')],
+        status: 'cancelled',
+        cancelledAt: new Date(),
+      });
+      occurrence = Event.buildOccurrence(series, parseDateOnly('2030-01-14'));
+      occurrence.set({ venue: 'Lab 2', detached: true, status: 'cancelled' });
+
+      entry = AuditLog.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        action: 'event.cancelled',
+        actorId: new mongoose.Types.ObjectId(),
+        targetType: 'event',
+        targetId: series._id,
+        details: { scope: 'all', cancelledOccurrences: [occurrence._id] },
+        snapshot: series.toObject(),
+      });
+
+      jest.spyOn(AuditLog, 'findById').mockResolvedValue(entry);
+      jest.spyOn(Event, 'findById').mockResolvedValue(series);
+      jest.spyOn(Event, 'find').mockReturnValue(query([occurrence]));
+      jest.spyOn(Event, 'findVenueConflicts').mockResolvedValue([]);
+      jest.spyOn(Event, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Event.prototype, 'save').mockImplementation(async function () {
+        return this;
+      });
+    });
+
+    const clashInLab2 = () =>
+      Event.findVenueConflicts.mockImplementation(async ({ venue, dates }) =>
+        venue === 'Lab 2'
+          ? [{ _id: 'other', title: 'Chess Finals', clubName: 'Chess Club', date: dates[0], startTime: '17:00' }]
+          : []
+      );
+
+    it('brings back the series and the occurrences cancelled with it', async () => {
+      const res = await restore();
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.restoredOccurrences).toBe(1);
+      expect(series.status).toBe('active');
+      expect(Event.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [occurrence._id] }, status: 'cancelled' },
+        { $set: { status: 'active' }, $unset: { cancelledAt: 1, cancelledBy: 1 } }
+      );
+    });
+
+    it('checks each occurrence on its own venue and date', async () => {
+      await restore();
+
+      const slots = Event.findVenueConflicts.mock.calls.map(([slot]) => ({
+        venue: slot.venue,
+        dates: slot.dates.map(formatDateOnly),
+      }));
+      expect(slots).toContainEqual({ venue: 'Lab 2', dates: ['2030-01-14'] });
+    });
+
+    it('restores nothing when an occurrence clashes', async () => {
+      clashInLab2();
+
+      const res = await restore();
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('VENUE_CONFLICT');
+      expect(res.body.error.details.conflicts[0].title).toBe('Chess Finals');
+      expect(Event.prototype.save).not.toHaveBeenCalled();
+      expect(Event.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('lets PR restore over a clash on purpose', async () => {
+      clashInLab2();
+
+      const res = await restore({ overrideVenueConflict: true });
+
+      expect(res.status).toBe(200);
+      expect(Event.updateMany).toHaveBeenCalled();
+    });
+
+    it('only restores cancellations', async () => {
+      entry = AuditLog.hydrate({ ...entry.toObject(), action: 'event.updated' });
+      AuditLog.findById.mockResolvedValue(entry);
+
+      const res = await restore();
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('listing', () => {
+    let page;
+    let found;
+    let pageLimit;
+
+    beforeEach(() => {
+      page = [];
+      // find().select().sort().limit(n)
+      jest.spyOn(AuditLog, 'find').mockImplementation((filter) => {
+        found = filter;
+        const chain = {
+          select: () => chain,
+          sort: () => chain,
+          limit: async (limit) => {
+            pageLimit = limit;
+            return page.slice(0, limit);
+          },
+        };
+        return chain;
+      });
+    });
+
+    const list = (params) => request(app).get('/api/admin/audit').query(params).set('Authorization', auth);
+
+    it('narrows the log by action, target and day', async () => {
+      const targetId = String(new mongoose.Types.ObjectId());
+
+      const res = await list({
+        action: 'event.updated,event.cancelled',
+        targetId,
+        from: '2030-01-01',
+        to: '2030-01-31',
+      });
+
+      expect(res.status).toBe(200);
+      expect(found).toEqual({
+        $and: [
+          {
+            action: { $in: ['event.updated', 'event.cancelled'] },
+            targetId,
+            createdAt: { $gte: parseDateOnly('2030-01-01'), $lt: parseDateOnly('2030-02-01') },
+          },
+        ],
+      });
+    });
+
+    it('pages newest first with a cursor to older entries', async () => {
+      page = [3, 2, 1].map((day) => logged({ createdAt: new Date(Date.UTC(2030, 0, day)) }));
+
+      const first = await list({ limit: 2 });
+
+      expect(pageLimit).toBe(3);
+      expect(first.body.data.entries).toHaveLength(2);
+      expect(decodeCursor(first.body.data.nextCursor)).toEqual({
+        createdAt: page[1].createdAt,
+        id: String(page[1]._id),
+      });
+
+      await list({ cursor: first.body.data.nextCursor });
+
+      expect(found.$and[1].$or[0]).toEqual({ createdAt: { $lt: page[1].createdAt } });
+      expect(pageLimit).toBe(51);
+    });
+
+    it.each([
+      ['an unknown action', { action: 'event.deleted' }, 'Unknown action: event.deleted'],
+      ['a malformed cursor', { cursor: 'not-a-cursor' }, 'Invalid cursor'],
+      ['more than 100 entries a page', { limit: 101 }, 'limit must be less than or equal to 100'],
+    ])('rejects %s', async (name, params, message) => {
+      const res = await list(params);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toBe(message);
+    });
+
+    it('is only for PR', async () => {
+      const clubId = new mongoose.Types.ObjectId();
+      const head = await signIn(await createUser({ name: 'Robotics Head', role: 'club_head', clubId }));
+
+      const res = await request(app).get('/api/admin/audit').set('Authorization', head.auth);
+
+      expect(res.status).toBe(403);
+      expect(AuditLog.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recording', () => {
+    const req = {
+      user: { _id: new mongoose.Types.ObjectId(), name: 'PR Council', role: 'pr' },
+      ip: '10.0.0.7',
+      get: () => 'Mozilla/5.0 '.repeat(40),
+    };
+
+    beforeEach(() => {
+      audit.record.mockRestore();
+      jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    });
+
+    it('keeps the actor as they were and where the request came from', async () => {
+      await audit.record(req, {
+        action: 'user.role_changed',
+        target: { type: 'user', id: req.user._id, label: 'Asha' },
+        changes: [],
+      });
+
+      const [entry] = AuditLog.create.mock.calls[0];
+      expect(entry).toMatchObject({
+        actorId: req.user._id,
+        actorName: 'PR Council',
+        actorRole: 'pr',
+        targetType: 'user',
+        targetLabel: 'Asha',
+        changes: undefined,
+        ipAddress: '10.0.0.7',
+      });
+      expect(entry.userAgent).toHaveLength(200);
+    });
+
+    it('never fails the request that made the change', async () => {
+      AuditLog.create.mockRejectedValue(new Error('connection lost'));
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      await expect(audit.record(req, { action: 'event.updated', target: { type: 'event' } })).resolves.toBeUndefined();
+    });
+
+    it('diffs only the fields that changed', () => {
+      const clubId = new mongoose.Types.ObjectId();
+      const before = { title: 'Robot Wars', date: parseDateOnly('2030-01-10'), clubId, venue: 'Lab 1' };
+      const after = { ...before, date: new Date('2030-01-10T00:00:00Z'), clubId: String(clubId), venue: 'Lab 2' };
+
+      expect(audit.diff(before, after, ['title', 'date', 'clubId', 'venue'])).toEqual([
+        { field: 'venue', before: 'Lab 1', after: 'Lab 2' },
+      ]);
+    });
+  });
+
+  describe('append-only entries', () => {
+    it('cannot be changed once saved', async () => {
+      const entry = logged({});
+      entry.actorName = 'Someone else';
+
+      await expect(entry.save()).rejects.toThrow('Audit log entries cannot be changed');
+    });
+
+    it.each(['updateOne', 'deleteMany', 'findOneAndDelete'])('cannot be changed through %s', async (operation) => {
+      await expect(AuditLog[operation]({})).rejects.toThrow('Audit log entries cannot be changed or deleted');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const request = require('supertest');
+const User = require('../models/User');
+const authRoutes = require('../routes/auth');
+const { TOKEN_SCOPES } = require('../utils/jwt');
+const { createApp, createUser, signIn, stubAccounts } = require('./helpers');
+
+const PASSWORD = 'Str0ng!Passphrase';
+
+describe('authentication and sessions', () => {
+  const app = createApp({ '/api/auth': authRoutes });
+  let store;
+
+  beforeEach(() => {
+    store = stubAccounts();
+    jest
+      .spyOn(User.prototype, 'comparePassword')
+      .mockImplementation(async (candidate) => candidate === PASSWORD);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const councilLogin = () =>
+    request(app).post('/api/auth/council-login').send({ clubName: 'robotics club', password: PASSWORD });
+
+  it('binds the login token to a new session', async () => {
+    await createUser({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+
+    const login = await request(app)
+      .post('/api/auth/student-login')
+      .send({ name: 'asha', rollNumber: '21cs001', password: PASSWORD });
+
+    expect(login.status).toBe(200);
+    expect(login.body.data.requiresPasswordChange).toBe(false);
+    expect(store.sessions.has(String(login.body.data.sessionId))).toBe(true);
+
+    const verify = await request(app)
+      .get('/api/auth/verify-token')
+      .set('Authorization', `Bearer ${login.body.data.token}`);
+    expect(verify.status).toBe(200);
+  });
+
+  it('rejects wrong credentials', async () => {
+    await createUser({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+
+    const res = await request(app)
+      .post('/api/auth/student-login')
+      .send({ name: 'Someone Else', rollNumber: '21CS001', password: PASSWORD });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('INVALID_CREDENTIALS');
+    expect(store.sessions.size).toBe(0);
+  });
+
+  it('rejects a token once its session is revoked', async () => {
+    const user = await createUser({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+    const current = await signIn(user);
+    const other = await signIn(user);
+
+    const revoke = await request(app)
+      .delete(`/api/auth/sessions/${other.session._id}`)
+      .set('Authorization', current.auth);
+    expect(revoke.status).toBe(200);
+    expect(other.session.revokedReason).toBe('remote_revoke');
+
+    const res = await request(app).get('/api/auth/verify-token').set('Authorization', other.auth);
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('SESSION_REVOKED');
+
+    const stillSignedIn = await request(app).get('/api/auth/verify-token').set('Authorization', current.auth);
+    expect(stillSignedIn.status).toBe(200);
+  });
+
+  it("does not revoke another user's session", async () => {
+    const user = await createUser({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+    const stranger = await createUser({ name: 'Ravi', rollNumber: '21CS002', role: 'student' });
+    const { auth } = await signIn(user);
+    const { session } = await signIn(stranger);
+
+    const res = await request(app).delete(`/api/auth/sessions/${session._id}`).set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+    expect(session.isActive()).toBe(true);
+  });
+
+  it('lists only active sessions and marks the current one', async () => {
+    const user = await createUser({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+    const current = await signIn(user);
+    const revoked = await signIn(user);
+    await revoked.session.revoke('logout');
+
+    const res = await request(app).get('/api/auth/sessions').set('Authorization', current.auth);
+
+    expect(res.status).toBe(200);
+    const ids = res.body.data.sessions.map((session) => session.id);
+    expect(ids).toEqual([String(current.session._id)]);
+    expect(res.body.data.sessions[0].current).toBe(true);
+  });
+
+  it('signs out the least recently used session past the council cap', async () => {
+    await createUser({ name: 'Robotics Club', clubName: 'Robotics Club', role: 'club_head' });
+
+    const first = await councilLogin();
+    const second = await councilLogin();
+    expect(second.body.data.revokedSessions).toBeUndefined();
+
+    const third = await councilLogin();
+    expect(third.status).toBe(200);
+    expect(third.body.data.revokedSessions).toHaveLength(1);
+
+    const evicted = [first, second].find(
+      (login) => String(login.body.data.sessionId) === third.body.data.revokedSessions[0]
+    );
+    const res = await request(app)
+      .get('/api/auth/verify-token')
+      .set('Authorization', `Bearer ${evicted.body.data.token}`);
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('SESSION_REVOKED');
+  });
+
+  it('keeps other sessions signed out after a password change', async () => {
+    const user = await createUser({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+    const current = await signIn(user);
+    const other = await signIn(user);
+
+    const res = await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', current.auth)
+      .send({ currentPassword: PASSWORD, newPassword: 'An0ther!Passphrase' });
+
+    expect(res.status).toBe(200);
+    expect(other.session.revokedReason).toBe('password_changed');
+    expect(current.session.isActive()).toBe(true);
+  });
+
+  it('only accepts a first-login token for changing the password', async () => {
+    const user = await createUser({ name: 'Asha', rollNumber: '21CS001', role: 'student', isFirstLogin: true });
+    const { auth } = await signIn(user, { scope: TOKEN_SCOPES.PASSWORD_CHANGE });
+
+    const res = await request(app).get('/api/auth/verify-token').set('Authorization', auth);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('PASSWORD_CHANGE_REQUIRED');
+  });
+
+  it('rejects requests without a token', async () => {
+    const res = await request(app).get('/api/auth/verify-token');
+
+    expect(res.status).toBe(401);
+  });
+});
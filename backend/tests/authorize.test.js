@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const adminRoutes = require('../routes/admin');
+const clubRoutes = require('../routes/clubs');
+const eventRoutes = require('../routes/events');
+const { ownsClubResource } = require('../middleware/authorize');
+const { createApp, createUser, query, signIn, stubAccounts } = require('./helpers');
+
+describe('role-based access control', () => {
+  const app = createApp({ '/api/events': eventRoutes, '/api/clubs': clubRoutes, '/api/admin': adminRoutes });
+  const robotics = new Club({ name: 'Robotics Club' });
+  const drama = new Club({ name: 'Drama Club' });
+
+  const signInAs = async (fields) => (await signIn(await createUser(fields))).auth;
+
+  beforeEach(() => {
+    stubAccounts();
+    jest.spyOn(Club, 'findById').mockImplementation(async (id) =>
+      [robotics, drama].find((club) => String(club._id) === String(id)) || null
+    );
+    jest.spyOn(User, 'find').mockReturnValue(query([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('club ownership', () => {
+    it("lets a club head manage their own club's roster", async () => {
+      const auth = await signInAs({ name: 'Robotics Head', role: 'club_head', clubId: robotics._id });
+
+      const res = await request(app).get(`/api/clubs/${robotics._id}/members`).set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+    });
+
+    it("forbids a club head from managing another club's roster", async () => {
+      const auth = await signInAs({ name: 'Robotics Head', role: 'club_head', clubId: robotics._id });
+
+      const res = await request(app).get(`/api/clubs/${drama._id}/members`).set('Authorization', auth);
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.details.missingPermission).toBe('clubs:manage:any');
+      expect(User.find).not.toHaveBeenCalled();
+    });
+
+    it('lets PR manage any club', async () => {
+      const auth = await signInAs({ name: 'PR Council', role: 'pr' });
+
+      const res = await request(app).get(`/api/clubs/${drama._id}/members`).set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+    });
+
+    it('reports a missing club as 404 before checking ownership', async () => {
+      const auth = await signInAs({ name: 'Robotics Head', role: 'club_head', clubId: robotics._id });
+
+      const res = await request(app)
+        .get(`/api/clubs/${new mongoose.Types.ObjectId()}/members`)
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('event ownership', () => {
+    const dramaEvent = new Event({ title: 'Annual Play', clubId: drama._id });
+    const newEvent = {
+      title: 'Robot Wars',
+      date: '2030-01-10',
+      startTime: '10:00',
+      endTime: '12:00',
+      venue: 'Main Auditorium',
+      maxParticipants: 50,
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Event, 'findById').mockResolvedValue(dramaEvent);
+    });
+
+    it("forbids a club head from editing another club's event", async () => {
+      const auth = await signInAs({ name: 'Robotics Head', role: 'club_head', clubId: robotics._id });
+
+      const res = await request(app)
+        .put(`/api/events/${dramaEvent._id}`)
+        .set('Authorization', auth)
+        .send({ title: 'Renamed' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.details.missingPermission).toBe('events:update:any');
+    });
+
+    it('forbids a club head from creating events for another club', async () => {
+      const auth = await signInAs({ name: 'Robotics Head', role: 'club_head', clubId: robotics._id });
+      const create = jest.spyOn(Event, 'create');
+
+      const res = await request(app)
+        .post('/api/events')
+        .set('Authorization', auth)
+        .send({ ...newEvent, clubId: String(drama._id) });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.details.missingPermission).toBe('events:create:any');
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('forbids students from editing events', async () => {
+      const auth = await signInAs({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+
+      const res = await request(app)
+        .put(`/api/events/${dramaEvent._id}`)
+        .set('Authorization', auth)
+        .send({ title: 'Renamed' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.details.missingPermission).toBe('events:update:own');
+      expect(Event.findById).not.toHaveBeenCalled();
+    });
+
+    it('forbids students from creating events', async () => {
+      const auth = await signInAs({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+
+      const res = await request(app).post('/api/events').set('Authorization', auth).send(newEvent);
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.details.missingPermission).toBe('events:create:own');
+    });
+  });
+
+  it('keeps the admin routes to PR', async () => {
+    const auth = await signInAs({ name: 'Robotics Head', role: 'club_head', clubId: robotics._id });
+
+    const res = await request(app).get('/api/admin/users').set('Authorization', auth);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.details.missingPermission).toBe('admin:access');
+  });
+
+  describe('ownsClubResource', () => {
+    const head = { clubId: robotics._id };
+
+    it('matches a resource by its clubId, populated or not', () => {
+      expect(ownsClubResource(head, { clubId: robotics._id })).toBe(true);
+      expect(ownsClubResource(head, { clubId: { _id: robotics._id, name: 'Robotics Club' } })).toBe(true);
+      expect(ownsClubResource(head, { clubId: drama._id })).toBe(false);
+    });
+
+    it('treats a club as its own resource', () => {
+      expect(ownsClubResource(head, robotics)).toBe(true);
+      expect(ownsClubResource(head, drama)).toBe(false);
+    });
+
+    it('never matches a user without a club', () => {
+      expect(ownsClubResource({}, { clubId: undefined })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Broadcast = require('../models/Broadcast');
+const BroadcastRead = require('../models/BroadcastRead');
+const Club = require('../models/Club');
+const User = require('../models/User');
+const broadcastRoutes = require('../routes/broadcasts');
+const audit = require('../services/audit');
+const notifications = require('../services/notifications');
+const realtime = require('../services/realtime');
+const { createApp, createUser, query, signIn, stubAccounts } = require('./helpers');
+
+describe('broadcasts', () => {
+  const app = createApp({ '/api/broadcasts': broadcastRoutes });
+  const robotics = new Club({ name: 'Robotics Club' });
+
+  const signInAs = async (fields) => (await signIn(await createUser(fields))).auth;
+
+  beforeEach(() => {
+    stubAccounts();
+    jest.spyOn(Broadcast, 'create').mockImplementation(async (fields) => new Broadcast(fields));
+    jest.spyOn(audit, 'record').mockImplementation(() => {});
+    jest.spyOn(realtime, 'publish').mockImplementation(() => {});
+    jest.spyOn(notifications, 'notifyUsers').mockImplementation(() => {});
+    jest.spyOn(Club, 'findById').mockImplementation(async (id) => (String(id) === String(robotics._id) ? robotics : null));
+  });
+
+  const stored = (fields) =>
+    Broadcast.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      channel: 'college',
+      message: 'Classes end at noon on Friday.',
+      authorId: new mongoose.Types.ObjectId(),
+      readCount: 0,
+      createdAt: new Date(),
+      ...fields,
+    });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('posting to the college channel', () => {
+    const post = (auth) =>
+      request(app)
+        .post('/api/broadcasts/college')
+        .set('Authorization', auth)
+        .send({ title: 'Fest week', message: 'Classes end at noon on Friday.' });
+
+    it.each([
+      ['PR', { name: 'PR Council', role: 'pr' }],
+      ['OC', { name: 'Organising Committee', role: 'oc' }],
+    ])('is open to %s', async (name, fields) => {
+      const res = await post(await signInAs(fields));
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.broadcast).toMatchObject({ channel: 'college', title: 'Fest week' });
+      expect(realtime.publish).toHaveBeenCalledWith(realtime.ROOMS.college, 'broadcast.created', expect.any(Object));
+    });
+
+    it.each([
+      ['club heads', { name: 'Robotics Head', role: 'club_head', clubId: new mongoose.Types.ObjectId() }],
+      ['students', { name: 'Asha', rollNumber: '21CS001', role: 'student' }],
+    ])('is closed to %s', async (name, fields) => {
+      const res = await post(await signInAs(fields));
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.details.missingPermission).toBe('broadcasts:college');
+      expect(Broadcast.create).not.toHaveBeenCalled();
+    });
+  });
+
+  it('also pushes urgent broadcasts to phones', async () => {
+    const auth = await signInAs({ name: 'PR Council', role: 'pr' });
+
+    await request(app)
+      .post('/api/broadcasts/college')
+      .set('Authorization', auth)
+      .send({ message: 'Campus closes at 3pm today.', isUrgent: true });
+
+    expect(notifications.notifyUsers).toHaveBeenCalledWith(
+      {},
+      expect.objectContaining({ body: 'Campus closes at 3pm today.' }),
+      expect.objectContaining({ urgent: true })
+    );
+  });
+
+  describe('reading a channel', () => {
+    let page;
+    let pageLimit;
+
+    beforeEach(() => {
+      page = [];
+      pageLimit = null;
+      // Feed query: find().sort().limit(n); pinned query: find().sort()
+      jest.spyOn(Broadcast, 'find').mockImplementation((filter) => {
+        const result = filter.isPinned ? query([]) : query(page);
+        result.sort = () => {
+          const sorted = query(filter.isPinned ? [] : page);
+          sorted.limit = (limit) => {
+            pageLimit = limit;
+            return query(page.slice(0, limit));
+          };
+          return sorted;
+        };
+        return result;
+      });
+      jest.spyOn(BroadcastRead, 'readIds').mockImplementation(async () => new Set(page.slice(0, 1).map(String)));
+      jest.spyOn(User, 'countDocuments').mockResolvedValue(540);
+    });
+
+    const readCollege = (auth, params = {}) =>
+      request(app).get('/api/broadcasts/college').query(params).set('Authorization', auth);
+
+    it('pages newest first with a cursor to the next page', async () => {
+      page = [10, 9, 8].map((day) => stored({ createdAt: new Date(Date.UTC(2030, 0, day)) }));
+      const auth = await signInAs({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+
+      const res = await readCollege(auth, { limit: 2 });
+
+      expect(res.status).toBe(200);
+      expect(pageLimit).toBe(3);
+      expect(res.body.data.broadcasts).toHaveLength(2);
+      expect(res.body.data.nextCursor).toEqual(expect.any(String));
+      expect(res.body.data.pinned).toEqual([]);
+    });
+
+    it('defaults to 20 per page and allows at most 50', async () => {
+      const auth = await signInAs({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+
+      await readCollege(auth);
+      expect(pageLimit).toBe(21);
+
+      const res = await readCollege(auth, { limit: 51 });
+      expect(res.status).toBe(400);
+    });
+
+    it('shows senders how many people read each message', async () => {
+      page = [stored({ readCount: 312 })];
+      const pr = await signInAs({ name: 'PR Council', role: 'pr' });
+      const student = await signInAs({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+
+      const forSender = await readCollege(pr);
+      const forStudent = await readCollege(student);
+
+      expect(forSender.body.data.audience).toBe(540);
+      expect(forSender.body.data.broadcasts[0].reach).toEqual({ read: 312, total: 540 });
+      expect(forStudent.body.data.broadcasts[0].reach).toBeUndefined();
+      expect(forStudent.body.data.audience).toBeUndefined();
+    });
+
+    it('keeps club channels to members', async () => {
+      const member = await signInAs({
+        name: 'Asha',
+        rollNumber: '21CS001',
+        role: 'student',
+        enrolledClubs: [{ clubId: robotics._id, status: 'active' }],
+      });
+      const applicant = await signInAs({
+        name: 'Ravi',
+        rollNumber: '21CS002',
+        role: 'student',
+        enrolledClubs: [{ clubId: robotics._id, status: 'pending' }],
+      });
+      const readClub = (auth) => request(app).get(`/api/broadcasts/club/${robotics._id}`).set('Authorization', auth);
+
+      expect((await readClub(member)).status).toBe(200);
+      expect((await readClub(applicant)).status).toBe(403);
+    });
+  });
+
+  describe('read receipts and pinning', () => {
+    let broadcast;
+
+    beforeEach(() => {
+      broadcast = stored({ channel: 'club', clubId: robotics._id, clubName: robotics.name });
+      jest
+        .spyOn(Broadcast, 'findById')
+        .mockImplementation(async (id) => (String(id) === String(broadcast._id) ? broadcast : null));
+      jest.spyOn(Broadcast.prototype, 'save').mockImplementation(async function () {
+        return this;
+      });
+      jest.spyOn(BroadcastRead, 'markRead').mockResolvedValueOnce(true).mockResolvedValue(false);
+    });
+
+    it('records a read once', async () => {
+      const auth = await signInAs({
+        name: 'Asha',
+        rollNumber: '21CS001',
+        role: 'student',
+        enrolledClubs: [{ clubId: robotics._id, status: 'active' }],
+      });
+      const markRead = () => request(app).post(`/api/broadcasts/${broadcast._id}/read`).set('Authorization', auth);
+
+      expect((await markRead()).body.message).toBe('Marked as read');
+      expect((await markRead()).body.message).toBe('Already read');
+    });
+
+    it('hides club broadcasts from students outside the club', async () => {
+      const auth = await signInAs({ name: 'Ravi', rollNumber: '21CS002', role: 'student' });
+
+      const res = await request(app).post(`/api/broadcasts/${broadcast._id}/read`).set('Authorization', auth);
+
+      expect(res.status).toBe(404);
+      expect(BroadcastRead.markRead).not.toHaveBeenCalled();
+    });
+
+    it("lets the club head pin their club's messages", async () => {
+      const auth = await signInAs({ name: 'Robotics Head', role: 'club_head', clubId: robotics._id });
+
+      const res = await request(app)
+        .put(`/api/broadcasts/${broadcast._id}/pin`)
+        .set('Authorization', auth)
+        .send({ isPinned: true });
+
+      expect(res.status).toBe(200);
+      expect(broadcast.isPinned).toBe(true);
+      expect(broadcast.pinnedAt).toBeInstanceOf(Date);
+      expect(audit.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'broadcast.pinned' }));
+    });
+
+    it('does not let members pin', async () => {
+      const auth = await signInAs({
+        name: 'Asha',
+        rollNumber: '21CS001',
+        role: 'student',
+        enrolledClubs: [{ clubId: robotics._id, status: 'active' }],
+      });
+
+      const res = await request(app)
+        .put(`/api/broadcasts/${broadcast._id}/pin`)
+        .set('Authorization', auth)
+        .send({ isPinned: true });
+
+      expect(res.status).toBe(403);
+      expect(broadcast.isPinned).toBe(false);
+    });
+  });
+});
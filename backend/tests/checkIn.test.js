@@ -0,0 +1,197 @@
+const request = require('supertest');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const eventRoutes = require('../routes/events');
+const { createApp, createUser, signIn, stubAccounts } = require('./helpers');
+
+const populated = (value) => {
+  const result = Promise.resolve(value);
+  result.populate = () => populated(value);
+  return result;
+};
+
+describe('QR check-in', () => {
+  const app = createApp({ '/api/events': eventRoutes });
+  const club = new Club({ name: 'Robotics Club' });
+  const event = new Event({ title: 'Robot Wars', clubId: club._id });
+  const otherEvent = new Event({ title: 'Drone Race', clubId: club._id });
+
+  let registrations;
+  let student;
+  let studentAuth;
+  let organiserAuth;
+
+  // Registration queries the check-in flow makes, against an in-memory list
+  const stubRegistrations = () => {
+    registrations = [];
+    const byId = (id) => registrations.find((registration) => String(registration._id) === String(id));
+
+    jest.spyOn(Registration, 'findOne').mockImplementation(async ({ eventId, userId, status }) =>
+      registrations.find(
+        (registration) =>
+          String(registration.eventId) === String(eventId) &&
+          String(registration.userId) === String(userId) &&
+          registration.status === status
+      ) || null
+    );
+    jest.spyOn(Registration, 'findById').mockImplementation((id) => populated(byId(id) || null));
+    jest.spyOn(Registration, 'updateOne').mockImplementation(async ({ _id }, { $set }) => {
+      const registration = byId(_id);
+      if (registration && !registration.checkInNonce) Object.assign(registration, $set);
+    });
+    jest.spyOn(Registration, 'findOneAndUpdate').mockImplementation((filter, { $set }) => {
+      const registration = byId(filter._id);
+      const matches =
+        registration &&
+        String(registration.eventId) === String(filter.eventId) &&
+        String(registration.userId) === String(filter.userId) &&
+        registration.status === filter.status &&
+        registration.checkInNonce === filter.checkInNonce &&
+        !registration.checkedInAt;
+      if (matches) Object.assign(registration, $set);
+      return populated(matches ? registration : null);
+    });
+  };
+
+  const register = (eventDoc, user, fields) => {
+    const registration = new Registration({ eventId: eventDoc._id, userId: user._id, status: 'registered', ...fields });
+    registrations.push(registration);
+    return registration;
+  };
+
+  const fetchToken = async (eventDoc = event) => {
+    const res = await request(app).get(`/api/events/${eventDoc._id}/check-in-token`).set('Authorization', studentAuth);
+    expect(res.status).toBe(200);
+    return res.body.data.token;
+  };
+
+  const scan = (body) =>
+    request(app).post(`/api/events/${event._id}/check-in`).set('Authorization', organiserAuth).send(body);
+
+  beforeEach(async () => {
+    stubAccounts();
+    stubRegistrations();
+    jest.spyOn(Event, 'findById').mockImplementation(async (id) =>
+      [event, otherEvent].find((candidate) => String(candidate._id) === String(id)) || null
+    );
+
+    student = await createUser({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+    studentAuth = (await signIn(student)).auth;
+    organiserAuth = (await signIn(await createUser({ name: 'Organising Committee', role: 'oc' }))).auth;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('checks a student in once', async () => {
+    const registration = register(event, student);
+    const token = await fetchToken();
+
+    const first = await scan({ token });
+    expect(first.status).toBe(200);
+    expect(first.body.data.status).toBe('checked_in');
+    expect(registration.checkedInAt).toBeInstanceOf(Date);
+
+    const replay = await scan({ token });
+    expect(replay.status).toBe(409);
+    expect(replay.body.error.code).toBe('ALREADY_CHECKED_IN');
+  });
+
+  it('hands out the same code when asked twice', async () => {
+    register(event, student);
+
+    expect(await fetchToken()).toBe(await fetchToken());
+  });
+
+  it('has no code for a student without a confirmed registration', async () => {
+    register(event, student, { status: 'waitlisted' });
+
+    const res = await request(app).get(`/api/events/${event._id}/check-in-token`).set('Authorization', studentAuth);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('rejects a code for a different event', async () => {
+    register(otherEvent, student);
+    const token = await fetchToken(otherEvent);
+
+    const res = await scan({ token });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('WRONG_EVENT');
+  });
+
+  it('rejects a tampered code', async () => {
+    register(event, student);
+    const [payload, signature] = (await fetchToken()).split('.');
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...data, uid: String(club._id) })).toString('base64url');
+
+    const res = await scan({ token: `${forged}.${signature}` });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_CHECKIN_TOKEN');
+  });
+
+  it('rejects a code whose nonce was replaced', async () => {
+    const registration = register(event, student);
+    const token = await fetchToken();
+    registration.checkInNonce = 'rotated';
+
+    const res = await scan({ token });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_CHECKIN_TOKEN');
+  });
+
+  it('rejects a code for a cancelled registration', async () => {
+    const registration = register(event, student);
+    const token = await fetchToken();
+    registration.status = 'cancelled';
+
+    const res = await scan({ token });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('NOT_REGISTERED');
+  });
+
+  it('syncs a batch of offline scans, reporting each one', async () => {
+    register(event, student);
+    const token = await fetchToken();
+    const scannedAt = new Date(Date.now() - 60 * 60 * 1000);
+
+    const res = await scan({
+      checkIns: [{ token, scannedAt: scannedAt.toISOString() }, { token }, { token: 'not-a-token' }],
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.checkedIn).toBe(1);
+    expect(res.body.data.results.map((result) => result.status)).toEqual([
+      'checked_in',
+      'already_checked_in',
+      'invalid_token',
+    ]);
+    expect(new Date(res.body.data.results[0].checkedInAt)).toEqual(scannedAt);
+  });
+
+  it('ignores scan times from the future', async () => {
+    register(event, student);
+    const token = await fetchToken();
+
+    const res = await scan({ token, scannedAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() });
+
+    expect(res.status).toBe(200);
+    expect(new Date(res.body.data.checkedInAt).getTime()).toBeLessThanOrEqual(Date.now());
+  });
+
+  it('keeps students from scanning codes', async () => {
+    const res = await request(app)
+      .post(`/api/events/${event._id}/check-in`)
+      .set('Authorization', studentAuth)
+      .send({ token: 'anything' });
+
+    expect(res.status).toBe(403);
+  });
+});
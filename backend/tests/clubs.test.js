@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Club = require('../models/Club');
+const User = require('../models/User');
+const clubRoutes = require('../routes/clubs');
+const audit = require('../services/audit');
+const realtime = require('../services/realtime');
+const { createApp, createUser, query, signIn, stubAccounts } = require('./helpers');
+
+describe('club membership', () => {
+  const app = createApp({ '/api/clubs': clubRoutes });
+  const robotics = new Club({ name: 'Robotics Club' });
+
+  let users;
+  let student;
+  let studentAuth;
+  let headAuth;
+
+  const statusIn = (user, club = robotics) => {
+    const membership = user.getMembership(club._id);
+    return membership && membership.status;
+  };
+
+  // The membership statics update one student's entry, as their filters do in MongoDB
+  const stubMemberships = () => {
+    const entryOf = (userId, clubId) => {
+      const user = users.get(String(userId));
+      return { user, entry: user && user.getMembership(clubId) };
+    };
+
+    jest.spyOn(User, 'requestMembership').mockImplementation(async (userId, clubId) => {
+      const { user, entry } = entryOf(userId, clubId);
+      if (!entry) {
+        user.enrolledClubs.push({ clubId, status: 'pending', requestedAt: new Date() });
+        return true;
+      }
+      if (!['rejected', 'inactive'].includes(entry.status)) return false;
+      entry.set({ status: 'pending', requestedAt: new Date(), joinedDate: undefined, leftAt: undefined });
+      return true;
+    });
+    jest.spyOn(User, 'decideMembership').mockImplementation(async (userId, clubId, { approve, decidedBy }) => {
+      const { user, entry } = entryOf(userId, clubId);
+      if (!entry || entry.status !== 'pending') return null;
+      entry.set({
+        status: approve ? 'active' : 'rejected',
+        decidedAt: new Date(),
+        decidedBy,
+        ...(approve && { joinedDate: new Date() }),
+      });
+      return user;
+    });
+    jest.spyOn(User, 'leaveClub').mockImplementation(async (userId, clubId) => {
+      const { entry } = entryOf(userId, clubId);
+      if (!entry || !['active', 'pending'].includes(entry.status)) return false;
+      entry.set({ status: 'inactive', leftAt: new Date() });
+      return true;
+    });
+    jest.spyOn(User, 'countMemberships').mockImplementation(async (clubIds) => {
+      const counts = new Map(clubIds.map((id) => [String(id), { members: 0, pending: 0 }]));
+      users.forEach((user) =>
+        clubIds.forEach((clubId) => {
+          const status = statusIn(user, { _id: clubId });
+          if (status === 'active') counts.get(String(clubId)).members += 1;
+          if (status === 'pending') counts.get(String(clubId)).pending += 1;
+        })
+      );
+      return counts;
+    });
+  };
+
+  beforeEach(async () => {
+    ({ users } = stubAccounts());
+    stubMemberships();
+    jest.spyOn(Club, 'findById').mockImplementation(async (id) => (String(id) === String(robotics._id) ? robotics : null));
+    jest.spyOn(audit, 'record').mockImplementation(() => {});
+    jest.spyOn(realtime, 'publish').mockImplementation(() => {});
+    jest.spyOn(realtime, 'joinRoom').mockImplementation(() => {});
+    jest.spyOn(realtime, 'leaveRoom').mockImplementation(() => {});
+
+    student = await createUser({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+    studentAuth = (await signIn(student)).auth;
+    const head = await createUser({ name: 'Robotics Head', role: 'club_head', clubId: robotics._id });
+    headAuth = (await signIn(head)).auth;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const askToJoin = () =>
+    request(app).post(`/api/clubs/${robotics._id}/join-request`).set('Authorization', studentAuth);
+  const decide = (action, userId = student._id) =>
+    request(app)
+      .put(`/api/clubs/${robotics._id}/membership/${userId}`)
+      .set('Authorization', headAuth)
+      .send({ action });
+  const leave = () => request(app).post(`/api/clubs/${robotics._id}/leave`).set('Authorization', studentAuth);
+
+  it('files a pending join request', async () => {
+    const res = await askToJoin();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.membership.status).toBe('pending');
+  });
+
+  it('does not file a second request while one is pending', async () => {
+    await askToJoin();
+
+    const res = await askToJoin();
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('REQUEST_PENDING');
+  });
+
+  it('adds an approved student to the club and tells them', async () => {
+    await askToJoin();
+
+    const res = await decide('approve');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ memberCount: 1, pendingCount: 0 });
+    expect(statusIn(student)).toBe('active');
+    expect(realtime.joinRoom).toHaveBeenCalledWith(student._id, realtime.ROOMS.club(robotics._id));
+    expect(realtime.publish).toHaveBeenCalledWith(
+      realtime.ROOMS.user(student._id),
+      'membership.decided',
+      expect.objectContaining({ membership: expect.objectContaining({ status: 'active' }) })
+    );
+    expect(audit.record).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ action: 'membership.approved' })
+    );
+
+    const again = await askToJoin();
+    expect(again.body.error.code).toBe('ALREADY_MEMBER');
+  });
+
+  it('lets a rejected student ask again', async () => {
+    await askToJoin();
+    await decide('reject');
+    expect(statusIn(student)).toBe('rejected');
+
+    const res = await askToJoin();
+
+    expect(res.status).toBe(201);
+    expect(statusIn(student)).toBe('pending');
+  });
+
+  it('only decides pending requests', async () => {
+    const res = await decide('approve');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('rejects an unknown decision', async () => {
+    await askToJoin();
+
+    const res = await decide('maybe');
+
+    expect(res.status).toBe(400);
+    expect(statusIn(student)).toBe('pending');
+  });
+
+  it('lets a member leave and stops their club messages', async () => {
+    await askToJoin();
+    await decide('approve');
+
+    const res = await leave();
+
+    expect(res.status).toBe(200);
+    expect(statusIn(student)).toBe('inactive');
+    expect(realtime.leaveRoom).toHaveBeenCalledWith(student._id, realtime.ROOMS.club(robotics._id));
+    expect((await leave()).status).toBe(404);
+  });
+
+  it('lists members and pending requests on the roster', async () => {
+    const other = await createUser({ name: 'Ravi', rollNumber: '21CS002', role: 'student' });
+    await askToJoin();
+    await decide('approve');
+    await User.requestMembership(other._id, robotics._id);
+    jest.spyOn(User, 'find').mockReturnValue(query([...users.values()].filter((user) => statusIn(user))));
+
+    const res = await request(app).get(`/api/clubs/${robotics._id}/members`).set('Authorization', headAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.counts).toEqual({ members: 1, pending: 1 });
+    expect(res.body.data.members.map((entry) => entry.user.name)).toEqual(['Asha']);
+    expect(res.body.data.pendingRequests.map((entry) => entry.user.name)).toEqual(['Ravi']);
+  });
+
+  it("keeps club heads out of other clubs' requests", async () => {
+    const drama = new Club({ name: 'Drama Club' });
+    const dramaHead = await createUser({ name: 'Drama Head', role: 'club_head', clubId: drama._id });
+    const { auth } = await signIn(dramaHead);
+
+    const res = await request(app)
+      .put(`/api/clubs/${robotics._id}/membership/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', auth)
+      .send({ action: 'approve' });
+
+    expect(res.status).toBe(403);
+    expect(User.decideMembership).not.toHaveBeenCalled();
+  });
+});
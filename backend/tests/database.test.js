@@ -0,0 +1,110 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { connectDB, closeDB, getRetryAfterSeconds, getDatabaseStatus } = require('../config/database');
+const { requireDatabase } = require('../middleware/database');
+const { errorHandler } = require('../middleware/errorHandler');
+
+// Pretend the connection is in a given Mongoose readyState
+const setReadyState = (state) =>
+  Object.defineProperty(mongoose.connection, 'readyState', { get: () => state, configurable: true });
+
+describe('database availability', () => {
+  afterEach(() => {
+    delete mongoose.connection.readyState;
+    delete process.env.DB_RETRY_MAX_MS;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('connectDB', () => {
+    const connected = {
+      connection: { host: 'db.example.test', name: 'college', readyState: 1, getClient: () => null },
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      // Always the shortest delay: half of min(max, base * 2^attempt)
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      jest.spyOn(mongoose.connection, 'close').mockResolvedValue();
+    });
+
+    it('retries with exponential backoff until it connects', async () => {
+      jest
+        .spyOn(mongoose, 'connect')
+        .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+        .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+        .mockResolvedValue(connected);
+
+      const connecting = connectDB();
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(mongoose.connect).toHaveBeenCalledTimes(1);
+      expect(getRetryAfterSeconds()).toBe(1);
+
+      await jest.advanceTimersByTimeAsync(500);
+      expect(mongoose.connect).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(999);
+      expect(mongoose.connect).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(1);
+
+      await expect(connecting).resolves.toBe(connected);
+      expect(mongoose.connect).toHaveBeenCalledTimes(3);
+    });
+
+    it('caps the delay at DB_RETRY_MAX_MS', async () => {
+      process.env.DB_RETRY_MAX_MS = '4000';
+      jest.spyOn(mongoose, 'connect').mockRejectedValue(new Error('ECONNREFUSED'));
+
+      const connecting = connectDB();
+      await jest.advanceTimersByTimeAsync(500 + 1000 + 2000);
+      expect(mongoose.connect).toHaveBeenCalledTimes(4);
+
+      // Half of min(4000, 1000 * 2^3)
+      expect(getRetryAfterSeconds()).toBe(2);
+
+      await closeDB();
+      await expect(connecting).resolves.toBeNull();
+    });
+
+    it('stops retrying when the server shuts down', async () => {
+      jest.spyOn(mongoose, 'connect').mockRejectedValue(new Error('ECONNREFUSED'));
+
+      const connecting = connectDB();
+      await jest.advanceTimersByTimeAsync(0);
+      await closeDB();
+
+      await expect(connecting).resolves.toBeNull();
+      await jest.advanceTimersByTimeAsync(60000);
+      expect(mongoose.connect).toHaveBeenCalledTimes(1);
+      expect(mongoose.connection.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('requireDatabase', () => {
+    const app = express();
+    app.get('/api/events', requireDatabase, (req, res) => res.status(200).json({ success: true }));
+    app.use(errorHandler);
+
+    it('lets requests through while connected', async () => {
+      setReadyState(1);
+
+      const res = await request(app).get('/api/events');
+
+      expect(res.status).toBe(200);
+      expect(getDatabaseStatus()).toEqual({ state: 'Connected', ready: true });
+    });
+
+    it('answers 503 with Retry-After while the database is down', async () => {
+      setReadyState(0);
+
+      const res = await request(app).get('/api/events');
+
+      expect(res.status).toBe(503);
+      expect(res.headers['retry-after']).toBe('5');
+      expect(res.body.error).toMatchObject({ code: 'SERVICE_UNAVAILABLE', details: { retryAfter: 5 } });
+      expect(getDatabaseStatus()).toEqual({ state: 'Disconnected', ready: false, retryAfter: 5 });
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Email outbox (services/email) with the in-memory transport standing in
+ * for SMTP.
+ */
+
+const mongoose = require('mongoose');
+const EmailMessage = require('../models/EmailMessage');
+const email = require('../services/email');
+const createMemoryTransport = require('../services/email/transports/memory');
+
+const claimed = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  to: 'student@example.com',
+  template: 'password-reset',
+  subject: 'Reset your password',
+  text: 'Reset link',
+  html: '<p>Reset link</p>',
+  attempts: 1,
+  ...overrides,
+});
+
+describe('email transports', () => {
+  let transport;
+  let previous;
+
+  beforeEach(() => {
+    transport = createMemoryTransport();
+    previous = email.setTransport(transport);
+    jest.spyOn(EmailMessage, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    email.setTransport(previous);
+    jest.restoreAllMocks();
+  });
+
+  it('delivers due outbox messages through the configured transport and marks them sent', async () => {
+    const message = claimed();
+    jest.spyOn(EmailMessage, 'claimNext').mockResolvedValueOnce(message).mockResolvedValue(null);
+
+    await email.processOutbox();
+
+    expect(transport.sent).toEqual([
+      expect.objectContaining({ to: 'student@example.com', subject: 'Reset your password', html: '<p>Reset link</p>' }),
+    ]);
+    expect(EmailMessage.updateOne).toHaveBeenCalledWith(
+      { _id: message._id },
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'sent' }) })
+    );
+  });
+
+  it('drops the rendered body once a message is sent', async () => {
+    jest.spyOn(EmailMessage, 'claimNext').mockResolvedValueOnce(claimed()).mockResolvedValue(null);
+
+    await email.processOutbox();
+
+    expect(EmailMessage.updateOne.mock.calls[0][1].$unset).toMatchObject({ text: 1, html: 1 });
+  });
+
+  it('schedules a retry when the transport fails', async () => {
+    const message = claimed();
+    email.setTransport({
+      name: 'failing',
+      send: async () => {
+        throw new Error('connection refused');
+      },
+    });
+    jest.spyOn(EmailMessage, 'claimNext').mockResolvedValueOnce(message).mockResolvedValue(null);
+
+    await email.processOutbox();
+
+    const [, update] = EmailMessage.updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({ status: 'pending', lastError: 'connection refused' });
+    expect(update.$set.nextAttemptAt).toBeInstanceOf(Date);
+    // Still needed for the retry
+    expect(update.$unset).not.toHaveProperty('text');
+  });
+
+  it('gives up on permanent failures', async () => {
+    email.setTransport({
+      name: 'rejecting',
+      send: async () => {
+        throw Object.assign(new Error('mailbox does not exist'), { permanent: true });
+      },
+    });
+    jest.spyOn(EmailMessage, 'claimNext').mockResolvedValueOnce(claimed()).mockResolvedValue(null);
+
+    await email.processOutbox();
+
+    const [, update] = EmailMessage.updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({ status: 'failed' });
+    expect(update.$unset).toMatchObject({ text: 1, html: 1 });
+  });
+});
+
+describe('default email transport', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('is chosen from EMAIL_TRANSPORT when first used, not when loaded', () => {
+    jest.isolateModules(() => {
+      delete process.env.EMAIL_TRANSPORT;
+      const isolated = require('../services/email');
+
+      // e.g. dotenv loading .env after this module was required
+      process.env.EMAIL_TRANSPORT = 'smtp';
+      process.env.SMTP_HOST = 'mail.example.net';
+      expect(isolated.getTransport().name).toBe('smtp');
+    });
+  });
+
+  it('rejects an unknown transport name', () => {
+    jest.isolateModules(() => {
+      process.env.EMAIL_TRANSPORT = 'fax';
+      const isolated = require('../services/email');
+      expect(() => isolated.getTransport()).toThrow('Unknown EMAIL_TRANSPORT');
+    });
+  });
+});
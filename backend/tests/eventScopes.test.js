@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
+const eventRoutes = require('../routes/events');
+const audit = require('../services/audit');
+const eventEmails = require('../services/email/eventEmails');
+const realtime = require('../services/realtime');
+const { parseDateOnly, formatDateOnly } = require('../utils/dates');
+const { createApp, createUser, query, signIn, stubAccounts } = require('./helpers');
+
+describe('editing recurring events', () => {
+  const app = createApp({ '/api/events': eventRoutes });
+  const club = new Club({ name: 'Robotics Club' });
+
+  let series;
+  let materialised;
+  let auth;
+
+  const occurrenceId = (date) => `${series._id}_${date}`;
+  const edit = (id, body) => request(app).put(`/api/events/${id}`).set('Authorization', auth).send(body);
+  const checkedDates = () =>
+    Event.findVenueConflicts.mock.calls.flatMap(([slot]) => slot.dates.map(formatDateOnly));
+
+  beforeEach(async () => {
+    stubAccounts();
+    auth = (await signIn(await createUser({ name: 'PR Council', role: 'pr' }))).auth;
+
+    // As loaded from the database: weekly on Mondays, 10 occurrences, and
+    // 14 January has its own document for registrations
+    series = Event.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Robotics Practice',
+      clubId: club._id,
+      clubName: club.name,
+      date: parseDateOnly('2030-01-07'),
+      startTime: '16:00',
+      endTime: '18:00',
+      venue: 'Lab 1',
+      maxParticipants: 20,
+      recurrence: { frequency: 'weekly', interval: 1, byWeekday: [1], count: 10 },
+      exdates: [parseDateOnly('2030-01-14')],
+    });
+    materialised = Event.buildOccurrence(series, parseDateOnly('2030-01-14'));
+
+    jest.spyOn(Event, 'findById').mockImplementation(async (id) => (String(id) === String(series._id) ? series : null));
+    jest.spyOn(Event, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Event, 'find').mockImplementation((filter) =>
+      query(String(filter.seriesId) === String(series._id) ? [materialised] : [])
+    );
+    jest.spyOn(Event, 'findVenueConflicts').mockResolvedValue([]);
+    jest.spyOn(Event, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Event, 'materializeOccurrence').mockImplementation(async (from, date) =>
+      Event.buildOccurrence(from, date)
+    );
+    jest.spyOn(Event.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+
+    jest.spyOn(audit, 'record').mockImplementation(() => {});
+    jest.spyOn(eventEmails, 'emailEventChanged').mockImplementation(() => {});
+    jest.spyOn(realtime, 'publish').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const conflict = { _id: 'other', title: 'Chess Finals', clubName: 'Chess Club', startTime: '17:00', endTime: '19:00' };
+
+  describe('scope "all"', () => {
+    it('moves materialised occurrences along with the series', async () => {
+      const res = await edit(occurrenceId('2030-01-21'), { scope: 'all', venue: 'Lab 2' });
+
+      expect(res.status).toBe(200);
+      expect(series.venue).toBe('Lab 2');
+      expect(Event.updateMany).toHaveBeenCalledWith(
+        { seriesId: series._id, detached: false },
+        { $set: { venue: 'Lab 2', venueKey: 'lab 2' } }
+      );
+    });
+
+    it('checks the venue on the dates of materialised occurrences too', async () => {
+      Event.findVenueConflicts.mockImplementation(async ({ dates }) =>
+        dates.some((date) => formatDateOnly(date) === '2030-01-14')
+          ? [{ ...conflict, date: parseDateOnly('2030-01-14') }]
+          : []
+      );
+
+      const res = await edit(series._id, { venue: 'Lab 2' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('VENUE_CONFLICT');
+      expect(checkedDates()).toContain('2030-01-14');
+      expect(Event.findVenueConflicts.mock.calls[0][0].excludeIds.map(String)).toEqual(
+        expect.arrayContaining([String(series._id), String(materialised._id)])
+      );
+      expect(Event.prototype.save).not.toHaveBeenCalled();
+      expect(Event.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('does not re-check materialised occurrences when their slot stays the same', async () => {
+      const res = await edit(series._id, { title: 'Robotics Club Practice' });
+
+      expect(res.status).toBe(200);
+      expect(Event.findVenueConflicts).not.toHaveBeenCalled();
+    });
+
+    it('rejects a count rule that would run past the series limit', async () => {
+      const res = await edit(series._id, { recurrence: { frequency: 'monthly', count: 30 } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.details.fields[0].message).toBe('A series cannot span more than 732 days');
+    });
+  });
+
+  describe('scope "this"', () => {
+    it('gives the occurrence its own document', async () => {
+      const res = await edit(occurrenceId('2030-01-28'), { startTime: '17:00' });
+
+      expect(res.status).toBe(200);
+      expect(Event.materializeOccurrence).toHaveBeenCalledWith(series, parseDateOnly('2030-01-28'));
+      expect(res.body.data.event).toMatchObject({ startTime: '17:00', detached: true });
+      expect(Event.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('checks the edit before materialising the occurrence', async () => {
+      Event.findVenueConflicts.mockResolvedValue([{ ...conflict, date: parseDateOnly('2030-01-28') }]);
+
+      const res = await edit(occurrenceId('2030-01-28'), { startTime: '17:00' });
+
+      expect(res.status).toBe(409);
+      expect(checkedDates()).toEqual(['2030-01-28']);
+      expect(Event.materializeOccurrence).not.toHaveBeenCalled();
+    });
+
+    it('validates the edit before materialising the occurrence', async () => {
+      const res = await edit(occurrenceId('2030-01-28'), { startTime: '19:00' });
+
+      expect(res.status).toBe(400);
+      expect(Event.materializeOccurrence).not.toHaveBeenCalled();
+    });
+
+    it('refuses to change the rule of a single occurrence', async () => {
+      const res = await edit(occurrenceId('2030-01-28'), { recurrence: { frequency: 'daily', count: 2 } });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('scope "following"', () => {
+    it('splits the series at the occurrence', async () => {
+      const res = await edit(occurrenceId('2030-01-28'), { scope: 'following', venue: 'Lab 2' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Series updated from 2030-01-28 onwards');
+
+      // The original keeps 7, 14 and 21 January; the new series takes the other 7
+      expect(formatDateOnly(series.recurrence.until)).toBe('2030-01-27');
+      expect(res.body.data.event).toMatchObject({ venue: 'Lab 2', recurrence: { count: 7 } });
+      expect(Event.updateMany).toHaveBeenCalledWith(
+        { seriesId: series._id, originalDate: { $gte: parseDateOnly('2030-01-28') } },
+        { $set: { seriesId: expect.anything() } }
+      );
+    });
+
+    it('checks the venue on materialised occurrences that move with the split', async () => {
+      await edit(occurrenceId('2030-01-28'), { scope: 'following', venue: 'Lab 2' });
+
+      expect(Event.find).toHaveBeenCalledWith(
+        expect.objectContaining({ seriesId: series._id, originalDate: { $gte: parseDateOnly('2030-01-28') } })
+      );
+    });
+
+    it('rejects moving the split occurrence to another date', async () => {
+      const res = await edit(occurrenceId('2030-01-28'), { scope: 'following', date: '2030-01-29' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
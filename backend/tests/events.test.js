@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
+const eventRoutes = require('../routes/events');
+const audit = require('../services/audit');
+const eventEmails = require('../services/email/eventEmails');
+const realtime = require('../services/realtime');
+const { parseDateOnly, formatDateOnly } = require('../utils/dates');
+const { createApp, createUser, query, signIn, stubAccounts } = require('./helpers');
+
+describe('event API', () => {
+  const app = createApp({ '/api/events': eventRoutes });
+  const robotics = new Club({ name: 'Robotics Club' });
+
+  let auth;
+
+  const stored = (fields) =>
+    Event.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Robot Wars',
+      clubId: robotics._id,
+      clubName: robotics.name,
+      startTime: '10:00',
+      endTime: '12:00',
+      venue: 'Main Auditorium',
+      maxParticipants: 50,
+      registeredCount: 0,
+      status: 'active',
+      ...fields,
+      date: parseDateOnly(fields.date || '2030-01-10'),
+    });
+
+  beforeEach(async () => {
+    stubAccounts();
+    auth = (await signIn(await createUser({ name: 'PR Council', role: 'pr' }))).auth;
+
+    jest.spyOn(Club, 'findById').mockImplementation(async (id) => (String(id) === String(robotics._id) ? robotics : null));
+    jest.spyOn(Event, 'findVenueConflicts').mockResolvedValue([]);
+    jest.spyOn(Event.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+    jest.spyOn(audit, 'record').mockImplementation(() => {});
+    jest.spyOn(realtime, 'publish').mockImplementation(() => {});
+    jest.spyOn(eventEmails, 'emailEventChanged').mockImplementation(() => {});
+    jest.spyOn(eventEmails, 'emailEventCancelled').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('calendar range', () => {
+    const list = (params) => request(app).get('/api/events').query(params).set('Authorization', auth);
+
+    it('merges one-off events with the occurrences of series in the range', async () => {
+      const single = stored({ title: 'Hackathon', date: '2030-01-09', startTime: '09:00' });
+      const series = stored({
+        title: 'Robotics Practice',
+        date: '2030-01-07',
+        startTime: '16:00',
+        endTime: '18:00',
+        recurrence: { frequency: 'weekly', interval: 1, byWeekday: [1, 3], count: 6 },
+      });
+      jest.spyOn(Event, 'find').mockImplementation((filter) =>
+        query(filter.recurrence.$exists ? [series] : [single])
+      );
+
+      const res = await list({ from: '2030-01-08', to: '2030-01-14' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.events.map((event) => [formatDateOnly(new Date(event.date)), event.title])).toEqual([
+        ['2030-01-09', 'Hackathon'],
+        ['2030-01-09', 'Robotics Practice'],
+        ['2030-01-14', 'Robotics Practice'],
+      ]);
+      expect(res.body.data.events[1]).toMatchObject({
+        id: `${series._id}_2030-01-09`,
+        seriesId: String(series._id),
+      });
+      expect(Event.find).toHaveBeenCalledWith(
+        expect.objectContaining({
+          date: { $gte: parseDateOnly('2030-01-08'), $lte: parseDateOnly('2030-01-14') },
+          recurrence: { $exists: false },
+        })
+      );
+    });
+
+    it('narrows the calendar to one club', async () => {
+      jest.spyOn(Event, 'find').mockReturnValue(query([]));
+
+      await list({ from: '2030-01-01', to: '2030-01-31', clubId: String(robotics._id) });
+
+      expect(Event.find).toHaveBeenCalledWith(expect.objectContaining({ clubId: String(robotics._id) }));
+    });
+
+    it.each([
+      ['a reversed range', { from: '2030-02-01', to: '2030-01-01' }, 'to must not be before from'],
+      ['a range over a year', { from: '2030-01-01', to: '2031-01-03' }, 'Date range cannot exceed 366 days'],
+      ['a malformed date', { from: '2030-13-01' }, 'from must be a date in YYYY-MM-DD format'],
+    ])('rejects %s', async (name, params, message) => {
+      jest.spyOn(Event, 'find').mockReturnValue(query([]));
+
+      const res = await list(params);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toBe(message);
+      expect(Event.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('creating', () => {
+    const newEvent = {
+      title: 'Robot Wars',
+      date: '2030-01-10',
+      startTime: '10:00',
+      endTime: '12:00',
+      venue: 'Main Auditorium',
+      maxParticipants: 50,
+    };
+
+    it("creates an event for the club head's own club", async () => {
+      const head = await signIn(await createUser({ name: 'Robotics Head', role: 'club_head', clubId: robotics._id }));
+
+      const res = await request(app).post('/api/events').set('Authorization', head.auth).send(newEvent);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.event).toMatchObject({ title: 'Robot Wars', clubName: 'Robotics Club' });
+      expect(Event.prototype.save).toHaveBeenCalled();
+      expect(audit.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'event.created' }));
+    });
+
+    it('needs a club when PR creates an event', async () => {
+      const res = await request(app).post('/api/events').set('Authorization', auth).send(newEvent);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toBe('A valid clubId is required');
+    });
+
+    it('lists every missing field', async () => {
+      const res = await request(app).post('/api/events').set('Authorization', auth).send({ title: 'Robot Wars' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.details.fields.map((field) => field.path)).toEqual([
+        'date',
+        'startTime',
+        'endTime',
+        'venue',
+        'maxParticipants',
+      ]);
+    });
+
+    it('rejects an event that ends before it starts', async () => {
+      const res = await request(app)
+        .post('/api/events')
+        .set('Authorization', auth)
+        .send({ ...newEvent, clubId: String(robotics._id), startTime: '12:00', endTime: '10:00' });
+
+      expect(res.status).toBe(400);
+      expect(Event.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('editing and cancelling', () => {
+    let event;
+
+    beforeEach(() => {
+      event = stored({ registeredCount: 30 });
+      jest.spyOn(Event, 'findById').mockImplementation(async (id) => (String(id) === String(event._id) ? event : null));
+    });
+
+    const edit = (body) => request(app).put(`/api/events/${event._id}`).set('Authorization', auth).send(body);
+
+    it('keeps capacity above the students already registered', async () => {
+      const res = await edit({ maxParticipants: 20 });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('CAPACITY_BELOW_REGISTRATIONS');
+      expect(Event.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('emails registered students about a new time', async () => {
+      const res = await edit({ startTime: '11:00' });
+
+      expect(res.status).toBe(200);
+      expect(eventEmails.emailEventChanged).toHaveBeenCalledWith({ _id: event._id }, expect.any(Array));
+    });
+
+    it('cancels softly and keeps a snapshot for restoring', async () => {
+      const res = await request(app).delete(`/api/events/${event._id}`).set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(event.status).toBe('cancelled');
+      expect(audit.record).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ action: 'event.cancelled', snapshot: expect.objectContaining({ status: 'active' }) })
+      );
+    });
+
+    it('does not edit a cancelled event', async () => {
+      event.status = 'cancelled';
+
+      const res = await edit({ title: 'Robot Wars II' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('EVENT_CANCELLED');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Test Helpers
+ *
+ * Route tests run the real routers, middleware and controllers through
+ * supertest, without MongoDB:
+ * - createApp: an Express app with the routers under test mounted the way
+ *   server.js mounts them, plus the 404 and error handlers
+ * - stubAccounts: keeps users and login sessions in memory by stubbing the
+ *   User and Session lookups the auth middleware and controllers make
+ * - signIn: a session for a user and the bearer header bound to it
+ *
+ * Stubs are jest spies, so `jest.restoreAllMocks()` in afterEach undoes them.
+ */
+
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { permissionContext } = require('../middleware/authorize');
+const { notFound, errorHandler } = require('../middleware/errorHandler');
+const { signToken, decodeToken } = require('../utils/jwt');
+
+/**
+ * @param {object} routes - Mount path -> router, e.g. { '/api/auth': authRoutes }
+ */
+const createApp = (routes) => {
+  const app = express();
+  app.use(express.json());
+  app.use(permissionContext);
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+  app.use('*', notFound);
+  app.use(errorHandler);
+  return app;
+};
+
+/**
+ * A resolved query that also supports the chained calls controllers make
+ * (`.select('+password')`, `.sort(...)`, `.lean()`).
+ */
+const query = (value) => {
+  const result = Promise.resolve(value);
+  result.select = () => query(value);
+  result.sort = () => query(value);
+  result.lean = () => query(value);
+  return result;
+};
+
+// Equality, $in and RegExp conditions, which is all the auth lookups use
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    const value = doc[key];
+    if (condition instanceof RegExp) return condition.test(value);
+    if (condition && condition.$in) return condition.$in.map(String).includes(String(value));
+    return String(value) === String(condition);
+  });
+
+/**
+ * Keep users and sessions in memory. Returns the two stores (id -> document).
+ */
+const stubAccounts = () => {
+  const users = new Map();
+  const sessions = new Map();
+
+  jest.spyOn(User, 'findById').mockImplementation((id) => query(users.get(String(id)) || null));
+  jest.spyOn(User, 'findOne').mockImplementation((filter) =>
+    query([...users.values()].find((user) => matches(user, filter)) || null)
+  );
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function () {
+    users.set(String(this._id), this);
+    return this;
+  });
+
+  jest.spyOn(Session, 'findById').mockImplementation(async (id) => sessions.get(String(id)) || null);
+  jest.spyOn(Session, 'findOne').mockImplementation(async (filter) =>
+    [...sessions.values()].find((session) => matches(session, filter)) || null
+  );
+  jest.spyOn(Session, 'findActiveForUser').mockImplementation((userId) =>
+    query(
+      [...sessions.values()]
+        .filter((session) => String(session.userId) === String(userId) && session.isActive())
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+    )
+  );
+  jest.spyOn(Session, 'revokeAllForUser').mockImplementation(async (userId, reason, { except } = {}) => {
+    const revoked = [...sessions.values()].filter(
+      (session) =>
+        String(session.userId) === String(userId) &&
+        session.isActive() &&
+        String(session._id) !== String(except)
+    );
+    await Promise.all(revoked.map((session) => session.revoke(reason)));
+    return { modifiedCount: revoked.length };
+  });
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function () {
+    sessions.set(String(this._id), this);
+    return this;
+  });
+
+  return { users, sessions };
+};
+
+/**
+ * Create a user in the in-memory store (stubAccounts must be active).
+ */
+const createUser = async (fields) => {
+  const user = new User({ name: 'Test User', password: 'hashed', isFirstLogin: false, ...fields });
+  await user.save();
+  return user;
+};
+
+/**
+ * Start a login session for `user`.
+ *
+ * @returns {Promise<{session: object, token: string, auth: string}>} `auth` is
+ *   the Authorization header value
+ */
+const signIn = async (user, { scope } = {}) => {
+  const session = new Session({ userId: user._id, deviceInfo: 'jest' });
+  const token = signToken(user, { scope, sessionId: session._id });
+  session.expiresAt = new Date(decodeToken(token).exp * 1000);
+  await session.save();
+  return { session, token, auth: `Bearer ${token}` };
+};
+
+module.exports = {
+  createApp,
+  createUser,
+  query,
+  signIn,
+  stubAccounts,
+};
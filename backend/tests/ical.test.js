@@ -0,0 +1,139 @@
+const { escapeText, foldLine, buildCalendar } = require('../utils/ical');
+const { parseDateOnly } = require('../utils/dates');
+
+// Unfolded content lines of a document
+const linesOf = (body) => body.replace(/\r\n /g, '').split('\r\n');
+
+// The lines of each BEGIN:<name> ... END:<name> block
+const blocks = (lines, name) => {
+  const found = [];
+  let current = null;
+  lines.forEach((line) => {
+    if (line === `BEGIN:${name}`) current = [];
+    else if (line === `END:${name}`) {
+      found.push(current);
+      current = null;
+    } else if (current) current.push(line);
+  });
+  return found;
+};
+
+describe('iCalendar feeds', () => {
+  describe('escapeText', () => {
+    it('escapes backslashes, separators and line breaks', () => {
+      expect(escapeText('Lab 1; Block C, 2nd floor\\annex\r\nBring ID\nNo food')).toBe(
+        'Lab 1\\; Block C\\, 2nd floor\\\\annex\\nBring ID\\nNo food'
+      );
+    });
+  });
+
+  describe('foldLine', () => {
+    it('leaves short lines alone', () => {
+      const line = `SUMMARY:${'a'.repeat(67)}`;
+
+      expect(foldLine(line)).toBe(line);
+    });
+
+    it('folds at 75 octets, counting the leading space of continuation lines', () => {
+      const folded = foldLine(`DESCRIPTION:${'a'.repeat(200)}`).split('\r\n');
+
+      expect(folded.map((part) => part.length)).toEqual([75, 75, 64]);
+      expect(folded.slice(1).every((part) => part.startsWith(' '))).toBe(true);
+    });
+
+    it('does not split a multi-byte character', () => {
+      const line = `SUMMARY:${'दीपावली मेला '.repeat(8)}`;
+
+      const folded = foldLine(line).split('\r\n');
+
+      expect(folded.every((part) => Buffer.byteLength(part) <= 75)).toBe(true);
+      expect(folded.map((part, index) => (index === 0 ? part : part.slice(1))).join('')).toBe(line);
+    });
+  });
+
+  describe('buildCalendar', () => {
+    const entry = {
+      uid: 'abc@college-events',
+      summary: 'Robotics Practice',
+      date: parseDateOnly('2030-01-07'),
+      startTime: '16:00',
+      endTime: '18:00',
+    };
+
+    const build = (entries, timeZone = 'Asia/Kolkata') =>
+      linesOf(buildCalendar({ name: 'Robotics Club', entries, timeZone }));
+
+    const ruleOf = (recurrence) =>
+      build([{ ...entry, recurrence }])
+        .find((line) => line.startsWith('RRULE:'))
+        .slice('RRULE:'.length);
+
+    it('writes event times in the zone with a single observance where there is no DST', () => {
+      const lines = build([entry]);
+
+      expect(lines).toContain('DTSTART;TZID=Asia/Kolkata:20300107T160000');
+      expect(lines).toContain('DTEND;TZID=Asia/Kolkata:20300107T180000');
+      const [timeZone] = blocks(lines, 'VTIMEZONE');
+      expect(blocks(timeZone, 'STANDARD')).toEqual([
+        ['DTSTART:20300101T000000', 'TZOFFSETFROM:+0530', 'TZOFFSETTO:+0530'],
+      ]);
+      expect(blocks(timeZone, 'DAYLIGHT')).toEqual([]);
+    });
+
+    it('lists the DST changes at the local time they happen', () => {
+      const [timeZone] = blocks(build([entry], 'Europe/London'), 'VTIMEZONE');
+
+      expect(blocks(timeZone, 'DAYLIGHT')).toEqual([
+        ['DTSTART:20300331T010000', 'TZOFFSETFROM:+0000', 'TZOFFSETTO:+0100'],
+      ]);
+      expect(blocks(timeZone, 'STANDARD')).toEqual([
+        ['DTSTART:20300101T000000', 'TZOFFSETFROM:+0000', 'TZOFFSETTO:+0000'],
+        ['DTSTART:20301027T020000', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0000'],
+      ]);
+    });
+
+    it('writes a weekly rule with its weekdays and count', () => {
+      expect(ruleOf({ frequency: 'weekly', interval: 2, byWeekday: [1, 3], count: 6 })).toBe(
+        'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;WKST=MO;COUNT=6'
+      );
+    });
+
+    it('writes UNTIL as the UTC start of the last possible occurrence', () => {
+      expect(ruleOf({ frequency: 'daily', interval: 1, until: parseDateOnly('2030-01-31') })).toBe(
+        'FREQ=DAILY;WKST=MO;UNTIL=20300131T103000Z'
+      );
+    });
+
+    it('covers two years ahead for a series that ends after a count', () => {
+      const [timeZone] = blocks(
+        build([{ ...entry, recurrence: { frequency: 'monthly', interval: 1, count: 12 } }], 'Europe/London'),
+        'VTIMEZONE'
+      );
+
+      expect(blocks(timeZone, 'DAYLIGHT')).toHaveLength(3);
+    });
+
+    it('leaves cancelled days out of a series', () => {
+      const lines = build([
+        {
+          ...entry,
+          recurrence: { frequency: 'weekly', interval: 1, byWeekday: [1], count: 4 },
+          exdates: [parseDateOnly('2030-01-14'), parseDateOnly('2030-01-21')],
+        },
+      ]);
+
+      expect(lines).toContain('EXDATE;TZID=Asia/Kolkata:20300114T160000,20300121T160000');
+    });
+
+    it('ends every line with CRLF and keeps lines within 75 octets', () => {
+      const body = buildCalendar({
+        name: 'Robotics Club',
+        entries: [{ ...entry, description: 'Bring your own parts. '.repeat(10) }],
+        timeZone: 'Asia/Kolkata',
+      });
+
+      expect(body.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(body.split('\r\n').every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+    });
+  });
+});
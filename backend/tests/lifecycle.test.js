@@ -0,0 +1,161 @@
+const http = require('http');
+
+describe('shutdown', () => {
+  let lifecycle;
+  let calls;
+
+  // An HTTP server stand-in that closes once `finish()` is called
+  const fakeServer = () => {
+    let closed;
+    const server = {
+      close: jest.fn((callback) => {
+        closed = callback;
+      }),
+      closeIdleConnections: jest.fn(),
+      closeAllConnections: jest.fn(() => closed()),
+      finish: () => closed(),
+    };
+    return server;
+  };
+
+  // A hook that records when it starts and finishes
+  const hook = (name, { fail = false, hang = false } = {}) => async () => {
+    calls.push(`${name} started`);
+    if (hang) return new Promise(() => {});
+    await Promise.resolve();
+    calls.push(`${name} finished`);
+    if (fail) throw new Error(`${name} failed`);
+    return undefined;
+  };
+
+  beforeEach(() => {
+    calls = [];
+    // Hooks and the shutdown state live in the module, so each test gets a fresh copy
+    jest.isolateModules(() => {
+      lifecycle = require('../services/lifecycle');
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.SHUTDOWN_TIMEOUT_MS;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('drains the server, runs the services together, then closes the database', async () => {
+    const server = fakeServer();
+    lifecycle.registerShutdownHook('mongodb', hook('mongodb'), { phase: 'database' });
+    lifecycle.registerShutdownHook('websockets', hook('websockets'));
+    lifecycle.registerShutdownHook('email worker', hook('email worker'));
+
+    const stopping = lifecycle.shutdown(server);
+    await new Promise(setImmediate);
+    expect(calls).toEqual([]);
+    expect(lifecycle.isShuttingDown()).toBe(true);
+
+    server.finish();
+
+    await expect(stopping).resolves.toBe(true);
+    expect(calls).toEqual([
+      'websockets started',
+      'email worker started',
+      'websockets finished',
+      'email worker finished',
+      'mongodb started',
+      'mongodb finished',
+    ]);
+  });
+
+  it('keeps going past a failed hook and reports it', async () => {
+    const server = fakeServer();
+    lifecycle.registerShutdownHook('reminders', hook('reminders', { fail: true }));
+    lifecycle.registerShutdownHook('mongodb', hook('mongodb'), { phase: 'database' });
+
+    const stopping = lifecycle.shutdown(server);
+    server.finish();
+
+    await expect(stopping).resolves.toBe(false);
+    expect(calls).toContain('mongodb finished');
+  });
+
+  it('gives up on a hook that hangs', async () => {
+    jest.useFakeTimers();
+    const server = fakeServer();
+    lifecycle.registerShutdownHook('push', hook('push', { hang: true }));
+    lifecycle.registerShutdownHook('mongodb', hook('mongodb'), { phase: 'database' });
+
+    const stopping = lifecycle.shutdown(server);
+    server.finish();
+    await jest.advanceTimersByTimeAsync(4999);
+    expect(calls).toEqual(['push started']);
+
+    await jest.advanceTimersByTimeAsync(1);
+
+    await expect(stopping).resolves.toBe(false);
+    expect(calls).toEqual(['push started', 'mongodb started', 'mongodb finished']);
+  });
+
+  it('closes the connections still open at the deadline', async () => {
+    jest.useFakeTimers();
+    process.env.SHUTDOWN_TIMEOUT_MS = '2000';
+    const server = fakeServer();
+
+    const stopping = lifecycle.shutdown(server);
+    expect(server.closeIdleConnections).toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(server.closeAllConnections).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+
+    expect(server.closeAllConnections).toHaveBeenCalled();
+    await expect(stopping).resolves.toBe(true);
+  });
+
+  it('returns the shutdown in progress when called again', async () => {
+    const server = fakeServer();
+
+    const stopping = lifecycle.shutdown(server);
+    expect(lifecycle.shutdown(server)).toBe(stopping);
+    expect(server.close).toHaveBeenCalledTimes(1);
+
+    server.finish();
+    await stopping;
+  });
+
+  it('rejects an unknown phase', () => {
+    expect(() => lifecycle.registerShutdownHook('cache', () => {}, { phase: 'cache' })).toThrow(
+      'Unknown shutdown phase "cache" (expected services or database)'
+    );
+  });
+
+  it('lets a request in progress finish before running the hooks', async () => {
+    let respond;
+    const server = http.createServer((req, res) => {
+      respond = () => res.end('done');
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    lifecycle.registerShutdownHook('mongodb', hook('mongodb'), { phase: 'database' });
+
+    const response = new Promise((resolve) => {
+      // Without keep-alive, so the connection closes with the response
+      http.get({ port: server.address().port, host: '127.0.0.1', agent: false }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () => resolve(body));
+      });
+    });
+    while (!respond) await new Promise(setImmediate);
+
+    const stopping = lifecycle.shutdown(server);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(calls).toEqual([]);
+
+    respond();
+
+    await expect(response).resolves.toBe('done');
+    await expect(stopping).resolves.toBe(true);
+    expect(calls).toEqual(['mongodb started', 'mongodb finished']);
+  });
+});
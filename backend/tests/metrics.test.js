@@ -0,0 +1,119 @@
+const express = require('express');
+const request = require('supertest');
+const { counter, gauge, histogram, renderMetrics } = require('../utils/metrics');
+const { httpMetrics } = require('../middleware/metrics');
+const { notFound, errorHandler } = require('../middleware/errorHandler');
+const ApiError = require('../utils/ApiError');
+const logger = require('../utils/logger');
+
+// Sample lines of one metric from a scrape
+const samplesOf = async (name) =>
+  (await renderMetrics()).split('\n').filter((line) => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+
+describe('metrics', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('HTTP request labels', () => {
+    const events = express.Router();
+    events.get('/', (req, res) => res.json({ success: true }));
+    events.get('/:id', (req, res, next) =>
+      next(req.params.id === 'missing' ? ApiError.notFound('Event not found') : undefined)
+    );
+    events.get('/:id', (req, res) => res.json({ success: true }));
+
+    const app = express();
+    app.use(httpMetrics);
+    app.use('/api/events', events);
+    app.use('*', notFound);
+    app.use(errorHandler);
+
+    it('labels requests by route pattern, not URL', async () => {
+      await request(app).get('/api/events/507f1f77bcf86cd799439011');
+      await request(app).get('/api/events/507f191e810c19729de860ea?from=2030-01-01');
+      await request(app).get('/api/events/');
+      // An error leaving the router still counts under its route
+      await request(app).get('/api/events/missing');
+
+      expect(await samplesOf('http_requests_total')).toEqual([
+        'http_requests_total{method="GET",route="/api/events/:id",status="200"} 2',
+        'http_requests_total{method="GET",route="/api/events",status="200"} 1',
+        'http_requests_total{method="GET",route="/api/events/:id",status="404"} 1',
+      ]);
+    });
+
+    it('puts every request that matched no route in one series', async () => {
+      await request(app).get('/wp-login.php');
+      await request(app).get('/api/unknown/1');
+      await request(app).post('/api/unknown/2');
+
+      const unmatched = (await samplesOf('http_requests_total')).filter((line) => line.includes('unmatched'));
+      expect(unmatched).toEqual([
+        'http_requests_total{method="GET",route="unmatched",status="404"} 2',
+        'http_requests_total{method="POST",route="unmatched",status="404"} 1',
+      ]);
+      expect(await samplesOf('http_request_duration_seconds_count')).toContain(
+        'http_request_duration_seconds_count{method="GET",route="unmatched",status="404"} 2'
+      );
+    });
+  });
+
+  describe('registry', () => {
+    it('keeps only the declared labels', async () => {
+      const jobs = counter({ name: 'test_jobs_total', help: 'Jobs', labelNames: ['kind'] });
+
+      jobs.inc({ kind: 'email', userId: 'a' });
+      jobs.inc({ kind: 'email', userId: 'b' });
+      jobs.inc();
+
+      expect(await samplesOf('test_jobs_total')).toEqual([
+        'test_jobs_total{kind="email"} 2',
+        'test_jobs_total{kind=""} 1',
+      ]);
+    });
+
+    it('counts observations into cumulative buckets', async () => {
+      const latency = histogram({ name: 'test_latency_seconds', help: 'Latency', buckets: [1, 0.1] });
+
+      latency.observe({}, 0.05);
+      latency.observe({}, 0.5);
+
+      expect(await samplesOf('test_latency_seconds_bucket')).toEqual([
+        'test_latency_seconds_bucket{le="0.1"} 1',
+        'test_latency_seconds_bucket{le="1"} 2',
+        'test_latency_seconds_bucket{le="+Inf"} 2',
+      ]);
+      expect(await samplesOf('test_latency_seconds_sum')).toEqual(['test_latency_seconds_sum 0.55']);
+    });
+
+    it('escapes label values', async () => {
+      counter({ name: 'test_escaped_total', help: 'Escaped', labelNames: ['path'] }).inc({ path: 'a"b\\c\nd' });
+
+      expect(await samplesOf('test_escaped_total')).toEqual(['test_escaped_total{path="a\\"b\\\\c\\nd"} 1']);
+    });
+
+    it('leaves out a gauge that fails to collect', async () => {
+      jest.spyOn(logger, 'warn').mockImplementation(() => {});
+      gauge({
+        name: 'test_broken',
+        help: 'Broken',
+        collect: async () => {
+          throw new Error('database unavailable');
+        },
+      });
+
+      expect(await renderMetrics()).not.toContain('test_broken');
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Collecting metric failed',
+        expect.objectContaining({ metric: 'test_broken' })
+      );
+    });
+
+    it('refuses a second metric with the same name', () => {
+      expect(() => counter({ name: 'http_requests_total', help: 'Again' })).toThrow(
+        'Metric "http_requests_total" is already registered'
+      );
+    });
+  });
+});
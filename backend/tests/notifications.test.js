@@ -0,0 +1,98 @@
+/**
+ * Push notification dispatcher (services/notifications) with the in-memory
+ * transport standing in for Expo.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const notifications = require('../services/notifications');
+const createMemoryTransport = require('../services/notifications/transports/memory');
+
+const userIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+const stubRecipients = (devices) => {
+  const userQuery = jest.spyOn(User, 'find').mockReturnValue({ distinct: async () => userIds });
+  jest.spyOn(Device, 'find').mockReturnValue({ select: async () => devices });
+  jest.spyOn(Device, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  return userQuery;
+};
+
+describe('notification transports', () => {
+  let transport;
+  let previous;
+
+  beforeEach(() => {
+    transport = createMemoryTransport({ unregistered: ['ExponentPushToken[gone]'] });
+    previous = notifications.setTransport(transport);
+  });
+
+  afterEach(() => {
+    notifications.setTransport(previous);
+    jest.restoreAllMocks();
+  });
+
+  it('sends one message per device through the configured transport', async () => {
+    stubRecipients([{ token: 'ExponentPushToken[a]' }, { token: 'ExponentPushToken[b]' }]);
+
+    const queued = await notifications.notifyUsers({}, { title: 'Hello', body: 'World' }, { urgent: true });
+    await notifications.flush();
+
+    expect(queued).toBe(2);
+    expect(transport.sent.map((message) => message.to)).toEqual(['ExponentPushToken[a]', 'ExponentPushToken[b]']);
+    expect(transport.sent[0]).toMatchObject({ title: 'Hello', body: 'World', priority: 'high' });
+    expect(notifications.getQueueDepth()).toBe(0);
+  });
+
+  it('skips users who muted the club', async () => {
+    const userQuery = stubRecipients([{ token: 'ExponentPushToken[a]' }]);
+    const clubId = new mongoose.Types.ObjectId();
+
+    await notifications.notifyUsers({}, { title: 'T', body: 'B' }, { clubId });
+
+    expect(userQuery).toHaveBeenCalledWith({ mutedClubs: { $ne: clubId } });
+  });
+
+  it('removes devices the transport reports as unregistered', async () => {
+    stubRecipients([{ token: 'ExponentPushToken[a]' }, { token: 'ExponentPushToken[gone]' }]);
+
+    await notifications.notifyUsers({}, { title: 'T', body: 'B' });
+    await notifications.flush();
+
+    expect(Device.deleteMany).toHaveBeenCalledWith({ token: { $in: ['ExponentPushToken[gone]'] } });
+  });
+
+  it('never throws when the lookup fails', async () => {
+    jest.spyOn(User, 'find').mockReturnValue({ distinct: async () => { throw new Error('down'); } });
+
+    await expect(notifications.notifyUsers({}, { title: 'T', body: 'B' })).resolves.toBe(0);
+    expect(transport.sent).toHaveLength(0);
+  });
+});
+
+describe('default notification transport', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('is chosen from NOTIFICATION_TRANSPORT when first used, not when loaded', () => {
+    jest.isolateModules(() => {
+      delete process.env.NOTIFICATION_TRANSPORT;
+      const isolated = require('../services/notifications');
+
+      // e.g. dotenv loading .env after this module was required
+      process.env.NOTIFICATION_TRANSPORT = 'expo';
+      expect(isolated.getTransport().name).toBe('expo');
+    });
+  });
+
+  it('rejects an unknown transport name', () => {
+    jest.isolateModules(() => {
+      process.env.NOTIFICATION_TRANSPORT = 'carrier-pigeon';
+      const isolated = require('../services/notifications');
+      expect(() => isolated.getTransport()).toThrow('Unknown NOTIFICATION_TRANSPORT');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const http = require('http');
+const net = require('net');
+const Session = require('../models/Session');
+const { attachRealtime, closeRealtime, getClientCount } = require('../services/realtime');
+const { createUser, signIn, stubAccounts } = require('./helpers');
+
+describe('realtime handshake', () => {
+  let server;
+  let port;
+  let token;
+  let session;
+  // Resolves the session lookup the handshake is waiting on
+  let finishLookup;
+  let lookupStarted;
+
+  beforeEach(async () => {
+    const store = stubAccounts();
+    const user = await createUser({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+    ({ token, session } = await signIn(user));
+
+    // Hold the handshake at the session lookup until the test releases it
+    lookupStarted = new Promise((resolve) => {
+      Session.findById.mockImplementation(
+        (id) =>
+          new Promise((release) => {
+            finishLookup = () => release(store.sessions.get(String(id)) || null);
+            resolve();
+          })
+      );
+    });
+
+    server = http.createServer();
+    attachRealtime(server);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    ({ port } = server.address());
+  });
+
+  afterEach(async () => {
+    await closeRealtime();
+    await new Promise((resolve) => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  // Open a raw connection and send the upgrade request
+  const startHandshake = (query) => {
+    const client = net.connect(port, '127.0.0.1');
+    client.on('error', () => {});
+    client.write(
+      `GET /ws?${query} HTTP/1.1\r\n` +
+        'Host: localhost\r\n' +
+        'Connection: Upgrade\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Sec-WebSocket-Version: 13\r\n' +
+        'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n\r\n'
+    );
+    return client;
+  };
+
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+  it.each([
+    ['a valid token', () => `token=${token}`],
+    ['a revoked session', () => {
+      session.revokedAt = new Date();
+      return `token=${token}`;
+    }],
+  ])('survives a client resetting the connection mid-handshake with %s', async (name, buildQuery) => {
+    const uncaught = jest.fn();
+    process.on('uncaughtException', uncaught);
+
+    try {
+      const client = startHandshake(buildQuery());
+      await lookupStarted;
+      client.resetAndDestroy();
+      await settle();
+
+      finishLookup();
+      await settle();
+
+      expect(uncaught).not.toHaveBeenCalled();
+      expect(getClientCount()).toBe(0);
+    } finally {
+      process.removeListener('uncaughtException', uncaught);
+    }
+  });
+
+  it('still completes an ordinary handshake', async () => {
+    const client = startHandshake(`token=${token}`);
+    await lookupStarted;
+    finishLookup();
+
+    const response = await new Promise((resolve) => client.once('data', (data) => resolve(data.toString())));
+    client.destroy();
+
+    expect(response).toMatch(/^HTTP\/1.1 101 /);
+  });
+});
@@ -0,0 +1,142 @@
+const {
+  normalizeRecurrence,
+  expandOccurrences,
+  isOccurrence,
+  firstOccurrence,
+  countOccurrencesBefore,
+} = require('../utils/recurrence');
+const { parseDateOnly, formatDateOnly } = require('../utils/dates');
+
+const day = (value) => parseDateOnly(value);
+const days = (dates) => dates.map(formatDateOnly);
+
+describe('recurrence rules', () => {
+  describe('normalizeRecurrence', () => {
+    const start = day('2030-01-07'); // a Monday
+
+    it('defaults the interval and a weekly rule to the start weekday', () => {
+      expect(normalizeRecurrence({ frequency: 'weekly', count: 4 }, start)).toEqual({
+        rule: { frequency: 'weekly', interval: 1, byWeekday: [1], count: 4 },
+        problems: [],
+      });
+    });
+
+    it('sorts and de-duplicates weekdays', () => {
+      const { rule } = normalizeRecurrence({ frequency: 'weekly', byWeekday: [5, 1, 5], count: 4 }, start);
+
+      expect(rule.byWeekday).toEqual([1, 5]);
+    });
+
+    it('needs exactly one of until or count', () => {
+      expect(normalizeRecurrence({ frequency: 'daily' }, start).problems).toHaveLength(1);
+      expect(
+        normalizeRecurrence({ frequency: 'daily', count: 3, until: '2030-02-01' }, start).problems
+      ).toHaveLength(1);
+    });
+
+    it('rejects an until date before the start', () => {
+      const { rule, problems } = normalizeRecurrence({ frequency: 'daily', until: '2030-01-01' }, start);
+
+      expect(rule).toBeNull();
+      expect(problems).toEqual(['Recurrence until must be a date on or after the event date']);
+    });
+
+    it('limits the span of until rules', () => {
+      expect(normalizeRecurrence({ frequency: 'daily', until: '2032-01-09' }, start).rule).not.toBeNull();
+      expect(normalizeRecurrence({ frequency: 'daily', until: '2032-01-10' }, start).problems).toEqual([
+        'A series cannot span more than 732 days',
+      ]);
+    });
+
+    it('limits the span of count rules the same way', () => {
+      // 25 months from 7 January 2030 ends on 7 January 2032, 730 days later
+      expect(normalizeRecurrence({ frequency: 'monthly', count: 25 }, start).rule).not.toBeNull();
+      expect(normalizeRecurrence({ frequency: 'monthly', count: 26 }, start).problems).toEqual([
+        'A series cannot span more than 732 days',
+      ]);
+      expect(normalizeRecurrence({ frequency: 'daily', interval: 3, count: 366 }, start).rule).toBeNull();
+    });
+
+    it('reports every problem at once', () => {
+      const { problems } = normalizeRecurrence({ frequency: 'hourly', interval: 0 }, start);
+
+      expect(problems).toHaveLength(3);
+    });
+  });
+
+  describe('expandOccurrences', () => {
+    it('expands a weekly rule on several weekdays', () => {
+      const rule = { frequency: 'weekly', interval: 1, byWeekday: [1, 3], count: 5 };
+
+      expect(days(expandOccurrences(day('2030-01-07'), rule))).toEqual([
+        '2030-01-07',
+        '2030-01-09',
+        '2030-01-14',
+        '2030-01-16',
+        '2030-01-21',
+      ]);
+    });
+
+    it('applies the interval to whole weeks starting on Monday', () => {
+      // Starts on a Wednesday; the Monday of that week is skipped, not the next one
+      const rule = { frequency: 'weekly', interval: 2, byWeekday: [1, 3], count: 4 };
+
+      expect(days(expandOccurrences(day('2030-01-09'), rule))).toEqual([
+        '2030-01-09',
+        '2030-01-21',
+        '2030-01-23',
+        '2030-02-04',
+      ]);
+    });
+
+    it('skips months without the start day', () => {
+      const rule = { frequency: 'monthly', interval: 1, until: day('2030-06-30') };
+
+      expect(days(expandOccurrences(day('2030-01-31'), rule))).toEqual([
+        '2030-01-31',
+        '2030-03-31',
+        '2030-05-31',
+      ]);
+    });
+
+    it('returns only the requested range, leaving out exdates', () => {
+      const rule = { frequency: 'daily', interval: 1, count: 10 };
+
+      const dates = expandOccurrences(day('2030-01-01'), rule, {
+        from: day('2030-01-03'),
+        to: day('2030-01-06'),
+        exdates: [day('2030-01-04')],
+      });
+
+      expect(days(dates)).toEqual(['2030-01-03', '2030-01-05', '2030-01-06']);
+    });
+
+    it('counts exdates towards count', () => {
+      const rule = { frequency: 'daily', interval: 1, count: 3 };
+
+      const dates = expandOccurrences(day('2030-01-01'), rule, { exdates: [day('2030-01-02')] });
+
+      expect(days(dates)).toEqual(['2030-01-01', '2030-01-03']);
+    });
+  });
+
+  describe('helpers', () => {
+    const rule = { frequency: 'weekly', interval: 1, byWeekday: [2], count: 3 };
+    const start = day('2030-01-07'); // Monday, so the first occurrence is the Tuesday
+
+    it('finds the first generated date', () => {
+      expect(formatDateOnly(firstOccurrence(start, rule))).toBe('2030-01-08');
+    });
+
+    it('checks whether a date belongs to the series', () => {
+      expect(isOccurrence(start, rule, day('2030-01-15'))).toBe(true);
+      expect(isOccurrence(start, rule, day('2030-01-16'))).toBe(false);
+      expect(isOccurrence(start, rule, day('2030-01-29'))).toBe(false);
+    });
+
+    it('counts the occurrences before a date', () => {
+      expect(countOccurrencesBefore(start, rule, day('2030-01-15'))).toBe(1);
+      expect(countOccurrencesBefore(start, rule, day('2031-01-01'))).toBe(3);
+    });
+  });
+});
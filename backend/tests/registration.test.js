@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const User = require('../models/User');
+const eventRoutes = require('../routes/events');
+const { addDays, startOfDay } = require('../utils/dates');
+const { createApp, createUser, query, signIn, stubAccounts } = require('./helpers');
+
+describe('registration capacity and waitlist', () => {
+  const app = createApp({ '/api/events': eventRoutes });
+
+  let event;
+  let registrations;
+  // Runs inside Registration.create, before the new registration is stored
+  let beforeInsert;
+
+  const statusOf = (user) =>
+    registrations.find((registration) => String(registration.userId) === String(user._id)).status;
+
+  const stubEvent = ({ maxParticipants, registeredCount = 0 }) => {
+    event = Event.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Robot Wars',
+      clubId: new mongoose.Types.ObjectId(),
+      date: addDays(startOfDay(new Date()), 7),
+      startTime: '10:00',
+      endTime: '12:00',
+      venue: 'Main Auditorium',
+      maxParticipants,
+      registeredCount,
+      status: 'active',
+    });
+  };
+
+  // Seat counting and the waitlist queries, applied one at a time like
+  // MongoDB's single-document atomic updates
+  const stubSeats = () => {
+    registrations = [];
+    beforeInsert = null;
+
+    jest.spyOn(Event, 'findById').mockImplementation(async (id) => (String(id) === String(event._id) ? event : null));
+    jest.spyOn(Event, 'claimSlot').mockImplementation(async () => {
+      if (event.registeredCount >= event.maxParticipants) return null;
+      event.registeredCount += 1;
+      return event;
+    });
+    jest.spyOn(Event, 'releaseSlot').mockImplementation(async () => {
+      if (event.registeredCount > 0) event.registeredCount -= 1;
+      return event;
+    });
+
+    const waitlist = () =>
+      registrations
+        .filter((registration) => registration.status === 'waitlisted')
+        .sort((a, b) => a.queuedAt - b.queuedAt || String(a._id).localeCompare(String(b._id)));
+
+    jest.spyOn(Registration, 'findOne').mockImplementation(async ({ userId }) =>
+      registrations.find((registration) => String(registration.userId) === String(userId)) || null
+    );
+    jest.spyOn(Registration, 'create').mockImplementation(async (fields) => {
+      if (beforeInsert) await beforeInsert();
+      const registration = new Registration(fields);
+      registrations.push(registration);
+      return registration;
+    });
+    // unregister matches on the student and returns the registration as it
+    // was; re-registering matches a cancelled one by id and asks for the result
+    jest
+      .spyOn(Registration, 'findOneAndUpdate')
+      .mockImplementation(async ({ _id, userId }, { $set, $unset = {} }, { new: returnNew } = {}) => {
+        const registration = registrations.find((candidate) =>
+          _id
+            ? candidate._id.equals(_id) && candidate.status === 'cancelled'
+            : String(candidate.userId) === String(userId) && candidate.status !== 'cancelled'
+        );
+        if (!registration) return null;
+        const before = Registration.hydrate(registration.toObject());
+        registration.set($set);
+        Object.keys($unset).forEach((path) => registration.set(path, undefined));
+        return returnNew ? registration : before;
+      });
+    jest.spyOn(Registration, 'promoteNext').mockImplementation(async () => {
+      const [next] = waitlist();
+      if (next) next.set({ status: 'registered', registeredAt: new Date(), promotedAt: new Date() });
+      return next || null;
+    });
+    jest.spyOn(Registration, 'waitlistPosition').mockImplementation(
+      async (registration) => waitlist().indexOf(registration) + 1
+    );
+
+    // Promotion emails find no addresses
+    jest.spyOn(User, 'find').mockReturnValue(query([]));
+  };
+
+  const signInStudent = async (rollNumber) => {
+    const user = await createUser({ name: `Student ${rollNumber}`, rollNumber, role: 'student' });
+    return { user, auth: (await signIn(user)).auth };
+  };
+
+  const register = ({ auth }) =>
+    request(app).post(`/api/events/${event._id}/register`).set('Authorization', auth);
+  const unregister = ({ auth }) =>
+    request(app).delete(`/api/events/${event._id}/register`).set('Authorization', auth);
+
+  beforeEach(() => {
+    stubAccounts();
+    stubSeats();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes a seat while one is free', async () => {
+    stubEvent({ maxParticipants: 2 });
+    const student = await signInStudent('21CS001');
+
+    const res = await register(student);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.registration.status).toBe('registered');
+    expect(event.registeredCount).toBe(1);
+  });
+
+  it('queues students in order once the event is full', async () => {
+    stubEvent({ maxParticipants: 1, registeredCount: 1 });
+    const first = await signInStudent('21CS001');
+    const second = await signInStudent('21CS002');
+
+    const res1 = await register(first);
+    const res2 = await register(second);
+
+    expect(res1.body.message).toBe('Event is full. You have been added to the waitlist.');
+    expect(res1.body.data.registration.waitlistPosition).toBe(1);
+    expect(res2.body.data.registration.waitlistPosition).toBe(2);
+    expect(event.registeredCount).toBe(1);
+  });
+
+  it('starts a fresh registration, without the old check-in, when a student signs up again', async () => {
+    stubEvent({ maxParticipants: 2 });
+    const student = await signInStudent('21CS001');
+    await register(student);
+    const [registration] = registrations;
+    registration.set({ checkedInAt: new Date(), checkedInBy: student.user._id, checkInRecordedAt: new Date() });
+    await unregister(student);
+
+    const res = await register(student);
+
+    expect(res.status).toBe(201);
+    expect(registrations).toHaveLength(1);
+    expect(registration.status).toBe('registered');
+    expect(registration.checkedInAt).toBeUndefined();
+    expect(registration.checkedInBy).toBeUndefined();
+    expect(registration.checkInRecordedAt).toBeUndefined();
+    expect(registration.cancelledAt).toBeUndefined();
+  });
+
+  it('rejects a second sign-up from the same student', async () => {
+    stubEvent({ maxParticipants: 2 });
+    const student = await signInStudent('21CS001');
+    await register(student);
+
+    const res = await register(student);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('ALREADY_REGISTERED');
+    expect(event.registeredCount).toBe(1);
+  });
+
+  it('gives a dropped seat to the first student on the waitlist', async () => {
+    stubEvent({ maxParticipants: 1 });
+    const seated = await signInStudent('21CS001');
+    const first = await signInStudent('21CS002');
+    const second = await signInStudent('21CS003');
+    await register(seated);
+    await register(first);
+    await register(second);
+
+    const res = await unregister(seated);
+
+    expect(res.body.data.promotedCount).toBe(1);
+    expect(statusOf(first.user)).toBe('registered');
+    expect(statusOf(second.user)).toBe('waitlisted');
+    expect(event.registeredCount).toBe(1);
+  });
+
+  it('never seats more students than there are places', async () => {
+    stubEvent({ maxParticipants: 2 });
+    const students = await Promise.all(['21CS001', '21CS002', '21CS003', '21CS004', '21CS005'].map(signInStudent));
+
+    const responses = await Promise.all(students.map(register));
+
+    const statuses = responses.map((res) => res.body.data.registration.status);
+    expect(statuses.filter((status) => status === 'registered')).toHaveLength(2);
+    expect(statuses.filter((status) => status === 'waitlisted')).toHaveLength(3);
+    expect(event.registeredCount).toBe(2);
+  });
+
+  it('seats a student whose waitlist entry lands just after a seat was freed', async () => {
+    stubEvent({ maxParticipants: 1 });
+    const seated = await signInStudent('21CS001');
+    const latecomer = await signInStudent('21CS002');
+    await register(seated);
+
+    // The seated student drops out after the latecomer's seat claim failed but
+    // before their waitlist entry is stored, so the seat finds nobody waiting
+    beforeInsert = async () => {
+      beforeInsert = null;
+      const res = await unregister(seated);
+      expect(res.body.data.promotedCount).toBe(0);
+    };
+    const res = await register(latecomer);
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toBe('Registered for event');
+    expect(statusOf(latecomer.user)).toBe('registered');
+    expect(event.registeredCount).toBe(1);
+  });
+
+  it('emails students promoted while seating a latecomer', async () => {
+    stubEvent({ maxParticipants: 1 });
+    const seated = await signInStudent('21CS001');
+    const waiting = await signInStudent('21CS002');
+    const latecomer = await signInStudent('21CS003');
+    await register(seated);
+    await register(waiting);
+
+    // A seat is freed without promoting anyone (e.g. an organiser raised the
+    // capacity) while the latecomer joins; the student already waiting gets it
+    beforeInsert = async () => {
+      beforeInsert = null;
+      event.maxParticipants = 2;
+    };
+    const res = await register(latecomer);
+
+    expect(res.body.data.registration.status).toBe('waitlisted');
+    expect(res.body.data.registration.waitlistPosition).toBe(1);
+    expect(statusOf(waiting.user)).toBe('registered');
+    expect(User.find).toHaveBeenCalledWith(expect.objectContaining({ _id: waiting.user._id }));
+  });
+});
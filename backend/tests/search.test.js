@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Broadcast = require('../models/Broadcast');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
+const searchRoutes = require('../routes/search');
+const { parseSearchTerms, buildHighlights } = require('../utils/textSearch');
+const { createApp, createUser, signIn, stubAccounts } = require('./helpers');
+
+describe('search', () => {
+  describe('parseSearchTerms', () => {
+    it('splits phrases from words and drops excluded ones', () => {
+      expect(parseSearchTerms('"robot wars" meeting -cancelled -"old venue"')).toEqual({
+        phrases: ['robot wars'],
+        stems: ['meet'],
+      });
+    });
+
+    it('treats regular expression characters as plain text', () => {
+      expect(parseSearchTerms('c++ (robotics) [lab] .*')).toEqual({
+        phrases: [],
+        stems: ['c', 'robotic', 'lab'],
+      });
+    });
+
+    it('ignores an unclosed quote', () => {
+      expect(parseSearchTerms('"robot wars')).toEqual({ phrases: [], stems: ['robot', 'war'] });
+    });
+  });
+
+  describe('buildHighlights', () => {
+    it('marks matches in each field that has one', () => {
+      const event = { title: 'Robot Wars', venue: 'Lab 1', description: 'Meets weekly' };
+
+      expect(buildHighlights(event, ['title', 'venue', 'description'], parseSearchTerms('robot meeting'))).toEqual([
+        { field: 'title', text: 'Robot Wars', matches: [{ start: 0, length: 5 }] },
+        { field: 'description', text: 'Meets weekly', matches: [{ start: 0, length: 5 }] },
+      ]);
+    });
+
+    it('cuts long text down to a snippet around the first match', () => {
+      const text = [
+        'Bring your own parts. '.repeat(10),
+        'The robot arena opens at noon. ',
+        'Snacks provided. '.repeat(10),
+      ].join('');
+
+      const [highlight] = buildHighlights({ description: text }, ['description'], parseSearchTerms('arena'));
+
+      expect(highlight.text.startsWith('…')).toBe(true);
+      expect(highlight.text.endsWith('…')).toBe(true);
+      expect(highlight.text.length).toBeLessThanOrEqual(162);
+      const [{ start, length }] = highlight.matches;
+      expect(highlight.text.slice(start, start + length)).toBe('arena');
+    });
+  });
+
+  describe('GET /api/search', () => {
+    const app = createApp({ '/api/search': searchRoutes });
+    const robotics = new mongoose.Types.ObjectId();
+
+    let found;
+
+    // find().select().sort().limit(), resolving to documents with a text score
+    const stubSearch = (model, docs) =>
+      jest.spyOn(model, 'find').mockImplementation((filter) => {
+        found.set(model.modelName, filter);
+        const chain = {
+          select: () => chain,
+          sort: () => chain,
+          limit: async () => docs.map((doc) => ({ toJSON: () => doc })),
+        };
+        return chain;
+      });
+
+    const signInAs = async (fields) => (await signIn(await createUser(fields))).auth;
+
+    beforeEach(() => {
+      found = new Map();
+      stubAccounts();
+      stubSearch(Event, [{ id: 'e1', title: 'Robot Wars', venue: 'Main Auditorium', score: 1.23456 }]);
+      stubSearch(Club, [{ id: 'c1', name: 'Robotics Club', score: 0.75 }]);
+      stubSearch(Broadcast, []);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('hands the query to MongoDB text search as typed', async () => {
+      const auth = await signInAs({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+      const q = '"robot wars" $where {.*}';
+
+      const res = await request(app).get('/api/search').query({ q, type: 'events' }).set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(found.get('Event')).toEqual({ $text: { $search: q } });
+      expect(res.body.data.events).toEqual([
+        expect.objectContaining({
+          title: 'Robot Wars',
+          score: 1.235,
+          highlights: [{ field: 'title', text: 'Robot Wars', matches: [{ start: 0, length: 10 }] }],
+        }),
+      ]);
+    });
+
+    it('groups results by type', async () => {
+      const auth = await signInAs({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+
+      const res = await request(app).get('/api/search?q=robot').set('Authorization', auth);
+
+      expect(res.body.data.query).toBe('robot');
+      expect(res.body.data.events).toHaveLength(1);
+      expect(res.body.data.clubs).toHaveLength(1);
+      expect(res.body.data.broadcasts).toEqual([]);
+    });
+
+    it("limits broadcasts to the student's college and club channels", async () => {
+      const auth = await signInAs({
+        name: 'Asha',
+        rollNumber: '21CS001',
+        role: 'student',
+        enrolledClubs: [
+          { clubId: robotics, status: 'active' },
+          { clubId: new mongoose.Types.ObjectId(), status: 'pending' },
+        ],
+      });
+
+      await request(app).get('/api/search?q=robot&type=broadcasts').set('Authorization', auth);
+
+      expect(found.get('Broadcast').$and).toEqual([
+        { $or: [{ channel: 'college' }, { channel: 'club', clubId: { $in: [robotics] } }] },
+      ]);
+    });
+
+    it.each([
+      ['a one-letter query', { q: 'r' }, 'q must be between 2 and 100 characters'],
+      ['an unknown type', { q: 'robot', type: 'users' }, 'type must be one or more of: events, clubs, broadcasts'],
+      ['a reversed range', { q: 'robot', from: '2030-02-01', to: '2030-01-01' }, 'to must be on or after from'],
+    ])('rejects %s', async (name, params, message) => {
+      const auth = await signInAs({ name: 'Asha', rollNumber: '21CS001', role: 'student' });
+
+      const res = await request(app).get('/api/search').query(params).set('Authorization', auth);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toBe(message);
+      expect(Event.find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * Test environment: runs before every test file (see "jest" in package.json).
+ * Tests never connect to MongoDB; they stub the model calls they exercise.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'silent';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
@@ -0,0 +1,112 @@
+const express = require('express');
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+const { parseExportFormat, toFileName, mapRows, sendTable } = require('../utils/spreadsheet');
+const { errorHandler } = require('../middleware/errorHandler');
+const asyncHandler = require('../utils/asyncHandler');
+const logger = require('../utils/logger');
+
+const columns = [
+  { header: 'Roll number', key: 'rollNumber' },
+  { header: 'Name', key: 'name' },
+];
+
+async function* rowsOf(items, { failAfter } = {}) {
+  for (const [index, item] of items.entries()) {
+    if (index === failAfter) throw new Error('cursor lost');
+    yield item;
+  }
+}
+
+// An app that streams `rows()` in the requested format
+const exportApp = (rows) => {
+  const app = express();
+  app.get(
+    '/export',
+    asyncHandler(async (req, res) => {
+      await sendTable(res, {
+        format: parseExportFormat(req.query.format),
+        fileName: 'robot-wars-registrations',
+        sheetName: 'Registrations',
+        columns,
+        rows: rows(),
+      });
+    })
+  );
+  app.use(errorHandler);
+  return app;
+};
+
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('spreadsheet export', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseExportFormat', () => {
+    it('defaults to csv', () => {
+      expect(parseExportFormat(undefined)).toBe('csv');
+      expect(parseExportFormat('xlsx')).toBe('xlsx');
+    });
+
+    it('rejects other formats', () => {
+      expect(() => parseExportFormat('pdf')).toThrow('format must be one of: csv, xlsx');
+    });
+  });
+
+  it('builds a safe file name', () => {
+    expect(toFileName('Robot Wars: Finals!', '2030-01-10', 'registrations')).toBe(
+      'robot-wars-finals-2030-01-10-registrations'
+    );
+    expect(toFileName('ロボット')).toBe('export');
+  });
+
+  it('maps each item of an async iterable to a row', async () => {
+    const rows = [];
+    for await (const row of mapRows(rowsOf([1, 2]), (n) => ({ n }))) rows.push(row);
+
+    expect(rows).toEqual([{ n: 1 }, { n: 2 }]);
+  });
+
+  it('streams CSV with a byte-order mark and formula-safe values', async () => {
+    const app = exportApp(() =>
+      rowsOf([
+        { rollNumber: '21CS001', name: 'Asha' },
+        { rollNumber: '21CS002', name: '=HYPERLINK("x")' },
+      ])
+    );
+
+    const res = await request(app).get('/export');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="robot-wars-registrations.csv"');
+    expect(res.text).toBe('\ufeffRoll number,Name\r\n21CS001,Asha\r\n21CS002,"\'=HYPERLINK(""x"")"\r\n');
+  });
+
+  it('streams an XLSX workbook', async () => {
+    const app = exportApp(() => rowsOf([{ rollNumber: '21CS001', name: 'Asha' }]));
+
+    const res = await request(app).get('/export?format=xlsx').buffer(true).parse(binary);
+
+    expect(res.status).toBe(200);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body);
+    const sheet = workbook.getWorksheet('Registrations');
+    expect(sheet.getRow(1).values.slice(1)).toEqual(['Roll number', 'Name']);
+    expect(sheet.getRow(2).values.slice(1)).toEqual(['21CS001', 'Asha']);
+  });
+
+  it('cuts the download short when the rows fail mid-stream', async () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const app = exportApp(() => rowsOf([{ rollNumber: '21CS001', name: 'Asha' }, {}], { failAfter: 1 }));
+
+    await expect(request(app).get('/export')).rejects.toThrow();
+    expect(logger.error).toHaveBeenCalledWith('Export failed mid-stream', expect.any(Object));
+  });
+});
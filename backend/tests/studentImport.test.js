@@ -0,0 +1,152 @@
+const bcrypt = require('bcrypt');
+const request = require('supertest');
+const User = require('../models/User');
+const adminRoutes = require('../routes/admin');
+const audit = require('../services/audit');
+const { parseStudentRows } = require('../services/studentImport');
+const { createApp, createUser, query, signIn, stubAccounts } = require('./helpers');
+
+describe('student roster import', () => {
+  const app = createApp({ '/api/admin': adminRoutes });
+
+  let auth;
+  let existing;
+
+  const upload = (csv, path = '/api/admin/import/students') =>
+    request(app).post(path).set('Authorization', auth).set('Content-Type', 'text/csv').send(csv);
+
+  beforeEach(async () => {
+    stubAccounts();
+    auth = (await signIn(await createUser({ name: 'PR Council', role: 'pr' }))).auth;
+
+    existing = [];
+    jest.spyOn(User, 'find').mockImplementation(() => query(existing));
+    jest.spyOn(User, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(bcrypt, 'hash').mockResolvedValue('hashed-default-password');
+    jest.spyOn(audit, 'record').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseStudentRows', () => {
+    it('maps header spellings and normalises values', () => {
+      const rows = parseStudentRows('Roll No,Student Name,E-mail\n21bd1a0501,  Asha   Rao ,Asha@Example.com\n');
+
+      expect(rows).toEqual([
+        { line: 2, name: 'Asha Rao', rollNumber: '21BD1A0501', email: 'asha@example.com', errors: [] },
+      ]);
+    });
+
+    it('reports every problem on its line', () => {
+      const rows = parseStudentRows(
+        [
+          'name,rollNumber,email',
+          ',21BD1A0501,',
+          'Ravi,12345,ravi@',
+          'Meena,21BD1A0501,',
+        ].join('\n')
+      );
+
+      expect(rows.map(({ line, errors }) => ({ line, errors }))).toEqual([
+        { line: 2, errors: ['Name is required'] },
+        {
+          line: 3,
+          errors: [
+            '"12345" is not a valid roll number (expected e.g. 21BD1A0501)',
+            '"ravi@" is not a valid email address',
+          ],
+        },
+        { line: 4, errors: ['Duplicate roll number (also on line 2)'] },
+      ]);
+    });
+
+    it('also applies the User schema rules', () => {
+      jest
+        .spyOn(User.prototype, 'validateSync')
+        .mockReturnValue({ errors: { name: { message: 'Name must be at most 60 characters' } } });
+
+      const [row] = parseStudentRows('name,rollNumber\nAsha,21BD1A0501\n');
+
+      expect(row.errors).toEqual(['Name must be at most 60 characters']);
+    });
+
+    it('needs the name and roll number columns', () => {
+      expect(() => parseStudentRows('name,email\nAsha,asha@example.com\n')).toThrow(
+        'CSV header must include: rollNumber'
+      );
+    });
+  });
+
+  it('upserts new and changed students on roll number', async () => {
+    existing = [
+      new User({ name: 'Ravi', rollNumber: '21BD1A0502', role: 'student' }),
+      new User({ name: 'Meena', rollNumber: '21BD1A0503', role: 'student' }),
+    ];
+
+    const res = await upload(
+      [
+        'name,rollNumber,email',
+        'Asha,21BD1A0501,asha@example.com',
+        'Ravi Kumar,21BD1A0502,',
+        'Meena,21BD1A0503,',
+      ].join('\n')
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toMatchObject({ create: 1, update: 1, unchanged: 1, errors: 0 });
+    expect(bcrypt.hash).toHaveBeenCalledWith(expect.any(String), User.SALT_ROUNDS);
+
+    const [operations] = User.bulkWrite.mock.calls[0];
+    expect(operations).toEqual([
+      {
+        updateOne: {
+          filter: { rollNumber: '21BD1A0501', role: 'student' },
+          update: {
+            $set: { name: 'Asha', email: 'asha@example.com' },
+            $setOnInsert: { password: 'hashed-default-password', isFirstLogin: true },
+          },
+          upsert: true,
+        },
+      },
+      expect.objectContaining({
+        updateOne: expect.objectContaining({ filter: { rollNumber: '21BD1A0502', role: 'student' } }),
+      }),
+    ]);
+  });
+
+  it('writes nothing when any row has an error', async () => {
+    const res = await upload('name,rollNumber\nAsha,21BD1A0501\nRavi,not-a-roll\n');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('IMPORT_INVALID');
+    expect(User.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  it('refuses roll numbers that belong to council accounts', async () => {
+    existing = [new User({ name: 'Robotics Club', rollNumber: '21BD1A0501', role: 'club_head' })];
+
+    const res = await upload('name,rollNumber\nAsha,21BD1A0501\n');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details.rows[0].errors).toEqual(['Roll number belongs to a council account']);
+  });
+
+  it('only reports on a dry run', async () => {
+    const res = await upload('name,rollNumber\nAsha,21BD1A0501\n', '/api/admin/import/students?dryRun=true');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ dryRun: true, committed: false });
+    expect(User.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  it('answers an oversized upload with 413 PAYLOAD_TOO_LARGE', async () => {
+    const row = 'Asha,21BD1A0501\n';
+    const res = await upload(`name,rollNumber\n${row.repeat(Math.ceil((5 * 1024 * 1024) / row.length) + 1)}`);
+
+    expect(res.status).toBe(413);
+    expect(res.body.error.code).toBe('PAYLOAD_TOO_LARGE');
+    expect(User.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,104 @@
+const express = require('express');
+const Joi = require('joi');
+const request = require('supertest');
+const { validate, textBody } = require('../middleware/validate');
+const { errorHandler } = require('../middleware/errorHandler');
+const { objectId } = require('../validators/common');
+
+describe('request validation', () => {
+  const schemas = {
+    params: Joi.object({ id: objectId.required() }),
+    query: Joi.object({ limit: Joi.number().integer().min(1) }),
+    body: Joi.object({
+      title: Joi.string().trim().required(),
+      maxParticipants: Joi.number().integer().min(1).required(),
+    }),
+  };
+
+  // Echoes what the controller would see
+  const app = express();
+  app.post('/events/:id', validate(schemas), (req, res) => res.json({ query: req.query, body: req.body }));
+  app.post('/notes', validate({ body: Joi.object({ text: Joi.string() }), bodyLimit: '64kb' }), (req, res) =>
+    res.json({ length: req.body.text.length })
+  );
+  app.post(
+    '/import',
+    textBody({ type: 'text/csv', limit: '1kb' }),
+    validate({ body: Joi.string() }),
+    (req, res) => res.json({ body: req.body })
+  );
+  app.use(errorHandler);
+
+  const id = '507f1f77bcf86cd799439011';
+
+  it('converts values and drops unknown fields', async () => {
+    const res = await request(app)
+      .post(`/events/${id}?limit=25&sort=-date`)
+      .send({ title: '  Robot Wars ', maxParticipants: '50', isAdmin: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      query: { limit: 25 },
+      body: { title: 'Robot Wars', maxParticipants: 50 },
+    });
+  });
+
+  it('lists every problem, params first', async () => {
+    const res = await request(app).post('/events/42?limit=0').send({ maxParticipants: 'many' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({
+      code: 'VALIDATION_ERROR',
+      message: 'id must be a valid id',
+      details: {
+        fields: [
+          { path: 'id', message: 'id must be a valid id' },
+          { path: 'limit', message: 'limit must be greater than or equal to 1' },
+          { path: 'title', message: 'title is required' },
+          { path: 'maxParticipants', message: 'maxParticipants must be a number' },
+        ],
+      },
+    });
+  });
+
+  it('rejects a body over the default 10kb', async () => {
+    const res = await request(app)
+      .post(`/events/${id}`)
+      .send({ title: 'x'.repeat(11 * 1024), maxParticipants: 1 });
+
+    expect(res.status).toBe(413);
+    expect(res.body.error).toMatchObject({
+      code: 'PAYLOAD_TOO_LARGE',
+      message: 'Request body must be at most 10kb',
+    });
+  });
+
+  it("allows up to the route's own limit", async () => {
+    const res = await request(app).post('/notes').send({ text: 'x'.repeat(50 * 1024) });
+
+    expect(res.status).toBe(200);
+  });
+
+  it('reports malformed JSON as a bad request', async () => {
+    const res = await request(app).post(`/events/${id}`).set('Content-Type', 'application/json').send('{"title":');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toBe('Request body is not valid JSON');
+  });
+
+  describe('textBody', () => {
+    it('reads a CSV upload as text', async () => {
+      const res = await request(app).post('/import').set('Content-Type', 'text/csv').send('name\nAsha\n');
+
+      expect(res.status).toBe(200);
+      expect(res.body.body).toBe('name\nAsha\n');
+    });
+
+    it('rejects an upload over its limit', async () => {
+      const res = await request(app).post('/import').set('Content-Type', 'text/csv').send('x'.repeat(2048));
+
+      expect(res.status).toBe(413);
+      expect(res.body.error.message).toBe('Request body must be at most 1kb');
+    });
+  });
+});
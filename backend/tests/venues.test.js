@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
+const eventRoutes = require('../routes/events');
+const venueRoutes = require('../routes/venues');
+const audit = require('../services/audit');
+const realtime = require('../services/realtime');
+const { parseDateOnly, formatDateOnly } = require('../utils/dates');
+const { createApp, createUser, query, signIn, stubAccounts } = require('./helpers');
+
+describe('venue double-booking', () => {
+  const app = createApp({ '/api/events': eventRoutes, '/api/venues': venueRoutes });
+  const robotics = new Club({ name: 'Robotics Club' });
+  const day = parseDateOnly('2030-01-09');
+
+  const booked = (fields) =>
+    Event.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Chess Finals',
+      clubName: 'Chess Club',
+      venue: 'Main Auditorium',
+      venueKey: 'main auditorium',
+      startTime: '11:00',
+      endTime: '13:00',
+      status: 'active',
+      ...fields,
+    });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('findVenueConflicts', () => {
+    const single = booked({ date: day });
+    const series = booked({
+      title: 'Drama Rehearsal',
+      clubName: 'Drama Club',
+      date: parseDateOnly('2030-01-07'),
+      startTime: '10:00',
+      recurrence: { frequency: 'weekly', interval: 1, byWeekday: [1, 3], count: 6 },
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Event, 'find').mockImplementation((filter) => query(filter.recurrence.$exists ? [series] : [single]));
+    });
+
+    it('matches the venue however it is typed and only overlapping times', async () => {
+      await Event.findVenueConflicts({
+        venue: '  main   AUDITORIUM ',
+        dates: [day],
+        startTime: '10:00',
+        endTime: '12:00',
+      });
+
+      expect(Event.find).toHaveBeenCalledWith(
+        expect.objectContaining({
+          venueKey: 'main auditorium',
+          status: 'active',
+          // Back-to-back bookings (one ends as the other starts) do not clash
+          startTime: { $lt: '12:00' },
+          endTime: { $gt: '10:00' },
+          date: { $in: [day] },
+        })
+      );
+    });
+
+    it('reports series occurrences only on the requested days', async () => {
+      const conflicts = await Event.findVenueConflicts({
+        venue: 'Main Auditorium',
+        dates: [day, parseDateOnly('2030-01-10')],
+        startTime: '10:00',
+        endTime: '12:00',
+      });
+
+      expect(conflicts.map((conflict) => [formatDateOnly(conflict.date), conflict.title])).toEqual([
+        ['2030-01-09', 'Drama Rehearsal'],
+        ['2030-01-09', 'Chess Finals'],
+      ]);
+      expect(conflicts[0]._id).toBe(`${series._id}_2030-01-09`);
+    });
+
+    it('leaves out the events being edited', async () => {
+      await Event.findVenueConflicts({ venue: 'Main Auditorium', dates: [day], excludeIds: [single._id] });
+
+      expect(Event.find).toHaveBeenCalledWith(expect.objectContaining({ _id: { $nin: [single._id] } }));
+    });
+  });
+
+  describe('scheduling', () => {
+    const newEvent = {
+      title: 'Robot Wars',
+      clubId: String(robotics._id),
+      date: '2030-01-09',
+      startTime: '10:00',
+      endTime: '12:00',
+      venue: 'Main Auditorium',
+      maxParticipants: 50,
+    };
+
+    beforeEach(() => {
+      stubAccounts();
+      jest.spyOn(Club, 'findById').mockResolvedValue(robotics);
+      jest.spyOn(Event, 'findVenueConflicts').mockResolvedValue([booked({ date: day })]);
+      jest.spyOn(Event.prototype, 'save').mockImplementation(async function () {
+        return this;
+      });
+      jest.spyOn(audit, 'record').mockImplementation(() => {});
+      jest.spyOn(realtime, 'publish').mockImplementation(() => {});
+    });
+
+    const create = async (fields, body = newEvent) =>
+      request(app)
+        .post('/api/events')
+        .set('Authorization', (await signIn(await createUser(fields))).auth)
+        .send(body);
+
+    it('refuses a slot that overlaps a booking and says which', async () => {
+      const res = await create({ name: 'PR Council', role: 'pr' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('VENUE_CONFLICT');
+      expect(res.body.error.details.conflicts).toEqual([
+        expect.objectContaining({ title: 'Chess Finals', clubName: 'Chess Club', startTime: '11:00', endTime: '13:00' }),
+      ]);
+      expect(Event.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('lets PR double-book on purpose', async () => {
+      const res = await create({ name: 'PR Council', role: 'pr' }, { ...newEvent, overrideVenueConflict: true });
+
+      expect(res.status).toBe(201);
+    });
+
+    it('does not let a club head override a conflict', async () => {
+      const res = await create(
+        { name: 'Robotics Head', role: 'club_head', clubId: robotics._id },
+        { ...newEvent, clubId: undefined, overrideVenueConflict: true }
+      );
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.details.missingPermission).toBe('events:override_venue');
+    });
+  });
+
+  describe('availability', () => {
+    let auth;
+
+    beforeEach(async () => {
+      stubAccounts();
+      auth = (await signIn(await createUser({ name: 'Asha', rollNumber: '21CS001', role: 'student' }))).auth;
+      jest.spyOn(Event, 'findVenueBookings').mockResolvedValue([booked({ date: day })]);
+    });
+
+    it("lists the day's booked slots", async () => {
+      const res = await request(app)
+        .get('/api/venues/Main%20Auditorium/availability?date=2030-01-09')
+        .set('Authorization', auth);
+
+      expect(res.status).toBe(200);
+      expect(Event.findVenueBookings).toHaveBeenCalledWith('Main Auditorium', day);
+      expect(res.body.data.bookedSlots).toEqual([
+        expect.objectContaining({ title: 'Chess Finals', startTime: '11:00', endTime: '13:00' }),
+      ]);
+    });
+
+    it('needs a date', async () => {
+      const res = await request(app).get('/api/venues/Main%20Auditorium/availability').set('Authorization', auth);
+
+      expect(res.status).toBe(400);
+      expect(Event.findVenueBookings).not.toHaveBeenCalled();
+    });
+  });
+});
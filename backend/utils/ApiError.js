@@ -0,0 +1,56 @@
+/**
+ * API Error Class
+ *
+ * A small Error subclass used by controllers and middleware to signal
+ * expected failures (bad credentials, missing fields, forbidden access).
+ * The global error handler in server.js reads `status`, `code` and
+ * `details` from it to build the standard JSON error envelope:
+ *
+ *   { success: false, error: { code, message, details } }
+ */
+
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code to respond with
+   * @param {string} code - Machine-readable error code (e.g. 'INVALID_CREDENTIALS')
+   * @param {string} message - Human-readable message shown to the user
+   * @param {object} [details] - Optional extra context for the client
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+
+    // Errors thrown on purpose are safe to show to clients, even in production
+    this.expose = true;
+  }
+
+  // Convenience constructors for the most common cases
+  static badRequest(message, details) {
+    return new ApiError(400, 'VALIDATION_ERROR', message, details);
+  }
+
+  static unauthorized(message = 'Authentication required', code = 'UNAUTHORIZED') {
+    return new ApiError(401, code, message);
+  }
+
+  static forbidden(message = 'You do not have permission to perform this action', details) {
+    return new ApiError(403, 'FORBIDDEN', message, details);
+  }
+
+  static notFound(message = 'Resource not found') {
+    return new ApiError(404, 'NOT_FOUND', message);
+  }
+
+  static conflict(code, message, details) {
+    return new ApiError(409, code, message, details);
+  }
+
+  static serviceUnavailable(message = 'Service temporarily unavailable, please try again shortly', details) {
+    return new ApiError(503, 'SERVICE_UNAVAILABLE', message, details);
+  }
+}
+
+module.exports = ApiError;
@@ -0,0 +1,17 @@
+/**
+ * Async Route Handler Wrapper
+ *
+ * Express 4 does not catch rejected promises from async route handlers.
+ * Wrapping a handler with this function forwards any thrown error (or
+ * rejected promise) to next(), so it reaches the global error handler
+ * in server.js instead of becoming an unhandled rejection.
+ *
+ * Usage:
+ *   router.post('/login', asyncHandler(async (req, res) => { ... }));
+ */
+
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+module.exports = asyncHandler;
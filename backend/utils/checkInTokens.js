@@ -0,0 +1,113 @@
+/**
+ * Check-in Token Utilities
+ *
+ * Every confirmed registration can produce a check-in token that the
+ * student shows as a QR code at the door. Tokens are signed with an
+ * Ed25519 private key held only by the server. Door volunteers' devices
+ * only need the matching public key (GET /api/events/check-in/public-key)
+ * to verify a QR code offline, then sync the scans later.
+ *
+ * Token format (compact, QR friendly):
+ *
+ *   base64url(JSON payload) + '.' + base64url(Ed25519 signature)
+ *
+ * Payload: { v, rid, eid, uid, n }
+ * - rid/eid/uid: registration, event and student ids
+ * - n: per-registration nonce; the server only accepts the current one,
+ *   and a registration can be checked in once, which makes tokens single-use
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const TOKEN_VERSION = 1;
+
+let keyPair = null;
+
+/**
+ * Load the signing key from CHECKIN_PRIVATE_KEY (PEM, "\n" escapes allowed).
+ * In development a temporary key is generated so the feature works out of
+ * the box; tokens issued with it stop verifying after a restart.
+ */
+const getKeyPair = () => {
+  if (keyPair) return keyPair;
+
+  const pem = process.env.CHECKIN_PRIVATE_KEY;
+  if (pem) {
+    const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    keyPair = { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  } else if (process.env.NODE_ENV === 'production') {
+    throw new Error('CHECKIN_PRIVATE_KEY is not configured');
+  } else {
+    logger.warn('CHECKIN_PRIVATE_KEY not set - using a temporary check-in signing key');
+    keyPair = crypto.generateKeyPairSync('ed25519');
+  }
+
+  return keyPair;
+};
+
+// Public key in PEM form, for offline verification on organiser devices
+const getPublicKeyPem = () =>
+  getKeyPair().publicKey.export({ type: 'spki', format: 'pem' });
+
+// Random nonce stored on the registration
+const createNonce = () => crypto.randomBytes(12).toString('base64url');
+
+/**
+ * Sign a check-in token for a registration.
+ *
+ * @param {object} registration - Registration document (must have checkInNonce)
+ * @returns {string} Compact token for the QR code
+ */
+const signCheckInToken = (registration) => {
+  const payload = Buffer.from(
+    JSON.stringify({
+      v: TOKEN_VERSION,
+      rid: registration._id.toString(),
+      eid: registration.eventId.toString(),
+      uid: registration.userId.toString(),
+      n: registration.checkInNonce,
+    })
+  ).toString('base64url');
+
+  const signature = crypto
+    .sign(null, Buffer.from(payload), getKeyPair().privateKey)
+    .toString('base64url');
+
+  return `${payload}.${signature}`;
+};
+
+/**
+ * Verify a token's signature and return its payload.
+ *
+ * @param {string} token
+ * @returns {object|null} Payload, or null if the token is malformed or forged
+ */
+const verifyCheckInToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  try {
+    const valid = crypto.verify(
+      null,
+      Buffer.from(payload),
+      getKeyPair().publicKey,
+      Buffer.from(signature, 'base64url')
+    );
+    if (!valid) return null;
+
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return data.v === TOKEN_VERSION ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  getPublicKeyPem,
+  createNonce,
+  signCheckInToken,
+  verifyCheckInToken,
+};
@@ -0,0 +1,86 @@
+/**
+ * CSV Helpers
+ *
+ * A small RFC 4180 reader and writer: comma separated, fields optionally
+ * wrapped in double quotes, "" for a quote inside a quoted field, CRLF or
+ * LF line endings. Enough for spreadsheets exported from Excel / Sheets.
+ */
+
+/**
+ * Parse CSV text into rows of string fields. A leading byte-order mark is
+ * ignored, as are completely empty lines.
+ *
+ * @param {string} text
+ * @returns {{ line: number, fields: string[] }[]} Rows with their 1-based line number
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || fields.length > 0) endRow();
+  return rows;
+};
+
+/**
+ * Quote a value for CSV if it needs it. Values that a spreadsheet would
+ * treat as a formula are prefixed with a quote so opening an export
+ * cannot run anything.
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with CRLF) from a list of values
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  escapeCsvValue,
+  toCsvRow,
+};
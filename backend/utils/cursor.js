@@ -0,0 +1,61 @@
+/**
+ * Cursor Pagination Helpers
+ *
+ * Feeds are read newest first. A cursor points at the last item of a page
+ * and encodes its (createdAt, _id) pair, so new items arriving between
+ * requests never shift or duplicate the next page (unlike skip/limit).
+ *
+ * Cursor format: base64url("<ISO createdAt>_<ObjectId>")
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Build the cursor for a document (anything with createdAt and _id).
+ */
+const encodeCursor = (doc) =>
+  Buffer.from(`${doc.createdAt.toISOString()}_${doc._id}`).toString('base64url');
+
+/**
+ * Decode a cursor from a query string.
+ *
+ * @returns {{ createdAt: Date, id: string }|null} null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string') return null;
+
+  const [time, id, extra] = Buffer.from(cursor, 'base64url').toString('utf8').split('_');
+  const createdAt = new Date(time);
+  if (extra !== undefined || Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return { createdAt, id };
+};
+
+/**
+ * Query conditions for items strictly older than the cursor.
+ */
+const olderThan = ({ createdAt, id }) => ({
+  $or: [
+    { createdAt: { $lt: createdAt } },
+    { createdAt, _id: { $lt: new mongoose.Types.ObjectId(id) } },
+  ],
+});
+
+/**
+ * Query conditions for items strictly newer than the cursor (used to
+ * catch up after a reconnect).
+ */
+const newerThan = ({ createdAt, id }) => ({
+  $or: [
+    { createdAt: { $gt: createdAt } },
+    { createdAt, _id: { $gt: new mongoose.Types.ObjectId(id) } },
+  ],
+});
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  olderThan,
+  newerThan,
+};
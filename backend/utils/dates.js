@@ -0,0 +1,135 @@
+/**
+ * Date and Time Helpers
+ *
+ * Events are stored as a calendar day (`date`, UTC midnight) plus local
+ * start/end times as "HH:mm" strings, matching what the calendar screen
+ * shows. These helpers parse and compare those values consistently.
+ *
+ * Times are local to the college's time zone (APP_TIMEZONE, default
+ * Asia/Kolkata); toInstant() turns a day + time into an exact moment
+ * when one is needed (reminders, calendar feeds).
+ */
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * IANA time zone that event times are written in. Read on each call, so a
+ * value from .env applies however early this module was loaded.
+ */
+const getAppTimeZone = () => process.env.APP_TIMEZONE || DEFAULT_TIMEZONE;
+
+/**
+ * Parse a "YYYY-MM-DD" string into a Date at UTC midnight.
+ * Full ISO timestamps are accepted and truncated to their UTC day.
+ *
+ * @param {string|Date} value
+ * @returns {Date|null} Parsed day, or null if the value is not a valid date
+ */
+const parseDateOnly = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : startOfDay(value);
+  }
+  if (typeof value !== 'string') return null;
+
+  const date = DATE_ONLY_PATTERN.test(value)
+    ? new Date(`${value}T00:00:00.000Z`)
+    : new Date(value);
+
+  return Number.isNaN(date.getTime()) ? null : startOfDay(date);
+};
+
+// Truncate a Date to UTC midnight
+const startOfDay = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Add whole days to a UTC-midnight date
+const addDays = (date, days) => new Date(date.getTime() + days * MS_PER_DAY);
+
+// Format a Date as "YYYY-MM-DD" (UTC)
+const formatDateOnly = (date) => date.toISOString().slice(0, 10);
+
+// Whether a string is a valid "HH:mm" 24-hour time
+const isValidTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+// Convert "HH:mm" to minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Offset of a time zone from UTC at a given moment, in minutes
+ * (e.g. 330 for Asia/Kolkata).
+ */
+const timeZoneOffset = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(instant);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((wallClock - instant.getTime()) / 60000);
+};
+
+/**
+ * The moment at which a calendar day + "HH:mm" local time happens.
+ *
+ * @param {Date} date - Calendar day (UTC midnight)
+ * @param {string} time - "HH:mm"
+ * @param {string} [timeZone] - IANA zone (defaults to APP_TIMEZONE)
+ * @returns {Date}
+ */
+const toInstant = (date, time, timeZone = getAppTimeZone()) => {
+  const wallClock = date.getTime() + toMinutes(time) * 60000;
+  // Apply the offset, then re-check it at the result in case it crosses a DST change
+  const estimate = wallClock - timeZoneOffset(new Date(wallClock), timeZone) * 60000;
+  return new Date(wallClock - timeZoneOffset(new Date(estimate), timeZone) * 60000);
+};
+
+/**
+ * "YYYY-MM-DD HH:mm" wall-clock time of a moment in a time zone, for
+ * exports and other human-facing output.
+ *
+ * @param {Date} instant
+ * @param {string} [timeZone] - IANA zone (defaults to APP_TIMEZONE)
+ * @returns {string}
+ */
+const formatLocalDateTime = (instant, timeZone = getAppTimeZone()) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).formatToParts(instant);
+  const get = (type) => parts.find((part) => part.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')} ${get('hour')}:${get('minute')}`;
+};
+
+module.exports = {
+  MS_PER_DAY,
+  getAppTimeZone,
+  parseDateOnly,
+  startOfDay,
+  addDays,
+  formatDateOnly,
+  isValidTime,
+  toMinutes,
+  timeZoneOffset,
+  toInstant,
+  formatLocalDateTime,
+};
@@ -0,0 +1,297 @@
+/**
+ * iCalendar Helpers (RFC 5545)
+ *
+ * Builds the .ics feeds that calendar apps (Google Calendar, Apple
+ * Calendar, Outlook) subscribe to. Event times are written in the
+ * college's time zone with a matching VTIMEZONE, so they show correctly
+ * wherever the subscriber is.
+ *
+ * Every event keeps the same UID for its whole life, so when a feed is
+ * refreshed the apps update (or mark cancelled) the entries they already
+ * have instead of adding duplicates.
+ */
+
+const { getAppTimeZone, MS_PER_DAY, formatDateOnly, timeZoneOffset, toInstant } = require('./dates');
+
+const PRODID = '-//College Events//Calendar Feed//EN';
+
+// Right-hand side of every UID ("<eventId>@college-events")
+const UID_DOMAIN = 'college-events';
+
+// How often subscribers are asked to refresh
+const REFRESH_INTERVAL = 'PT1H';
+
+// RFC 5545 weekday codes, indexed like Date#getUTCDay (0 = Sunday)
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const FREQUENCIES = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY' };
+
+// Lines longer than this many octets are folded onto continuation lines
+const MAX_LINE_OCTETS = 75;
+
+// Series without an end date span at most two years (utils/recurrence.js)
+const OPEN_SERIES_YEARS = 2;
+
+const toUid = (id) => `${id}@${UID_DOMAIN}`;
+
+/**
+ * Escape a TEXT value (backslashes, separators and line breaks).
+ */
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets without splitting a UTF-8 character.
+ * Continuation lines start with a space, which counts towards their length.
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// 20261019T133000Z
+const formatUtc = (instant) => instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20261019T190000 (wall-clock time, no zone)
+const formatLocal = (date, time) => `${formatDateOnly(date).replace(/-/g, '')}T${time.replace(':', '')}00`;
+
+// +0530
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  return `${sign}${hours}${String(absolute % 60).padStart(2, '0')}`;
+};
+
+/**
+ * UTC offset changes (DST) of a zone between two moments, found by
+ * checking each day and narrowing down to the minute.
+ *
+ * @returns {{ at: number, from: number, to: number }[]} Times in ms, offsets in minutes
+ */
+const findTransitions = (timeZone, start, end) => {
+  const offsetAt = (ms) => timeZoneOffset(new Date(ms), timeZone);
+  const transitions = [];
+  let previous = offsetAt(start);
+
+  for (let day = start + MS_PER_DAY; day <= end; day += MS_PER_DAY) {
+    const offset = offsetAt(day);
+    if (offset === previous) continue;
+
+    let low = day - MS_PER_DAY;
+    let high = day;
+    while (high - low > 60000) {
+      const middle = Math.floor((low + high) / 2 / 60000) * 60000;
+      if (offsetAt(middle) === previous) low = middle;
+      else high = middle;
+    }
+
+    transitions.push({ at: high, from: previous, to: offset });
+    previous = offset;
+  }
+
+  return transitions;
+};
+
+const timeZoneCache = new Map();
+
+/**
+ * VTIMEZONE lines for a zone, covering whole years. Zones without DST
+ * (such as Asia/Kolkata) get a single STANDARD observance.
+ */
+const buildTimeZone = (timeZone, fromYear, toYear) => {
+  const key = `${timeZone}:${fromYear}:${toYear}`;
+  if (timeZoneCache.has(key)) return timeZoneCache.get(key);
+
+  const start = Date.UTC(fromYear, 0, 1);
+  const initial = timeZoneOffset(new Date(start), timeZone);
+  const transitions = findTransitions(timeZone, start, Date.UTC(toYear + 1, 0, 1));
+
+  const observance = (kind, localStart, from, to) => [
+    `BEGIN:${kind}`,
+    `DTSTART:${localStart}`,
+    `TZOFFSETFROM:${formatOffset(from)}`,
+    `TZOFFSETTO:${formatOffset(to)}`,
+    `END:${kind}`,
+  ];
+
+  const lines = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    // The offset in force at the start of the range
+    ...observance('STANDARD', `${fromYear}0101T000000`, initial, initial),
+    // Each change, at the wall-clock time it happens (in the old offset)
+    ...transitions.flatMap(({ at, from, to }) =>
+      observance(
+        to > from ? 'DAYLIGHT' : 'STANDARD',
+        formatUtc(new Date(at + from * 60000)).slice(0, -1),
+        from,
+        to
+      )
+    ),
+    'END:VTIMEZONE',
+  ];
+
+  timeZoneCache.set(key, lines);
+  return lines;
+};
+
+/**
+ * RRULE value for a recurrence rule (utils/recurrence.js). UNTIL must be
+ * in UTC when DTSTART has a time zone: it is the start of the last
+ * possible occurrence.
+ */
+const toRRule = (rule, startTime, timeZone) => {
+  const parts = [`FREQ=${FREQUENCIES[rule.frequency]}`];
+  if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.frequency === 'weekly' && rule.byWeekday && rule.byWeekday.length > 0) {
+    parts.push(`BYDAY=${rule.byWeekday.map((day) => WEEKDAYS[day]).join(',')}`);
+  }
+  // Weeks start on Monday, as in utils/recurrence.js
+  parts.push('WKST=MO');
+  parts.push(
+    rule.until ? `UNTIL=${formatUtc(toInstant(rule.until, startTime, timeZone))}` : `COUNT=${rule.count}`
+  );
+  return parts.join(';');
+};
+
+/**
+ * VEVENT lines for one calendar entry.
+ *
+ * @param {object} entry
+ * @param {string} entry.uid - Stable id (see toUid); overrides share their series' uid
+ * @param {string} entry.summary
+ * @param {string} [entry.description]
+ * @param {string} [entry.location]
+ * @param {Date} entry.date - Calendar day (UTC midnight)
+ * @param {string} entry.startTime - "HH:mm"
+ * @param {string} entry.endTime - "HH:mm"
+ * @param {string} [entry.status] - CONFIRMED (default), TENTATIVE or CANCELLED
+ * @param {Date} [entry.created]
+ * @param {Date} [entry.lastModified]
+ * @param {object} [entry.recurrence] - Series only: the recurrence rule
+ * @param {Date[]} [entry.exdates] - Series only: days left out of the series
+ * @param {Date} [entry.recurrenceDate] - Override only: the day it replaces
+ * @param {string} [entry.recurrenceTime] - Override only: the series' start time
+ * @param {object} context
+ * @param {string} context.timeZone
+ * @param {Date} context.stamp - When the feed was generated
+ */
+const buildEvent = (entry, { timeZone, stamp }) => {
+  const zoned = (name, date, time) => `${name};TZID=${timeZone}:${formatLocal(date, time)}`;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${entry.uid}`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    ...(entry.recurrenceDate ? [zoned('RECURRENCE-ID', entry.recurrenceDate, entry.recurrenceTime)] : []),
+    zoned('DTSTART', entry.date, entry.startTime),
+    zoned('DTEND', entry.date, entry.endTime),
+    ...(entry.recurrence ? [`RRULE:${toRRule(entry.recurrence, entry.startTime, timeZone)}`] : []),
+    ...(entry.exdates && entry.exdates.length > 0
+      ? [
+          `EXDATE;TZID=${timeZone}:${entry.exdates
+            .map((date) => formatLocal(date, entry.startTime))
+            .join(',')}`,
+        ]
+      : []),
+    `SUMMARY:${escapeText(entry.summary)}`,
+    ...(entry.description ? [`DESCRIPTION:${escapeText(entry.description)}`] : []),
+    ...(entry.location ? [`LOCATION:${escapeText(entry.location)}`] : []),
+    `STATUS:${entry.status || 'CONFIRMED'}`,
+    ...(entry.created ? [`CREATED:${formatUtc(entry.created)}`] : []),
+    ...(entry.lastModified ? [`LAST-MODIFIED:${formatUtc(entry.lastModified)}`] : []),
+    'END:VEVENT',
+  ];
+
+  return lines;
+};
+
+// Years that the entries' dates (and series ends) fall in
+const coveredYears = (entries, stamp) => {
+  const years = entries.flatMap((entry) => {
+    const year = entry.date.getUTCFullYear();
+    if (!entry.recurrence) return [year];
+    return [
+      year,
+      entry.recurrence.until ? entry.recurrence.until.getUTCFullYear() : year + OPEN_SERIES_YEARS,
+    ];
+  });
+  if (years.length === 0) years.push(stamp.getUTCFullYear());
+  return [Math.min(...years), Math.max(...years)];
+};
+
+/**
+ * A complete VCALENDAR document.
+ *
+ * @param {object} calendar
+ * @param {string} calendar.name - Shown by calendar apps as the calendar's name
+ * @param {object[]} calendar.entries - See buildEvent
+ * @param {string} [calendar.timeZone] - IANA zone of the entries' times (defaults to APP_TIMEZONE)
+ * @returns {string}
+ */
+const buildCalendar = ({ name, entries, timeZone = getAppTimeZone() }) => {
+  const stamp = new Date();
+  const [fromYear, toYear] = coveredYears(entries, stamp);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...buildTimeZone(timeZone, fromYear, toYear),
+    ...entries.flatMap((entry) => buildEvent(entry, { timeZone, stamp })),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Send a calendar document. Feeds behind a secret link are marked private
+ * so shared caches do not keep them.
+ */
+const sendCalendar = (res, { fileName, body, isPrivate = false }) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${fileName}.ics"`,
+    'Cache-Control': `${isPrivate ? 'private' : 'public'}, max-age=300`,
+  });
+  res.status(200).send(body);
+};
+
+module.exports = {
+  toUid,
+  escapeText,
+  foldLine,
+  buildCalendar,
+  sendCalendar,
+};
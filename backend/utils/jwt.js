@@ -0,0 +1,91 @@
+/**
+ * JWT Utility Functions
+ *
+ * Central place for signing and verifying JSON Web Tokens so that the
+ * secret, expiry and claim layout are defined only once.
+ *
+ * Token payload (claims):
+ * - sub:  user id
+ * - role: 'student' | 'club_head' | 'pr' | 'oc'
+ * - name, rollNumber (students) or clubName (council members)
+ * - sid:  id of the Session document created at login (see models/Session.js)
+ * - scope: only present on restricted tokens (see TOKEN_SCOPES)
+ */
+
+const jwt = require('jsonwebtoken');
+
+// Default expiry matches .env.example (1.5 months)
+const DEFAULT_EXPIRES_IN = '45d';
+
+/**
+ * TOKEN SCOPES
+ *
+ * A full access token has no scope claim. Restricted tokens carry a scope
+ * that limits what they can be used for:
+ * - PASSWORD_CHANGE: issued while the user still has a default password;
+ *   only accepted by POST /api/auth/change-password
+ */
+const TOKEN_SCOPES = {
+  PASSWORD_CHANGE: 'password_change',
+};
+
+// Restricted tokens are short-lived; the user is expected to act immediately
+const RESTRICTED_EXPIRES_IN = '15m';
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+/**
+ * Sign an access token for a user document.
+ *
+ * @param {object} user - Mongoose User document
+ * @param {object} [options]
+ * @param {string} [options.scope] - Restrict the token to a TOKEN_SCOPES value
+ * @param {string} [options.sessionId] - Session the token belongs to
+ * @returns {string} Signed JWT
+ */
+const signToken = (user, { scope, sessionId } = {}) => {
+  const payload = {
+    sub: user._id.toString(),
+    role: user.role,
+    name: user.name,
+    ...(user.rollNumber && { rollNumber: user.rollNumber }),
+    ...(user.clubName && { clubName: user.clubName }),
+    ...(sessionId && { sid: sessionId.toString() }),
+    ...(scope && { scope }),
+  };
+
+  return jwt.sign(payload, getSecret(), {
+    expiresIn: scope
+      ? RESTRICTED_EXPIRES_IN
+      : process.env.JWT_EXPIRES_IN || DEFAULT_EXPIRES_IN,
+  });
+};
+
+/**
+ * Verify a token and return its decoded payload.
+ * Throws jsonwebtoken errors (TokenExpiredError, JsonWebTokenError) on failure.
+ *
+ * @param {string} token - Raw JWT string
+ * @returns {object} Decoded payload
+ */
+const verifyToken = (token) => jwt.verify(token, getSecret());
+
+/**
+ * Decode a token we just signed, without verifying it (e.g. to read `exp`).
+ *
+ * @param {string} token - Raw JWT string
+ * @returns {object} Decoded payload
+ */
+const decodeToken = (token) => jwt.decode(token);
+
+module.exports = {
+  TOKEN_SCOPES,
+  signToken,
+  verifyToken,
+  decodeToken,
+};
@@ -0,0 +1,241 @@
+/**
+ * Logger
+ *
+ * Writes one JSON object per line to stdout and, if LOG_FILE is set, to
+ * that file as well:
+ *
+ *   {"time":"...","level":"info","msg":"Request completed","requestId":"...","status":200}
+ *
+ * LEVELS
+ * error, warn, info, debug (LOG_LEVEL, default info). Messages below the
+ * configured level are dropped; LOG_LEVEL=silent turns logging off (tests).
+ *
+ * REQUEST IDS
+ * Lines written while handling a request carry its `requestId` (set by
+ * middleware/requestLogger.js), including lines from services the request
+ * calls, without passing the id around.
+ *
+ * REDACTION
+ * Values of fields that look secret (passwords, tokens, secrets,
+ * Authorization headers, ...) are replaced with [REDACTED], and
+ * credentials are removed from connection strings such as MONGODB_URI.
+ *
+ * FILE ROTATION
+ * When LOG_FILE grows past LOG_MAX_SIZE (e.g. 10m) it is renamed to
+ * LOG_FILE.1 (the previous .1 becomes .2, and so on) and a new file is
+ * started; LOG_MAX_FILES old files are kept. Writes are synchronous so
+ * nothing is lost when the process exits straight after logging.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const DEFAULT_LEVEL = 'info';
+const SILENT = 'silent';
+
+const DEFAULT_MAX_SIZE = '10m';
+const DEFAULT_MAX_FILES = 5;
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged (password, passwordHash, newPassword_confirm, ...)
+const SENSITIVE_KEY_PATTERN = /pass|token|secret|authorization|cookie|credential|api[-_]?key|private[-_]?key/i;
+
+// Anything that looks like "scheme://..." inside a string (MongoDB and SMTP URLs)
+const URL_PATTERN = /\b[a-z][a-z0-9+.-]*:\/\/[^\s"'<>]+/gi;
+
+// Nested objects deeper than this are not logged
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+
+const SIZE_UNITS = { k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+/**
+ * Parse a size such as "10m", "500k" or "1048576" into bytes.
+ */
+const parseSize = (value) => {
+  const match = /^(\d+)\s*([kmg])?b?$/i.exec(String(value).trim());
+  if (!match) return null;
+  return Number(match[1]) * (match[2] ? SIZE_UNITS[match[2].toLowerCase()] : 1);
+};
+
+/**
+ * REDACTION
+ */
+/**
+ * Hide the user and password of a URL. The password may contain unescaped
+ * "/" or "@" (which new URL() misreads or rejects), so everything up to the
+ * last "@" is treated as credentials unless the URL parses without any.
+ */
+const redactUrl = (candidate) => {
+  try {
+    const url = new URL(candidate);
+    if (!url.username && !url.password) return candidate;
+  } catch (error) {
+    // Not a valid URL, e.g. a password with an unescaped "/"
+  }
+
+  const start = candidate.indexOf('://') + 3;
+  const end = candidate.lastIndexOf('@');
+  return end < start ? candidate : `${candidate.slice(0, start)}***:***${candidate.slice(end)}`;
+};
+
+const redactString = (value) => value.replace(URL_PATTERN, redactUrl);
+
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return '[Object]';
+
+  // ObjectIds, documents and anything else with its own JSON form
+  if (typeof value.toJSON === 'function' && !Array.isArray(value)) {
+    return redact(value.toJSON(), depth);
+  }
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => {
+      const hidden = SENSITIVE_KEY_PATTERN.test(key) && item !== undefined && item !== null;
+      return [key, hidden ? REDACTED : redact(item, depth + 1)];
+    })
+  );
+};
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.status !== undefined && { status: error.status }),
+  stack: error.stack,
+});
+
+/**
+ * FILE OUTPUT (with size-based rotation)
+ */
+const createFileSink = (filePath, { maxSize, maxFiles }) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  let fd = fs.openSync(filePath, 'a');
+  let size = fs.fstatSync(fd).size;
+
+  const rotate = () => {
+    fs.closeSync(fd);
+    for (let index = maxFiles - 1; index >= 1; index -= 1) {
+      if (fs.existsSync(`${filePath}.${index}`)) {
+        fs.renameSync(`${filePath}.${index}`, `${filePath}.${index + 1}`);
+      }
+    }
+    if (maxFiles > 0) {
+      fs.renameSync(filePath, `${filePath}.1`);
+    } else {
+      fs.unlinkSync(filePath);
+    }
+    fd = fs.openSync(filePath, 'a');
+    size = 0;
+  };
+
+  return (line) => {
+    const bytes = Buffer.byteLength(line);
+    if (size > 0 && size + bytes > maxSize) rotate();
+    fs.writeSync(fd, line);
+    size += bytes;
+  };
+};
+
+/**
+ * CONFIGURATION
+ *
+ * Read from the environment on first use, so .env has been loaded.
+ */
+let settings = null;
+
+const getSettings = () => {
+  if (settings) return settings;
+
+  const level = (process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase();
+  settings = {
+    level: LEVELS[level] !== undefined || level === SILENT ? level : DEFAULT_LEVEL,
+    sinks: [(line) => process.stdout.write(line)],
+  };
+
+  if (process.env.LOG_FILE) {
+    try {
+      settings.sinks.push(
+        createFileSink(path.resolve(process.env.LOG_FILE), {
+          maxSize: parseSize(process.env.LOG_MAX_SIZE || DEFAULT_MAX_SIZE) || parseSize(DEFAULT_MAX_SIZE),
+          maxFiles: Number.isInteger(parseInt(process.env.LOG_MAX_FILES))
+            ? parseInt(process.env.LOG_MAX_FILES)
+            : DEFAULT_MAX_FILES,
+        })
+      );
+    } catch (error) {
+      process.stderr.write(`Cannot write log file ${process.env.LOG_FILE}: ${error.message}\n`);
+    }
+  }
+
+  return settings;
+};
+
+const write = (level, bindings, msg, fields) => {
+  const { level: threshold, sinks } = getSettings();
+  if (threshold === SILENT || LEVELS[level] > LEVELS[threshold]) return;
+
+  const store = context.getStore();
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(store && store.requestId && { requestId: store.requestId }),
+    ...bindings,
+    ...fields,
+  });
+  const line = `${JSON.stringify(entry)}\n`;
+
+  sinks.forEach((sink) => {
+    try {
+      sink(line);
+    } catch (error) {
+      // Logging must never take the server down
+    }
+  });
+};
+
+/**
+ * Create a logger whose lines all include `bindings`, e.g.
+ * createLogger({ component: 'email' }).
+ *
+ * Each method takes a message and optional fields:
+ *   logger.error('Push notification failed', { error });
+ */
+const createLogger = (bindings = {}) => ({
+  error: (msg, fields) => write('error', bindings, msg, fields),
+  warn: (msg, fields) => write('warn', bindings, msg, fields),
+  info: (msg, fields) => write('info', bindings, msg, fields),
+  debug: (msg, fields) => write('debug', bindings, msg, fields),
+  child: (extra) => createLogger({ ...bindings, ...extra }),
+});
+
+/**
+ * Run `fn` with a request id that every line logged inside it carries.
+ */
+const runWithRequestId = (requestId, fn) => context.run({ requestId }, fn);
+
+const getRequestId = () => {
+  const store = context.getStore();
+  return store ? store.requestId : undefined;
+};
+
+const logger = createLogger();
+
+module.exports = logger;
+module.exports.LEVELS = LEVELS;
+module.exports.createLogger = createLogger;
+module.exports.redact = redact;
+module.exports.parseSize = parseSize;
+module.exports.runWithRequestId = runWithRequestId;
+module.exports.getRequestId = getRequestId;
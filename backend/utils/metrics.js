@@ -0,0 +1,184 @@
+/**
+ * Metrics Registry
+ *
+ * A small in-process registry that renders the Prometheus text exposition
+ * format (served at /metrics, see middleware/metrics.js):
+ *
+ *   # HELP http_requests_total HTTP requests handled
+ *   # TYPE http_requests_total counter
+ *   http_requests_total{method="GET",route="/api/events",status="200"} 42
+ *
+ * METRIC TYPES
+ * - counter:   only goes up (requests, rejections, state transitions)
+ * - gauge:     a current value, read by its `collect` function at scrape
+ *              time (connected clients, queue depth)
+ * - histogram: observations counted into cumulative buckets, plus their
+ *              sum and count (request latency in seconds)
+ *
+ * Each module defines the metrics it owns with counter(), gauge() or
+ * histogram(); names must be unique. Label values should come from a small
+ * fixed set (route patterns, not URLs) so the number of series stays low.
+ */
+
+const logger = require('./logger');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; suits API requests from a few milliseconds to a slow export
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// name -> metric, in registration order
+const registry = new Map();
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const escapeHelp = (value) => value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+/**
+ * Keep only the declared labels, in declaration order, so the same label
+ * set always maps to the same series.
+ */
+const pickLabels = (labelNames, labels = {}) =>
+  Object.fromEntries(labelNames.map((name) => [name, labels[name] === undefined ? '' : labels[name]]));
+
+const seriesKey = (labels) => JSON.stringify(Object.values(labels));
+
+const register = (metric) => {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric "${metric.name}" is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+};
+
+/**
+ * A counter. `inc(labels?, amount = 1)`.
+ */
+const counter = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+
+  register({
+    name,
+    help,
+    type: 'counter',
+    samples: () => [...series.values()].map(({ labels, value }) => ({ name, labels, value })),
+  });
+
+  return {
+    name,
+    inc: (labels, amount = 1) => {
+      const picked = pickLabels(labelNames, labels);
+      const key = seriesKey(picked);
+      const entry = series.get(key) || { labels: picked, value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+  };
+};
+
+/**
+ * A gauge whose value is read when metrics are scraped. `collect` returns
+ * (or resolves to) a number, or a list of { labels, value } for a gauge
+ * with labels. Returning null leaves the gauge out of that scrape.
+ */
+const gauge = ({ name, help, collect }) => {
+  register({
+    name,
+    help,
+    type: 'gauge',
+    samples: async () => {
+      const result = await collect();
+      if (result === null || result === undefined) return [];
+      if (typeof result === 'number') return [{ name, labels: {}, value: result }];
+      return result.map(({ labels = {}, value }) => ({ name, labels, value }));
+    },
+  });
+
+  return { name };
+};
+
+/**
+ * A histogram. `observe(labels, value)`.
+ */
+const histogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map();
+
+  const samples = () =>
+    [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...bounds.map((bound, index) => ({
+        name: `${name}_bucket`,
+        labels: { ...labels, le: formatValue(bound) },
+        value: counts[index],
+      })),
+      { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+      { name: `${name}_sum`, labels, value: sum },
+      { name: `${name}_count`, labels, value: count },
+    ]);
+
+  register({ name, help, type: 'histogram', samples });
+
+  return {
+    name,
+    observe: (labels, value) => {
+      const picked = pickLabels(labelNames, labels);
+      const key = seriesKey(picked);
+      if (!series.has(key)) {
+        series.set(key, { labels: picked, counts: bounds.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      bounds.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+  };
+};
+
+/**
+ * Render every registered metric in the Prometheus text format. A gauge
+ * whose `collect` fails is left out rather than failing the whole scrape.
+ *
+ * @returns {Promise<string>}
+ */
+const renderMetrics = async () => {
+  const blocks = await Promise.all(
+    [...registry.values()].map(async ({ name, help, type, samples }) => {
+      let lines;
+      try {
+        lines = (await samples()).map(
+          (sample) => `${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`
+        );
+      } catch (error) {
+        logger.warn('Collecting metric failed', { metric: name, error });
+        return '';
+      }
+      return [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} ${type}`, ...lines].join('\n') + '\n';
+    })
+  );
+  return blocks.join('');
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  counter,
+  gauge,
+  histogram,
+  renderMetrics,
+};
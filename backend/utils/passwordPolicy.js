@@ -0,0 +1,72 @@
+/**
+ * Password Policy
+ *
+ * Every account is created with a shared default password:
+ * - Students:        "Kmit123$"
+ * - Council members: "Councilkmit25"
+ *
+ * Because these are widely known, users must replace them on first login.
+ * This module defines the defaults and the strength rules that a new
+ * password has to satisfy.
+ */
+
+const DEFAULT_PASSWORDS = {
+  student: 'Kmit123$',
+  council: 'Councilkmit25',
+};
+
+const MIN_LENGTH = 8;
+const MAX_LENGTH = 128;
+
+/**
+ * Whether the given plain-text password is one of the shared defaults.
+ * Comparison is case-insensitive so trivial variations are also refused.
+ */
+const isDefaultPassword = (password) =>
+  Object.values(DEFAULT_PASSWORDS).some(
+    (defaultPassword) => defaultPassword.toLowerCase() === String(password).toLowerCase()
+  );
+
+/**
+ * Validate a new password against the strength policy.
+ *
+ * @param {string} password - Plain-text candidate password
+ * @returns {string[]} List of problems (empty when the password is acceptable)
+ */
+const validatePasswordStrength = (password) => {
+  if (typeof password !== 'string') {
+    return ['Password is required'];
+  }
+
+  const problems = [];
+
+  if (password.length < MIN_LENGTH) {
+    problems.push(`Password must be at least ${MIN_LENGTH} characters long`);
+  }
+  if (password.length > MAX_LENGTH) {
+    problems.push(`Password must be at most ${MAX_LENGTH} characters long`);
+  }
+  if (!/[a-z]/.test(password)) {
+    problems.push('Password must contain a lowercase letter');
+  }
+  if (!/[A-Z]/.test(password)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+  if (!/[0-9]/.test(password)) {
+    problems.push('Password must contain a number');
+  }
+  if (!/[^A-Za-z0-9]/.test(password)) {
+    problems.push('Password must contain a special character');
+  }
+  if (isDefaultPassword(password)) {
+    problems.push('Password cannot be a default password');
+  }
+
+  return problems;
+};
+
+module.exports = {
+  DEFAULT_PASSWORDS,
+  isDefaultPassword,
+  validatePasswordStrength,
+};
@@ -0,0 +1,84 @@
+/**
+ * Password Reset Helpers
+ *
+ * Issues the random tokens behind "forgot password". A token reaches the
+ * user either by email (POST /api/auth/forgot-password) or through an
+ * admin who hands it over in person (POST /api/admin/users/:id/password-reset),
+ * for students without an email address.
+ *
+ * Issuing a token invalidates the user's earlier unused tokens, and
+ * self-service requests are limited per account (RESET_LIMIT per
+ * RESET_LIMIT_WINDOW_MS).
+ */
+
+const crypto = require('crypto');
+const PasswordResetToken = require('../models/PasswordResetToken');
+
+const DEFAULT_TTL_MINUTES = 30;
+
+// Self-service requests allowed per account per window
+const RESET_LIMIT = 3;
+const RESET_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+
+const getResetTtlMinutes = () =>
+  parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || DEFAULT_TTL_MINUTES;
+
+/**
+ * Link that opens the reset screen with the token filled in.
+ * PASSWORD_RESET_URL may be a web page or an app deep link.
+ */
+const buildResetUrl = (token) => {
+  const base =
+    process.env.PASSWORD_RESET_URL ||
+    `${process.env.FRONTEND_URL || 'http://localhost:5050'}/reset-password`;
+  return `${base}${base.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Whether the account has used up its self-service reset requests.
+ */
+const isResetLimited = async (userId) => {
+  const recent = await PasswordResetToken.countDocuments({
+    userId,
+    channel: 'email',
+    createdAt: { $gte: new Date(Date.now() - RESET_LIMIT_WINDOW_MS) },
+  });
+  return recent >= RESET_LIMIT;
+};
+
+/**
+ * Create a reset token for a user. Earlier unused tokens stop working.
+ *
+ * @param {object} user - User document
+ * @param {object} options
+ * @param {'email'|'admin'} options.channel
+ * @param {ObjectId} [options.issuedBy] - Admin issuing the token
+ * @returns {Promise<{token: string, expiresAt: Date, resetUrl: string}>}
+ */
+const issueResetToken = async (user, { channel, issuedBy }) => {
+  const now = new Date();
+  await PasswordResetToken.updateMany(
+    { userId: user._id, usedAt: { $exists: false } },
+    { $set: { usedAt: now } }
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(now.getTime() + getResetTtlMinutes() * 60 * 1000);
+
+  await PasswordResetToken.create({
+    userId: user._id,
+    tokenHash: PasswordResetToken.hashToken(token),
+    channel,
+    issuedBy,
+    expiresAt,
+  });
+
+  return { token, expiresAt, resetUrl: buildResetUrl(token) };
+};
+
+module.exports = {
+  RESET_LIMIT,
+  getResetTtlMinutes,
+  isResetLimited,
+  issueResetToken,
+};
@@ -0,0 +1,215 @@
+/**
+ * Recurrence Rules
+ *
+ * Recurring events (weekly meetups, practice sessions) are stored once as a
+ * series with a rule, and expanded into individual occurrences when the
+ * calendar asks for a date range.
+ *
+ * Rule shape (a subset of RFC 5545 RRULE):
+ * {
+ *   frequency: 'daily' | 'weekly' | 'monthly',
+ *   interval: 1,              // every N days / weeks / months
+ *   byWeekday: [1, 3],        // weekly only: 0 = Sunday ... 6 = Saturday
+ *   until: Date,              // last possible day (inclusive), or
+ *   count: 10,                // total number of occurrences
+ * }
+ *
+ * Weeks start on Monday (the RFC 5545 default) when applying `interval`
+ * to weekly rules. Monthly rules repeat on the start date's day of the
+ * month and skip months that do not have that day.
+ */
+
+const { MS_PER_DAY, addDays, parseDateOnly } = require('./dates');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Safety limits so a single series cannot generate unbounded work
+const MAX_OCCURRENCES = 366;
+const MAX_SERIES_DAYS = 2 * 366;
+const MAX_INTERVAL = 12;
+
+const daysBetween = (from, to) => Math.round((to.getTime() - from.getTime()) / MS_PER_DAY);
+
+// Monday-based start of the week containing `date`
+const startOfWeek = (date) => addDays(date, -((date.getUTCDay() + 6) % 7));
+
+/**
+ * Validate and normalise a rule supplied by a client.
+ *
+ * @param {object} input - Raw rule from the request body
+ * @param {Date} startDate - First day of the series
+ * @returns {{ rule: object|null, problems: string[] }}
+ */
+const normalizeRecurrence = (input, startDate) => {
+  const problems = [];
+
+  if (!input || typeof input !== 'object') {
+    return { rule: null, problems: ['Recurrence must be an object'] };
+  }
+
+  const frequency = input.frequency;
+  if (!FREQUENCIES.includes(frequency)) {
+    problems.push(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = input.interval === undefined ? 1 : input.interval;
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    problems.push(`Recurrence interval must be a whole number between 1 and ${MAX_INTERVAL}`);
+  }
+
+  let byWeekday;
+  if (frequency === 'weekly') {
+    byWeekday = input.byWeekday === undefined ? [startDate.getUTCDay()] : input.byWeekday;
+    if (
+      !Array.isArray(byWeekday) ||
+      byWeekday.length === 0 ||
+      !byWeekday.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+    ) {
+      problems.push('Recurrence byWeekday must be a list of weekdays (0 = Sunday ... 6 = Saturday)');
+    } else {
+      byWeekday = [...new Set(byWeekday)].sort();
+    }
+  }
+
+  const hasUntil = input.until !== undefined && input.until !== null;
+  const hasCount = input.count !== undefined && input.count !== null;
+  let until;
+
+  if (hasUntil === hasCount) {
+    problems.push('Recurrence needs exactly one of until (end date) or count');
+  } else if (hasUntil) {
+    until = parseDateOnly(input.until);
+    if (!until || until < startDate) {
+      problems.push('Recurrence until must be a date on or after the event date');
+    } else if (daysBetween(startDate, until) > MAX_SERIES_DAYS) {
+      problems.push(`A series cannot span more than ${MAX_SERIES_DAYS} days`);
+    }
+  } else if (!Number.isInteger(input.count) || input.count < 1 || input.count > MAX_OCCURRENCES) {
+    problems.push(`Recurrence count must be a whole number between 1 and ${MAX_OCCURRENCES}`);
+  }
+
+  if (problems.length > 0) {
+    return { rule: null, problems };
+  }
+
+  const rule = {
+    frequency,
+    interval,
+    ...(byWeekday && { byWeekday }),
+    ...(hasUntil ? { until } : { count: input.count }),
+  };
+
+  // A count rule is held to the same span as an until rule: its last
+  // occurrence must fall within MAX_SERIES_DAYS of the start
+  if (hasCount && countOccurrencesBefore(startDate, rule, addDays(startDate, MAX_SERIES_DAYS + 1)) < rule.count) {
+    return { rule: null, problems: [`A series cannot span more than ${MAX_SERIES_DAYS} days`] };
+  }
+
+  return { rule, problems };
+};
+
+/**
+ * Whether `date` (UTC midnight, on or after startDate) matches the rule's
+ * pattern, ignoring until/count.
+ */
+const matchesPattern = (startDate, rule, date) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case 'daily':
+      return daysBetween(startDate, date) % interval === 0;
+
+    case 'weekly': {
+      const weeks = daysBetween(startOfWeek(startDate), startOfWeek(date)) / 7;
+      return weeks % interval === 0 && rule.byWeekday.includes(date.getUTCDay());
+    }
+
+    case 'monthly': {
+      const months =
+        (date.getUTCFullYear() - startDate.getUTCFullYear()) * 12 +
+        (date.getUTCMonth() - startDate.getUTCMonth());
+      return months % interval === 0 && date.getUTCDate() === startDate.getUTCDate();
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Walk the series from its first day, calling `visit(date, index)` for each
+ * occurrence (index is 0-based and counts excluded dates too, as in RFC 5545).
+ * Stops when `visit` returns false or the series ends.
+ */
+const walkOccurrences = (startDate, rule, visit) => {
+  const lastDay = rule.until || addDays(startDate, MAX_SERIES_DAYS);
+  let index = 0;
+
+  for (let date = startDate; date <= lastDay; date = addDays(date, 1)) {
+    if (!matchesPattern(startDate, rule, date)) continue;
+    if (rule.count && index >= rule.count) return;
+    if (visit(date, index) === false) return;
+    index += 1;
+  }
+};
+
+/**
+ * Occurrence dates of a series that fall within [from, to].
+ *
+ * @param {Date} startDate - First day of the series
+ * @param {object} rule - Normalised recurrence rule
+ * @param {object} [range]
+ * @param {Date} [range.from]
+ * @param {Date} [range.to]
+ * @param {Date[]} [range.exdates] - Dates to leave out (cancelled or edited occurrences)
+ * @returns {Date[]}
+ */
+const expandOccurrences = (startDate, rule, { from, to, exdates = [] } = {}) => {
+  const excluded = new Set(exdates.map((date) => date.getTime()));
+  const dates = [];
+
+  walkOccurrences(startDate, rule, (date) => {
+    if (to && date > to) return false;
+    if ((!from || date >= from) && !excluded.has(date.getTime())) {
+      dates.push(date);
+    }
+    return true;
+  });
+
+  return dates;
+};
+
+// Whether `date` is one of the series' occurrence dates
+const isOccurrence = (startDate, rule, date) =>
+  expandOccurrences(startDate, rule, { from: date, to: date }).length === 1;
+
+// First date the rule generates (a weekly rule may skip the start date's weekday)
+const firstOccurrence = (startDate, rule) => {
+  let first = null;
+  walkOccurrences(startDate, rule, (date) => {
+    first = date;
+    return false;
+  });
+  return first;
+};
+
+// Number of occurrences strictly before `date`
+const countOccurrencesBefore = (startDate, rule, date) => {
+  let count = 0;
+  walkOccurrences(startDate, rule, (occurrence) => {
+    if (occurrence >= date) return false;
+    count += 1;
+    return true;
+  });
+  return count;
+};
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  normalizeRecurrence,
+  expandOccurrences,
+  isOccurrence,
+  firstOccurrence,
+  countOccurrencesBefore,
+};
@@ -0,0 +1,70 @@
+/**
+ * Session Helpers
+ *
+ * Creates the Session document for a login, signs the JWT bound to it and
+ * enforces the concurrent-session cap for council accounts.
+ */
+
+const Session = require('../models/Session');
+const { signToken, decodeToken } = require('./jwt');
+
+// Default cap from the design document: "Maximum 2 concurrent sessions per council account"
+const DEFAULT_MAX_COUNCIL_SESSIONS = 2;
+
+const getMaxCouncilSessions = () =>
+  parseInt(process.env.MAX_COUNCIL_SESSIONS) || DEFAULT_MAX_COUNCIL_SESSIONS;
+
+/**
+ * Describe the device a request comes from. The app may send an explicit
+ * `deviceInfo` string in the body; otherwise fall back to the User-Agent.
+ */
+const getDeviceInfo = (req) => {
+  const fromBody = req.body && typeof req.body.deviceInfo === 'string' && req.body.deviceInfo.trim();
+  return (fromBody || req.get('user-agent') || 'Unknown device').slice(0, 200);
+};
+
+/**
+ * Revoke the least recently used sessions so that, after adding one more,
+ * the user stays within the cap.
+ *
+ * @returns {Promise<string[]>} Ids of the sessions that were revoked
+ */
+const enforceSessionLimit = async (user) => {
+  if (!user.isCouncilMember()) return [];
+
+  const active = await Session.findActiveForUser(user._id); // most recent first
+  const excess = active.slice(Math.max(getMaxCouncilSessions() - 1, 0));
+
+  await Promise.all(excess.map((session) => session.revoke('session_limit')));
+  return excess.map((session) => session._id.toString());
+};
+
+/**
+ * Create a session for a successful login and sign a token bound to it.
+ *
+ * @param {object} user - Mongoose User document
+ * @param {object} req - Express request (for device info and IP)
+ * @param {object} [options]
+ * @param {string} [options.scope] - Restricted token scope, if any
+ * @returns {Promise<{token: string, session: object, revokedSessions: string[]}>}
+ */
+const createSession = async (user, req, { scope } = {}) => {
+  const revokedSessions = await enforceSessionLimit(user);
+
+  const session = new Session({
+    userId: user._id,
+    deviceInfo: getDeviceInfo(req),
+    ipAddress: req.ip,
+  });
+
+  const token = signToken(user, { scope, sessionId: session._id });
+  session.expiresAt = new Date(decodeToken(token).exp * 1000);
+  await session.save();
+
+  return { token, session, revokedSessions };
+};
+
+module.exports = {
+  createSession,
+  getMaxCouncilSessions,
+};
@@ -0,0 +1,116 @@
+/**
+ * Spreadsheet Export Helpers
+ *
+ * Streams a table to the response as CSV or XLSX, one row at a time, so
+ * large exports never sit in memory. Rows come from any async iterable,
+ * typically a Mongoose query cursor.
+ */
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const ApiError = require('./ApiError');
+const { toCsvRow } = require('./csv');
+const logger = require('./logger');
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Read `?format=` (defaults to csv).
+ */
+const parseExportFormat = (value) => {
+  if (value === undefined) return 'csv';
+  if (!Object.keys(EXPORT_FORMATS).includes(value)) {
+    throw ApiError.badRequest(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return value;
+};
+
+// Lower-case, dash-separated and ASCII only, for Content-Disposition
+const toFileName = (...parts) =>
+  parts
+    .join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 100) || 'export';
+
+// Write to the response, waiting when its buffer is full
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) await once(res, 'drain');
+};
+
+const streamCsv = async (res, columns, rows) => {
+  // Byte-order mark so Excel opens the file as UTF-8
+  await write(res, `\ufeff${toCsvRow(columns.map((column) => column.header))}`);
+  for await (const row of rows) {
+    await write(res, toCsvRow(columns.map((column) => row[column.key])));
+  }
+  res.end();
+};
+
+const streamXlsx = async (res, columns, rows, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName.slice(0, 31));
+  sheet.columns = columns.map(({ header, key, width }) => ({ header, key, width: width || 20 }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const row of rows) {
+    sheet.addRow(row).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Turn each item of an async iterable (e.g. a query cursor) into a row.
+ */
+async function* mapRows(items, toRow) {
+  for await (const item of items) {
+    yield toRow(item);
+  }
+}
+
+/**
+ * Stream a table as an attachment.
+ *
+ * @param {object} res - Express response
+ * @param {object} options
+ * @param {'csv'|'xlsx'} options.format
+ * @param {string} options.fileName - Without extension
+ * @param {string} options.sheetName - XLSX worksheet name
+ * @param {{ header: string, key: string, width?: number }[]} options.columns
+ * @param {AsyncIterable<object>} options.rows - Objects keyed by column key
+ */
+const sendTable = async (res, { format, fileName, sheetName, columns, rows }) => {
+  res.status(200);
+  res.set({
+    'Content-Type': EXPORT_FORMATS[format],
+    'Content-Disposition': `attachment; filename="${fileName}.${format}"`,
+    'Cache-Control': 'no-store',
+  });
+
+  try {
+    if (format === 'xlsx') {
+      await streamXlsx(res, columns, rows, sheetName);
+    } else {
+      await streamCsv(res, columns, rows);
+    }
+  } catch (error) {
+    // Once the file has started the status can't change; cut the download short instead
+    if (!res.headersSent) throw error;
+    logger.error('Export failed mid-stream', { error });
+    res.destroy(error);
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportFormat,
+  toFileName,
+  mapRows,
+  sendTable,
+};
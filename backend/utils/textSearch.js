@@ -0,0 +1,126 @@
+/**
+ * Text Search Helpers
+ *
+ * MongoDB's $text search does the matching and ranking (see the text
+ * indexes on Event, Club and Broadcast). These helpers work out which
+ * words of a result matched, so the app can highlight them in a short
+ * snippet.
+ *
+ * Search syntax is MongoDB's: words, "exact phrases" and -excluded words.
+ */
+
+// Longest snippet returned for a long field (characters)
+const SNIPPET_LENGTH = 160;
+
+// Characters of context kept before the first match
+const SNIPPET_LEAD = 40;
+
+// Suffixes removed so "meeting" also highlights "meet" and "meets"
+const SUFFIXES = ['ing', 'ed', 'es', 's'];
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const stem = (word) => {
+  const suffix = SUFFIXES.find((ending) => word.endsWith(ending) && word.length - ending.length >= 3);
+  return suffix ? word.slice(0, -suffix.length) : word;
+};
+
+/**
+ * Split a search string into the phrases and word stems to highlight.
+ * Excluded words ("-word") are left out.
+ *
+ * @param {string} query
+ * @returns {{ phrases: string[], stems: string[] }}
+ */
+const parseSearchTerms = (query) => {
+  const phrases = [];
+  const rest = query.replace(/(-?)"([^"]*)"/g, (match, negated, phrase) => {
+    if (!negated && phrase.trim()) phrases.push(phrase.trim().toLowerCase());
+    return ' ';
+  });
+
+  const stems = rest
+    .split(/\s+/)
+    .filter((token) => token && !token.startsWith('-'))
+    .flatMap((token) => token.toLowerCase().match(WORD_PATTERN) || [])
+    .map(stem);
+
+  return { phrases, stems: [...new Set(stems)] };
+};
+
+/**
+ * Ranges of `text` that match the search terms, in order and not overlapping.
+ *
+ * @returns {{ start: number, length: number }[]}
+ */
+const findMatches = (text, { phrases, stems }) => {
+  const lower = text.toLowerCase();
+  const ranges = [];
+
+  phrases.forEach((phrase) => {
+    for (let index = lower.indexOf(phrase); index !== -1; index = lower.indexOf(phrase, index + phrase.length)) {
+      ranges.push({ start: index, length: phrase.length });
+    }
+  });
+
+  for (const match of lower.matchAll(WORD_PATTERN)) {
+    if (stems.some((term) => match[0].startsWith(term))) {
+      ranges.push({ start: match.index, length: match[0].length });
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  return ranges.filter(
+    (range, index) => index === 0 || range.start >= ranges[index - 1].start + ranges[index - 1].length
+  );
+};
+
+/**
+ * Cut a long text down to a snippet around its first match, moving match
+ * offsets to match. Cuts fall on spaces where possible and are marked "…".
+ */
+const toSnippet = (text, matches) => {
+  if (text.length <= SNIPPET_LENGTH) return { text, matches };
+
+  let start = Math.max(0, matches[0].start - SNIPPET_LEAD);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < matches[0].start) start = space + 1;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    matches: matches
+      .filter((match) => match.start >= start && match.start + match.length <= end)
+      .map((match) => ({ start: match.start - start + prefix.length, length: match.length })),
+  };
+};
+
+/**
+ * Highlighted snippets for the fields of a result that contain a match.
+ *
+ * @param {object} doc - Search result
+ * @param {string[]} fields - Fields to check, most important first
+ * @param {object} terms - From parseSearchTerms
+ * @returns {{ field: string, text: string, matches: { start: number, length: number }[] }[]}
+ */
+const buildHighlights = (doc, fields, terms) =>
+  fields.flatMap((field) => {
+    const text = doc[field];
+    if (typeof text !== 'string' || !text) return [];
+
+    const matches = findMatches(text, terms);
+    return matches.length > 0 ? [{ field, ...toSnippet(text, matches) }] : [];
+  });
+
+module.exports = {
+  parseSearchTerms,
+  buildHighlights,
+};
@@ -0,0 +1,75 @@
+/**
+ * Admin Validation Schemas
+ *
+ * Request schemas for routes/admin.js (see middleware/validate.js).
+ */
+
+const Joi = require('joi');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const { objectId, dateOnly, pageQuery, idParams } = require('./common');
+
+// Matches the text/csv parser in routes/admin.js
+const IMPORT_BODY_LIMIT = '5mb';
+
+const issuePasswordReset = {
+  params: idParams,
+};
+
+const changeRole = {
+  params: idParams,
+  body: Joi.object({
+    role: Joi.string()
+      .valid(...User.COUNCIL_ROLES)
+      .required(),
+  }),
+};
+
+const importStudents = {
+  query: Joi.object({
+    dryRun: Joi.boolean(),
+  }),
+  // The raw CSV (parsed as text by the route), or JSON { csv }
+  body: Joi.alternatives().try(
+    Joi.string(),
+    Joi.object({
+      csv: Joi.string().required(),
+    })
+  ),
+  bodyLimit: IMPORT_BODY_LIMIT,
+};
+
+const listAudit = {
+  query: Joi.object({
+    // One or more actions, comma-separated (checked by the controller)
+    action: Joi.string(),
+    targetType: Joi.string().valid(...AuditLog.TARGET_TYPES),
+    actorId: objectId,
+    targetId: objectId,
+    clubId: objectId,
+    from: dateOnly,
+    to: dateOnly,
+    ...pageQuery({ defaultLimit: 50, maxLimit: 100 }),
+  }),
+};
+
+const auditEntry = {
+  params: idParams,
+};
+
+const restoreEvent = {
+  params: idParams,
+  body: Joi.object({
+    // PR may knowingly double-book the venue, as when editing an event
+    overrideVenueConflict: Joi.boolean(),
+  }),
+};
+
+module.exports = {
+  issuePasswordReset,
+  changeRole,
+  importStudents,
+  listAudit,
+  auditEntry,
+  restoreEvent,
+};
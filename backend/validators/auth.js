@@ -0,0 +1,64 @@
+/**
+ * Authentication Validation Schemas
+ *
+ * Request schemas for routes/auth.js (see middleware/validate.js).
+ * Password strength is checked by the controller (utils/passwordPolicy.js),
+ * so its problems are reported together.
+ */
+
+const Joi = require('joi');
+const { idParams } = require('./common');
+
+// Longer than any accepted password, so nobody is told why a login failed
+const password = Joi.string().max(256);
+
+const studentLogin = {
+  body: Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    rollNumber: Joi.string().trim().max(20).required(),
+    password: password.required(),
+  }),
+};
+
+const councilLogin = {
+  body: Joi.object({
+    clubName: Joi.string().trim().max(100).required(),
+    password: password.required(),
+  }),
+};
+
+const changePassword = {
+  body: Joi.object({
+    currentPassword: password.required(),
+    newPassword: password.required(),
+  }),
+};
+
+const forgotPassword = {
+  body: Joi.object({
+    rollNumber: Joi.string().trim().max(20),
+    clubName: Joi.string().trim().max(100),
+  })
+    .or('rollNumber', 'clubName')
+    .messages({ 'object.missing': 'Provide your rollNumber (students) or clubName (council accounts)' }),
+};
+
+const resetPassword = {
+  body: Joi.object({
+    token: Joi.string().trim().max(200).required(),
+    newPassword: password.required(),
+  }),
+};
+
+const revokeSession = {
+  params: idParams,
+};
+
+module.exports = {
+  studentLogin,
+  councilLogin,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  revokeSession,
+};
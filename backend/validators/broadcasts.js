@@ -0,0 +1,64 @@
+/**
+ * Broadcast Validation Schemas
+ *
+ * Request schemas for routes/broadcasts.js (see middleware/validate.js).
+ */
+
+const Joi = require('joi');
+const { objectId, pageQuery, idParams } = require('./common');
+
+// Messages can be 5000 characters of any script
+const BROADCAST_BODY_LIMIT = '32kb';
+
+const PAGE_SIZE = { defaultLimit: 20, maxLimit: 50 };
+
+const broadcastBody = Joi.object({
+  title: Joi.string().trim().max(150).allow(''),
+  message: Joi.string().trim().max(5000).required(),
+  isUrgent: Joi.boolean(),
+  isPinned: Joi.boolean(),
+});
+
+const clubParams = Joi.object({
+  clubId: objectId.required(),
+});
+
+const listCollege = {
+  query: Joi.object(pageQuery(PAGE_SIZE)),
+};
+
+const postCollege = {
+  body: broadcastBody,
+  bodyLimit: BROADCAST_BODY_LIMIT,
+};
+
+const listClub = {
+  params: clubParams,
+  query: Joi.object(pageQuery(PAGE_SIZE)),
+};
+
+const postClub = {
+  params: clubParams,
+  body: broadcastBody,
+  bodyLimit: BROADCAST_BODY_LIMIT,
+};
+
+const markRead = {
+  params: idParams,
+};
+
+const setPinned = {
+  params: idParams,
+  body: Joi.object({
+    isPinned: Joi.boolean().required(),
+  }),
+};
+
+module.exports = {
+  listCollege,
+  postCollege,
+  listClub,
+  postClub,
+  markRead,
+  setPinned,
+};
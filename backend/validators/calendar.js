@@ -0,0 +1,23 @@
+/**
+ * Calendar Validation Schemas
+ *
+ * Request schemas for routes/calendar.js (see middleware/validate.js).
+ */
+
+const Joi = require('joi');
+const { idParams } = require('./common');
+
+const clubFeed = {
+  params: idParams,
+};
+
+const personalFeed = {
+  params: Joi.object({
+    token: Joi.string().max(200).required(),
+  }),
+};
+
+module.exports = {
+  clubFeed,
+  personalFeed,
+};
@@ -0,0 +1,35 @@
+/**
+ * Club Validation Schemas
+ *
+ * Request schemas for routes/clubs.js (see middleware/validate.js).
+ */
+
+const Joi = require('joi');
+const User = require('../models/User');
+const { objectId, exportQuery, idParams } = require('./common');
+
+// Join, leave and roster routes that only take the club id
+const clubRoute = {
+  params: idParams,
+};
+
+const decideMembership = {
+  params: Joi.object({
+    id: objectId.required(),
+    userId: objectId.required(),
+  }),
+  body: Joi.object({
+    action: Joi.string().valid(...User.MEMBERSHIP_DECISIONS).required(),
+  }),
+};
+
+const exportMembers = {
+  params: idParams,
+  query: exportQuery,
+};
+
+module.exports = {
+  clubRoute,
+  decideMembership,
+  exportMembers,
+};
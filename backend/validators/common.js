@@ -0,0 +1,65 @@
+/**
+ * Shared Validation Schemas
+ *
+ * Joi building blocks used by the per-area schemas in this folder
+ * (see middleware/validate.js).
+ */
+
+const Joi = require('joi');
+const { parseDateOnly, isValidTime } = require('../utils/dates');
+const { EXPORT_FORMATS } = require('../utils/spreadsheet');
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// "<seriesId>_YYYY-MM-DD", one occurrence of a recurring series
+const OCCURRENCE_ID_PATTERN = /^[0-9a-f]{24}_\d{4}-\d{2}-\d{2}$/i;
+
+const objectId = Joi.string()
+  .pattern(OBJECT_ID_PATTERN)
+  .messages({ 'string.pattern.base': '{#label} must be a valid id' });
+
+// An event id, or an occurrence id for routes that accept one
+const eventId = Joi.string()
+  .pattern(new RegExp(`${OBJECT_ID_PATTERN.source}|${OCCURRENCE_ID_PATTERN.source}`, 'i'))
+  .messages({ 'string.pattern.base': '{#label} must be an event or occurrence id' });
+
+// Kept as a string: controllers parse it with utils/dates.js
+const dateOnly = Joi.string()
+  .custom((value, helpers) => (parseDateOnly(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': '{#label} must be a date in YYYY-MM-DD format' });
+
+const time = Joi.string()
+  .custom((value, helpers) => (isValidTime(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': '{#label} must be a time in HH:mm format' });
+
+/**
+ * Cursor pagination fields, with each list's own page size: `limit`
+ * defaults to `defaultLimit` and may be at most `maxLimit`.
+ */
+const pageQuery = ({ defaultLimit, maxLimit }) => ({
+  cursor: Joi.string().max(200),
+  limit: Joi.number().integer().min(1).max(maxLimit).default(defaultLimit),
+});
+
+const exportQuery = Joi.object({
+  format: Joi.string().valid(...Object.keys(EXPORT_FORMATS)),
+});
+
+const idParams = Joi.object({
+  id: objectId.required(),
+});
+
+const eventIdParams = Joi.object({
+  id: eventId.required(),
+});
+
+module.exports = {
+  objectId,
+  eventId,
+  dateOnly,
+  time,
+  pageQuery,
+  exportQuery,
+  idParams,
+  eventIdParams,
+};
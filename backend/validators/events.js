@@ -0,0 +1,121 @@
+/**
+ * Event Validation Schemas
+ *
+ * Request schemas for routes/events.js (see middleware/validate.js).
+ * Recurrence rules are only checked for shape here; the rules that depend
+ * on the event date (until vs count, series length) are applied by
+ * utils/recurrence.js.
+ */
+
+const Joi = require('joi');
+const Event = require('../models/Event');
+const { FREQUENCIES, MAX_OCCURRENCES } = require('../utils/recurrence');
+const { objectId, dateOnly, time, exportQuery, eventIdParams } = require('./common');
+
+// Descriptions can be 5000 characters of any script
+const EVENT_BODY_LIMIT = '32kb';
+
+// Each check-in token is a few hundred bytes; offline syncs send up to 500
+const CHECK_IN_BODY_LIMIT = '256kb';
+
+const scope = Joi.string().valid(...Event.SERIES_SCOPES);
+
+const recurrence = Joi.object({
+  frequency: Joi.string().valid(...FREQUENCIES).required(),
+  interval: Joi.number().integer().min(1),
+  byWeekday: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1),
+  until: dateOnly.allow(null),
+  count: Joi.number().integer().min(1).max(MAX_OCCURRENCES).allow(null),
+});
+
+const eventFields = {
+  title: Joi.string().trim().max(150),
+  description: Joi.string().trim().max(5000).allow(''),
+  date: dateOnly,
+  startTime: time,
+  endTime: time,
+  venue: Joi.string().trim().max(150),
+  maxParticipants: Joi.number().integer().min(1),
+  recurrence,
+  overrideVenueConflict: Joi.boolean(),
+};
+
+const listEvents = {
+  query: Joi.object({
+    from: dateOnly,
+    to: dateOnly,
+    clubId: objectId,
+  }),
+};
+
+const createEvent = {
+  body: Joi.object({
+    ...eventFields,
+    title: eventFields.title.required(),
+    date: eventFields.date.required(),
+    startTime: eventFields.startTime.required(),
+    endTime: eventFields.endTime.required(),
+    venue: eventFields.venue.required(),
+    maxParticipants: eventFields.maxParticipants.required(),
+    // PR only; club heads always create for their own club
+    clubId: objectId,
+  }),
+  bodyLimit: EVENT_BODY_LIMIT,
+};
+
+const updateEvent = {
+  params: eventIdParams,
+  body: Joi.object({
+    ...eventFields,
+    scope,
+  }),
+  bodyLimit: EVENT_BODY_LIMIT,
+};
+
+const cancelEvent = {
+  params: eventIdParams,
+  query: Joi.object({ scope }),
+};
+
+// Registration, check-in token and attendance routes that only take the event id
+const eventRoute = {
+  params: eventIdParams,
+};
+
+const exportList = {
+  params: eventIdParams,
+  query: exportQuery,
+};
+
+const checkIn = {
+  params: eventIdParams,
+  body: Joi.object({
+    token: Joi.string().max(1000),
+    // When the code was scanned, for scans synced later from offline
+    scannedAt: Joi.date(),
+    // Offline syncs: each scan is checked by the controller and gets its own
+    // result, so one bad scan does not hold up the rest of the batch
+    checkIns: Joi.array().items(
+      Joi.object({
+        token: Joi.any(),
+        scannedAt: Joi.any(),
+      })
+    ),
+  })
+    .xor('token', 'checkIns')
+    .messages({
+      'object.missing': 'Send the scanned token, or checkIns to sync offline scans',
+      'object.xor': 'Send either token or checkIns, not both',
+    }),
+  bodyLimit: CHECK_IN_BODY_LIMIT,
+};
+
+module.exports = {
+  listEvents,
+  createEvent,
+  updateEvent,
+  cancelEvent,
+  eventRoute,
+  exportList,
+  checkIn,
+};
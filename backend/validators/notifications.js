@@ -0,0 +1,44 @@
+/**
+ * Notification Validation Schemas
+ *
+ * Request schemas for routes/devices.js and routes/notifications.js
+ * (see middleware/validate.js).
+ */
+
+const Joi = require('joi');
+const Device = require('../models/Device');
+const { objectId } = require('./common');
+
+const PLATFORMS = Device.schema.path('platform').enumValues;
+
+const pushToken = Joi.string()
+  .trim()
+  .max(200)
+  .pattern(Device.EXPO_TOKEN_PATTERN)
+  .messages({ 'string.pattern.base': '{#label} must be an Expo push token' });
+
+const registerDevice = {
+  body: Joi.object({
+    token: pushToken.required(),
+    platform: Joi.string().valid(...PLATFORMS),
+    deviceName: Joi.string().trim().max(100).allow(''),
+  }),
+};
+
+const removeDevice = {
+  params: Joi.object({
+    token: Joi.string().max(200).required(),
+  }),
+};
+
+const updatePreferences = {
+  body: Joi.object({
+    mutedClubs: Joi.array().items(objectId).required(),
+  }),
+};
+
+module.exports = {
+  registerDevice,
+  removeDevice,
+  updatePreferences,
+};
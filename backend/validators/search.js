@@ -0,0 +1,25 @@
+/**
+ * Search Validation Schemas
+ *
+ * Request schemas for routes/search.js (see middleware/validate.js).
+ * The query length, type names and result limit are checked by the
+ * controller, next to the search definitions they depend on.
+ */
+
+const Joi = require('joi');
+const { objectId, dateOnly } = require('./common');
+
+const search = {
+  query: Joi.object({
+    q: Joi.string().trim().required(),
+    type: Joi.string().allow(''),
+    from: dateOnly,
+    to: dateOnly,
+    clubId: objectId,
+    limit: Joi.number().integer().min(1),
+  }),
+};
+
+module.exports = {
+  search,
+};
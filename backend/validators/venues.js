@@ -0,0 +1,21 @@
+/**
+ * Venue Validation Schemas
+ *
+ * Request schemas for routes/venues.js (see middleware/validate.js).
+ */
+
+const Joi = require('joi');
+const { dateOnly } = require('./common');
+
+const getAvailability = {
+  params: Joi.object({
+    name: Joi.string().trim().max(150).required(),
+  }),
+  query: Joi.object({
+    date: dateOnly.required(),
+  }),
+};
+
+module.exports = {
+  getAvailability,
+};
@@ -0,0 +1,66 @@
+/**
+ * Student Roster Import (command line)
+ *
+ * Same import as POST /api/admin/import/students, run directly against the
+ * database configured in backend/.env. Dry run by default; add --commit to
+ * write. See backend/services/studentImport.js for the CSV columns.
+ *
+ * Usage:
+ *   node import-students.js roster.csv            # check the sheet
+ *   node import-students.js roster.csv --commit   # create / update students
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BACKEND_DIR = path.join(__dirname, 'backend');
+
+// Resolve packages from the backend, whether or not they were hoisted to the root
+const backendRequire = (name) => require(require.resolve(name, { paths: [BACKEND_DIR] }));
+
+backendRequire('dotenv').config({ path: path.join(BACKEND_DIR, '.env') });
+const mongoose = backendRequire('mongoose');
+const { importStudents } = require('./backend/services/studentImport');
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--'));
+const commit = args.includes('--commit');
+
+if (!file) {
+    console.log('Usage: node import-students.js <roster.csv> [--commit]');
+    process.exit(1);
+}
+
+const main = async () => {
+    const csv = fs.readFileSync(path.resolve(file), 'utf8');
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`📄 ${file} (${commit ? 'import' : 'dry run'})\n`);
+
+    const report = await importStudents(csv, { dryRun: !commit });
+    const { total, create, update, unchanged, errors } = report.summary;
+
+    report.rows
+        .filter(row => row.errors)
+        .forEach(row => {
+            console.log(`❌ Line ${row.line} ${row.rollNumber || '(no roll number)'}: ${row.errors.join('; ')}`);
+        });
+
+    console.log(`\n${total} rows: ${create} to create, ${update} to update, ${unchanged} unchanged, ${errors} with errors`);
+
+    if (report.committed) {
+        console.log('✅ Import complete');
+    } else if (errors > 0) {
+        console.log('❌ Nothing was imported. Fix the rows above and run again.');
+        process.exitCode = 1;
+    } else {
+        console.log('ℹ️  Dry run only. Re-run with --commit to import.');
+    }
+};
+
+main()
+    .catch(error => {
+        console.log(`❌ ${error.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());